@@ -1,29 +1,303 @@
 const express = require("express");
 const fs = require("fs");
+const crypto = require("crypto");
 const path = require("path");
-const { pipeline } = require("stream");
-const archiver = require("archiver");
+const { pipeline, Transform } = require("stream");
+const {
+  generateStoredName,
+  isStoredFilename,
+  isPlayableMedia,
+  normalizeTags,
+  checkOriginalName,
+  formatBytes,
+  contentDisposition,
+  registerMimeTypes,
+  checkFileType,
+  checkFileContent
+} = require("./lib/files");
+const { loadConfig, formatHelp, ConfigError } = require("./lib/config");
+const { createStorage } = require("./lib/storage");
+const { FileStore } = require("./lib/file-store");
+const { MetadataDB } = require("./lib/metadata-db");
+const { UploadSessionStore } = require("./lib/upload-sessions");
+const { FolderStore, normalizeFolderPath } = require("./lib/folders");
+const { UserStore } = require("./lib/users");
+const { createAuth, canAccess, parseCookies } = require("./lib/auth");
+const { ShareStore } = require("./lib/shares");
+const { JobQueue } = require("./lib/job-queue");
+const { ThumbnailService, SIZES: THUMBNAIL_SIZES, DEFAULT_SIZE: DEFAULT_THUMBNAIL_SIZE } = require("./lib/thumbnails");
+const { MediaInfoService } = require("./lib/media-info");
+const { HlsService } = require("./lib/hls");
+const { SearchIndex } = require("./lib/search-index");
+const { TrashBin } = require("./lib/trash");
+const { ArchiveService } = require("./lib/archives");
+const { BundleService, bundleEntries, bundleFilename } = require("./lib/bundles");
+const { QuotaService, quotaError } = require("./lib/quotas");
+const { createScanner } = require("./lib/scanners");
+const { ScanService } = require("./lib/scanning");
+const { EventHub, progressId } = require("./lib/events");
+const { validators, cacheControlFor, handleConditional } = require("./lib/http-cache");
+const { parseRange, sendRanges } = require("./lib/http-range");
+const createUploadSessionRouter = require("./routes/upload-sessions");
+const createMultiUploadRouter = require("./routes/upload-multiple");
+const createFolderRouter = require("./routes/folders");
+const createAuthRouter = require("./routes/auth");
+const createShareRouter = require("./routes/shares");
+const createHlsRouter = require("./routes/hls");
+const createSearchRouter = require("./routes/search");
+const createTrashRouter = require("./routes/trash");
+const createVersionRouter = require("./routes/versions");
+const createUsageRouter = require("./routes/usage");
+const createQuarantineRouter = require("./routes/quarantine");
+const createArchiveRouter = require("./routes/archives");
+const createBundleRouter = require("./routes/bundles");
+
+// Settings from config.json, the environment and CLI flags; invalid ones stop the server
+if (require.main === module && process.argv.includes('--help')) {
+  console.log(formatHelp());
+  process.exit(0);
+}
+let config;
+try {
+  config = loadConfig({ argv: require.main === module ? process.argv.slice(2) : [], baseDir: __dirname });
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+registerMimeTypes(config.mimeTypes);
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
+
+// Storage backend for uploaded files: local disk by default, or memory / S3
+const storageDriver = config.storageDriver;
+const storage = createStorage(storageDriver === 's3' ? {
+  driver: 's3',
+  endpoint: config.s3Endpoint,
+  bucket: config.s3Bucket,
+  region: config.s3Region,
+  accessKeyId: config.s3AccessKeyId,
+  secretAccessKey: config.s3SecretAccessKey,
+  prefix: config.s3Prefix
+} : {
+  driver: storageDriver,
+  root: config.uploadsDir
+});
+
+// File metadata lives in an append-only journal (in memory only for the memory driver)
+const metadataDb = new MetadataDB({
+  file: storageDriver === 'memory' ? null : path.join(config.dataDir, 'metadata.jsonl')
+});
+
+// Largest single upload, for every upload endpoint
+const MAX_FILE_SIZE = config.maxFileSize;
+
+// Allow and deny lists of extensions and MIME types for uploads
+const uploadTypes = {
+  allowedExtensions: config.allowedExtensions,
+  deniedExtensions: config.deniedExtensions,
+  allowedTypes: config.allowedTypes,
+  deniedTypes: config.deniedTypes,
+  typeMismatch: config.typeMismatch
+};
+
+// Uploads are stored once per distinct content and referenced by name;
+// each file keeps up to `maxFileVersions` versions (unlimited by default)
+const fileStore = new FileStore({
+  storage,
+  db: metadataDb,
+  maxVersions: config.maxFileVersions || Infinity,
+  typeCheck: (head, upload) => checkFileContent(head, upload, uploadTypes)
+});
+
+// Storage quotas on bytes and file count, per user and for the whole store (unset = unlimited)
+const quotas = new QuotaService({
+  fileStore,
+  limits: {
+    userBytes: config.quotaUserBytes,
+    userFiles: config.quotaUserFiles,
+    totalBytes: config.quotaTotalBytes,
+    totalFiles: config.quotaTotalFiles
+  }
+});
+
+// Uploads are scanned for malware in the background and can only be downloaded once they pass
+const scanning = new ScanService({
+  fileStore,
+  queue: new JobQueue({ name: 'Malware scan', concurrency: 1 }),
+  scanner: createScanner({
+    driver: config.scanner,
+    socket: config.clamdSocket,
+    host: config.clamdHost,
+    port: config.clamdPort,
+    timeout: config.scanTimeoutMs
+  })
+}).attach();
+
+// Thumbnails and video posters are generated in the background after uploads
+const thumbnails = new ThumbnailService({
+  fileStore,
+  storage,
+  queue: new JobQueue({ name: 'Thumbnail', concurrency: 1 }),
+  ffmpegPath: config.ffmpegPath
+}).attach();
+
+// Duration, resolution, codecs and EXIF are extracted into each upload's metadata
+const mediaInfo = new MediaInfoService({
+  fileStore,
+  queue: new JobQueue({ name: 'Media info', concurrency: 1 })
+}).attach();
+
+// Uploaded videos are packaged into an HLS rendition ladder, one transcode at a time
+const hls = new HlsService({
+  fileStore,
+  storage,
+  mediaInfo,
+  queue: new JobQueue({ name: 'HLS', concurrency: 1 }),
+  ffmpegPath: config.ffmpegPath
+}).attach();
+
+// Names, tags and text content are indexed for /search and kept current as files change
+const searchIndex = new SearchIndex({
+  fileStore,
+  storage,
+  queue: new JobQueue({ name: 'Text extraction', concurrency: 1 })
+}).attach();
+
+// Live file changes and upload/ZIP progress for open pages, on /events
+const events = new EventHub({ fileStore }).attach();
+
+// Resumable upload sessions are kept outside uploads/ until they are completed
+const uploadSessions = new UploadSessionStore({
+  dir: path.join(config.dataDir, 'upload-sessions'),
+  ttl: config.uploadSessionTtlMs,
+  maxSize: MAX_FILE_SIZE
+});
+uploadSessions.startSweeper();
+
+// Virtual folder registry; each upload records its folder in its metadata
+const folders = new FolderStore({ file: path.join(config.dataDir, 'folders.json') });
+
+// Deleted files wait in the trash until restored or purged after `trashRetentionMs`
+const trash = new TrashBin({
+  fileStore,
+  folders,
+  retention: config.trashRetentionMs
+});
+trash.startPurger();
+
+// Uploaded ZIP and TAR archives can be browsed and extracted into folders
+const archives = new ArchiveService({
+  fileStore,
+  folders,
+  quotas,
+  uploadTypes,
+  limits: {
+    maxEntries: config.archiveMaxEntries,
+    maxRatio: config.archiveMaxRatio,
+    maxFileSize: MAX_FILE_SIZE,
+    maxExtractSize: config.archiveMaxExtractSize
+  }
+});
+
+// ZIP and TAR bundles of several files, streamed right away or kept for GET /bundles/:id
+const bundles = new BundleService({
+  dir: path.join(config.dataDir, 'bundles'),
+  ttl: config.bundleTtlMs,
+  fileStore,
+  folders,
+  scanning,
+  events,
+  maxFiles: config.zipMaxFiles,
+  compressionLevel: config.zipCompressionLevel,
+  debug: config.debugStreams
+});
+bundles.startSweeper();
+
+// Local accounts, login sessions and API tokens
+const sessionTtl = config.sessionTtlMs;
+const users = new UserStore({ file: path.join(config.dataDir, 'users.json'), sessionTtl });
+const auth = createAuth({ users, sessionTtl });
+
+// Creating the first account on the login page takes this token, so nobody
+// reaching a fresh install before its owner can claim the admin role
+const bootstrapToken = config.bootstrapToken || crypto.randomBytes(16).toString('hex');
+
+// Public share links, signed with `shareSecret` or a generated secret kept in the data directory
+const shares = new ShareStore({
+  file: path.join(config.dataDir, 'shares.json'),
+  secret: config.shareSecret,
+  secretFile: path.join(config.dataDir, 'share-secret')
+});
+
+// Seed the first admin account from the environment on a fresh install
+if (users.isEmpty() && config.adminUsername && config.adminPassword) {
+  users.create({ username: config.adminUsername, password: config.adminPassword, role: 'admin' }, { first: true })
+    .then(user => console.log(`👤 Created admin account: ${user.username}`))
+    .catch(err => console.error('Failed to create admin account:', err.message));
+}
 
 // Middleware
 app.use(express.json({ limit: '500mb' }));
 app.use(express.urlencoded({ limit: '500mb', extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(auth.authenticate);
 
+// Login page; signed-in users go straight to where they were heading
+app.get("/login", (req, res) => {
+  if (req.user) {
+    const next = typeof req.query.next === 'string' && /^\/(?!\/)/.test(req.query.next) ? req.query.next : '/';
+    return res.redirect(next);
+  }
+  res.sendFile(path.join(__dirname, "login.html"));
+});
 
+app.use("/auth", createAuthRouter({ users, auth, bootstrapToken }));
 
 // Serve index.html on root
-app.get("/", (req, res) => {
+app.get("/", auth.requirePage, (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
 
 // Serve file manager page
-app.get("/files-manager", (req, res) => {
+app.get("/files-manager", auth.requirePage, (req, res) => {
   res.sendFile(path.join(__dirname, "file-manager.html"));
 });
 
+// Everything that touches uploaded files requires a signed-in user
+app.use([
+  "/upload",
+  "/upload-multiple",
+  "/upload-sessions",
+  "/folders",
+  "/files",
+  "/trash",
+  "/usage",
+  "/search",
+  "/videos",
+  "/stream",
+  "/hls",
+  "/thumbnail",
+  "/download",
+  "/download-zip",
+  "/bundles",
+  "/shares",
+  "/events"
+], auth.requireUser);
+
+// Server-sent events: file changes the user can see and their own upload and ZIP progress
+app.get("/events", (req, res) => {
+  events.subscribe(req, res);
+});
+
+const PROGRESS_LOG_STEP = 10 * 1024 * 1024;
+
+// Versions other than the current one are immutable
+const IMMUTABLE_CACHE_CONTROL = 'private, max-age=31536000, immutable';
+
 // Video streaming route with enhanced range request handling
 app.get("/video", (req, res) => {
   const filePath = path.join(__dirname, "sample-video.mp4");
@@ -33,15 +307,112 @@ app.get("/video", (req, res) => {
     return res.status(404).json({ error: "Video file not found" });
   }
 
-  const stat = fs.statSync(filePath);
-  const fileSize = stat.size;
-  const range = req.headers.range;
+  const stats = fs.statSync(filePath);
+  streamMedia(req, res, {
+    size: stats.size,
+    validators: validators({ size: stats.size, lastModified: stats.mtime }),
+    open: (range) => fs.createReadStream(filePath, range)
+  }, "video/mp4");
+});
+
+// Stream any uploaded video or audio file with range support
+app.get("/stream/:filename", async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    const file = await fileStore.resolve(filename);
+    if (!canAccess(req.user, file)) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    if (!isPlayableMedia(file.mimetype)) {
+      return res.status(415).json({ error: "File is not a playable video or audio file" });
+    }
+    if (!scanning.passed(file)) {
+      return sendScanBlocked(res, file);
+    }
+
+    await streamMedia(req, res, {
+      size: file.size,
+      validators: validators({ sha256: file.sha256, size: file.size, lastModified: file.modifiedAt }),
+      open: (range) => fileStore.open(filename, range)
+    }, file.mimetype);
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.status(500).json({ error: "Streaming failed" });
+  }
+});
+
+// Thumbnail of an uploaded image or poster frame of a video (?size=128|256|512)
+app.get("/thumbnail/:filename", async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    const storedFile = await fileStore.resolve(filename);
+    if (!canAccess(req.user, storedFile)) {
+      return res.status(404).json({ error: "File not found" });
+    }
+    // Thumbnails show the content, so they wait for the scan like downloads
+    if (!scanning.passed(storedFile)) {
+      return sendScanBlocked(res, storedFile);
+    }
+
+    const size = req.query.size === undefined ? DEFAULT_THUMBNAIL_SIZE : Number(req.query.size);
+    if (!THUMBNAIL_SIZES.includes(size)) {
+      return res.status(400).json({ error: `Size must be one of: ${THUMBNAIL_SIZES.join(', ')}` });
+    }
+
+    const thumbnail = await thumbnails.open(filename, size);
+    if (!thumbnail) {
+      const status = await thumbnails.ensure(storedFile);
+      if (status === 'pending') {
+        return res.status(202).json({ message: "Thumbnail is being generated" });
+      }
+      return res.status(404).json({ error: "No thumbnail available for this file" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "image/jpeg",
+      "Cache-Control": "private, max-age=86400"
+    });
+    pipeline(thumbnail, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Thumbnail streaming error:', err);
+      }
+    });
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to load thumbnail" });
+    }
+  }
+});
+
+// List uploaded files that can be played by the video player
+app.get("/videos", async (req, res) => {
+  try {
+    const videos = (await fileStore.list())
+      .filter(file => canAccess(req.user, file) && isPlayableMedia(file.mimetype))
+      .map(file => ({ ...file, streamUrl: `/stream/${file.filename}`, hlsStatusUrl: `/hls/${file.filename}` }));
+
+    res.json({ videos });
+  } catch (error) {
+    console.error('Error listing videos:', error);
+    res.status(500).json({ error: "Failed to list videos" });
+  }
+});
+
+// Stream a media source (`{ size, validators, open(range) }`), honouring
+// conditional and range requests for caching and seeking
+async function streamMedia(req, res, source, contentType) {
+  const { notModified, range } = handleConditional(req, res, source.validators, cacheControlFor(contentType, config));
+  if (notModified) {
+    return;
+  }
 
   // Handle client disconnect
   req.on('close', () => {
     // Client disconnected, no need to log as error
     // Only log in debug mode or when needed
-    if (process.env.DEBUG_STREAMS) {
+    if (config.debugStreams) {
       console.log('Client disconnected from video stream');
     }
   });
@@ -61,63 +432,40 @@ app.get("/video", (req, res) => {
     }
   });
 
-  if (range) {
-    const parts = range.replace(/bytes=/, "").split("-");
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-
-    if (start >= fileSize || end >= fileSize) {
-      res.status(416).json({ error: "Requested range not satisfiable" });
-      return;
-    }
-
-    const chunkSize = end - start + 1;
-    const file = fs.createReadStream(filePath, { start, end });
-
-    res.writeHead(206, {
-      "Content-Range": `bytes ${start}-${end}/${fileSize}`,
-      "Accept-Ranges": "bytes",
-      "Content-Length": chunkSize,
-      "Content-Type": "video/mp4",
-    });
-
-    // Use pipeline for better error handling
-    pipeline(file, res, (err) => {
-      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
-        console.error('Video streaming error:', err);
-      }
-    });
-  } else {
-    res.writeHead(200, {
-      "Content-Length": fileSize,
-      "Content-Type": "video/mp4",
-      "Accept-Ranges": "bytes",
-    });
-    
-    const file = fs.createReadStream(filePath);
-    pipeline(file, res, (err) => {
-      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
-        console.error('Video streaming error:', err);
-      }
-    });
-  }
-});
+  await sendRanges(req, res, {
+    size: source.size,
+    contentType,
+    range,
+    open: source.open
+  });
+}
 
 // File upload endpoint using proper multipart handling
-app.post("/upload", (req, res) => {
+app.post("/upload", async (req, res) => {
   try {
-    // Ensure uploads directory exists
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    // Target folder comes from ?folder= or a `folder` field sent before the file;
+    // ?versionOf= (or a `versionOf` field) uploads a new version of that file instead
+    let versionOf = req.query.versionOf === undefined ? null : String(req.query.versionOf);
+    let targetFolder;
+    try {
+      targetFolder = normalizeFolderPath(req.query.folder);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!folders.exists(targetFolder)) {
+      return res.status(404).json({ error: "Folder not found" });
     }
 
+    // Quotas are checked against the usage when the upload starts
+    const usage = await quotas.usage();
+
     // Parse multipart form data
     const Busboy = require('busboy');
     const busboy = Busboy({ 
       headers: req.headers,
+      defParamCharset: 'utf8', // browsers send file names as UTF-8
       limits: {
-        fileSize: 500 * 1024 * 1024, // 500MB limit
+        fileSize: MAX_FILE_SIZE + 1, // one byte over, so the size check below sees oversized files
         files: 1 // Single file upload
       },
       preservePath: true
@@ -126,158 +474,192 @@ app.post("/upload", (req, res) => {
     let uploadedFile = null;
     let uploadError = null;
     let isResponseSent = false;
+    let pendingWrite = null;
+
+    // Progress, completion and failure are pushed to the uploader's pages
+    const uploadId = progressId(req.query.uploadId);
+    const total = Number(req.headers['content-length']) || null; // includes the form encoding
+    const publishProgress = events.progressPublisher('upload-progress', req.user.id);
+    let uploadName = null;
+    res.on('close', () => {
+      if (res.writableFinished && res.statusCode < 400 && uploadedFile) {
+        events.publish('upload-complete', { uploadId, file: uploadedFile }, { user: req.user.id });
+        return;
+      }
+      const error = !res.writableFinished ? 'Upload aborted' : uploadError ? uploadError.message : 'Upload failed';
+      events.publish('upload-failed', { uploadId, name: uploadName, error }, { user: req.user.id });
+    });
 
-    // Set upload timeout (5 minutes)
+    // Set upload timeout
     const uploadTimeout = setTimeout(() => {
       if (!isResponseSent) {
         isResponseSent = true;
         res.status(408).json({ error: "Upload timeout - file too large or connection too slow" });
       }
-    }, 5 * 60 * 1000);
-
-    console.log('Busboy instance created, waiting for events...');
+    }, config.uploadTimeoutMs);
 
     busboy.on('file', (fieldname, file, fileInfo) => {
-      console.log('File event triggered:', { fieldname, filename: fileInfo.filename, size: fileInfo.size });
+      uploadName = fileInfo.filename;
       try {
         // Validate file info
-        if (!fileInfo.filename || fileInfo.filename.trim() === '') {
+        try {
+          checkOriginalName(fileInfo.filename);
+        } catch (error) {
           console.log('Invalid filename detected');
-          uploadError = new Error('Invalid filename');
+          uploadError = error;
+          file.resume();
           if (!isResponseSent) {
             isResponseSent = true;
-            res.status(400).json({ error: "Invalid filename" });
+            res.status(400).json({ error: error.message });
           }
           return;
         }
 
         // Validate file size - check both fileInfo.size and actual file size
-        const maxSize = 500 * 1024 * 1024; // 500MB limit
+        const maxSize = MAX_FILE_SIZE;
+        const tooLarge = `File too large (max ${formatBytes(maxSize)})`;
         
         if (fileInfo.size && fileInfo.size > maxSize) {
           console.log('File too large (from fileInfo):', fileInfo.size);
-          uploadError = new Error('File too large (max 500MB)');
+          uploadError = new Error(tooLarge);
           if (!isResponseSent) {
             isResponseSent = true;
-            res.status(400).json({ error: "File too large (max 500MB)" });
+            res.status(400).json({ error: tooLarge });
           }
           // Destroy the file stream to prevent further processing
           file.destroy();
           return;
         }
 
+        if (versionOf !== null) {
+          const target = isStoredFilename(versionOf) ? fileStore.getMetadata(versionOf) : null;
+          if (!target || target.trashed || !canAccess(req.user, target)) {
+            uploadError = new Error('File not found');
+            file.resume();
+            if (!isResponseSent) {
+              isResponseSent = true;
+              res.status(404).json({ error: "File not found" });
+            }
+            return;
+          }
+        } else if (!folders.exists(targetFolder)) {
+          uploadError = new Error('Folder not found');
+          file.resume();
+          if (!isResponseSent) {
+            isResponseSent = true;
+            res.status(404).json({ error: "Folder not found" });
+          }
+          return;
+        }
+
+        // Allowed file types, and the bytes left under the user's and the global quota
+        let allowed;
+        try {
+          checkFileType(fileInfo.filename, fileInfo.mimeType, uploadTypes);
+          allowed = quotas.allowance(usage, req.user.id, { files: versionOf === null ? 1 : 0 });
+        } catch (error) {
+          uploadError = error;
+          file.resume();
+          if (!isResponseSent) {
+            isResponseSent = true;
+            res.status(error.status).json({ error: error.message });
+          }
+          return;
+        }
+
         // Additional validation: check if file size is known and exceeds limit
         if (fileInfo.size === undefined || fileInfo.size === null) {
           console.log('File size unknown, will validate during upload');
         }
 
-        // Generate unique filename with original extension
-        const timestamp = Date.now();
-        const randomSuffix = Math.round(Math.random() * 1E9);
-        const originalExt = path.extname(fileInfo.filename);
-        const originalName = fileInfo.filename;
-        const filename = `file-${timestamp}-${randomSuffix}${originalExt}`;
-        const filePath = path.join(uploadDir, filename);
+        // Generate unique filename with original extension, or add to the target file
+        const filename = versionOf || generateStoredName(fileInfo.filename);
 
-        console.log(`Starting upload for: ${fileInfo.filename} -> ${filename}`);
-
-        // Create write stream
-        const writeStream = fs.createWriteStream(filePath);
+        console.log(`Starting upload for: ${fileInfo.filename} -> ${filename}${versionOf ? ' (new version)' : ''}`);
 
         // Track file size during upload
         let uploadedBytes = 0;
 
-        // Monitor file size during upload
-        file.on('data', (chunk) => {
-          uploadedBytes += chunk.length;
-          if (uploadedBytes > maxSize) {
-            console.log('File size limit exceeded during upload:', uploadedBytes);
-            uploadError = new Error('File too large (max 500MB)');
-            file.destroy();
-            writeStream.destroy();
-            // Clean up partial file
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-            }
-            if (!isResponseSent) {
-              isResponseSent = true;
-              res.status(400).json({ error: "File too large (max 500MB)" });
+        // Monitor file size during upload; the monitor sits in the stream
+        // chain so nothing is lost while the storage driver gets ready
+        const monitor = new Transform({
+          transform(chunk, encoding, callback) {
+            uploadedBytes += chunk.length;
+            if (uploadedBytes > maxSize) {
+              console.log('File size limit exceeded during upload:', uploadedBytes);
+              uploadError = new Error(tooLarge);
+              file.resume();
+              if (!isResponseSent) {
+                isResponseSent = true;
+                res.status(400).json({ error: tooLarge });
+              }
+              // Aborts the storage write, which discards the partial object
+              callback(uploadError);
+              return;
             }
-            return;
-          }
-          
-          // Log progress for large files
-          if (uploadedBytes % (10 * 1024 * 1024) === 0) { // Log every 10MB
-            console.log(`Upload progress for ${fileInfo.filename}: ${Math.round(uploadedBytes / (1024 * 1024))}MB`);
-          }
-        });
-
-        // Handle file stream completion
-        writeStream.on('finish', () => {
-          console.log('Write stream finish event triggered for:', filename);
-          // Get file stats
-          fs.stat(filePath, (err, stats) => {
-            if (err) {
-              clearTimeout(uploadTimeout);
-              console.error('Error getting file stats:', err);
-              uploadError = new Error('Failed to get file info');
+            if (uploadedBytes > allowed) {
+              console.log('Storage quota exceeded during upload:', uploadedBytes);
+              uploadError = quotaError('Storage quota exceeded');
+              file.resume();
               if (!isResponseSent) {
                 isResponseSent = true;
-                res.status(500).json({ error: "Upload failed: " + uploadError.message });
+                res.status(413).json({ error: uploadError.message });
               }
+              callback(uploadError);
               return;
             }
-
-            uploadedFile = {
-              filename: filename,
-              originalName: fileInfo.filename,
-              size: stats.size,
-              mimetype: fileInfo.mimeType || 'application/octet-stream',
-              uploadedAt: new Date().toISOString()
-            };
-
-            // Create metadata file to store original filename
-            const metadataPath = filePath + '.meta';
-            const metadata = {
-              originalName: fileInfo.filename,
-              uploadedAt: uploadedFile.uploadedAt,
-              mimetype: uploadedFile.mimetype
-            };
-            fs.writeFileSync(metadataPath, JSON.stringify(metadata));
-
-            console.log('File uploaded successfully:', uploadedFile);
-          });
-        });
-
-        // Handle write stream errors
-        writeStream.on('error', (err) => {
-          clearTimeout(uploadTimeout);
-          console.error('Write stream error:', err);
-          uploadError = err;
-          // Clean up partial file
-          if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-          }
-          if (!isResponseSent) {
-            isResponseSent = true;
-            res.status(500).json({ error: "Upload failed: " + err.message });
-          }
-        });
-
-        // Pipe file stream to write stream
-        file.pipe(writeStream);
-
-        // Handle file stream errors
-        file.on('error', (err) => {
-          clearTimeout(uploadTimeout);
-          console.error('File stream error:', err);
-          uploadError = err;
-          writeStream.destroy();
-          if (!isResponseSent) {
-            isResponseSent = true;
-            res.status(500).json({ error: "Upload failed: " + err.message });
+            
+            // Log progress for large files every 10MB crossed
+            if (Math.floor(uploadedBytes / PROGRESS_LOG_STEP) > Math.floor((uploadedBytes - chunk.length) / PROGRESS_LOG_STEP)) {
+              console.log(`Upload progress for ${fileInfo.filename}: ${Math.round(uploadedBytes / (1024 * 1024))}MB`);
+            }
+            publishProgress({ uploadId, name: fileInfo.filename, bytes: uploadedBytes, total });
+            callback(null, chunk);
           }
         });
+        file.on('error', (err) => monitor.destroy(err));
+        file.pipe(monitor);
+
+        // Stream the file into the content-addressed store, which hashes it
+        // on the way and records its metadata
+        const stored = versionOf
+          ? fileStore.addVersion(versionOf, monitor, {
+            originalName: fileInfo.filename,
+            mimetype: fileInfo.mimeType || 'application/octet-stream',
+            uploadedBy: req.user.id
+          })
+          : fileStore.ingest(monitor, {
+            filename,
+            originalName: fileInfo.filename,
+            mimetype: fileInfo.mimeType || 'application/octet-stream',
+            folder: targetFolder,
+            owner: req.user.id
+          });
+        pendingWrite = stored
+          // Uploads running side by side may together have gone over a quota: take this one back
+          .then(record => quotas.verify(record.owner).then(() => record, async (error) => {
+            if (versionOf) {
+              await fileStore.dropVersion(versionOf, record.version);
+            } else {
+              await fileStore.remove(record.filename);
+            }
+            throw error;
+          }))
+          .then((record) => {
+            uploadedFile = record;
+            console.log('File uploaded successfully:', uploadedFile);
+          })
+          .catch((err) => {
+            clearTimeout(uploadTimeout);
+            console.error('Storage write error:', err);
+            uploadError = uploadError || err;
+            uploadedFile = null;
+            file.resume(); // e.g. rejected by its content type: drain the rest
+            if (!isResponseSent) {
+              isResponseSent = true;
+              res.status(err.status || 500).json({ error: "Upload failed: " + err.message });
+            }
+          });
 
       } catch (error) {
         clearTimeout(uploadTimeout);
@@ -295,8 +677,8 @@ app.post("/upload", (req, res) => {
       clearTimeout(uploadTimeout);
       console.log('Busboy finish event triggered. uploadError:', uploadError, 'uploadedFile:', uploadedFile);
       
-      // Wait a bit for the write stream to complete
-      setTimeout(() => {
+      // Wait for the storage write to complete
+      Promise.resolve(pendingWrite).then(() => {
         if (uploadError) {
           console.error('Upload failed:', uploadError);
           if (!isResponseSent) {
@@ -319,11 +701,12 @@ app.post("/upload", (req, res) => {
           console.log('Sending success response:', uploadedFile);
           isResponseSent = true;
           res.json({ 
-            message: "File uploaded successfully", 
+            message: versionOf ? "New version uploaded successfully" : "File uploaded successfully", 
+            uploadId,
             file: uploadedFile 
           });
         }
-      }, 100); // Small delay to allow write stream to complete
+      });
     });
 
     // Handle busboy errors
@@ -336,9 +719,22 @@ app.post("/upload", (req, res) => {
       }
     });
 
-    // Add debugging for other events
-    busboy.on('field', (name, val, info) => {
-      console.log('Field event:', { name, val, info });
+    // Form fields: the version or folder the file goes to, when sent ahead of it
+    busboy.on('field', (name, val) => {
+      if (name === 'versionOf' && !pendingWrite) {
+        versionOf = val;
+      }
+      if (name === 'folder' && !pendingWrite) {
+        try {
+          targetFolder = normalizeFolderPath(val);
+        } catch (error) {
+          uploadError = error;
+          if (!isResponseSent) {
+            isResponseSent = true;
+            res.status(400).json({ error: error.message });
+          }
+        }
+      }
     });
 
     busboy.on('close', () => {
@@ -361,7 +757,6 @@ app.post("/upload", (req, res) => {
 
 
   } catch (error) {
-    clearTimeout(uploadTimeout);
     console.error('Upload error:', error);
     if (!res.headersSent) {
       res.status(500).json({ error: "Upload failed" });
@@ -369,361 +764,350 @@ app.post("/upload", (req, res) => {
   }
 });
 
-// Multiple file upload endpoint using streaming
-app.post("/upload-multiple", (req, res) => {
+// Resumable chunked uploads
+app.use("/upload-sessions", createUploadSessionRouter({
+  store: uploadSessions,
+  folders,
+  fileStore,
+  quotas,
+  uploadTypes,
+  events
+}));
+
+// Folder management
+app.use("/folders", createFolderRouter({
+  folders,
+  fileStore,
+  trash
+}));
+
+// Batch uploads with a result per file
+app.use("/upload-multiple", createMultiUploadRouter({
+  fileStore,
+  folders,
+  quotas,
+  uploadTypes,
+  events,
+  maxFileSize: MAX_FILE_SIZE,
+  timeout: config.uploadTimeoutMs
+}));
+
+// List uploaded files, optionally only those directly inside ?folder=
+app.get("/files", async (req, res) => {
   try {
-    // Parse multipart form data manually for streaming
-    const Busboy = require('busboy');
-    const busboy = Busboy({ 
-      headers: req.headers,
-      limits: {
-        fileSize: 500 * 1024 * 1024 // 500MB limit
-      }
-    });
-    const uploadedFiles = [];
-    let fileCount = 0;
-    
-    busboy.on('file', (fieldname, file, filename) => {
-      const timestamp = Date.now();
-      const randomSuffix = Math.round(Math.random() * 1E9);
-      const uniqueFilename = `file-${timestamp}-${randomSuffix}-${filename}`;
-      const filePath = path.join(__dirname, 'uploads', uniqueFilename);
-      
-      // Ensure uploads directory exists
-      const uploadDir = path.join(__dirname, 'uploads');
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      
-      const writeStream = fs.createWriteStream(filePath);
-      
-      file.pipe(writeStream);
-      
-      writeStream.on('finish', () => {
-        fs.stat(filePath, (err, stats) => {
-          if (!err) {
-            uploadedFiles.push({
-              filename: uniqueFilename,
-              originalName: filename,
-              size: stats.size,
-              mimetype: 'application/octet-stream',
-              uploadedAt: new Date().toISOString()
-            });
-            fileCount++;
-          }
-        });
-      });
-      
-      writeStream.on('error', (err) => {
-        console.error('File upload error:', err);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      });
-    });
-    
-    busboy.on('finish', () => {
-      console.log('Multiple files uploaded via streaming:', uploadedFiles);
-      res.json({ 
-        message: `${uploadedFiles.length} files uploaded successfully`, 
-        files: uploadedFiles 
-      });
-    });
-    
-    busboy.on('error', (err) => {
-      console.error('Busboy error:', err);
-      res.status(500).json({ error: "Upload failed" });
-    });
-    
-    req.pipe(busboy);
-    
+    let files = (await fileStore.list()).filter(file => canAccess(req.user, file));
+    if (req.query.folder !== undefined) {
+      const folder = normalizeFolderPath(req.query.folder);
+      files = files.filter(file => file.folder === folder);
+    }
+    res.json({ files });
   } catch (error) {
-    console.error('Multiple upload error:', error);
-    res.status(500).json({ error: "Upload failed" });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error listing files:', error);
+    res.status(500).json({ error: "Failed to list files" });
   }
 });
 
-// List uploaded files
-app.get("/files", (req, res) => {
+// Media information (duration, resolution, codecs, EXIF) of one file
+app.get("/files/:filename/info", async (req, res) => {
   try {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      return res.json({ files: [] });
+    const filename = req.params.filename;
+    const storedFile = await fileStore.resolve(filename);
+    if (!canAccess(req.user, storedFile)) {
+      return res.status(404).json({ error: "File not found" });
     }
 
-    const files = fs.readdirSync(uploadDir)
-      .filter(filename => !filename.endsWith('.meta')) // Exclude metadata files
-      .map(filename => {
-        const filePath = path.join(__dirname, 'uploads', filename);
-        const stats = fs.statSync(filePath);
-        
-        // Try to read metadata file for original filename
-        let originalName = filename;
-        let uploadedAt = stats.mtime.toISOString();
-        let mimetype = getMimeType(filename);
-        
-        const metadataPath = filePath + '.meta';
-        if (fs.existsSync(metadataPath)) {
-          try {
-            const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-            originalName = metadata.originalName || filename;
-            uploadedAt = metadata.uploadedAt || uploadedAt;
-            mimetype = metadata.mimetype || mimetype;
-          } catch (err) {
-            console.error('Error reading metadata for:', filename, err);
-          }
-        }
-        
-        return {
-          filename,
-          originalName: originalName,
-          size: stats.size,
-          uploadedAt: uploadedAt,
-          path: `/download/${filename}`,
-          mimetype: mimetype
-        };
-      });
-
-    res.json({ files });
+    const media = await mediaInfo.ensure(storedFile);
+    res.json({ ...storedFile, media });
   } catch (error) {
-    console.error('Error listing files:', error);
-    res.status(500).json({ error: "Failed to list files" });
+    console.error('Media info error:', error);
+    res.status(500).json({ error: "Failed to read media info" });
   }
 });
 
-// Helper function to get MIME type
-function getMimeType(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  const mimeTypes = {
-    '.mp4': 'video/mp4',
-    '.avi': 'video/x-msvideo',
-    '.mov': 'video/quicktime',
-    '.mkv': 'video/x-matroska',
-    '.webm': 'video/webm',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.pdf': 'application/pdf',
-    '.doc': 'application/msword',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.txt': 'text/plain',
-    '.zip': 'application/zip',
-    '.rar': 'application/x-rar-compressed',
-    '.csv': 'text/csv'
-  };
-  
-  return mimeTypes[ext] || 'application/octet-stream';
-}
+// Move a file into another folder and/or replace its tags
+app.patch("/files/:filename", async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    const storedFile = await fileStore.resolve(filename);
+    if (!canAccess(req.user, storedFile)) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    const body = req.body || {};
+    const changes = {};
+    if (body.tags !== undefined) {
+      changes.tags = normalizeTags(body.tags);
+    }
+    if (body.folder !== undefined || body.tags === undefined) {
+      changes.folder = normalizeFolderPath(body.folder);
+      if (!folders.exists(changes.folder)) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+    }
+
+    await fileStore.update(filename, changes);
+    const message = changes.tags ? "File updated successfully" : "File moved successfully";
+    res.json({ message, filename, ...changes });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update error:', error);
+    res.status(500).json({ error: "Update failed" });
+  }
+});
 
 // Download single file
-app.get("/download/:filename", (req, res) => {
+app.get("/download/:filename", async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join(__dirname, 'uploads', filename);
+    const storedFile = await fileStore.resolve(filename);
     
-    if (!fs.existsSync(filePath)) {
+    if (!canAccess(req.user, storedFile)) {
       return res.status(404).json({ error: "File not found" });
     }
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    const contentType = getMimeType(filename);
-
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-
-      if (start >= fileSize || end >= fileSize) {
-        res.status(416).json({ error: "Requested range not satisfiable" });
-        return;
+    // An older version with ?version=N, which needs a verdict of its own
+    if (req.query.version !== undefined) {
+      const entry = fileStore.listVersions(filename).find(candidate => String(candidate.version) === req.query.version);
+      if (!entry) {
+        return res.status(404).json({ error: "Version not found" });
       }
-
-      const chunkSize = end - start + 1;
-      const file = fs.createReadStream(filePath, { start, end });
-
-      res.writeHead(206, {
-        "Content-Range": `bytes ${start}-${end}/${fileSize}`,
-        "Accept-Ranges": "bytes",
-        "Content-Length": chunkSize,
-        "Content-Type": contentType,
-        "Content-Disposition": `attachment; filename="${filename}"`,
-        "Cache-Control": "no-cache",
-        "Pragma": "no-cache"
+      if (!scanning.versionPassed(storedFile, entry)) {
+        return sendScanBlocked(res, { scan: entry.current ? storedFile.scan : entry.scan || null });
+      }
+      return await sendDownload(req, res, {
+        ...storedFile,
+        originalName: entry.originalName,
+        size: entry.size,
+        mimetype: entry.mimetype,
+        sha256: entry.sha256,
+        modifiedAt: entry.uploadedAt,
+        version: entry.version,
+        current: entry.current
       });
+    }
 
-      pipeline(file, res, (err) => {
-        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
-          console.error('Download streaming error:', err);
-        }
-      });
-    } else {
-      res.writeHead(200, {
-        "Content-Length": fileSize,
-        "Content-Type": contentType,
-        "Content-Disposition": `attachment; filename="${filename}"`,
-        "Accept-Ranges": "bytes",
-        "Cache-Control": "no-cache",
-        "Pragma": "no-cache"
-      });
-      
-      const file = fs.createReadStream(filePath);
-      pipeline(file, res, (err) => {
-        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
-          console.error('Download streaming error:', err);
-        }
-      });
+    if (!scanning.passed(storedFile)) {
+      return sendScanBlocked(res, storedFile);
     }
+    await sendDownload(req, res, storedFile);
   } catch (error) {
     console.error('Download error:', error);
-    res.status(500).json({ error: "Download failed" });
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Download failed" });
+    }
+  }
+});
+
+// Download several files, or a whole folder, as a ZIP or TAR bundle streamed
+// right away; files that can't be included are listed in X-Missing-Files
+app.post("/download-zip", async (req, res) => {
+  try {
+    const spec = await bundles.prepare(req.user, req.body || {});
+    if (spec.entries.length === 0) {
+      return res.status(404).json({ error: "No valid files found", missing: spec.missing });
+    }
+    bundles.send(req, res, spec, { zipId: progressId((req.body || {}).zipId) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('ZIP download error:', error);
+    res.status(500).json({ error: "ZIP creation failed" });
   }
 });
 
+// Bundles kept under an id, for native (and resumable) browser downloads
+app.use("/bundles", createBundleRouter({ bundles, cacheControl: config.cacheControl }));
+
+// Version history of a file
+app.use("/files/:filename/versions", createVersionRouter({ fileStore }));
+
+// Entries of uploaded archives, and extracting them into folders
+app.use("/files/:filename", createArchiveRouter({ archives, fileStore, folders, quotas, scanning }));
+
+// Trash bin
+app.use("/trash", createTrashRouter({ trash }));
+
+// Storage usage per user and mimetype, with the quotas
+app.use("/usage", createUsageRouter({ quotas, users }));
 
+// Uploads that failed the malware scan (admins only)
+app.use("/quarantine", auth.requireAdmin, createQuarantineRouter({ scanning, fileStore }));
 
-// Download multiple files as ZIP with optimized streaming
-app.post("/download-zip", (req, res) => {
+// Full-text and faceted search
+app.use("/search", createSearchRouter({ index: searchIndex }));
+
+// HLS adaptive bitrate streaming of uploaded videos
+app.use("/hls", createHlsRouter({ hls, fileStore, scanning }));
+
+// Share link management
+app.use("/shares", createShareRouter({ shares, fileStore }));
+
+const SHARE_GONE_MESSAGES = {
+  revoked: "Share link has been revoked",
+  expired: "Share link has expired",
+  exhausted: "Share link download limit reached"
+};
+
+// Public share link: one file with range support, or a ZIP of several files
+app.get("/s/:token", async (req, res) => {
   try {
-    const { filenames } = req.body;
-    
-    if (!filenames || !Array.isArray(filenames) || filenames.length === 0) {
-      return res.status(400).json({ error: "No filenames provided" });
+    const share = shares.resolve(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: "Share link not found" });
     }
 
-    if (filenames.length > 100) {
-      return res.status(400).json({ error: "Too many files. Maximum 100 files allowed." });
+    const reason = shares.inactiveReason(share);
+    if (reason) {
+      return res.status(410).json({ error: SHARE_GONE_MESSAGES[reason] });
     }
 
-    const uploadDir = path.join(__dirname, 'uploads');
-    
-    // Validate all files exist before starting ZIP creation
-    const validFiles = [];
-    for (const filename of filenames) {
-      const filePath = path.join(uploadDir, filename);
-      if (fs.existsSync(filePath)) {
-        const stats = fs.statSync(filePath);
-        validFiles.push({ filename, filePath, size: stats.size });
+    // Password-protected links are unlocked by the form below or, for
+    // scripts, an X-Share-Password header
+    const unlocked = shares.isUnlocked(share, parseCookies(req.headers.cookie)[`share_${share.id}`]) ||
+      await shares.checkPassword(share, req.headers['x-share-password']);
+    if (!unlocked) {
+      if (req.accepts(['json', 'html']) === 'html') {
+        return res.status(401).sendFile(path.join(__dirname, "share-password.html"));
       }
+      return res.status(401).json({ error: "Password required" });
     }
 
-    if (validFiles.length === 0) {
-      return res.status(404).json({ error: "No valid files found" });
+    const files = [];
+    for (const filename of share.filenames) {
+      const storedFile = await fileStore.describe(filename);
+      if (storedFile) {
+        files.push(storedFile);
+      }
     }
 
-    // Calculate total size for progress tracking
-    const totalSize = validFiles.reduce((sum, file) => sum + file.size, 0);
-    
-    // Set appropriate headers
-    res.writeHead(200, {
-      'Content-Type': 'application/zip',
-      'Content-Disposition': 'attachment; filename="downloads.zip"',
-      'Content-Length': '0', // Will be updated as ZIP is created
-    });
-
-    // Create optimized ZIP archive
-    const archive = archiver('zip', { 
-      zlib: { 
-        level: 6, // Balanced compression level for speed/size
-        memLevel: 8 // Memory usage optimization
-      },
-      store: false // Enable compression
-    });
+    if (share.filenames.length === 1) {
+      if (files.length === 0) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      if (!scanning.passed(files[0])) {
+        return sendScanBlocked(res, files[0]);
+      }
 
-    // Handle archive events
-    archive.on('warning', (err) => {
-      if (err.code === 'ENOENT') {
-        console.warn('Archive warning:', err);
-      } else {
-        console.error('Archive error:', err);
-        res.status(500).json({ error: "ZIP creation failed" });
+      // Only a request from the first byte counts as a download, so seeking
+      // and resumed transfers don't use up the limit
+      const ranges = parseRange(req.headers.range, files[0].size);
+      const isNewDownload = req.method !== 'HEAD' && (!ranges || ranges.some(range => range.start === 0));
+      if (isNewDownload && !shares.recordDownload(share)) {
+        return res.status(410).json({ error: SHARE_GONE_MESSAGES.exhausted });
       }
-    });
 
-    archive.on('error', (err) => {
-      console.error('Archive error:', err);
-      res.status(500).json({ error: "ZIP creation failed" });
-    });
+      return await sendDownload(req, res, files[0]);
+    }
 
-    // Handle client disconnect during ZIP download
-    req.on('close', () => {
-      if (process.env.DEBUG_STREAMS) {
-        console.log('Client disconnected during ZIP download');
-      }
-      archive.destroy();
-    });
+    // Files still waiting for their scan are left out of the archive
+    const available = files.filter(file => scanning.passed(file));
+    if (available.length === 0) {
+      return res.status(404).json({ error: "No valid files found" });
+    }
+    if (!shares.recordDownload(share)) {
+      return res.status(410).json({ error: SHARE_GONE_MESSAGES.exhausted });
+    }
 
-    req.on('error', (err) => {
-      // Don't log connection reset errors as they're expected client disconnects
-      if (err.code !== 'ECONNRESET' && err.code !== 'EPIPE') {
-        console.error('Request error during ZIP download:', err);
-      }
-      archive.destroy();
+    bundles.send(req, res, {
+      format: 'zip',
+      level: config.zipCompressionLevel,
+      filename: bundleFilename(share.name, 'zip', 'shared-files'),
+      entries: bundleEntries(available.map(file => ({ file }))),
+      missing: []
     });
+  } catch (error) {
+    console.error('Share download error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Download failed" });
+    }
+  }
+});
 
-    // Pipe archive to response
-    archive.pipe(res);
+// Unlock a password-protected share link from the password form
+app.post("/s/:token", async (req, res) => {
+  try {
+    const share = shares.resolve(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: "Share link not found" });
+    }
 
-    // Add files to archive with progress tracking
-    let processedFiles = 0;
-    validFiles.forEach(file => {
-      try {
-        archive.file(file.filePath, { name: file.filename });
-        processedFiles++;
-        
-        // Log progress for large ZIPs
-        if (processedFiles % 10 === 0) {
-          console.log(`ZIP progress: ${processedFiles}/${validFiles.length} files added`);
-        }
-      } catch (err) {
-        console.error(`Error adding file ${file.filename} to ZIP:`, err);
-      }
-    });
+    const reason = shares.inactiveReason(share);
+    if (reason) {
+      return res.status(410).json({ error: SHARE_GONE_MESSAGES[reason] });
+    }
 
-    // Finalize archive
-    archive.finalize();
-    
-    console.log(`ZIP creation started for ${validFiles.length} files (${formatBytes(totalSize)})`);
-    
+    const linkPath = `/s/${req.params.token}`;
+    if (!(await shares.checkPassword(share, req.body && req.body.password))) {
+      return res.redirect(303, `${linkPath}?error=1`);
+    }
+
+    res.cookie(`share_${share.id}`, shares.unlockKey(share), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: linkPath,
+      expires: new Date(share.expiresAt)
+    });
+    res.redirect(303, linkPath);
   } catch (error) {
-    console.error('ZIP download error:', error);
-    res.status(500).json({ error: "ZIP creation failed" });
+    console.error('Share unlock error:', error);
+    res.status(500).json({ error: "Failed to unlock share link" });
   }
 });
 
-// Helper function to format bytes
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+const SCAN_BLOCKED_MESSAGES = {
+  pending: "File is still being scanned for malware",
+  failed: "File could not be scanned for malware"
+};
+
+// Refuse the content of a file that has not passed the malware scan
+function sendScanBlocked(res, storedFile) {
+  const status = storedFile.scan ? storedFile.scan.status : 'pending';
+  res.status(403).json({ error: SCAN_BLOCKED_MESSAGES[status] || SCAN_BLOCKED_MESSAGES.pending, scan: storedFile.scan });
 }
 
+// Send a stored file as an attachment, honouring conditional and range requests.
+// Old versions never change, so they may be cached for good
+async function sendDownload(req, res, storedFile) {
+  const filename = storedFile.filename;
+  const fileValidators = validators({ sha256: storedFile.sha256, size: storedFile.size, lastModified: storedFile.modifiedAt });
+  const cacheControl = storedFile.current === false
+    ? IMMUTABLE_CACHE_CONTROL
+    : cacheControlFor(storedFile.mimetype, config);
+  const { notModified, range } = handleConditional(req, res, fileValidators, cacheControl);
+  if (notModified) {
+    return;
+  }
 
+  await sendRanges(req, res, {
+    size: storedFile.size,
+    contentType: storedFile.mimetype,
+    range,
+    headers: { "Content-Disposition": contentDisposition(storedFile.originalName || filename) },
+    open: (bounds) => fileStore.open(filename, bounds, storedFile.version)
+  });
+}
 
 // Delete file endpoint
-app.delete("/files/:filename", (req, res) => {
+app.delete("/files/:filename", async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join(__dirname, 'uploads', filename);
     
-    if (!fs.existsSync(filePath)) {
+    const storedFile = await fileStore.resolve(filename);
+    if (!canAccess(req.user, storedFile)) {
       return res.status(404).json({ error: "File not found" });
     }
 
-    // Delete the main file
-    fs.unlinkSync(filePath);
-    
-    // Delete metadata file if it exists
-    const metadataPath = filePath + '.meta';
-    if (fs.existsSync(metadataPath)) {
-      fs.unlinkSync(metadataPath);
-    }
+    // Keep the file in the trash; it is removed for good when purged
+    await trash.move(filename, req.user);
     
-    res.json({ message: "File deleted successfully" });
+    res.json({ message: "File moved to trash" });
   } catch (error) {
     console.error('Delete error:', error);
     res.status(500).json({ error: "Delete failed" });
@@ -747,11 +1131,71 @@ app.use((req, res) => {
   res.status(404).json({ error: "Route not found" });
 });
 
-app.listen(PORT, () => {
-  console.log(`✅ Server running at http://localhost:${PORT}`);
-  console.log(`📁 Serving static files from: ${path.join(__dirname, 'public')}`);
-  console.log(`🎬 Video streaming endpoint: http://localhost:${PORT}/video`);
-  console.log(`📤 File upload endpoint: http://localhost:${PORT}/upload`);
-  console.log(`📥 File download endpoint: http://localhost:${PORT}/download/:filename`);
-  console.log(`🗜️ ZIP download endpoint: http://localhost:${PORT}/download-zip`);
-});
+const METADATA_CHECK_MESSAGES = {
+  missing: 'record(s) without content removed',
+  resized: 'file size(s) corrected',
+  adopted: 'unknown file(s) added',
+  orphanedBlobs: 'unreferenced blob(s) deleted',
+  staleIncoming: 'interrupted upload(s) cleaned up'
+};
+
+// Import legacy .meta sidecars once, then reconcile the database with storage before serving
+async function prepareMetadata() {
+  if (!metadataDb.migratedAt) {
+    const imported = await fileStore.importSidecars();
+    if (imported > 0) {
+      console.log(`📦 Imported metadata of ${imported} file(s) from .meta sidecars`);
+    }
+  }
+
+  const report = await fileStore.checkConsistency({ fix: true });
+  for (const [problem, items] of Object.entries(report)) {
+    if (items.length > 0) {
+      console.log(`🩺 Metadata check: ${items.length} ${METADATA_CHECK_MESSAGES[problem]}: ${items.join(', ')}`);
+    }
+  }
+}
+
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`✅ Server running at http://localhost:${PORT}`);
+    console.log(`⚙️ Configuration: ${config.configFile || 'defaults, environment and flags'}`);
+    console.log(`📁 Serving static files from: ${path.join(__dirname, 'public')}`);
+    console.log(`💾 Storage driver: ${storageDriver}`);
+    console.log(`🖼️ Thumbnails: images${thumbnails.ffmpegPath ? ' and video posters' : ' only (ffmpeg not found, no video posters)'}`);
+    console.log(`📺 HLS packaging: ${hls.ffmpegPath ? 'enabled' : 'disabled (ffmpeg not found)'}`);
+    console.log(`🔐 Login page: http://localhost:${PORT}/login`);
+    if (users.isEmpty()) {
+      console.log('⚠️ No user accounts yet: the first account created on the login page becomes the admin');
+      console.log(`🔑 Bootstrap token for that account: ${config.bootstrapToken ? '(configured)' : bootstrapToken}`);
+    }
+    console.log(`🎬 Video streaming endpoint: http://localhost:${PORT}/video`);
+    console.log(`🗑️ Trash endpoint: http://localhost:${PORT}/trash`);
+    console.log(`📊 Usage endpoint: http://localhost:${PORT}/usage`);
+    console.log(`🛡️ Malware scanning: ${scanning.enabled ? `${config.scanner} (quarantine at http://localhost:${PORT}/quarantine)` : 'disabled'}`);
+    console.log(`🔎 Search endpoint: http://localhost:${PORT}/search`);
+    console.log(`📚 Media library endpoint: http://localhost:${PORT}/videos`);
+    console.log(`📤 File upload endpoint: http://localhost:${PORT}/upload`);
+    console.log(`⏯️ Resumable upload endpoint: http://localhost:${PORT}/upload-sessions`);
+    console.log(`📥 File download endpoint: http://localhost:${PORT}/download/:filename`);
+    console.log(`🗜️ ZIP download endpoint: http://localhost:${PORT}/download-zip`);
+    console.log(`🔗 Share links endpoint: http://localhost:${PORT}/shares`);
+  });
+}
+
+if (require.main === module) {
+  prepareMetadata().then(() => {
+    searchIndex.load().catch(err => console.error('Failed to build search index:', err));
+    scanning.resume().then((count) => {
+      if (count > 0) {
+        console.log(`🛡️ Scanning ${count} file(s) and version(s) without a verdict`);
+      }
+    }, err => console.error('Failed to resume malware scans:', err));
+    startServer();
+  }, (err) => {
+    console.error('❌ Failed to prepare file metadata:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = app;
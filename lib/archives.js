@@ -0,0 +1,696 @@
+const path = require("path");
+const zlib = require("zlib");
+const { PassThrough, Readable, Transform, pipeline } = require("stream");
+const { getMimeType, checkFileType, checkOriginalName } = require("./files");
+const { normalizeFolderPath } = require("./folders");
+
+const MAX_DIRECTORY_SIZE = 64 * 1024 * 1024; // ZIP central directory
+const MAX_TAR_HEADER_DATA = 1024 * 1024; // PAX and GNU long name records
+const RATIO_MIN_SIZE = 1024 * 1024; // smaller entries may compress as well as they like
+
+function archiveError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Entry paths are kept as `a/b/c`. Anything that could land outside the
+ * extraction folder (absolute paths, drive letters, `..`, backslashes,
+ * control characters) makes the entry unsafe: null.
+ */
+function safeEntryPath(name) {
+  if (typeof name !== 'string' || name.startsWith('/') || /^[a-z]:/i.test(name) || /[\\\x00-\x1f\x7f]/.test(name)) {
+    return null;
+  }
+  const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+// Bytes flowing through, failing once there are more than `limit`
+function byteLimit(limit, error) {
+  let bytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(bytes > limit ? error() : null, chunk);
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// ZIP, read through the central directory at the end of the file
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EOCD = 0x06064b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_LOCAL = 0x04034b50;
+
+function dosDate(date, time) {
+  const year = (date >> 9) + 1980;
+  const parsed = Date.UTC(year, ((date >> 5) & 0xf) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+}
+
+// Location and size of the central directory, from the (ZIP64) end record
+async function zipDirectory(read, size) {
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = await read(size - tailLength, tailLength);
+  let eocd = -1;
+  for (let offset = tail.length - 22; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === ZIP_EOCD) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw archiveError(422, 'Invalid ZIP archive');
+  }
+
+  let count = tail.readUInt16LE(eocd + 10);
+  let length = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+  if (tail.readUInt16LE(eocd + 4) !== 0 || tail.readUInt16LE(eocd + 6) !== 0) {
+    throw archiveError(422, 'Split ZIP archives are not supported');
+  }
+
+  if ((count === 0xffff || length === 0xffffffff || offset === 0xffffffff) && eocd >= 20 &&
+      tail.readUInt32LE(eocd - 20) === ZIP64_LOCATOR) {
+    const record = await read(Number(tail.readBigUInt64LE(eocd - 20 + 8)), 56);
+    if (record.length < 56 || record.readUInt32LE(0) !== ZIP64_EOCD) {
+      throw archiveError(422, 'Invalid ZIP64 archive');
+    }
+    count = Number(record.readBigUInt64LE(32));
+    length = Number(record.readBigUInt64LE(40));
+    offset = Number(record.readBigUInt64LE(48));
+  }
+
+  if (offset + length > size) {
+    throw archiveError(422, 'Invalid ZIP archive');
+  }
+  return { count, length, offset };
+}
+
+// Sizes and offset too large for the central record come from the ZIP64 extra field
+function zip64Fields(extra, fields) {
+  for (let offset = 0; offset + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(offset);
+    const length = extra.readUInt16LE(offset + 2);
+    if (id === 0x0001) {
+      let position = offset + 4;
+      for (const key of ['size', 'compressedSize', 'offset']) {
+        if (fields[key] === 0xffffffff && position + 8 <= offset + 4 + length) {
+          fields[key] = Number(extra.readBigUInt64LE(position));
+          position += 8;
+        }
+      }
+    }
+    offset += 4 + length;
+  }
+  return fields;
+}
+
+async function listZip(read, size, { maxEntries }) {
+  const directory = await zipDirectory(read, size);
+  if (directory.count > maxEntries) {
+    throw archiveError(413, `Archive has too many entries (max ${maxEntries})`);
+  }
+  if (directory.length > MAX_DIRECTORY_SIZE) {
+    throw archiveError(413, 'ZIP central directory too large');
+  }
+
+  const buffer = await read(directory.offset, directory.length);
+  const entries = [];
+  let offset = 0;
+  while (offset + 46 <= buffer.length && buffer.readUInt32LE(offset) === ZIP_CENTRAL) {
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    const fields = zip64Fields(buffer.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength), {
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42)
+    });
+
+    // Unix hosts keep the file mode in the high bits of the external attributes
+    const mode = buffer.readUInt8(offset + 5) === 3 ? buffer.readUInt32LE(offset + 38) >>> 16 : 0;
+    const type = (mode & 0xf000) === 0xa000 ? 'symlink'
+      : name.endsWith('/') || (mode & 0xf000) === 0x4000 ? 'directory' : 'file';
+
+    entries.push({
+      name,
+      path: safeEntryPath(name),
+      type,
+      size: fields.size,
+      compressedSize: fields.compressedSize,
+      modifiedAt: dosDate(buffer.readUInt16LE(offset + 14), buffer.readUInt16LE(offset + 12)),
+      method: buffer.readUInt16LE(offset + 10),
+      encrypted: Boolean(flags & 1),
+      offset: fields.offset
+    });
+    if (entries.length > maxEntries) {
+      throw archiveError(413, `Archive has too many entries (max ${maxEntries})`);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Decompressed data of one ZIP entry, cut off past its declared size
+async function openZipEntry(read, open, entry) {
+  if (entry.encrypted) {
+    throw archiveError(422, 'Encrypted entries are not supported');
+  }
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw archiveError(415, `Unsupported compression method ${entry.method}`);
+  }
+
+  const local = await read(entry.offset, 30);
+  if (local.length < 30 || local.readUInt32LE(0) !== ZIP_LOCAL) {
+    throw archiveError(422, 'Invalid ZIP archive');
+  }
+  const start = entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+  const raw = entry.compressedSize > 0
+    ? await open({ start, end: start + entry.compressedSize - 1 })
+    : Readable.from([]);
+  const limit = byteLimit(entry.size, () => archiveError(413, 'Entry is larger than it claims'));
+  const stages = entry.method === 8 ? [raw, zlib.createInflateRaw(), limit] : [raw, limit];
+  return pipeline(...stages, () => {});
+}
+
+// ---------------------------------------------------------------------------
+// TAR (optionally gzipped), read front to back
+
+// Pulls exact byte counts out of a stream
+class ByteReader {
+  constructor(stream) {
+    this.iterator = stream[Symbol.asyncIterator]();
+    this.chunks = [];
+    this.buffered = 0;
+    this.ended = false;
+  }
+
+  async fill(length) {
+    while (this.buffered < length && !this.ended) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.ended = true;
+      } else {
+        this.chunks.push(value);
+        this.buffered += value.length;
+      }
+    }
+  }
+
+  // Exactly `length` bytes, or fewer at the end of the stream
+  async read(length) {
+    await this.fill(length);
+    const all = Buffer.concat(this.chunks);
+    const rest = all.subarray(length);
+    this.chunks = rest.length > 0 ? [rest] : [];
+    this.buffered = rest.length;
+    return all.subarray(0, length);
+  }
+
+  // Up to `length` bytes of what is available; null at the end of the stream
+  async take(length) {
+    await this.fill(1);
+    if (this.chunks.length === 0) {
+      return null;
+    }
+    const first = this.chunks[0];
+    if (first.length <= length) {
+      this.chunks.shift();
+      this.buffered -= first.length;
+      return first;
+    }
+    this.chunks[0] = first.subarray(length);
+    this.buffered -= length;
+    return first.subarray(0, length);
+  }
+
+  async close() {
+    if (this.iterator.return) {
+      await this.iterator.return();
+    }
+  }
+}
+
+function tarString(header, start, length) {
+  const end = header.indexOf(0, start);
+  return header.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+// Octal numbers, or base-256 for sizes over 8GB
+function tarNumber(header, start, length) {
+  if (header[start] & 0x80) {
+    let value = 0;
+    for (let i = start + 1; i < start + length; i++) {
+      value = value * 256 + header[i];
+    }
+    return value;
+  }
+  const text = tarString(header, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function tarChecksumValid(header) {
+  let sum = 0;
+  for (let i = 0; i < 512; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === tarNumber(header, 148, 8);
+}
+
+// `length key=value\n` records of a PAX extended header
+function parsePax(buffer) {
+  const records = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    const length = parseInt(buffer.toString('latin1', offset, space), 10);
+    if (space === -1 || !(length > 0)) {
+      break;
+    }
+    const record = buffer.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+const TAR_TYPES = { '0': 'file', '\0': 'file', '7': 'file', '': 'file', '5': 'directory', '2': 'symlink', '1': 'link' };
+
+/**
+ * Walk a TAR stream: `visit(entry)` is called for each entry and returns a
+ * writable to receive the entry's data, null to skip it, or false to stop.
+ */
+async function walkTar(stream, visit, { maxEntries }) {
+  const reader = new ByteReader(stream);
+  let pax = {};
+  let longName = null;
+  let count = 0;
+  try {
+    for (;;) {
+      const header = await reader.read(512);
+      if (header.length === 0 || header.every(byte => byte === 0)) {
+        return;
+      }
+      if (header.length < 512 || !tarChecksumValid(header)) {
+        throw archiveError(422, 'Invalid TAR archive');
+      }
+
+      const flag = String.fromCharCode(header[156]).replace('\0', '');
+      const size = pax.size !== undefined ? Number(pax.size) : tarNumber(header, 124, 12);
+      const padding = (512 - (size % 512)) % 512;
+
+      // Records describing the next entry
+      if (flag === 'x' || flag === 'g' || flag === 'L' || flag === 'K') {
+        if (size > MAX_TAR_HEADER_DATA) {
+          throw archiveError(413, 'TAR header record too large');
+        }
+        const data = await reader.read(size + padding);
+        if (flag === 'x') {
+          pax = parsePax(data.subarray(0, size));
+        } else if (flag === 'L') {
+          longName = data.toString('utf8', 0, size).replace(/\0+$/, '');
+        }
+        continue;
+      }
+
+      const prefix = header.toString('latin1', 257, 262) === 'ustar' ? tarString(header, 345, 155) : '';
+      const name = pax.path || longName || (prefix ? `${prefix}/${tarString(header, 0, 100)}` : tarString(header, 0, 100));
+      const mtime = pax.mtime !== undefined ? Number(pax.mtime) : tarNumber(header, 136, 12);
+      const entry = {
+        name,
+        path: safeEntryPath(name),
+        type: TAR_TYPES[flag] || 'other',
+        size,
+        modifiedAt: Number.isFinite(mtime) ? new Date(mtime * 1000).toISOString() : null,
+        ...(flag === '1' || flag === '2' ? { linkTarget: pax.linkpath || tarString(header, 157, 100) } : {})
+      };
+      if (entry.type === 'file' && name.endsWith('/')) {
+        entry.type = 'directory';
+      }
+      pax = {};
+      longName = null;
+
+      if (++count > maxEntries) {
+        throw archiveError(413, `Archive has too many entries (max ${maxEntries})`);
+      }
+
+      const target = await visit(entry);
+      if (target === false) {
+        return;
+      }
+
+      // Hand the data to the visitor with backpressure, or drop it
+      let remaining = size + padding;
+      let data = size;
+      while (remaining > 0) {
+        const chunk = await reader.take(remaining);
+        if (!chunk) {
+          throw archiveError(422, 'Truncated TAR archive');
+        }
+        remaining -= chunk.length;
+        const payload = chunk.subarray(0, Math.max(0, Math.min(chunk.length, data)));
+        data -= payload.length;
+        if (target && !target.destroyed && payload.length > 0 && !target.write(payload)) {
+          await new Promise(resolve => {
+            target.once('drain', resolve);
+            target.once('close', resolve);
+          });
+        }
+      }
+      if (target && !target.destroyed) {
+        target.end();
+      }
+    }
+  } finally {
+    await reader.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Browsing and extraction of uploaded ZIP and TAR (`.tar`, `.tar.gz`,
+ * `.tgz`) archives, read straight from storage without unpacking them to
+ * disk. ZIP entries are found through the central directory and read with
+ * range requests; TAR archives are streamed from the start.
+ *
+ * Extraction imports entries as ordinary files below a folder, recreating
+ * the archive's directories. Unsafe paths (absolute, `..`), symbolic and hard
+ * links and special files are skipped. Zip bombs are stopped by the entry
+ * count, the decompressed size of each entry (`maxFileSize`) and of the whole
+ * extraction (`maxExtractSize`), and the compression ratio of entries and of
+ * gzipped archives (`maxRatio`); sizes declared in a ZIP are enforced while
+ * inflating.
+ */
+class ArchiveService {
+  constructor({ fileStore, folders, quotas, uploadTypes = {}, limits = {} }) {
+    this.fileStore = fileStore;
+    this.folders = folders;
+    this.quotas = quotas;
+    this.uploadTypes = uploadTypes;
+    this.limits = {
+      maxEntries: limits.maxEntries || 10000,
+      maxRatio: limits.maxRatio || 100,
+      maxFileSize: limits.maxFileSize || Infinity,
+      maxExtractSize: limits.maxExtractSize || Infinity
+    };
+  }
+
+  // 'zip', 'tar' or 'tar.gz' for archives we can read, else null
+  format(file) {
+    if (file.mimetype === 'application/zip') {
+      return 'zip';
+    }
+    if (file.mimetype === 'application/x-tar') {
+      return 'tar';
+    }
+    if (file.mimetype === 'application/gzip' && /\.(tar\.gz|tgz)$/i.test(file.originalName || file.filename)) {
+      return 'tar.gz';
+    }
+    return null;
+  }
+
+  source(file) {
+    const format = this.format(file);
+    if (!format) {
+      throw archiveError(415, 'File is not a ZIP or TAR archive');
+    }
+    return {
+      format,
+      read: (offset, length) => readRange(this.fileStore, file, offset, length),
+      open: (range) => this.fileStore.open(file.filename, range)
+    };
+  }
+
+  // Decompressed TAR stream, aborted when gzip expands past the ratio limit
+  async openTar(file, format) {
+    const stream = await this.fileStore.open(file.filename);
+    if (format !== 'tar.gz') {
+      return stream;
+    }
+    const limit = Math.max(file.size * this.limits.maxRatio, RATIO_MIN_SIZE);
+    return pipeline(stream, zlib.createGunzip(), byteLimit(limit, () => archiveError(413, 'Archive expands too much (possible zip bomb)')), () => {});
+  }
+
+  // Every entry with its path, type, size and modification time
+  async list(file) {
+    const { format, read } = this.source(file);
+    const entries = [];
+    if (format === 'zip') {
+      entries.push(...await listZip(read, file.size, this.limits));
+    } else {
+      await walkTar(await this.openTar(file, format), (entry) => {
+        entries.push(entry);
+        return null;
+      }, this.limits);
+    }
+    return { format, entries: entries.map(describeEntry) };
+  }
+
+  /**
+   * Stream of one regular file inside an archive, found by its path;
+   * resolves `{ entry, stream }` or null when there is no such file.
+   */
+  async openEntry(file, entryPath) {
+    const { format, read, open } = this.source(file);
+    const wanted = safeEntryPath(entryPath);
+    if (!wanted) {
+      return null;
+    }
+
+    if (format === 'zip') {
+      const entry = (await listZip(read, file.size, this.limits)).find(candidate => candidate.path === wanted && candidate.type === 'file');
+      if (!entry) {
+        return null;
+      }
+      this.checkEntrySize(entry);
+      return { entry: describeEntry(entry), stream: await openZipEntry(read, open, entry) };
+    }
+
+    const stream = await this.openTar(file, format);
+    return new Promise((resolve, reject) => {
+      let found = null;
+      walkTar(stream, (entry) => {
+        if (found) {
+          return false;
+        }
+        if (entry.path !== wanted || entry.type !== 'file') {
+          return null;
+        }
+        found = new PassThrough();
+        resolve({ entry: describeEntry(entry), stream: found });
+        return found;
+      }, this.limits)
+        .then(() => resolve(null))
+        .catch((err) => {
+          if (found) {
+            found.destroy(err);
+          }
+          reject(err);
+        });
+    });
+  }
+
+  checkEntrySize(entry) {
+    if (entry.size > this.limits.maxFileSize) {
+      throw archiveError(413, 'Entry too large');
+    }
+    if (entry.compressedSize !== undefined && entry.size > RATIO_MIN_SIZE &&
+        entry.size > Math.max(entry.compressedSize, 1) * this.limits.maxRatio) {
+      throw archiveError(413, 'Entry compression ratio too high (possible zip bomb)');
+    }
+  }
+
+  /**
+   * Import the files of an archive into `folder` for `owner`, all of them or
+   * those below the given `paths`. Every entry gets a result in archive
+   * order: `extracted` with the stored file, `created` for directories
+   * (recreated as folders), `skipped` with a `reason` for links, special
+   * files and unsafe paths, or `failed` with the error and status code.
+   */
+  async extract(file, { folder, paths = null, owner }) {
+    const { format, read, open } = this.source(file);
+    const selected = (entryPath) => !paths || (entryPath && paths.some(wanted => entryPath === wanted || entryPath.startsWith(wanted + '/')));
+    const usage = await this.quotas.usage();
+    const results = [];
+    const pending = [];
+    let extractedBytes = 0;
+    let files = 0;
+
+    const prepare = (entry) => {
+      if (!selected(entry.path)) {
+        return null;
+      }
+      const result = { path: entry.path || entry.name, type: entry.type };
+      results.push(result);
+      const skip = (reason) => {
+        Object.assign(result, { status: 'skipped', reason });
+        return null;
+      };
+      if (!entry.path) {
+        return skip('Unsafe path');
+      }
+      if (entry.type === 'symlink' || entry.type === 'link') {
+        return skip('Links are not extracted');
+      }
+      if (entry.type !== 'file' && entry.type !== 'directory') {
+        return skip('Special files are not extracted');
+      }
+
+      try {
+        if (entry.type === 'directory') {
+          this.ensureFolder(joinFolder(folder, entry.path));
+          result.status = 'created';
+          return null;
+        }
+
+        const name = path.posix.basename(entry.path);
+        checkOriginalName(name);
+        checkFileType(name, getMimeType(name), this.uploadTypes);
+        this.checkEntrySize(entry);
+        if (extractedBytes + entry.size > this.limits.maxExtractSize) {
+          throw archiveError(413, 'Archive expands past the extraction limit');
+        }
+        const allowed = this.quotas.allowance(usage, owner, { bytes: extractedBytes, files: files + 1 });
+        if (entry.size > allowed) {
+          throw archiveError(413, 'Storage quota exceeded');
+        }
+
+        const target = joinFolder(folder, path.posix.dirname(entry.path));
+        this.ensureFolder(target);
+        extractedBytes += entry.size;
+        files++;
+        return { result, name, folder: target, size: entry.size };
+      } catch (err) {
+        fail(result, err);
+        return null;
+      }
+    };
+
+    const store = async (job, stream) => {
+      try {
+        const record = await this.fileStore.ingest(stream, {
+          originalName: job.name,
+          mimetype: getMimeType(job.name),
+          folder: job.folder,
+          owner
+        });
+        Object.assign(job.result, { status: 'extracted', file: record });
+      } catch (err) {
+        extractedBytes -= job.size;
+        files--;
+        stream.resume(); // drop the rest of the entry
+        fail(job.result, err);
+      }
+    };
+
+    if (format === 'zip') {
+      for (const entry of await listZip(read, file.size, this.limits)) {
+        const job = prepare(entry);
+        if (!job) {
+          continue;
+        }
+        try {
+          await store(job, await openZipEntry(read, open, entry));
+        } catch (err) {
+          extractedBytes -= job.size;
+          files--;
+          fail(job.result, err);
+        }
+      }
+    } else {
+      let current = null;
+      try {
+        await walkTar(await this.openTar(file, format), (entry) => {
+          const job = prepare(entry);
+          if (!job) {
+            return null;
+          }
+          current = new PassThrough();
+          pending.push(store(job, current));
+          return current;
+        }, this.limits);
+      } catch (err) {
+        // An entry cut off by the failure would keep its store waiting
+        if (current && !current.writableEnded) {
+          current.destroy(err);
+        }
+        await Promise.allSettled(pending);
+        throw err;
+      }
+      await Promise.all(pending);
+    }
+
+    return results;
+  }
+
+  // Create a folder (and its parents) unless it exists
+  ensureFolder(folderPath) {
+    if (folderPath !== '' && !this.folders.exists(folderPath)) {
+      this.folders.create(folderPath);
+    }
+  }
+}
+
+function fail(result, err) {
+  Object.assign(result, {
+    status: 'failed',
+    error: err.status ? err.message : 'Extraction failed',
+    code: err.status || 500
+  });
+  if (!err.status) {
+    console.error('Archive extraction error:', result.path, err);
+  }
+}
+
+// Folder for an entry directory below the extraction folder; throws 400 for names folders can't have
+function joinFolder(folder, directory) {
+  return normalizeFolderPath(directory === '.' ? folder : folder ? `${folder}/${directory}` : directory);
+}
+
+// What clients see of an entry
+function describeEntry(entry) {
+  return {
+    path: entry.path || entry.name,
+    type: entry.type,
+    size: entry.size,
+    ...(entry.compressedSize !== undefined ? { compressedSize: entry.compressedSize } : {}),
+    modifiedAt: entry.modifiedAt,
+    ...(entry.linkTarget !== undefined ? { linkTarget: entry.linkTarget } : {}),
+    ...(entry.path ? {} : { unsafe: true })
+  };
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+async function readRange(fileStore, file, offset, length) {
+  const end = Math.min(offset + length, file.size) - 1;
+  if (offset < 0 || end < offset) {
+    return Buffer.alloc(0);
+  }
+  return readStream(await fileStore.open(file.filename, { start: offset, end }));
+}
+
+module.exports = {
+  ArchiveService,
+  safeEntryPath
+};
@@ -0,0 +1,104 @@
+const SESSION_COOKIE = 'mfs_session';
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        // Ignore malformed cookie values
+      }
+    }
+  }
+  return cookies;
+}
+
+// Admins can access everything; everyone else only what they own
+function canAccess(user, resource) {
+  return Boolean(user && resource && (user.role === 'admin' || resource.owner === user.id));
+}
+
+/**
+ * Request authentication from a session cookie or an
+ * `Authorization: Bearer <token>` header, plus guards for routes and pages.
+ */
+function createAuth({ users, sessionTtl }) {
+  // Populate req.user; anonymous requests carry on with req.user = null
+  function authenticate(req, res, next) {
+    req.user = null;
+
+    const authorization = req.headers.authorization;
+    if (authorization) {
+      const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+      req.user = match ? users.userForToken(match[1]) : null;
+      if (!req.user) {
+        return res.status(401).json({ error: "Invalid API token" });
+      }
+      return next();
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) {
+      req.user = users.userForSession(sessionId);
+      req.sessionId = req.user ? sessionId : null;
+    }
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    next();
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    next();
+  }
+
+  // HTML pages send anonymous visitors to the login page instead
+  function requirePage(req, res, next) {
+    if (!req.user) {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    next();
+  }
+
+  function setSessionCookie(req, res, session) {
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/',
+      maxAge: sessionTtl
+    });
+  }
+
+  function clearSessionCookie(req, res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+  }
+
+  return {
+    authenticate,
+    requireUser,
+    requireAdmin,
+    requirePage,
+    setSessionCookie,
+    clearSessionCookie
+  };
+}
+
+module.exports = {
+  createAuth,
+  canAccess,
+  parseCookies
+};
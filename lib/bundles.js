@@ -0,0 +1,566 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const archiver = require("archiver");
+const { canAccess } = require("./auth");
+const { normalizeFolderPath, isWithin, parentOf, baseName } = require("./folders");
+const { formatBytes, contentDisposition } = require("./files");
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Archive formats a bundle can be downloaded as
+const BUNDLE_FORMATS = {
+  zip: { extension: '.zip', mimetype: 'application/zip' },
+  tar: { extension: '.tar', mimetype: 'application/x-tar' },
+  'tar.gz': { extension: '.tar.gz', mimetype: 'application/gzip' }
+};
+
+function bundleError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Media and archives that are compressed already: deflating them again
+// costs time and gains nothing, so ZIPs store them as they are
+function isCompressedType(mimetype) {
+  return /^(video\/|image\/(jpeg|png|gif|webp|avif|heic)$|audio\/(?!wav$|x-wav$|aiff$))/.test(mimetype || '') ||
+    /^application\/(zip|gzip|x-7z-compressed|vnd\.rar|x-rar-compressed|x-bzip2|x-xz|zstd)$/.test(mimetype || '');
+}
+
+/**
+ * Format and zlib level of a bundle request: `format` is `zip` (the
+ * default), `tar` or `tar.gz`; `compression` a level from 0 to 9, or `store`
+ * for no compression at all.
+ */
+function bundleOptions({ format = 'zip', compression } = {}, defaultLevel = 6) {
+  if (!Object.hasOwn(BUNDLE_FORMATS, format)) {
+    throw bundleError(400, 'Format must be zip, tar or tar.gz');
+  }
+  if (compression === undefined || compression === null || compression === '') {
+    return { format, level: defaultLevel };
+  }
+  const level = compression === 'store' ? 0 : Number(compression);
+  if (!Number.isInteger(level) || level < 0 || level > 9) {
+    throw bundleError(400, 'Compression must be a level from 0 to 9 or "store"');
+  }
+  return { format, level };
+}
+
+// A file's original name as one path segment, or its stored name when nothing usable is left
+function entryBaseName(file) {
+  const name = path.posix.basename(String(file.originalName || '').replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '');
+  return name && name !== '.' && name !== '..' ? name : file.filename;
+}
+
+// `name`, or `name (2).ext`, `name (3).ext`... when taken; compared
+// case-insensitively so the bundle unpacks the same on Windows and macOS
+function uniqueName(name, taken) {
+  const ext = path.posix.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${stem} (${n})${ext}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Entries of a bundle from `{ file, directory }` pairs: each file is named
+ * after its original name, below `directory` (relative to the bundle root)
+ * when given, and duplicate names are numbered.
+ */
+function bundleEntries(files) {
+  const taken = new Set();
+  return files.map(({ file, directory = '' }) => ({
+    key: file.filename,
+    version: file.version || null,
+    name: uniqueName(directory ? `${directory}/${entryBaseName(file)}` : entryBaseName(file), taken),
+    size: file.size,
+    mimetype: file.mimetype,
+    sha256: file.sha256 || null,
+    modifiedAt: file.modifiedAt || file.uploadedAt || null
+  }));
+}
+
+// Download name of a bundle: `name` (or `fallback`) with the format's extension
+function bundleFilename(name, format, fallback) {
+  const base = typeof name === 'string'
+    ? path.posix.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').replace(/\.(zip|tar|tar\.gz|tgz)$/i, '').trim()
+    : '';
+  const usable = base && base !== '.' && base !== '..' ? base.slice(0, 200) : fallback;
+  return `${usable}${BUNDLE_FORMATS[format].extension}`;
+}
+
+// The same entries and options always give the same bytes, so this serves
+// as a strong validator of a bundle before its archive even exists
+function bundleTag(format, level, entries) {
+  return crypto.createHash('sha256').update(JSON.stringify([format, level, entries])).digest('hex');
+}
+
+// Missing files for a response header: percent-encoded names, comma separated
+function missingHeader(missing) {
+  return missing.map(entry => encodeURIComponent(String(entry.filename))).join(',');
+}
+
+/**
+ * Archive stream of `entries` in `format`. Files are added one at a time so
+ * only one storage stream is open at once; `open(entry)` resolves with an
+ * entry's content, and entries it fails for are left out and passed to
+ * `onSkip`. Entries keep their file's date, so the same entries and options
+ * always give the same bytes.
+ */
+function createBundleArchive(entries, { format, level }, open, onSkip) {
+  const archive = format === 'zip'
+    ? archiver('zip', { zlib: { level, memLevel: 8 }, store: level === 0 })
+    : archiver('tar', { gzip: format === 'tar.gz', gzipOptions: { level } });
+
+  let next = 0;
+  const addNext = async () => {
+    if (archive.destroyed) {
+      return;
+    }
+    if (next === entries.length) {
+      archive.finalize().catch(() => {}); // failures arrive as 'error' events
+      return;
+    }
+
+    const entry = entries[next++];
+    try {
+      archive.append(await open(entry), {
+        name: entry.name,
+        date: entry.modifiedAt ? new Date(entry.modifiedAt) : undefined,
+        store: level === 0 || isCompressedType(entry.mimetype)
+      });
+
+      // Log progress for large bundles
+      if (next % 10 === 0) {
+        console.log(`Bundle progress: ${next}/${entries.length} files added`);
+      }
+    } catch (err) {
+      onSkip(entry, err);
+      addNext();
+    }
+  };
+  archive.on('entry', addNext);
+  addNext();
+
+  return archive;
+}
+
+/**
+ * ZIP and TAR bundles of several files or a whole folder.
+ *
+ * `POST /download-zip` streams a bundle straight away. `POST /bundles`
+ * records one under an id instead, so `GET /bundles/:id` can be downloaded
+ * natively by browsers: the first download writes the archive to
+ * `<id>.bundle` while streaming it, and once that copy is complete requests
+ * (resumed downloads included) are served from it with range support.
+ * Bundles expire `ttl` after they were created.
+ *
+ * Files that can't be bundled (unknown, someone else's, not scanned yet) are
+ * reported as `missing` rather than silently left out.
+ */
+class BundleService {
+  constructor({ dir, ttl = DEFAULT_TTL, fileStore, folders, scanning, events, maxFiles = 100, compressionLevel = 6, debug = false }) {
+    this.dir = dir;
+    this.ttl = ttl;
+    this.fileStore = fileStore;
+    this.folders = folders;
+    this.scanning = scanning;
+    this.events = events;
+    this.maxFiles = maxFiles;
+    this.compressionLevel = compressionLevel;
+    this.debug = debug;
+    this.copying = new Set();
+    this.sweepTimer = null;
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  recordPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // Copies are named after the etag, so a bundle whose entries changed
+  // never serves an archive built from the old ones
+  copyPath(id, etag) {
+    return path.join(this.dir, `${id}.${etag.slice(0, 16)}.bundle`);
+  }
+
+  /**
+   * Files a user asked for: `{ filenames }` or everything below `{ folder }`,
+   * keeping the folder layout. Resolves `{ files, missing, name }` where
+   * `name` is the default name of the bundle.
+   */
+  async collect(user, { filenames, folder }) {
+    const files = [];
+    const missing = [];
+
+    if (folder !== undefined) {
+      const folderPath = normalizeFolderPath(folder);
+      if (!this.folders.exists(folderPath)) {
+        throw bundleError(404, 'Folder not found');
+      }
+
+      const base = parentOf(folderPath);
+      for (const file of await this.fileStore.list()) {
+        if (!canAccess(user, file) || !isWithin(file.folder, folderPath)) {
+          continue;
+        }
+        if (!this.scanning.passed(file)) {
+          missing.push({ filename: file.filename, error: 'File has not passed the malware scan' });
+          continue;
+        }
+        files.push({ file, directory: base ? file.folder.slice(base.length + 1) : file.folder });
+      }
+
+      if (files.length === 0 && missing.length === 0) {
+        throw bundleError(404, 'Folder is empty');
+      }
+      return { files, missing, name: folderPath ? baseName(folderPath) : 'downloads' };
+    }
+
+    if (!Array.isArray(filenames) || filenames.length === 0) {
+      throw bundleError(400, 'No filenames provided');
+    }
+    if (filenames.length > this.maxFiles) {
+      throw bundleError(400, `Too many files. Maximum ${this.maxFiles} files allowed.`);
+    }
+
+    for (const filename of new Set(filenames)) {
+      const file = await this.fileStore.resolve(filename);
+      if (!canAccess(user, file)) {
+        missing.push({ filename, error: 'File not found' });
+      } else if (!this.scanning.passed(file)) {
+        missing.push({ filename, error: 'File has not passed the malware scan' });
+      } else {
+        files.push({ file });
+      }
+    }
+    return { files, missing, name: 'downloads' };
+  }
+
+  /**
+   * Everything needed to build a bundle from a request body
+   * (`{ filenames | folder, format?, compression?, name? }`): format, level,
+   * download `filename`, `entries` and `missing` files.
+   */
+  async prepare(user, { filenames, folder, format, compression, name } = {}) {
+    const options = bundleOptions({ format, compression }, this.compressionLevel);
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      throw bundleError(400, 'Name must be a string');
+    }
+
+    const collected = await this.collect(user, { filenames, folder });
+    return {
+      ...options,
+      filename: bundleFilename(name, options.format, collected.name),
+      entries: bundleEntries(collected.files),
+      missing: collected.missing
+    };
+  }
+
+  async create(owner, spec) {
+    const now = Date.now();
+    const bundle = {
+      id: crypto.randomBytes(16).toString('hex'),
+      owner,
+      format: spec.format,
+      level: spec.level,
+      filename: spec.filename,
+      entries: spec.entries,
+      missing: spec.missing,
+      etag: bundleTag(spec.format, spec.level, spec.entries),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString()
+    };
+
+    const tmp = `${this.recordPath(bundle.id)}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(bundle));
+    await fs.promises.rename(tmp, this.recordPath(bundle.id));
+    return bundle;
+  }
+
+  // A bundle that has not expired, or null
+  async get(id) {
+    if (typeof id !== 'string' || !/^[a-f0-9]{32}$/.test(id)) {
+      return null;
+    }
+
+    let bundle;
+    try {
+      bundle = JSON.parse(await fs.promises.readFile(this.recordPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+
+    if (Date.parse(bundle.expiresAt) <= Date.now()) {
+      await this.remove(id);
+      return null;
+    }
+    return bundle;
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this.recordPath(id), { force: true });
+    for (const entry of await fs.promises.readdir(this.dir)) {
+      if (entry.startsWith(`${id}.`) && !this.copying.has(entry)) {
+        await fs.promises.rm(path.join(this.dir, entry), { force: true });
+      }
+    }
+  }
+
+  /**
+   * A stored bundle as it stands now for `user`: entries whose file has been
+   * deleted, trashed or quarantined, lost its version, no longer passes the
+   * scan or is out of the user's reach move to `missing`, and the etag (and
+   * with it the copy) follows the entries that are left.
+   */
+  async current(user, bundle) {
+    const entries = [];
+    const missing = [...bundle.missing];
+    for (const entry of bundle.entries) {
+      const file = await this.fileStore.resolve(entry.key);
+      const versions = (file && this.fileStore.listVersions(entry.key)) || [];
+      const version = entry.version === null
+        ? versions.find(candidate => candidate.current)
+        : versions.find(candidate => candidate.version === entry.version);
+      if (!canAccess(user, file) || !version) {
+        missing.push({ filename: entry.key, error: 'File not found' });
+      } else if (!this.scanning.versionPassed(file, version)) {
+        missing.push({ filename: entry.key, error: 'File has not passed the malware scan' });
+      } else {
+        entries.push(entry);
+      }
+    }
+
+    const etag = entries.length === bundle.entries.length ? bundle.etag : bundleTag(bundle.format, bundle.level, entries);
+    await this.dropStaleCopies(bundle.id, etag);
+    return { ...bundle, entries, missing, etag };
+  }
+
+  // Remove copies of a bundle that were built from other entries than `etag` stands for
+  async dropStaleCopies(id, etag) {
+    const current = path.basename(this.copyPath(id, etag));
+    for (const entry of await fs.promises.readdir(this.dir)) {
+      if (entry.startsWith(`${id}.`) && entry.endsWith('.bundle') && entry !== current) {
+        await fs.promises.rm(path.join(this.dir, entry), { force: true });
+      }
+    }
+  }
+
+  describe(bundle) {
+    return {
+      id: bundle.id,
+      url: `/bundles/${bundle.id}`,
+      filename: bundle.filename,
+      format: bundle.format,
+      compression: bundle.level,
+      files: bundle.entries.length,
+      size: bundle.entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries: bundle.entries.map(entry => ({ name: entry.name, filename: entry.key, size: entry.size })),
+      missing: bundle.missing,
+      createdAt: bundle.createdAt,
+      expiresAt: bundle.expiresAt
+    };
+  }
+
+  // The finished copy of a bundle as `{ size, open(range) }`, or null while there is none
+  async openCopy(bundle) {
+    const file = this.copyPath(bundle.id, bundle.etag);
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!stats) {
+      return null;
+    }
+    return {
+      size: stats.size,
+      open: (range = {}) => fs.createReadStream(file, range)
+    };
+  }
+
+  // Writer of a bundle's copy, or null when another download is writing it
+  startCopy(bundle) {
+    const file = this.copyPath(bundle.id, bundle.etag);
+    const part = `${file}.part`;
+    if (this.copying.has(path.basename(part))) {
+      return null;
+    }
+    this.copying.add(path.basename(part));
+
+    const done = () => this.copying.delete(path.basename(part));
+    const stream = fs.createWriteStream(part);
+    return {
+      stream,
+      commit: () => fs.promises.rename(part, file).finally(done),
+      discard: () => {
+        stream.destroy();
+        return fs.promises.rm(part, { force: true }).finally(done);
+      }
+    };
+  }
+
+  /**
+   * Stream a bundle (`{ format, level, filename, entries, missing }`) to the
+   * client. With a `zipId` the signed-in user's pages get zip-progress
+   * events; with a stored `bundle` the archive is also written to its copy,
+   * which carries on when the client goes away so a resumed download finds it.
+   * A stored bundle is passed through `current()` first.
+   */
+  send(req, res, spec, { zipId = null, bundle = null } = {}) {
+    const totalSize = spec.entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    res.writeHead(200, {
+      'Content-Type': BUNDLE_FORMATS[spec.format].mimetype,
+      'Content-Disposition': contentDisposition(spec.filename),
+      ...(spec.missing.length > 0 ? { 'X-Missing-Files': missingHeader(spec.missing) } : {}),
+      ...(zipId ? { 'X-Zip-Id': zipId } : {})
+    });
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    let incomplete = false;
+    let clientGone = false;
+    const archive = createBundleArchive(spec.entries, spec, entry => this.fileStore.open(entry.key, undefined, entry.version), (entry, err) => {
+      console.error(`Error adding file ${entry.key} to bundle:`, err);
+      incomplete = true;
+    });
+
+    // Files added so far and bytes sent, for the user's pages
+    const publishProgress = zipId && req.user ? this.events.progressPublisher('zip-progress', req.user.id) : null;
+    const publishDone = (type, data) => {
+      if (publishProgress) {
+        this.events.publish(type, { zipId, ...data }, { user: req.user.id });
+      }
+    };
+    let addedFiles = 0;
+    archive.on('entry', () => {
+      addedFiles++;
+      if (publishProgress) {
+        publishProgress({ zipId, files: addedFiles, total: spec.entries.length, bytes: archive.pointer(), totalSize });
+      }
+    });
+    res.on('finish', () => publishDone('zip-complete', { files: addedFiles, bytes: archive.pointer() }));
+
+    // Only a complete archive becomes the copy later downloads are served from
+    let copy = bundle ? this.startCopy(bundle) : null;
+    const dropCopy = () => {
+      if (copy) {
+        archive.unpipe(copy.stream);
+        copy.discard().catch(err => console.error('Bundle copy cleanup error:', err));
+        copy = null;
+      }
+    };
+    if (copy) {
+      copy.stream.on('finish', () => {
+        const finished = copy;
+        copy = null;
+        (incomplete ? finished.discard() : finished.commit()).catch(err => console.error('Bundle copy error:', err));
+      });
+      copy.stream.on('error', (err) => {
+        console.error('Bundle copy error:', err);
+        dropCopy();
+        if (clientGone) {
+          archive.destroy();
+        }
+      });
+    }
+
+    archive.on('warning', (err) => {
+      if (err.code === 'ENOENT') {
+        console.warn('Archive warning:', err);
+      } else {
+        console.error('Archive error:', err);
+        res.destroy(err);
+      }
+    });
+
+    archive.on('error', (err) => {
+      console.error('Archive error:', err);
+      publishDone('zip-failed', { error: "ZIP creation failed" });
+      dropCopy();
+      res.destroy(err);
+    });
+
+    archive.on('close', () => {
+      if (!archive.readableEnded) {
+        dropCopy();
+      }
+    });
+
+    // Handle client disconnect during the download (the request itself closes
+    // as soon as its JSON body has been read, so watch the response instead)
+    res.on('close', () => {
+      if (res.writableFinished || clientGone) {
+        return;
+      }
+      clientGone = true;
+      if (this.debug) {
+        console.log('Client disconnected during bundle download');
+      }
+      publishDone('zip-failed', { error: "Download aborted" });
+      if (copy) {
+        archive.unpipe(res);
+      } else {
+        archive.destroy();
+      }
+    });
+
+    archive.pipe(res);
+    if (copy) {
+      archive.pipe(copy.stream);
+    }
+
+    console.log(`${spec.format.toUpperCase()} bundle started for ${spec.entries.length} files (${formatBytes(totalSize)})`);
+  }
+
+  // Remove expired bundles and copies left without a record
+  async sweep() {
+    const entries = await fs.promises.readdir(this.dir);
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (entry.endsWith('.json')) {
+        const id = entry.slice(0, -'.json'.length);
+        if (!await this.get(id).catch(() => null)) {
+          await this.remove(id);
+          removed++;
+        }
+      } else {
+        const id = entry.split('.')[0];
+        if (!entries.includes(`${id}.json`) && !this.copying.has(entry)) {
+          await fs.promises.rm(path.join(this.dir, entry), { force: true });
+        }
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired bundle(s)`);
+    }
+    return removed;
+  }
+
+  startSweeper(interval = Math.min(this.ttl, 60 * 60 * 1000)) {
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(err => console.error('Bundle cleanup error:', err));
+    }, interval);
+    this.sweepTimer.unref();
+  }
+}
+
+module.exports = {
+  BUNDLE_FORMATS,
+  BundleService,
+  bundleEntries,
+  bundleFilename,
+  bundleOptions,
+  isCompressedType,
+  missingHeader
+};
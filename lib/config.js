@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+
+const KB = 1024;
+const MB = 1024 * KB;
+const GB = 1024 * MB;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Every server setting with its default. A setting can be given in the
+ * config file under its key, in the environment as UPPER_SNAKE_CASE or as a
+ * --kebab-case CLI flag; later sources win. Sizes accept units (`500MB`),
+ * durations accept `ms`/`s`/`m`/`h`/`d` and lists are comma separated outside
+ * the config file. A limit of 0 means unlimited.
+ */
+const OPTIONS = {
+  port: { type: 'port', default: 3000, description: 'HTTP port' },
+  uploadsDir: { type: 'path', default: 'uploads', description: 'Directory of the local storage driver' },
+  dataDir: { type: 'path', default: 'data', description: 'Directory for the metadata journal, accounts, folders, shares and upload sessions' },
+
+  storageDriver: { type: 'enum', values: ['local', 'memory', 's3'], default: 'local', description: 'Storage backend for uploads' },
+  s3Endpoint: { type: 'string', default: null, description: 'S3 endpoint URL' },
+  s3Bucket: { type: 'string', default: null, description: 'S3 bucket' },
+  s3Region: { type: 'string', default: null, description: 'S3 region' },
+  s3AccessKeyId: { type: 'string', default: null, description: 'S3 access key id' },
+  s3SecretAccessKey: { type: 'string', default: null, description: 'S3 secret access key' },
+  s3Prefix: { type: 'string', default: null, description: 'Key prefix inside the bucket' },
+
+  maxFileSize: { type: 'bytes', default: 500 * MB, min: 1, description: 'Largest single upload' },
+  uploadTimeoutMs: { type: 'duration', default: 5 * MINUTE, min: 1, description: 'Time allowed for one /upload or /upload-multiple request' },
+  allowedExtensions: { type: 'extensions', default: [], description: 'Only accept uploads with these extensions (empty = any)' },
+  deniedExtensions: { type: 'extensions', default: [], description: 'Reject uploads with these extensions' },
+  allowedTypes: { type: 'mimetypes', default: [], description: 'Only accept these MIME types, `video/*` style wildcards allowed (empty = any)' },
+  deniedTypes: { type: 'mimetypes', default: [], description: 'Reject these MIME types' },
+  mimeTypes: { type: 'map', default: {}, description: 'Extra extension to MIME type mappings, e.g. {".heic": "image/heic"}' },
+  typeMismatch: { type: 'enum', values: ['reject', 'flag'], default: 'reject', description: 'Uploads whose content does not match their extension: reject them, or store them with the detected type' },
+
+  cacheControl: { type: 'string', default: 'private, no-cache', description: 'Cache-Control of downloads and streams (clients revalidate with the ETag)' },
+  cachePolicies: { type: 'policies', default: {}, description: 'Cache-Control per MIME type, e.g. {"video/*": "private, max-age=86400"}' },
+
+  zipMaxFiles: { type: 'integer', default: 100, min: 1, description: 'Most files in one /download-zip or /bundles request' },
+  zipCompressionLevel: { type: 'integer', default: 6, min: 0, max: 9, description: 'Default zlib level of ZIP and tar.gz bundles (0 = store)' },
+  bundleTtlMs: { type: 'duration', default: DAY, min: 1, description: 'Time a bundle created with POST /bundles can be downloaded' },
+
+  archiveMaxEntries: { type: 'integer', default: 10000, min: 1, description: 'Most entries in an archive that can be browsed or extracted' },
+  archiveMaxRatio: { type: 'integer', default: 100, min: 1, description: 'Highest compression ratio of an archive entry (zip bomb guard)' },
+  archiveMaxExtractSize: { type: 'bytes', default: 2 * GB, min: 0, description: 'Bytes one archive extraction may write' },
+
+  maxFileVersions: { type: 'integer', default: 0, min: 0, description: 'Versions kept per file' },
+  quotaUserBytes: { type: 'bytes', default: 0, min: 0, description: 'Bytes per user' },
+  quotaUserFiles: { type: 'integer', default: 0, min: 0, description: 'Files per user' },
+  quotaTotalBytes: { type: 'bytes', default: 0, min: 0, description: 'Bytes in the whole store' },
+  quotaTotalFiles: { type: 'integer', default: 0, min: 0, description: 'Files in the whole store' },
+
+  uploadSessionTtlMs: { type: 'duration', default: DAY, min: 1, description: 'Idle time before a resumable upload is discarded' },
+  sessionTtlMs: { type: 'duration', default: 7 * DAY, min: 1, description: 'Lifetime of a login session' },
+  trashRetentionMs: { type: 'duration', default: 30 * DAY, min: 1, description: 'Time deleted files stay in the trash' },
+
+  scanner: { type: 'enum', values: ['none', 'clamd', 'mock'], default: 'none', description: 'Malware scanner uploads must pass before they can be downloaded' },
+  clamdSocket: { type: 'string', default: null, description: 'Unix socket of clamd (instead of host and port)' },
+  clamdHost: { type: 'string', default: '127.0.0.1', description: 'Host of clamd' },
+  clamdPort: { type: 'port', default: 3310, description: 'TCP port of clamd' },
+  scanTimeoutMs: { type: 'duration', default: 2 * MINUTE, min: 1, description: 'Time allowed for one scan' },
+
+  ffmpegPath: { type: 'string', default: 'ffmpeg', description: 'ffmpeg binary for video posters and HLS' },
+  shareSecret: { type: 'string', default: null, description: 'Secret signing share links (generated into the data directory if unset)' },
+  adminUsername: { type: 'string', default: null, description: 'Admin account created on a fresh install' },
+  adminPassword: { type: 'string', default: null, description: 'Password of that admin account' },
+  bootstrapToken: { type: 'string', default: null, description: 'Token needed to create the first account on the login page (generated and logged at startup if unset)' },
+  debugStreams: { type: 'boolean', default: false, description: 'Log client disconnects during streams and ZIP downloads' }
+};
+
+const SIZE_UNITS = { b: 1, kb: KB, mb: MB, gb: GB, tb: 1024 * GB };
+const DURATION_UNITS = { ms: 1, s: 1000, m: MINUTE, h: HOUR, d: DAY };
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function envName(key) {
+  return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function flagName(key) {
+  return '--' + key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+function parseUnits(value, units, defaultUnit) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(value).trim());
+  const unit = match && (match[2].toLowerCase() || defaultUnit);
+  if (!match || !units[unit]) {
+    return NaN;
+  }
+  return Math.round(Number(match[1]) * units[unit]);
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Parse one value (a string from the environment or CLI, or JSON from the file); throws a message
+function parseValue(option, value) {
+  switch (option.type) {
+    case 'integer':
+    case 'port':
+    case 'bytes':
+    case 'duration': {
+      const number = option.type === 'bytes' ? parseUnits(value, SIZE_UNITS, 'b')
+        : option.type === 'duration' ? parseUnits(value, DURATION_UNITS, 'ms')
+          : typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+      const min = option.type === 'port' ? 1 : option.min;
+      const max = option.type === 'port' ? 65535 : option.max;
+      if (!Number.isSafeInteger(number) || number < 0) {
+        throw new Error(`must be a whole number${option.type === 'bytes' ? ' of bytes (units B, KB, MB, GB, TB allowed)' : option.type === 'duration' ? ' of milliseconds (units ms, s, m, h, d allowed)' : ''}`);
+      }
+      if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+        throw new Error(max !== undefined ? `must be between ${min} and ${max}` : `must be at least ${min}`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) {
+        return true;
+      }
+      if (['false', '0', 'no', 'off', ''].includes(text)) {
+        return false;
+      }
+      throw new Error('must be true or false');
+    }
+    case 'enum':
+      if (!option.values.includes(value)) {
+        throw new Error(`must be one of: ${option.values.join(', ')}`);
+      }
+      return value;
+    case 'string':
+    case 'path':
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new Error('must be a non-empty string');
+      }
+      return value;
+    case 'extensions': {
+      const list = parseList(value);
+      if (!list || list.some(item => typeof item !== 'string' || !/^\.?[a-z0-9][a-z0-9._+-]*$/i.test(item))) {
+        throw new Error('must be a list of file extensions like .mp4,.pdf');
+      }
+      return [...new Set(list.map(item => (item.startsWith('.') ? item : `.${item}`).toLowerCase()))];
+    }
+    case 'mimetypes': {
+      const list = parseList(value);
+      if (!list || list.some(item => typeof item !== 'string' || !/^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/i.test(item))) {
+        throw new Error('must be a list of MIME types like video/mp4,image/*');
+      }
+      return [...new Set(list.map(item => item.toLowerCase()))];
+    }
+    case 'map': {
+      let map = value;
+      if (typeof map === 'string') {
+        try {
+          map = JSON.parse(map);
+        } catch {
+          throw new Error('must be a JSON object');
+        }
+      }
+      if (!map || typeof map !== 'object' || Array.isArray(map) ||
+          Object.entries(map).some(([ext, type]) => !/^\.[a-z0-9][a-z0-9._+-]*$/i.test(ext) || typeof type !== 'string' || !/^[a-z0-9.+-]+\/[a-z0-9.+-]+$/i.test(type))) {
+        throw new Error('must map extensions like ".heic" to MIME types like "image/heic"');
+      }
+      return Object.fromEntries(Object.entries(map).map(([ext, type]) => [ext.toLowerCase(), type.toLowerCase()]));
+    }
+    case 'policies': {
+      let map = value;
+      if (typeof map === 'string') {
+        try {
+          map = JSON.parse(map);
+        } catch {
+          throw new Error('must be a JSON object');
+        }
+      }
+      if (!map || typeof map !== 'object' || Array.isArray(map) ||
+          Object.entries(map).some(([type, policy]) => !/^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/i.test(type) || typeof policy !== 'string' || !/^[\x20-\x7e]+$/.test(policy))) {
+        throw new Error('must map MIME types like "video/*" to Cache-Control values like "private, max-age=3600"');
+      }
+      return Object.fromEntries(Object.entries(map).map(([type, policy]) => [type.toLowerCase(), policy.trim()]));
+    }
+    default:
+      throw new Error(`has unknown type ${option.type}`);
+  }
+}
+
+// `--name value`, `--name=value` and bare boolean `--flag` / `--no-flag`
+function parseArgs(argv) {
+  const flags = new Map();
+  const problems = [];
+  const byFlag = new Map(Object.keys(OPTIONS).map(key => [flagName(key), key]));
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [name, inline] = arg.split(/=(.*)/s, 2);
+    if (name === '--config') {
+      flags.set('config', inline !== undefined ? inline : argv[++i]);
+      continue;
+    }
+    const negated = name.startsWith('--no-') && (OPTIONS[byFlag.get('--' + name.slice(5))] || {}).type === 'boolean';
+    const key = byFlag.get(negated ? '--' + name.slice(5) : name);
+    if (!key) {
+      problems.push(`unknown command line option ${arg}`);
+      continue;
+    }
+    if (OPTIONS[key].type === 'boolean' && inline === undefined) {
+      flags.set(key, !negated);
+    } else if (inline !== undefined) {
+      flags.set(key, inline);
+    } else if (i + 1 < argv.length) {
+      flags.set(key, argv[++i]);
+    } else {
+      problems.push(`${name} needs a value`);
+    }
+  }
+  return { flags, problems };
+}
+
+/**
+ * Load the configuration from the defaults, the config file, the environment
+ * and the command line, in that order. The config file is `--config <file>`,
+ * `CONFIG_FILE` or `config.json` in `baseDir` when present. Throws a
+ * ConfigError listing every invalid or unknown setting; relative paths are
+ * resolved against `baseDir`.
+ */
+function loadConfig({ argv = [], env = process.env, baseDir = process.cwd() } = {}) {
+  const { flags, problems } = parseArgs(argv);
+  const config = Object.fromEntries(Object.entries(OPTIONS).map(([key, option]) => [key, option.default]));
+
+  const set = (key, value, source) => {
+    try {
+      config[key] = parseValue(OPTIONS[key], value);
+    } catch (err) {
+      problems.push(`${source}: ${err.message}`);
+    }
+  };
+
+  const explicitFile = flags.get('config') || env.CONFIG_FILE;
+  const defaultFile = path.join(baseDir, 'config.json');
+  const configFile = explicitFile ? path.resolve(baseDir, explicitFile) : (fs.existsSync(defaultFile) ? defaultFile : null);
+  if (configFile) {
+    let values = null;
+    try {
+      values = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (err) {
+      problems.push(`config file ${configFile}: ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+    }
+    if (values && (typeof values !== 'object' || Array.isArray(values))) {
+      problems.push(`config file ${configFile}: must hold a JSON object`);
+    } else if (values) {
+      for (const [key, value] of Object.entries(values)) {
+        if (!OPTIONS[key]) {
+          problems.push(`config file: unknown setting "${key}"`);
+        } else if (value !== null) {
+          set(key, value, `config file "${key}"`);
+        }
+      }
+    }
+  }
+
+  for (const key of Object.keys(OPTIONS)) {
+    const name = envName(key);
+    if (env[name] !== undefined && env[name] !== '') {
+      set(key, env[name], name);
+    }
+  }
+
+  flags.delete('config');
+  for (const [key, value] of flags) {
+    set(key, value, flagName(key));
+  }
+
+  if (config.storageDriver === 's3' && !config.s3Bucket) {
+    problems.push('s3Bucket is required with the s3 storage driver');
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  config.uploadsDir = path.resolve(baseDir, config.uploadsDir);
+  config.dataDir = path.resolve(baseDir, config.dataDir);
+  config.configFile = configFile;
+  return Object.freeze(config);
+}
+
+function formatDefault(option) {
+  const value = option.default;
+  if (value === null || (Array.isArray(value) && value.length === 0) || (option.type !== 'boolean' && value === 0)) {
+    return option.type === 'bytes' || option.type === 'integer' ? 'unlimited' : '-';
+  }
+  if (option.type === 'bytes' && value % MB === 0) {
+    return `${value / MB}MB`;
+  }
+  if (option.type === 'duration') {
+    const unit = ['d', 'h', 'm', 's'].find(name => value % DURATION_UNITS[name] === 0) || 'ms';
+    return `${value / DURATION_UNITS[unit]}${unit}`;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Usage text for `--help`
+function formatHelp() {
+  const lines = [
+    'Usage: node index.js [--config file] [options]',
+    '',
+    'Settings come from config.json (or --config / CONFIG_FILE), then the environment, then these flags.',
+    ''
+  ];
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    lines.push(`  ${flagName(key)}  (${envName(key)}, default ${formatDefault(option)})`);
+    lines.push(`      ${option.description}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadConfig,
+  formatHelp,
+  ConfigError,
+  OPTIONS
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const { canAccess } = require("./auth");
+
+const KEEPALIVE_INTERVAL = 25 * 1000;
+const BACKLOG_SIZE = 200;
+const PROGRESS_INTERVAL = 250; // ms between progress events of one upload or ZIP
+
+// Client-chosen id (`?uploadId=`, `zipId`) to match progress events with a request, or a random one
+function progressId(value) {
+  return typeof value === 'string' && /^[\w-]{1,64}$/.test(value) ? value : crypto.randomUUID();
+}
+
+/**
+ * Live events for open pages, sent as Server-Sent Events on `/events`.
+ *
+ * Every event concerns one user: file events (`file-created`,
+ * `file-updated`, `file-deleted`, followed from the file store) reach the
+ * file's `owner` and admins, while upload and ZIP progress (`upload-*`,
+ * `zip-*`) only reach the `user` who started them. Events are numbered; a
+ * reconnecting EventSource sends `Last-Event-ID` and gets what it missed from
+ * a short in-memory backlog.
+ */
+class EventHub {
+  constructor({ fileStore, backlog = BACKLOG_SIZE }) {
+    this.fileStore = fileStore;
+    this.backlogSize = backlog;
+    this.backlog = [];
+    this.clients = new Set();
+    this.nextId = 1;
+  }
+
+  // Follow the file store so listings can update without polling
+  attach() {
+    this.fileStore.on('created', (file) => {
+      this.publish('file-created', file, { owner: file.owner });
+    });
+    this.fileStore.on('updated', (filename) => {
+      this.fileUpdated(filename).catch(err => console.error('Failed to publish file event:', filename, err));
+    });
+    this.fileStore.on('deleted', ({ filename, metadata }) => {
+      this.publish('file-deleted', { filename }, { owner: metadata ? metadata.owner : null });
+    });
+    return this;
+  }
+
+  // Files moved to the trash or the quarantine are gone as far as listings go
+  async fileUpdated(filename) {
+    const metadata = this.fileStore.getMetadata(filename);
+    if (!metadata) {
+      return;
+    }
+    const file = await this.fileStore.describe(filename);
+    if (file) {
+      this.publish('file-updated', file, { owner: file.owner });
+    } else {
+      this.publish('file-deleted', { filename, trashed: Boolean(metadata.trashed) }, { owner: metadata.owner });
+    }
+  }
+
+  /**
+   * Send an event to every connection allowed to see it: pass `owner` for
+   * an event about a file, or `user` (an id) for one meant for that user only.
+   */
+  publish(type, data, { owner = null, user = null } = {}) {
+    const event = { id: this.nextId++, type, data, owner, user };
+    this.backlog.push(event);
+    if (this.backlog.length > this.backlogSize) {
+      this.backlog.shift();
+    }
+    for (const client of this.clients) {
+      this.send(client, event);
+    }
+  }
+
+  // Publish `type` events for one user, at most every PROGRESS_INTERVAL unless `final`
+  progressPublisher(type, userId) {
+    let last = 0;
+    return (data, final = false) => {
+      const now = Date.now();
+      if (final || now - last >= PROGRESS_INTERVAL) {
+        last = now;
+        this.publish(type, data, { user: userId });
+      }
+    };
+  }
+
+  visible(user, event) {
+    if (event.user) {
+      return user.id === event.user;
+    }
+    return canAccess(user, { owner: event.owner });
+  }
+
+  send(client, event) {
+    if (this.visible(client.user, event)) {
+      client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+  }
+
+  // Serve the event stream of a signed-in request until the client goes away
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let a proxy hold events back
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = { user: req.user, res };
+    const lastId = Number(req.headers['last-event-id']);
+    if (Number.isSafeInteger(lastId)) {
+      for (const event of this.backlog.filter(candidate => candidate.id > lastId)) {
+        this.send(client, event);
+      }
+    }
+    this.clients.add(client);
+
+    // Comments keep idle connections from being closed by proxies
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      this.clients.delete(client);
+    });
+  }
+}
+
+module.exports = {
+  EventHub,
+  progressId
+};
@@ -0,0 +1,55 @@
+const { spawn, spawnSync } = require("child_process");
+
+// Path of a working ffmpeg binary, or null when there is none
+function findFfmpeg(candidate = 'ffmpeg') {
+  const result = spawnSync(candidate, ['-version'], { stdio: 'ignore', timeout: 5000 });
+  return result.status === 0 ? candidate : null;
+}
+
+/**
+ * Run ffmpeg to completion. With `onProgress`, ffmpeg's `-progress` output is
+ * parsed and the processed position is reported in seconds. Resolves with
+ * stdout when `capture` is set; rejects with the last stderr line on failure
+ * or once `timeout` ms have passed.
+ */
+function runFfmpeg(ffmpegPath, args, { timeout, capture = false, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const progressArgs = onProgress ? ['-progress', 'pipe:1', '-nostats'] : [];
+    const ffmpeg = spawn(ffmpegPath, ['-v', 'error', ...progressArgs, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const chunks = [];
+    let stderr = '';
+    const timer = timeout ? setTimeout(() => ffmpeg.kill('SIGKILL'), timeout) : null;
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      if (capture) {
+        chunks.push(chunk);
+      }
+      if (onProgress) {
+        // Position in microseconds, reported every half second
+        const times = [...chunk.toString().matchAll(/out_time_us=(\d+)/g)];
+        if (times.length > 0) {
+          onProgress(Number(times[times.length - 1][1]) / 1e6);
+        }
+      }
+    });
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+    ffmpeg.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    ffmpeg.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const reason = signal ? `was killed (${signal})` : `exited with ${code}`;
+        return reject(new Error(`ffmpeg ${reason}: ${stderr.trim().split('\n').pop()}`));
+      }
+      resolve(capture ? Buffer.concat(chunks) : null);
+    });
+  });
+}
+
+module.exports = {
+  findFfmpeg,
+  runFfmpeg
+};
@@ -0,0 +1,785 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { pipeline, Transform } = require("stream");
+const { generateStoredName, isStoredFilename, resolveMimeType } = require("./files");
+const { FILE_SCHEMA } = require("./metadata-db");
+const { SNIFF_BYTES, detectType } = require("./mime");
+
+const BLOB_PREFIX = '.blobs/';
+const INCOMING_PREFIX = '.incoming/';
+
+// Record fields that describe the file itself rather than background job state
+const CATALOG_FIELDS = [...Object.keys(FILE_SCHEMA), 'version', 'versions', 'trashed', 'detectedType', 'typeMismatch'];
+
+function blobKey(sha256) {
+  return BLOB_PREFIX + sha256;
+}
+
+// Where the content of a file (or one of its versions) is stored
+function contentKey(filename, { sha256 }) {
+  return sha256 ? blobKey(sha256) : filename;
+}
+
+// Drop job state (thumbnails, media info, ...) so background jobs start over
+function catalogFields(record) {
+  return Object.fromEntries(Object.entries(record).filter(([field]) => CATALOG_FIELDS.includes(field)));
+}
+
+// Type fields of a record or version from a `typeCheck` result
+function contentType({ mimetype, detectedType = null, typeMismatch, mismatch } = {}) {
+  const fields = { mimetype: mimetype || 'application/octet-stream', detectedType };
+  if (typeMismatch || mismatch) {
+    fields.typeMismatch = true;
+  }
+  return fields;
+}
+
+/**
+ * Version history of a record. Each entry keeps its own `sha256`, `size`,
+ * `mimetype`, `originalName`, `uploadedBy` and `uploadedAt`; files stored
+ * before versioning have a single implicit version built from the record.
+ */
+function versionsOf(filename, metadata) {
+  return metadata.versions || [{
+    version: 1,
+    sha256: metadata.sha256 || null,
+    size: metadata.size,
+    mimetype: resolveMimeType(filename, metadata),
+    originalName: metadata.originalName,
+    uploadedBy: metadata.owner || null,
+    uploadedAt: metadata.uploadedAt
+  }];
+}
+
+function currentVersion(filename, metadata) {
+  const current = metadata.version || 1;
+  const versions = versionsOf(filename, metadata);
+  return versions.find(entry => entry.version === current) || versions[versions.length - 1];
+}
+
+/**
+ * Content-addressed file catalog on top of a storage driver and the metadata
+ * database.
+ *
+ * Uploads are hashed while they stream into a temporary object and then
+ * committed as `.blobs/<sha256>`; identical content is stored once. Each
+ * logical file is a database record under its own `file-<timestamp>` name that
+ * points at its blob by `sha256`, so several records can share one blob while
+ * keeping their own `originalName`, `uploadedAt` and folder. Files uploaded
+ * before deduplication have no `sha256` and keep their data under their own
+ * name.
+ *
+ * Uploading a new version of a file keeps the previous ones in the record's
+ * `versions` list; the top-level fields always describe the current version.
+ * Restoring an old version appends a copy of it as the newest version, so
+ * history is never rewritten. Pruning (on demand, or beyond `maxVersions`
+ * whenever a version is added) drops old versions and frees blobs nothing
+ * references any more. Only a version upload that went over a quota is taken
+ * back again, with `dropVersion`.
+ *
+ * Deleting a file first moves it to the trash: its record is flagged
+ * `trashed` and hidden from `describe` and `list` until it is restored or
+ * removed for good. Files that fail a malware scan are hidden the same way,
+ * flagged `quarantined`, until an admin releases or removes them.
+ *
+ * The type of an upload is decided from its first bytes while it streams in:
+ * `typeCheck(head, { originalName, mimetype })` resolves the stored
+ * `mimetype`, the `detectedType` and whether it contradicts the extension, and
+ * may throw to reject the upload before the rest is written.
+ *
+ * Emits `created` (file description) after an upload is stored, `updated`
+ * (filename) after its metadata changes and `deleted` (`{ filename, metadata }`)
+ * after a file is removed, so background jobs and the search index can follow
+ * the catalog.
+ */
+class FileStore extends EventEmitter {
+  constructor({ storage, db, maxVersions = Infinity, typeCheck = detectType }) {
+    super();
+    this.storage = storage;
+    this.db = db;
+    this.maxVersions = maxVersions; // older versions beyond this are pruned
+    this.typeCheck = typeCheck;
+    this.refs = null; // sha256 -> Set of filenames, built on first use
+    this.locks = new Map();
+  }
+
+  // Serialize blob commits and releases per hash, and metadata updates per file
+  withLock(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.then(task, task);
+    const settled = current.catch(() => {});
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) {
+        this.locks.delete(key);
+      }
+    });
+    return current;
+  }
+
+  async loadRefs() {
+    if (this.refs) {
+      return this.refs;
+    }
+
+    const refs = new Map();
+    for (const filename of this.db.keys()) {
+      for (const { sha256 } of versionsOf(filename, this.db.get(filename))) {
+        if (sha256) {
+          if (!refs.has(sha256)) {
+            refs.set(sha256, new Set());
+          }
+          refs.get(sha256).add(filename);
+        }
+      }
+    }
+
+    this.refs = refs;
+    return this.refs;
+  }
+
+  /**
+   * Hash a stream into a temporary object and commit it as `.blobs/<sha256>`.
+   * The first bytes go through `typeCheck` with `upload` (`originalName` and
+   * the client's `mimetype`); if it throws, the upload fails right away.
+   * `commit({ sha256, size, type })` records the reference to the blob held by
+   * `holder`; it runs under the blob's lock so the blob cannot be freed in
+   * between. Resolves with what `commit` returns.
+   */
+  async storeBlob(stream, holder, upload, commit) {
+    const incoming = INCOMING_PREFIX + generateStoredName(holder);
+    const hash = crypto.createHash('sha256');
+    const typeCheck = this.typeCheck;
+    const head = [];
+    let headSize = 0;
+    let type = null;
+
+    const inspect = () => {
+      type = typeCheck(Buffer.concat(head).subarray(0, SNIFF_BYTES), upload);
+    };
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        if (!type) {
+          head.push(chunk);
+          headSize += chunk.length;
+          if (headSize >= SNIFF_BYTES) {
+            try {
+              inspect();
+            } catch (err) {
+              return callback(err);
+            }
+          }
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        try {
+          if (!type) {
+            inspect();
+          }
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      }
+    });
+
+    let size;
+    try {
+      ({ size } = await this.storage.put(incoming, pipeline(stream, hasher, () => {})));
+    } catch (err) {
+      await this.storage.delete(incoming).catch(() => {});
+      throw err;
+    }
+
+    const sha256 = hash.digest('hex');
+    const refs = await this.loadRefs();
+
+    return this.withLock(sha256, async () => {
+      if (await this.storage.stat(blobKey(sha256))) {
+        console.log(`Deduplicated ${holder} against existing blob ${sha256}`);
+        await this.storage.delete(incoming);
+      } else {
+        await this.storage.move(incoming, blobKey(sha256));
+      }
+
+      let result;
+      try {
+        result = await commit({ sha256, size, type });
+      } catch (err) {
+        if (!refs.has(sha256) || refs.get(sha256).size === 0) {
+          await this.storage.delete(blobKey(sha256));
+        }
+        throw err;
+      }
+
+      if (!refs.has(sha256)) {
+        refs.set(sha256, new Set());
+      }
+      refs.get(sha256).add(holder);
+      return result;
+    });
+  }
+
+  /**
+   * Store a stream as a new logical file. Resolves with the file description;
+   * on failure the temporary object is removed and the error is rethrown.
+   */
+  async ingest(stream, { filename, originalName, mimetype, folder = '', tags = [], owner = null, ...extra }) {
+    const name = filename || generateStoredName(originalName);
+
+    await this.storeBlob(stream, name, { originalName, mimetype }, ({ sha256, size, type }) => {
+      const uploadedAt = new Date().toISOString();
+      const content = contentType(type);
+      this.db.put(name, {
+        ...extra,
+        originalName,
+        uploadedAt,
+        folder,
+        tags,
+        owner,
+        size,
+        sha256,
+        ...content,
+        version: 1,
+        versions: [{ version: 1, sha256, size, ...content, originalName, uploadedBy: owner, uploadedAt }]
+      });
+    });
+
+    const record = await this.describe(name);
+    this.emit('created', record);
+    return record;
+  }
+
+  /**
+   * Store a stream as the new current version of an existing file. Job state
+   * is reset and `created` is emitted again, so thumbnails, media info and the
+   * search index follow the new content. Resolves with the file description;
+   * fails with a 404 error if the file is gone or in the trash.
+   */
+  async addVersion(filename, stream, { originalName, mimetype, uploadedBy = null }) {
+    await this.storeBlob(stream, filename, { originalName, mimetype }, ({ sha256, size, type }) => {
+      return this.withLock(`file:${filename}`, async () => {
+        const metadata = this.db.get(filename);
+        if (!metadata || metadata.trashed || metadata.quarantined) {
+          throw Object.assign(new Error('File not found'), { status: 404 });
+        }
+        this.putVersion(filename, metadata, {
+          sha256,
+          size,
+          ...contentType(type),
+          originalName,
+          uploadedBy,
+          uploadedAt: new Date().toISOString()
+        });
+      });
+    });
+    return this.versionAdded(filename);
+  }
+
+  /**
+   * Make an old version current again by appending a copy of it as the newest
+   * version. Resolves with the file description, or null if there is no such
+   * file or version.
+   */
+  async restoreVersion(filename, version, uploadedBy = null) {
+    const restored = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      const entry = metadata && !metadata.trashed && !metadata.quarantined
+        ? versionsOf(filename, metadata).find(candidate => candidate.version === version)
+        : null;
+      if (!entry) {
+        return false;
+      }
+      this.putVersion(filename, metadata, {
+        sha256: entry.sha256,
+        size: entry.size,
+        ...contentType(entry),
+        originalName: entry.originalName,
+        uploadedBy,
+        uploadedAt: new Date().toISOString(),
+        restoredFrom: entry.version
+      });
+      return true;
+    });
+    return restored ? this.versionAdded(filename) : null;
+  }
+
+  // Append a version entry and make it the current content of the record
+  putVersion(filename, metadata, entry) {
+    const versions = versionsOf(filename, metadata);
+    const version = versions[versions.length - 1].version + 1;
+    const { detectedType, typeMismatch, ...current } = catalogFields(metadata);
+    this.db.put(filename, {
+      ...current,
+      ...contentType(entry),
+      originalName: entry.originalName,
+      size: entry.size,
+      sha256: entry.sha256,
+      version,
+      versions: [...versions, { version, ...entry }]
+    });
+  }
+
+  async versionAdded(filename) {
+    if (Number.isFinite(this.maxVersions)) {
+      await this.pruneVersions(filename, { keep: this.maxVersions });
+    }
+    const record = await this.describe(filename);
+    this.emit('created', record);
+    return record;
+  }
+
+  /**
+   * Drop old versions of a file: all but the newest `keep` and/or those
+   * uploaded before `before`. The current version is always kept. Resolves
+   * with the removed version entries.
+   */
+  async pruneVersions(filename, { keep = Infinity, before = null } = {}) {
+    const pruned = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata) {
+        return [];
+      }
+      const versions = versionsOf(filename, metadata);
+      const cutoff = before ? Date.parse(before) : -Infinity;
+      const kept = versions.filter((entry, index) => {
+        const rank = versions.length - 1 - index; // 0 for the current version
+        return rank === 0 || (rank < keep && Date.parse(entry.uploadedAt) >= cutoff);
+      });
+      if (kept.length === versions.length) {
+        return [];
+      }
+      this.db.put(filename, { ...metadata, versions: kept });
+      return versions.filter(entry => !kept.includes(entry));
+    });
+
+    await this.releaseBlobs(filename, pruned);
+    return pruned;
+  }
+
+  /**
+   * Take back the newest version of a file, e.g. an upload that went over a
+   * quota, making the one before it current again. Resolves with the file
+   * description, or null if `version` is gone or the file's only version.
+   */
+  async dropVersion(filename, version) {
+    const dropped = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      const versions = metadata ? versionsOf(filename, metadata) : [];
+      const [previous, newest] = versions.slice(-2);
+      if (versions.length < 2 || newest.version !== version) {
+        return null;
+      }
+      const { detectedType, typeMismatch, ...current } = catalogFields(metadata);
+      this.db.put(filename, {
+        ...current,
+        ...contentType(previous),
+        originalName: previous.originalName,
+        size: previous.size,
+        sha256: previous.sha256,
+        version: previous.version,
+        versions: versions.slice(0, -1)
+      });
+      return newest;
+    });
+    if (!dropped) {
+      return null;
+    }
+
+    await this.releaseBlobs(filename, [dropped]);
+    const record = await this.describe(filename);
+    this.emit('created', record); // background jobs start over for the restored content
+    return record;
+  }
+
+  /**
+   * Let go of the content of dropped versions that no remaining version of the
+   * file uses; blobs are deleted once no file references them.
+   */
+  async releaseBlobs(filename, dropped) {
+    const metadata = this.db.get(filename);
+    const remaining = metadata ? versionsOf(filename, metadata) : [];
+    const keys = new Set(remaining.map(entry => contentKey(filename, entry)));
+    const refs = await this.loadRefs();
+
+    for (const key of new Set(dropped.map(entry => contentKey(filename, entry)))) {
+      if (keys.has(key)) {
+        continue;
+      }
+      if (key === filename) {
+        // Content stored before deduplication, under the file's own name
+        await this.storage.delete(filename);
+        continue;
+      }
+
+      const sha256 = key.slice(BLOB_PREFIX.length);
+      await this.withLock(sha256, async () => {
+        const holders = refs.get(sha256);
+        if (holders) {
+          holders.delete(filename);
+        }
+        if (!holders || holders.size === 0) {
+          refs.delete(sha256);
+          await this.storage.delete(key);
+          console.log(`Freed blob ${sha256}`);
+        }
+      });
+    }
+  }
+
+  // The raw database record of a file (including job state), or null
+  getMetadata(filename) {
+    return this.db.get(filename);
+  }
+
+  // Whether a file still holds the content `sha256`, e.g. before a background job stores what it made of it
+  hasContent(filename, sha256) {
+    const metadata = this.db.get(filename);
+    return Boolean(metadata) && metadata.sha256 === sha256;
+  }
+
+  /**
+   * Look up a file by a name taken from a request: a route parameter, a form
+   * field or an entry of a JSON list. Anything but a plain stored name (a
+   * path, `..`, an absolute or empty name, a non-string) is treated like a
+   * missing file, so every route answers it with a 404 without touching storage.
+   */
+  async resolve(name, options) {
+    return isStoredFilename(name) ? this.describe(name, options) : null;
+  }
+
+  /**
+   * Describe a logical file from its database record, or null if it is
+   * unknown. Files in the trash or the quarantine count as unknown unless
+   * `includeTrashed` or `includeQuarantined` is set.
+   */
+  async describe(filename, { includeTrashed = false, includeQuarantined = false } = {}) {
+    const metadata = this.db.get(filename);
+    if (!metadata || (metadata.trashed && !includeTrashed) || (metadata.quarantined && !includeQuarantined)) {
+      return null;
+    }
+
+    return {
+      filename,
+      originalName: metadata.originalName,
+      size: metadata.size,
+      uploadedAt: metadata.uploadedAt,
+      modifiedAt: currentVersion(filename, metadata).uploadedAt,
+      path: `/download/${filename}`,
+      mimetype: resolveMimeType(filename, metadata),
+      detectedType: metadata.detectedType || null,
+      ...(metadata.typeMismatch ? { typeMismatch: true } : {}),
+      folder: metadata.folder,
+      sha256: metadata.sha256,
+      owner: metadata.owner,
+      tags: metadata.tags,
+      version: metadata.version || 1,
+      media: metadata.media || null,
+      thumbnailUrl: metadata.thumbnail && metadata.thumbnail.status === 'ready' ? `/thumbnail/${filename}` : null,
+      hlsUrl: metadata.hls && metadata.hls.status === 'ready' ? `/hls/${filename}/master.m3u8` : null,
+      scan: metadata.scan || null,
+      ...(metadata.trashed ? { trashed: metadata.trashed } : {}),
+      ...(metadata.quarantined ? { quarantined: metadata.quarantined } : {})
+    };
+  }
+
+  // Every logical file with its metadata, not counting the trash
+  async list() {
+    const files = await Promise.all(this.db.keys().map(filename => this.describe(filename)));
+    return files.filter(Boolean);
+  }
+
+  // Every file including those in the trash or the quarantine
+  async listAll() {
+    const files = await Promise.all(this.db.keys().map(filename => this.describe(filename, { includeTrashed: true, includeQuarantined: true })));
+    return files.filter(Boolean);
+  }
+
+  // Every file in the trash
+  async listTrash() {
+    const files = await Promise.all(this.db.keys().map(filename => this.describe(filename, { includeTrashed: true })));
+    return files.filter(file => file && file.trashed);
+  }
+
+  // Every file in the quarantine, trashed or not
+  async listQuarantine() {
+    const files = await Promise.all(this.db.keys().map(filename => this.describe(filename, { includeTrashed: true, includeQuarantined: true })));
+    return files.filter(file => file && file.quarantined);
+  }
+
+  // Open a file's content, optionally an inclusive `{ start, end }` byte range of an older `version`
+  async open(filename, range, version = null) {
+    const metadata = this.db.get(filename);
+    if (!metadata) {
+      return this.storage.get(filename, range);
+    }
+    const entry = version === null ? metadata : versionsOf(filename, metadata).find(candidate => candidate.version === version);
+    if (!entry) {
+      throw Object.assign(new Error('Version not found'), { status: 404 });
+    }
+    return this.storage.get(contentKey(filename, entry), range);
+  }
+
+  // Every version of a file, oldest first, or null if the file is unknown
+  listVersions(filename) {
+    const metadata = this.db.get(filename);
+    if (!metadata) {
+      return null;
+    }
+    const current = metadata.version || 1;
+    return versionsOf(filename, metadata).map(entry => ({ ...entry, current: entry.version === current }));
+  }
+
+  /**
+   * Merge fields into a file's metadata; resolves false if the file is gone,
+   * or if `sha256` is given and the file's content has changed since.
+   */
+  async update(filename, changes, { sha256 } = {}) {
+    return this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata || (sha256 !== undefined && metadata.sha256 !== sha256)) {
+        return false;
+      }
+      this.db.put(filename, { ...metadata, ...changes });
+      return true;
+    }).then((updated) => {
+      if (updated) {
+        this.emit('updated', filename);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Record a malware scan verdict on every version whose content is
+   * `sha256`, and on the file itself while that is its current content.
+   * Resolves false if the file is gone.
+   */
+  async recordScan(filename, sha256, scan) {
+    return this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata) {
+        return false;
+      }
+      const versions = versionsOf(filename, metadata).map(entry => entry.sha256 === sha256 ? { ...entry, scan } : entry);
+      this.db.put(filename, { ...metadata, versions, ...(metadata.sha256 === sha256 ? { scan } : {}) });
+      return true;
+    }).then((updated) => {
+      if (updated) {
+        this.emit('updated', filename);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Move a file to the trash, recording when and by whom. Its content and
+   * metadata are kept until it is restored or removed; resolves false if the
+   * file is gone or already trashed.
+   */
+  async trash(filename, deletedBy) {
+    const trashed = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata || metadata.trashed) {
+        return false;
+      }
+      this.db.put(filename, { ...metadata, trashed: { deletedAt: new Date().toISOString(), deletedBy } });
+      return true;
+    });
+    if (trashed) {
+      this.emit('updated', filename);
+    }
+    return trashed;
+  }
+
+  // Take a file out of the trash, merging `changes` (e.g. a new folder); resolves false if it is not trashed
+  async restore(filename, changes = {}) {
+    const restored = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata || !metadata.trashed) {
+        return false;
+      }
+      const { trashed, ...rest } = metadata;
+      this.db.put(filename, { ...rest, ...changes });
+      return true;
+    });
+    if (restored) {
+      this.emit('updated', filename);
+    }
+    return restored;
+  }
+
+  /**
+   * Move a file to the quarantine with the `scan` verdict that put it there,
+   * provided its content is still `sha256`. Resolves false otherwise.
+   */
+  async quarantine(filename, sha256, scan) {
+    const quarantined = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata || metadata.sha256 !== sha256 || metadata.quarantined) {
+        return false;
+      }
+      this.db.put(filename, { ...metadata, scan, quarantined: { quarantinedAt: new Date().toISOString(), threat: scan.threat } });
+      return true;
+    });
+    if (quarantined) {
+      this.emit('updated', filename);
+    }
+    return quarantined;
+  }
+
+  // Let a file out of the quarantine with an updated `scan` entry; resolves false if it is not quarantined
+  async release(filename, scan) {
+    const released = await this.withLock(`file:${filename}`, async () => {
+      const metadata = this.db.get(filename);
+      if (!metadata || !metadata.quarantined) {
+        return false;
+      }
+      const { quarantined, ...rest } = metadata;
+      this.db.put(filename, { ...rest, scan });
+      return true;
+    });
+    if (released) {
+      this.emit('updated', filename);
+    }
+    return released;
+  }
+
+  /**
+   * Remove a logical file for good, with all its versions. Blobs are only
+   * deleted once no other file references the same content.
+   */
+  async remove(filename) {
+    const metadata = await this.withLock(`file:${filename}`, async () => {
+      const current = this.db.get(filename);
+      this.db.delete(filename);
+      // Data of files stored before deduplication, and any legacy sidecar
+      await this.storage.delete(filename);
+      return current;
+    });
+    this.emit('deleted', { filename, metadata });
+
+    if (metadata) {
+      await this.releaseBlobs(filename, versionsOf(filename, metadata));
+    }
+  }
+
+  // A database record for stored content that has no record yet
+  recordFor(filename, metadata, stats) {
+    return {
+      ...metadata,
+      originalName: metadata.originalName || filename,
+      mimetype: resolveMimeType(filename, metadata),
+      size: stats.size,
+      sha256: metadata.sha256 || null,
+      owner: metadata.owner || null,
+      folder: metadata.folder || '',
+      tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+      uploadedAt: metadata.uploadedAt || stats.mtime.toISOString()
+    };
+  }
+
+  /**
+   * One-time migration of the `<file>.meta` sidecars kept by the storage
+   * driver into the database. Safe to resume: files already in the database
+   * are skipped. The sidecars are left in place and removed with their file.
+   */
+  async importSidecars() {
+    let imported = 0;
+    for (const filename of await this.storage.list()) {
+      if (!isStoredFilename(filename) || this.db.has(filename)) {
+        continue;
+      }
+      const metadata = (await this.storage.getMetadata(filename)) || {};
+      const stats = await this.storage.stat(metadata.sha256 ? blobKey(metadata.sha256) : filename);
+      if (!stats) {
+        continue; // a sidecar whose content is gone; nothing to serve
+      }
+      this.db.put(filename, this.recordFor(filename, metadata, stats));
+      imported++;
+    }
+
+    this.db.markMigrated();
+    this.refs = null;
+    return imported;
+  }
+
+  /**
+   * Reconcile the database with what storage actually holds. Reports records
+   * whose content is missing, records with a wrong size, files in storage
+   * without a record, blobs no record points at and leftovers of interrupted
+   * uploads. With `fix`, missing records are dropped, sizes corrected, unknown
+   * files adopted and orphaned objects deleted. Meant to run before the server
+   * accepts uploads, since in-flight uploads look like leftovers.
+   */
+  async checkConsistency({ fix = false } = {}) {
+    const report = { missing: [], resized: [], adopted: [], orphanedBlobs: [], staleIncoming: [] };
+
+    for (const filename of this.db.keys()) {
+      const record = this.db.get(filename);
+      const stats = await this.storage.stat(record.sha256 ? blobKey(record.sha256) : filename);
+      if (!stats) {
+        report.missing.push(filename);
+        if (fix) {
+          this.db.delete(filename);
+          await this.storage.delete(filename);
+          this.emit('deleted', { filename, metadata: record });
+        }
+      } else if (stats.size !== record.size) {
+        report.resized.push(filename);
+        if (fix) {
+          // The content changed: keep the catalog fields and let background jobs start over
+          const core = catalogFields(record);
+          if (core.versions) {
+            core.versions = core.versions.map(entry => entry.version === core.version ? { ...entry, size: stats.size } : entry);
+          }
+          this.db.put(filename, { ...core, size: stats.size });
+          this.emit('created', await this.describe(filename));
+        }
+      }
+    }
+
+    for (const filename of await this.storage.list()) {
+      const stats = isStoredFilename(filename) && !this.db.has(filename) ? await this.storage.stat(filename) : null;
+      if (stats) {
+        report.adopted.push(filename);
+        if (fix) {
+          this.db.put(filename, this.recordFor(filename, (await this.storage.getMetadata(filename)) || {}, stats));
+          this.emit('created', await this.describe(filename));
+        }
+      }
+    }
+
+    const referenced = new Set(this.db.keys()
+      .flatMap(filename => versionsOf(filename, this.db.get(filename)))
+      .map(entry => entry.sha256)
+      .filter(Boolean));
+    for (const key of await this.storage.list(BLOB_PREFIX)) {
+      const sha256 = key.slice(BLOB_PREFIX.length);
+      if (!referenced.has(sha256)) {
+        report.orphanedBlobs.push(sha256);
+        if (fix) {
+          await this.storage.delete(key);
+        }
+      }
+    }
+
+    for (const key of await this.storage.list(INCOMING_PREFIX)) {
+      report.staleIncoming.push(key.slice(INCOMING_PREFIX.length));
+      if (fix) {
+        await this.storage.delete(key);
+      }
+    }
+
+    if (fix) {
+      this.refs = null;
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  FileStore
+};
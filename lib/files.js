@@ -0,0 +1,156 @@
+const path = require("path");
+const { getMimeType, registerMimeTypes, detectType } = require("./mime");
+
+const MAX_NAME_LENGTH = 255;
+
+// Generate unique stored filename with original extension
+function generateStoredName(originalName) {
+  const timestamp = Date.now();
+  const randomSuffix = Math.round(Math.random() * 1E9);
+  const originalExt = path.extname(originalName);
+  return `file-${timestamp}-${randomSuffix}${originalExt}`;
+}
+
+// Stored names are flat, visible file names; anything else (paths, `..`,
+// backslashes, control characters) is never a valid upload
+function isStoredFilename(filename) {
+  return typeof filename === 'string' &&
+    filename !== '' &&
+    filename.length <= MAX_NAME_LENGTH &&
+    path.basename(filename) === filename &&
+    !/[\\/\x00-\x1f\x7f]/.test(filename) &&
+    !filename.startsWith('.') &&
+    !filename.endsWith('.meta');
+}
+
+// Prefer the stored mimetype unless the client only sent a generic one
+function resolveMimeType(filename, metadata) {
+  if (metadata && metadata.mimetype && metadata.mimetype !== 'application/octet-stream') {
+    return metadata.mimetype;
+  }
+  return getMimeType(filename);
+}
+
+// Whether a mimetype can be played by the browser's video/audio element
+function isPlayableMedia(mimetype) {
+  return /^(video|audio)\//.test(mimetype || '');
+}
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validate the name of an uploaded file as sent by the client
+function checkOriginalName(name) {
+  if (typeof name !== 'string' || name.trim() === '' || /[\x00-\x1f\x7f]/.test(name)) {
+    throw invalid('Invalid filename');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw invalid(`Filenames can be at most ${MAX_NAME_LENGTH} characters long`);
+  }
+}
+
+// Validate user supplied tags: trimmed, lowercased and without duplicates
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw invalid('Tags must be an array of strings');
+  }
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    throw invalid(`A file can have at most ${MAX_TAGS} tags`);
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw invalid(`Tags can be at most ${MAX_TAG_LENGTH} characters long`);
+  }
+  return normalized;
+}
+
+// Percent-encoding for RFC 5987 `filename*` values (attr-char only)
+function encodeRfc5987(value) {
+  return encodeURIComponent(value).replace(/['()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * `Content-Disposition` header for sending a file under the name the user
+ * gave it. Only the last path segment is used; `filename` carries a plain
+ * ASCII fallback for old clients and `filename*` the exact UTF-8 name.
+ */
+function contentDisposition(name, type = 'attachment') {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim() || 'download';
+  const fallback = base.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  return fallback === base
+    ? `${type}; filename="${base}"`
+    : `${type}; filename="${fallback}"; filename*=UTF-8''${encodeRfc5987(base)}`;
+}
+
+// Human readable size, e.g. for error messages
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function unsupported(message) {
+  const err = new Error(message);
+  err.status = 415;
+  return err;
+}
+
+function matchesType(mimetype, patterns) {
+  return patterns.some(pattern => pattern === mimetype || (pattern.endsWith('/*') && mimetype.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Enforce the configured allow and deny lists of extensions and MIME types
+ * (`video/*` wildcards allowed) on an upload. The type is the one sent by the
+ * client, or guessed from the extension when that is generic. Throws a 415
+ * error for rejected files; deny lists win over allow lists.
+ */
+function checkFileType(originalName, mimetype, { allowedExtensions = [], deniedExtensions = [], allowedTypes = [], deniedTypes = [] } = {}) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  const type = resolveMimeType(originalName || '', { mimetype }).toLowerCase();
+
+  if (deniedExtensions.includes(ext) || (allowedExtensions.length > 0 && !allowedExtensions.includes(ext))) {
+    throw unsupported(`Files of type ${ext || '(no extension)'} are not allowed`);
+  }
+  if (matchesType(type, deniedTypes) || (allowedTypes.length > 0 && !matchesType(type, allowedTypes))) {
+    throw unsupported(`Files of type ${type} are not allowed`);
+  }
+}
+
+/**
+ * Type an upload from its first bytes (see `detectType`) and apply the
+ * upload policy to what the content really is: a mismatch with the extension
+ * is rejected with 415 unless `typeMismatch` is 'flag', and the allow and
+ * deny lists are checked again against the detected type.
+ */
+function checkFileContent(head, { originalName, mimetype }, { typeMismatch = 'reject', ...types } = {}) {
+  const type = detectType(head, { originalName, mimetype });
+  if (type.mismatch && typeMismatch === 'reject') {
+    throw unsupported(`File content (${type.detectedType}) does not match its extension`);
+  }
+  checkFileType(originalName, type.mimetype, types);
+  return type;
+}
+
+module.exports = {
+  generateStoredName,
+  isStoredFilename,
+  resolveMimeType,
+  isPlayableMedia,
+  normalizeTags,
+  checkOriginalName,
+  formatBytes,
+  contentDisposition,
+  getMimeType,
+  registerMimeTypes,
+  checkFileType,
+  checkFileContent
+};
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+
+// Error carrying the HTTP status the route should answer with
+function folderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Normalize a client supplied folder path to `a/b/c` form ('' is the root).
+ * Folders are virtual, but paths are still validated strictly so that a
+ * folder name can never be used to address anything outside the store.
+ */
+function normalizeFolderPath(input) {
+  if (input === undefined || input === null) {
+    return '';
+  }
+  if (typeof input !== 'string') {
+    throw folderError(400, 'Invalid folder path');
+  }
+
+  const segments = input.split('/').filter(segment => segment !== '');
+  segments.forEach(validateFolderName);
+
+  return segments.join('/');
+}
+
+function validateFolderName(name) {
+  if (typeof name !== 'string' || name.trim() === '' || name !== name.trim()) {
+    throw folderError(400, 'Invalid folder name');
+  }
+  if (name === '.' || name === '..' || /[\\/\x00-\x1f\x7f]/.test(name)) {
+    throw folderError(400, `Invalid folder name: ${name}`);
+  }
+  if (name.length > 255) {
+    throw folderError(400, 'Folder name too long');
+  }
+}
+
+function parentOf(folderPath) {
+  const index = folderPath.lastIndexOf('/');
+  return index === -1 ? '' : folderPath.slice(0, index);
+}
+
+function baseName(folderPath) {
+  return folderPath.slice(folderPath.lastIndexOf('/') + 1);
+}
+
+// Whether `folderPath` is `ancestor` itself or nested anywhere below it
+function isWithin(folderPath, ancestor) {
+  return ancestor === '' || folderPath === ancestor || folderPath.startsWith(ancestor + '/');
+}
+
+// Root-to-leaf trail for a folder, starting with the storage root
+function breadcrumbs(folderPath) {
+  const crumbs = [{ name: 'Home', path: '' }];
+  let current = '';
+
+  for (const segment of folderPath ? folderPath.split('/') : []) {
+    current = current ? `${current}/${segment}` : segment;
+    crumbs.push({ name: segment, path: current });
+  }
+
+  return crumbs;
+}
+
+/**
+ * Registry of virtual folders, persisted as a JSON list of paths. Files keep
+ * their folder in their own metadata; the registry makes empty folders
+ * durable and lets renames and moves be validated up front.
+ */
+class FolderStore {
+  constructor({ file }) {
+    this.file = file;
+    this.folders = new Set();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const { folders } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.folders = new Set(folders || []);
+    } catch (err) {
+      console.error('Error reading folder registry:', err);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ folders: this.list() }));
+    fs.renameSync(tmp, this.file);
+  }
+
+  list() {
+    return [...this.folders].sort();
+  }
+
+  exists(folderPath) {
+    return folderPath === '' || this.folders.has(folderPath);
+  }
+
+  // Immediate subfolders of a folder
+  children(folderPath) {
+    return this.list().filter(folder => folder !== '' && parentOf(folder) === folderPath);
+  }
+
+  // Create a folder along with any missing parents
+  create(folderPath) {
+    if (folderPath === '') {
+      throw folderError(400, 'Folder path is required');
+    }
+    if (this.folders.has(folderPath)) {
+      throw folderError(409, 'Folder already exists');
+    }
+
+    let current = '';
+    for (const segment of folderPath.split('/')) {
+      current = current ? `${current}/${segment}` : segment;
+      this.folders.add(current);
+    }
+    this.save();
+  }
+
+  /**
+   * Move a folder and everything below it to `targetPath`. Returns a function
+   * that maps an old nested path to its new location, for updating files.
+   */
+  relocate(folderPath, targetPath) {
+    if (!this.folders.has(folderPath)) {
+      throw folderError(404, 'Folder not found');
+    }
+    if (targetPath === '') {
+      throw folderError(400, 'Folder path is required');
+    }
+    if (isWithin(targetPath, folderPath)) {
+      throw folderError(400, 'Cannot move a folder into itself');
+    }
+    if (this.folders.has(targetPath)) {
+      throw folderError(409, 'A folder with that name already exists');
+    }
+    if (!this.exists(parentOf(targetPath))) {
+      throw folderError(404, 'Destination folder not found');
+    }
+
+    const remap = (nested) => targetPath + nested.slice(folderPath.length);
+    this.folders = new Set(this.list().map(folder => isWithin(folder, folderPath) ? remap(folder) : folder));
+    this.save();
+
+    return remap;
+  }
+
+  // Remove a folder and all of its subfolders from the registry
+  remove(folderPath) {
+    if (!this.folders.has(folderPath)) {
+      throw folderError(404, 'Folder not found');
+    }
+    this.folders = new Set(this.list().filter(folder => !isWithin(folder, folderPath)));
+    this.save();
+  }
+}
+
+module.exports = {
+  FolderStore,
+  normalizeFolderPath,
+  validateFolderName,
+  parentOf,
+  baseName,
+  isWithin,
+  breadcrumbs
+};
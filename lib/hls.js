@@ -0,0 +1,241 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline, Readable } = require("stream");
+const { findFfmpeg, runFfmpeg } = require("./ffmpeg");
+
+const SEGMENT_SECONDS = 6;
+const TRANSCODE_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours per rendition
+
+// The ladder, lowest first; a video gets every rung up to its own height
+const RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 800000, audioBitrate: 96000 },
+  { name: '480p', height: 480, videoBitrate: 1400000, audioBitrate: 128000 },
+  { name: '720p', height: 720, videoBitrate: 2800000, audioBitrate: 128000 },
+  { name: '1080p', height: 1080, videoBitrate: 5000000, audioBitrate: 192000 }
+];
+
+const PLAYLIST_TYPE = 'application/vnd.apple.mpegurl';
+const SEGMENT_TYPE = 'video/mp2t';
+
+function hlsPrefix(filename) {
+  return `.hls/${filename}/`;
+}
+
+// Renditions worth producing for a source of `height` pixels (the lowest one always)
+function selectRenditions(height) {
+  const fitting = height ? RENDITIONS.filter(rendition => rendition.height <= height) : [];
+  return fitting.length > 0 ? fitting : [RENDITIONS[0]];
+}
+
+// Output size of a rendition, keeping the aspect ratio with even dimensions
+function outputSize(rendition, media) {
+  if (!media || !media.width || !media.height) {
+    return null;
+  }
+  const height = Math.min(rendition.height, media.height - (media.height % 2));
+  const width = Math.round(media.width * height / media.height / 2) * 2;
+  return { width, height };
+}
+
+function masterPlaylist(renditions) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of renditions) {
+    const attributes = [`BANDWIDTH=${rendition.bandwidth}`];
+    if (rendition.width) {
+      attributes.push(`RESOLUTION=${rendition.width}x${rendition.height}`);
+    }
+    attributes.push(`NAME="${rendition.name}"`);
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${rendition.name}/index.m3u8`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Background HLS packaging. Uploaded videos are transcoded with ffmpeg into
+ * an H.264/AAC rendition ladder of 6 second MPEG-TS segments, stored as hidden
+ * `.hls/<filename>/` objects next to a generated `master.m3u8`. The file's
+ * metadata records `hls: { status }` (`pending`, `processing`, `ready` or
+ * `failed`); progress of the running job is only kept in memory.
+ */
+class HlsService {
+  constructor({ fileStore, storage, queue, mediaInfo, ffmpegPath = 'ffmpeg' }) {
+    this.fileStore = fileStore;
+    this.storage = storage;
+    this.queue = queue;
+    this.mediaInfo = mediaInfo;
+    this.queued = new Set(); // filename:sha256 of queued jobs
+    this.progress = new Map(); // filename:sha256 -> 0..1 while transcoding
+    this.ffmpegPath = findFfmpeg(ffmpegPath);
+  }
+
+  attach() {
+    this.fileStore.on('created', (file) => {
+      this.schedule(file).catch(err => console.error('Failed to schedule HLS packaging:', file.filename, err));
+    });
+    this.fileStore.on('deleted', ({ filename }) => {
+      this.remove(filename).catch(err => console.error('Failed to remove HLS renditions:', filename, err));
+    });
+    return this;
+  }
+
+  supports(mimetype) {
+    return Boolean(this.ffmpegPath) && /^video\//.test(mimetype || '');
+  }
+
+  async schedule(file) {
+    if (!this.supports(file.mimetype)) {
+      return false;
+    }
+
+    if (!(await this.fileStore.update(file.filename, { hls: { status: 'pending' } }, { sha256: file.sha256 }))) {
+      return false;
+    }
+    const key = `${file.filename}:${file.sha256}`;
+    this.queued.add(key);
+    this.queue.push(file.filename, () => this.package(file))
+      .catch(() => {})
+      .finally(() => {
+        this.queued.delete(key);
+        this.progress.delete(key);
+      });
+    return true;
+  }
+
+  /**
+   * Packaging status of a file (`unsupported` for non-videos or without
+   * ffmpeg). Videos stored before HLS existed, or whose job was lost in a
+   * restart, are queued on first request.
+   */
+  async status(file) {
+    const metadata = this.fileStore.getMetadata(file.filename);
+    const hls = (metadata && metadata.hls) || null;
+
+    if (hls && (hls.status === 'ready' || hls.status === 'failed')) {
+      return hls;
+    }
+    const key = `${file.filename}:${file.sha256}`;
+    if (this.queued.has(key)) {
+      const progress = this.progress.get(key);
+      return progress === undefined ? hls : { ...hls, progress: Math.round(progress * 100) / 100 };
+    }
+    return (await this.schedule(file)) ? { status: 'pending' } : { status: 'unsupported' };
+  }
+
+  async package(file) {
+    const key = `${file.filename}:${file.sha256}`;
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hls-'));
+    try {
+      await this.fileStore.update(file.filename, { hls: { status: 'processing', startedAt: new Date().toISOString() } }, { sha256: file.sha256 });
+      this.progress.set(key, 0);
+
+      // ffmpeg needs a seekable input, so the video is copied to a temp file first
+      const input = path.join(workDir, 'source');
+      const source = await this.fileStore.open(file.filename, undefined, file.version);
+      await new Promise((resolve, reject) => {
+        pipeline(source, fs.createWriteStream(input), err => err ? reject(err) : resolve());
+      });
+
+      const media = this.mediaInfo ? await this.mediaInfo.ensure(file) : null;
+      const ladder = selectRenditions(media && media.height);
+      const renditions = [];
+
+      for (const [index, rendition] of ladder.entries()) {
+        const outputDir = path.join(workDir, rendition.name);
+        await fs.promises.mkdir(outputDir);
+        await this.transcode(input, outputDir, rendition, (seconds) => {
+          const done = media && media.duration ? Math.min(seconds / media.duration, 1) : 0;
+          this.progress.set(key, (index + done) / ladder.length);
+        });
+        renditions.push({
+          name: rendition.name,
+          ...outputSize(rendition, media),
+          bandwidth: Math.round((rendition.videoBitrate + rendition.audioBitrate) * 1.1)
+        });
+      }
+
+      // A new version's job packages its own renditions: don't overwrite them
+      if (!this.fileStore.hasContent(file.filename, file.sha256)) {
+        return;
+      }
+      for (const rendition of renditions) {
+        const outputDir = path.join(workDir, rendition.name);
+        for (const name of await fs.promises.readdir(outputDir)) {
+          await this.storage.put(`${hlsPrefix(file.filename)}${rendition.name}/${name}`, fs.createReadStream(path.join(outputDir, name)));
+        }
+      }
+      await this.storage.put(`${hlsPrefix(file.filename)}master.m3u8`, Readable.from([masterPlaylist(renditions)]));
+
+      // The file may have been deleted (or replaced) while we were busy
+      const hls = { status: 'ready', renditions, segmentDuration: SEGMENT_SECONDS, generatedAt: new Date().toISOString() };
+      if (!(await this.fileStore.update(file.filename, { hls }, { sha256: file.sha256 }))) {
+        if (!this.fileStore.getMetadata(file.filename)) {
+          await this.remove(file.filename);
+        }
+        return;
+      }
+      console.log(`HLS renditions (${renditions.map(r => r.name).join(', ')}) packaged for: ${file.filename}`);
+    } catch (err) {
+      // Renditions of a newer version are left alone
+      const recorded = await this.fileStore.update(file.filename, { hls: { status: 'failed', error: err.message } }, { sha256: file.sha256 });
+      if (recorded || !this.fileStore.getMetadata(file.filename)) {
+        await this.remove(file.filename).catch(() => {});
+      }
+      throw err;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  transcode(input, outputDir, rendition, onProgress) {
+    return runFfmpeg(this.ffmpegPath, [
+      '-i', input,
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      // Never upscale; libx264 needs even dimensions
+      '-vf', `scale=-2:trunc(min(${rendition.height}\\,ih)/2)*2`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-pix_fmt', 'yuv420p',
+      '-b:v', String(rendition.videoBitrate),
+      '-maxrate', String(Math.round(rendition.videoBitrate * 1.07)),
+      '-bufsize', String(rendition.videoBitrate * 1.5),
+      // A keyframe at every segment boundary keeps renditions switchable
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+      '-sc_threshold', '0',
+      '-c:a', 'aac',
+      '-b:a', String(rendition.audioBitrate),
+      '-ac', '2',
+      '-f', 'hls',
+      '-hls_time', String(SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(outputDir, 'segment-%03d.ts'),
+      path.join(outputDir, 'index.m3u8')
+    ], { timeout: TRANSCODE_TIMEOUT, onProgress });
+  }
+
+  // Stream a playlist or segment (`master.m3u8` or `<rendition>/<name>`), or null if it does not exist
+  async open(filename, name) {
+    const key = hlsPrefix(filename) + name;
+    const stats = await this.storage.stat(key);
+    return stats ? { size: stats.size, open: (range) => this.storage.get(key, range) } : null;
+  }
+
+  async remove(filename) {
+    for (const rendition of RENDITIONS) {
+      const prefix = `${hlsPrefix(filename)}${rendition.name}/`;
+      for (const key of await this.storage.list(prefix)) {
+        await this.storage.delete(key);
+      }
+    }
+    await this.storage.delete(`${hlsPrefix(filename)}master.m3u8`);
+  }
+}
+
+module.exports = {
+  HlsService,
+  RENDITIONS,
+  PLAYLIST_TYPE,
+  SEGMENT_TYPE
+};
@@ -0,0 +1,110 @@
+/**
+ * Validators, cache policies and conditional requests (RFC 9110 section 13)
+ * for file responses.
+ *
+ * Stored files get a strong ETag from their content hash, so every version
+ * and every deduplicated copy of the same bytes share one tag; files without
+ * a hash and plain files on disk fall back to their size and modification
+ * time.
+ */
+
+// Strong entity tag for `{ sha256 }` content, else `{ size, lastModified }`
+function entityTag({ sha256, size, lastModified }) {
+  if (sha256) {
+    return `"${sha256}"`;
+  }
+  return `"${size.toString(16)}-${Math.floor(lastModified.getTime() / 1000).toString(16)}"`;
+}
+
+// HTTP dates have whole seconds
+function toHttpDate(date) {
+  return new Date(Math.floor(date.getTime() / 1000) * 1000);
+}
+
+/**
+ * Validators of a response: pass `sha256` (when known), `size` and the
+ * `lastModified` date of the content.
+ */
+function validators({ sha256 = null, size, lastModified }) {
+  const modified = toHttpDate(lastModified instanceof Date ? lastModified : new Date(lastModified));
+  return {
+    etag: entityTag({ sha256, size, lastModified: modified }),
+    lastModified: modified
+  };
+}
+
+// `Cache-Control` for a mimetype: an exact entry of `policies`, then a `type/*` one, then the default
+function cacheControlFor(mimetype, { cacheControl, cachePolicies = {} }) {
+  const type = (mimetype || '').toLowerCase();
+  return cachePolicies[type] || cachePolicies[`${type.split('/')[0]}/*`] || cacheControl;
+}
+
+function parseDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Entity tags listed in an If-None-Match header, compared weakly (ignoring `W/`)
+function matchesAny(header, etag) {
+  if (header.trim() === '*') {
+    return true;
+  }
+  const opaque = etag.replace(/^W\//, '');
+  return header.split(',').some(candidate => candidate.trim().replace(/^W\//, '') === opaque);
+}
+
+/**
+ * Evaluate the conditional headers of a GET or HEAD request against the
+ * validators of the current representation:
+ *   - `notModified`: If-None-Match matches, or without it, nothing changed
+ *     since If-Modified-Since; answer 304
+ *   - `rangeAllowed`: no If-Range, or it still names the current
+ *     representation (strong ETag comparison, or the exact Last-Modified);
+ *     otherwise the Range header must be ignored and the whole file sent
+ */
+function evaluateConditions(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  let notModified = false;
+  if (ifNoneMatch !== undefined) {
+    notModified = matchesAny(ifNoneMatch, etag);
+  } else {
+    const since = parseDate(req.headers['if-modified-since']);
+    notModified = since !== null && lastModified.getTime() <= since;
+  }
+
+  const ifRange = req.headers['if-range'];
+  let rangeAllowed = true;
+  if (ifRange !== undefined) {
+    const value = ifRange.trim();
+    rangeAllowed = value.startsWith('"') || value.startsWith('W/')
+      ? value === etag
+      : parseDate(value) === lastModified.getTime();
+  }
+
+  return { notModified, rangeAllowed };
+}
+
+/**
+ * Set ETag, Last-Modified and Cache-Control on a file response and answer
+ * it with 304 if the client's copy is current. Returns `notModified` (the
+ * response has been sent) and the `range` header to honour, which is
+ * dropped when If-Range no longer matches.
+ */
+function handleConditional(req, res, fileValidators, cacheControl) {
+  res.setHeader('ETag', fileValidators.etag);
+  res.setHeader('Last-Modified', fileValidators.lastModified.toUTCString());
+  res.setHeader('Cache-Control', cacheControl);
+
+  const { notModified, rangeAllowed } = evaluateConditions(req, fileValidators);
+  if (notModified) {
+    res.status(304).end();
+  }
+  return { notModified, range: rangeAllowed ? req.headers.range : undefined };
+}
+
+module.exports = {
+  validators,
+  cacheControlFor,
+  evaluateConditions,
+  handleConditional
+};
@@ -0,0 +1,17 @@
+/**
+ * Answer a failed API request. Errors with a `status` (bad input, missing
+ * objects, conflicts, quotas, ...) are expected and sent as `{ error }` with
+ * that status, along with any `details` fields they carry; anything else is
+ * logged and answered with 500 and the `fallback` message.
+ */
+function sendError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+module.exports = {
+  sendError
+};
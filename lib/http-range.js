@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const { pipeline, finished } = require("stream");
+
+// More ranges than this in one request are ignored and the whole file is sent
+const MAX_RANGES = 50;
+
+/**
+ * Parse a `Range` header (RFC 9110 section 14) against a representation of
+ * `size` bytes. Understands `first-last`, open-ended `first-` and suffix
+ * `-length` ranges, clamps ranges that run past the end and merges ranges
+ * that overlap or touch.
+ *
+ * Returns null when the header is absent or must be ignored (another unit,
+ * invalid syntax, too many ranges), so the whole file is sent with 200, and
+ * otherwise the satisfiable ranges as `{ start, end }` with inclusive ends.
+ * An empty array means none is satisfiable: answer 416.
+ */
+function parseRange(header, size) {
+  if (typeof header !== 'string') {
+    return null;
+  }
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = Number(parts[2]);
+      if (length === 0) {
+        continue;
+      }
+      start = Math.max(size - length, 0);
+      end = size - 1;
+    } else {
+      start = Number(parts[1]);
+      if (parts[2] !== '' && Number(parts[2]) < start) {
+        return null;
+      }
+      end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+    }
+
+    // Ranges starting at or past the end can't be satisfied
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+
+  return coalesce(ranges);
+}
+
+// Merge overlapping or adjacent ranges; ranges that don't touch keep their order
+function coalesce(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const touching = sorted.some((range, i) => i > 0 && range.start <= sorted[i - 1].end + 1);
+  if (!touching) {
+    return ranges;
+  }
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+  return merged;
+}
+
+function logStreamError(err) {
+  if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+    console.error('Streaming error:', err);
+  }
+}
+
+// Write each part of a multipart/byteranges body in turn
+async function writeParts(res, parts, boundary, open) {
+  let source = null;
+  res.once('close', () => source && source.destroy());
+  for (const part of parts) {
+    if (res.destroyed) {
+      return;
+    }
+    res.write(part.head);
+    source = await open({ start: part.start, end: part.end });
+    await new Promise((resolve, reject) => {
+      finished(source, err => err ? reject(err) : resolve());
+      source.pipe(res, { end: false });
+    });
+    res.write('\r\n');
+  }
+  res.end(`--${boundary}--\r\n`);
+}
+
+/**
+ * Send a representation of `size` bytes, honouring a Range header: the
+ * whole file with 200, one range with 206, several as a 206
+ * `multipart/byteranges` body, or 416 with `Content-Range: bytes *\/size`
+ * when nothing is satisfiable. `open({ start, end })` resolves with a stream
+ * of those bytes; `headers` are added to every successful response. HEAD
+ * requests get the headers only.
+ */
+async function sendRanges(req, res, { size, contentType, range, headers = {}, open }) {
+  const ranges = parseRange(range, size);
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  if (ranges && ranges.length === 0) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).json({ error: "Requested range not satisfiable" });
+    return;
+  }
+
+  if (!ranges || ranges.length === 1) {
+    const bounds = ranges ? ranges[0] : null;
+    res.writeHead(bounds ? 206 : 200, {
+      ...headers,
+      "Content-Type": contentType,
+      "Content-Length": bounds ? bounds.end - bounds.start + 1 : size,
+      ...(bounds ? { "Content-Range": `bytes ${bounds.start}-${bounds.end}/${size}` } : {})
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    pipeline(await open(bounds || {}), res, logStreamError);
+    return;
+  }
+
+  // Several ranges: each part carries its own type and range
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  }));
+  const length = parts.reduce((sum, part) => sum + Buffer.byteLength(part.head) + (part.end - part.start + 1) + 2, 0) +
+    Buffer.byteLength(`--${boundary}--\r\n`);
+
+  res.writeHead(206, {
+    ...headers,
+    "Content-Type": `multipart/byteranges; boundary=${boundary}`,
+    "Content-Length": length
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  writeParts(res, parts, boundary, open).catch((err) => {
+    logStreamError(err);
+    res.destroy(err);
+  });
+}
+
+module.exports = {
+  parseRange,
+  sendRanges
+};
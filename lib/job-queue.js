@@ -0,0 +1,48 @@
+/**
+ * In-process background job queue running at most `concurrency` jobs at a
+ * time. Jobs live in memory only; work that must survive a restart has to be
+ * rediscovered by its owner (e.g. from file metadata) and queued again.
+ */
+class JobQueue {
+  constructor({ name, concurrency = 1 }) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.pending = [];
+    this.running = 0;
+  }
+
+  get size() {
+    return this.pending.length + this.running;
+  }
+
+  // Queue `task`; resolves or rejects with its result once it has run
+  push(label, task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ label, task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.running >= this.concurrency || this.pending.length === 0) {
+      return;
+    }
+
+    const job = this.pending.shift();
+    this.running++;
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, (err) => {
+        console.error(`${this.name} job failed (${job.label}):`, err.message);
+        job.reject(err);
+      })
+      .finally(() => {
+        this.running--;
+        this.next();
+      });
+  }
+}
+
+module.exports = {
+  JobQueue
+};
@@ -0,0 +1,481 @@
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+
+const MAX_MOOV_SIZE = 64 * 1024 * 1024; // 64MB
+const MATROSKA_HEADER_SIZE = 2 * 1024 * 1024; // Info and Tracks sit before the first cluster
+
+// Friendly names for the sample entry / codec ids we know about
+const MP4_CODECS = {
+  avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', av01: 'av1', vp08: 'vp8', vp09: 'vp9', mp4v: 'mpeg4',
+  mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', fLaC: 'flac', '.mp3': 'mp3', alac: 'alac'
+};
+const MATROSKA_CODECS = {
+  V_VP8: 'vp8', V_VP9: 'vp9', V_AV1: 'av1', 'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', V_THEORA: 'theora',
+  A_OPUS: 'opus', A_VORBIS: 'vorbis', A_AAC: 'aac', A_MPEG_L3: 'mp3', A_FLAC: 'flac', A_AC3: 'ac3', A_EAC3: 'eac3'
+};
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Summary fields shared by every container: duration and average bitrate
+function summarize(format, { duration, size, tracks }) {
+  const video = tracks.find(track => track.type === 'video');
+  const audio = tracks.find(track => track.type === 'audio');
+  return {
+    format,
+    duration: duration ? round(duration) : null,
+    bitrate: duration && size ? Math.round(size * 8 / duration) : null,
+    width: video ? video.width : null,
+    height: video ? video.height : null,
+    videoCodec: video ? video.codec : null,
+    audioCodec: audio ? audio.codec : null,
+    tracks
+  };
+}
+
+// ---------------------------------------------------------------------------
+// MP4 / MOV (ISO base media file format)
+
+// Child boxes of `buffer`, as { type, start (payload offset), end }
+function mp4Boxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) {
+      break;
+    }
+    boxes.push({ type, start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+function mp4Child(buffer, box, type) {
+  return mp4Boxes(buffer, box.start, box.end).find(child => child.type === type);
+}
+
+// Timescale and duration from a version 0/1 mvhd or mdhd full box
+function mp4Timing(buffer, box) {
+  const version = buffer[box.start];
+  return version === 1
+    ? { timescale: buffer.readUInt32BE(box.start + 20), duration: Number(buffer.readBigUInt64BE(box.start + 24)) }
+    : { timescale: buffer.readUInt32BE(box.start + 12), duration: buffer.readUInt32BE(box.start + 16) };
+}
+
+function mp4Track(buffer, trak) {
+  const mdia = mp4Child(buffer, trak, 'mdia');
+  const hdlr = mdia && mp4Child(buffer, mdia, 'hdlr');
+  if (!hdlr) {
+    return null;
+  }
+
+  const handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+  const type = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : null;
+  if (!type) {
+    return null;
+  }
+
+  const track = { type };
+  const mdhd = mp4Child(buffer, mdia, 'mdhd');
+  if (mdhd) {
+    const { timescale, duration } = mp4Timing(buffer, mdhd);
+    track.duration = timescale ? round(duration / timescale) : null;
+  }
+
+  const minf = mp4Child(buffer, mdia, 'minf');
+  const stbl = minf && mp4Child(buffer, minf, 'stbl');
+  const stsd = stbl && mp4Child(buffer, stbl, 'stsd');
+  const entry = stsd && mp4Boxes(buffer, stsd.start + 8, stsd.end)[0];
+  if (entry) {
+    track.codec = MP4_CODECS[entry.type] || entry.type.trim();
+    if (type === 'video' && entry.start + 28 <= entry.end) {
+      track.width = buffer.readUInt16BE(entry.start + 24);
+      track.height = buffer.readUInt16BE(entry.start + 26);
+    } else if (type === 'audio' && entry.start + 28 <= entry.end) {
+      track.channels = buffer.readUInt16BE(entry.start + 16);
+      track.sampleRate = buffer.readUInt32BE(entry.start + 24) >>> 16;
+    }
+  }
+
+  // Fall back to the track header's presentation size
+  if (type === 'video' && !track.width) {
+    const tkhd = mp4Child(buffer, trak, 'tkhd');
+    if (tkhd) {
+      track.width = buffer.readUInt32BE(tkhd.end - 8) >>> 16;
+      track.height = buffer.readUInt32BE(tkhd.end - 4) >>> 16;
+    }
+  }
+
+  return track;
+}
+
+async function probeMp4(read, size) {
+  // Walk the top-level boxes by their headers until `moov`, which may follow `mdat`
+  let offset = 0;
+  let moov = null;
+  while (offset + 8 <= size) {
+    const header = await read(offset, 16);
+    let boxSize = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    if (boxSize === 1) {
+      boxSize = Number(header.readBigUInt64BE(8));
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < 8) {
+      break;
+    }
+    if (type === 'moov') {
+      if (boxSize > MAX_MOOV_SIZE) {
+        throw new Error('MP4 moov box too large');
+      }
+      moov = await read(offset, boxSize);
+      break;
+    }
+    offset += boxSize;
+  }
+
+  if (!moov) {
+    throw new Error('MP4 moov box not found');
+  }
+
+  const root = mp4Boxes(moov)[0];
+  const mvhd = mp4Child(moov, root, 'mvhd');
+  const timing = mvhd ? mp4Timing(moov, mvhd) : null;
+  const tracks = mp4Boxes(moov, root.start, root.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => mp4Track(moov, trak))
+    .filter(Boolean);
+
+  return summarize('mp4', {
+    duration: timing && timing.timescale ? timing.duration / timing.timescale : null,
+    size,
+    tracks
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Matroska / WebM (EBML)
+
+const EBML = {
+  Header: 0x1A45DFA3, DocType: 0x4282,
+  Segment: 0x18538067, Info: 0x1549A966, TimecodeScale: 0x2AD7B1, Duration: 0x4489,
+  Tracks: 0x1654AE6B, TrackEntry: 0xAE, TrackType: 0x83, CodecID: 0x86, DefaultDuration: 0x23E383,
+  Video: 0xE0, PixelWidth: 0xB0, PixelHeight: 0xBA,
+  Audio: 0xE1, SamplingFrequency: 0xB5, Channels: 0x9F,
+  Cluster: 0x1F43B675
+};
+
+// Read an EBML variable-length integer; ids keep their length marker bits
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) {
+    return null;
+  }
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let unknown = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    unknown = unknown && buffer[offset + i] === 0xFF;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+// Child elements of a master element, as { id, start, end }; unknown sizes run to `end`
+function ebmlElements(buffer, start, end) {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) {
+      break;
+    }
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    elements.push({ id: id.value, start: dataStart, end: dataEnd, truncated: !size.unknown && dataStart + size.value > end });
+    if (size.unknown) {
+      break;
+    }
+    offset = dataStart + size.value;
+  }
+  return elements;
+}
+
+function ebmlUint(buffer, element) {
+  let value = 0;
+  for (let i = element.start; i < element.end; i++) {
+    value = value * 256 + buffer[i];
+  }
+  return value;
+}
+
+function ebmlFloat(buffer, element) {
+  const length = element.end - element.start;
+  if (length === 4) {
+    return buffer.readFloatBE(element.start);
+  }
+  return length === 8 ? buffer.readDoubleBE(element.start) : null;
+}
+
+function ebmlString(buffer, element) {
+  return buffer.toString('utf8', element.start, element.end).replace(/\0+$/, '');
+}
+
+function matroskaTrack(buffer, entry) {
+  const fields = ebmlElements(buffer, entry.start, entry.end);
+  const get = id => fields.find(field => field.id === id);
+
+  const trackType = get(EBML.TrackType) ? ebmlUint(buffer, get(EBML.TrackType)) : null;
+  const type = trackType === 1 ? 'video' : trackType === 2 ? 'audio' : null;
+  if (!type) {
+    return null;
+  }
+
+  const codecId = get(EBML.CodecID) ? ebmlString(buffer, get(EBML.CodecID)) : null;
+  const track = { type, codec: codecId ? MATROSKA_CODECS[codecId] || codecId : null };
+
+  if (type === 'video' && get(EBML.Video)) {
+    const video = ebmlElements(buffer, get(EBML.Video).start, get(EBML.Video).end);
+    const width = video.find(field => field.id === EBML.PixelWidth);
+    const height = video.find(field => field.id === EBML.PixelHeight);
+    track.width = width ? ebmlUint(buffer, width) : null;
+    track.height = height ? ebmlUint(buffer, height) : null;
+  } else if (type === 'audio' && get(EBML.Audio)) {
+    const audio = ebmlElements(buffer, get(EBML.Audio).start, get(EBML.Audio).end);
+    const sampleRate = audio.find(field => field.id === EBML.SamplingFrequency);
+    const channels = audio.find(field => field.id === EBML.Channels);
+    track.channels = channels ? ebmlUint(buffer, channels) : 1;
+    track.sampleRate = sampleRate ? ebmlFloat(buffer, sampleRate) : 8000;
+  }
+  return track;
+}
+
+async function probeMatroska(read, size) {
+  const buffer = await read(0, Math.min(size, MATROSKA_HEADER_SIZE));
+  const top = ebmlElements(buffer, 0, buffer.length);
+
+  const header = top.find(element => element.id === EBML.Header);
+  const docType = header && ebmlElements(buffer, header.start, header.end).find(element => element.id === EBML.DocType);
+  const format = docType && ebmlString(buffer, docType) === 'webm' ? 'webm' : 'matroska';
+
+  const segment = top.find(element => element.id === EBML.Segment);
+  if (!segment) {
+    throw new Error('Matroska segment not found');
+  }
+
+  let duration = null;
+  let tracks = [];
+  for (const element of ebmlElements(buffer, segment.start, segment.end)) {
+    if (element.id === EBML.Cluster) {
+      break;
+    }
+    if (element.id === EBML.Info && !element.truncated) {
+      const info = ebmlElements(buffer, element.start, element.end);
+      const scale = info.find(field => field.id === EBML.TimecodeScale);
+      const value = info.find(field => field.id === EBML.Duration);
+      if (value) {
+        // Duration is in TimecodeScale units (nanoseconds, 1ms by default)
+        duration = ebmlFloat(buffer, value) * (scale ? ebmlUint(buffer, scale) : 1000000) / 1e9;
+      }
+    }
+    if (element.id === EBML.Tracks && !element.truncated) {
+      tracks = ebmlElements(buffer, element.start, element.end)
+        .filter(entry => entry.id === EBML.TrackEntry)
+        .map(entry => matroskaTrack(buffer, entry))
+        .filter(Boolean);
+    }
+  }
+
+  return summarize(format, { duration, size, tracks });
+}
+
+// ---------------------------------------------------------------------------
+// Images
+
+// Plain EXIF date (no timezone is recorded) as `YYYY-MM-DDTHH:mm:ss`
+function exifDate(value) {
+  return value instanceof Date && !isNaN(value) ? value.toISOString().slice(0, 19) : null;
+}
+
+function gpsCoordinate(values, reference) {
+  if (!Array.isArray(values) || values.length !== 3) {
+    return null;
+  }
+  const degrees = values[0] + values[1] / 60 + values[2] / 3600;
+  return round(reference === 'S' || reference === 'W' ? -degrees : degrees, 6);
+}
+
+// The EXIF fields worth showing, from the raw APP1 payload
+function parseExif(raw) {
+  let exif;
+  try {
+    exif = exifReader(raw);
+  } catch {
+    return null;
+  }
+
+  const image = exif.Image || {};
+  const photo = exif.Photo || {};
+  const gps = exif.GPSInfo || {};
+  const result = {
+    make: image.Make || null,
+    model: image.Model || null,
+    lens: photo.LensModel || null,
+    capturedAt: exifDate(photo.DateTimeOriginal) || exifDate(image.DateTime),
+    orientation: image.Orientation || null,
+    exposureTime: photo.ExposureTime || null,
+    fNumber: photo.FNumber || null,
+    iso: photo.ISOSpeedRatings || null,
+    focalLength: photo.FocalLength || null,
+    latitude: gpsCoordinate(gps.GPSLatitude, gps.GPSLatitudeRef),
+    longitude: gpsCoordinate(gps.GPSLongitude, gps.GPSLongitudeRef),
+    software: image.Software || null
+  };
+
+  return Object.fromEntries(Object.entries(result).filter(([, value]) => value !== null && value !== ''));
+}
+
+async function probeImage(stream) {
+  const image = sharp({ failOn: 'none' });
+  stream.on('error', err => image.destroy(err));
+  stream.pipe(image);
+
+  const metadata = await image.metadata();
+  // EXIF orientations 5-8 rotate by 90 degrees, so the displayed size is swapped
+  const rotated = metadata.orientation >= 5;
+  return {
+    format: metadata.format,
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    orientation: metadata.orientation || null,
+    colorSpace: metadata.space || null,
+    hasAlpha: Boolean(metadata.hasAlpha),
+    pages: metadata.pages || null,
+    exif: metadata.exif ? parseExif(metadata.exif) : null
+  };
+}
+
+/**
+ * Media information for a stored file. `read(offset, length)` returns the
+ * bytes at an offset and `open()` a stream of the whole file; containers are
+ * recognised by their magic bytes. Resolves null for unsupported files.
+ */
+async function probeMedia({ mimetype, size, read, open }) {
+  if (/^image\//.test(mimetype || '') && mimetype !== 'image/svg+xml') {
+    return { type: 'image', ...(await probeImage(await open())) };
+  }
+  if (!/^(video|audio)\//.test(mimetype || '') || size < 16) {
+    return null;
+  }
+
+  const head = await read(0, 16);
+  const type = mimetype.split('/')[0];
+  if (head.toString('latin1', 4, 8) === 'ftyp') {
+    return { type, ...(await probeMp4(read, size)) };
+  }
+  if (head.readUInt32BE(0) === EBML.Header) {
+    return { type, ...(await probeMatroska(read, size)) };
+  }
+  return null;
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/**
+ * Background media metadata extraction. Each upload, and each new version,
+ * is probed once and the result is kept in the file's metadata as
+ * `media: { status, ... }` where status is `ready`, `failed` or `unsupported`.
+ */
+class MediaInfoService {
+  constructor({ fileStore, queue }) {
+    this.fileStore = fileStore;
+    this.queue = queue;
+    this.running = new Map(); // filename:sha256 -> extraction promise
+  }
+
+  attach() {
+    this.fileStore.on('created', (file) => {
+      this.schedule(file).catch(() => {});
+    });
+    return this;
+  }
+
+  // Queue extraction for a file; resolves with the stored `media` entry
+  schedule(file) {
+    const key = `${file.filename}:${file.sha256}`;
+    if (!this.running.has(key)) {
+      const job = this.queue.push(file.filename, () => this.extract(file))
+        .finally(() => this.running.delete(key));
+      this.running.set(key, job);
+    }
+    return this.running.get(key);
+  }
+
+  /**
+   * Media information of a file, extracting it first for files stored before
+   * extraction existed (or whose job was lost in a restart).
+   */
+  async ensure(file) {
+    const metadata = this.fileStore.getMetadata(file.filename);
+    if (metadata && metadata.media && !this.running.has(`${file.filename}:${file.sha256}`)) {
+      return metadata.media;
+    }
+    return this.schedule(file);
+  }
+
+  async extract(file) {
+    let media;
+    try {
+      const info = await probeMedia({
+        mimetype: file.mimetype,
+        size: file.size,
+        read: async (offset, length) => readStream(await this.fileStore.open(file.filename, {
+          start: offset,
+          end: Math.min(offset + length, file.size) - 1
+        }, file.version)),
+        open: () => this.fileStore.open(file.filename, undefined, file.version)
+      });
+      media = info ? { status: 'ready', ...info } : { status: 'unsupported' };
+    } catch (err) {
+      console.error('Media info extraction failed:', file.filename, err.message);
+      media = { status: 'failed', error: err.message };
+    }
+
+    // Only kept while the file still has the content that was probed
+    media.extractedAt = new Date().toISOString();
+    await this.fileStore.update(file.filename, { media }, { sha256: file.sha256 });
+    return media;
+  }
+}
+
+module.exports = {
+  MediaInfoService,
+  probeMedia,
+  probeMp4,
+  probeMatroska,
+  probeImage
+};
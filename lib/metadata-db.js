@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_VERSION = 1;
+const COMPACT_MIN_ENTRIES = 1000;
+
+// Core columns of a file record; jobs may add their own fields (thumbnail, media, ...)
+const FILE_SCHEMA = {
+  originalName: 'string',
+  mimetype: 'string',
+  size: 'number',
+  sha256: 'string?',
+  owner: 'string?',
+  folder: 'string',
+  tags: 'array',
+  uploadedAt: 'string',
+  updatedAt: 'string'
+};
+
+function validateRecord(filename, record) {
+  for (const [field, type] of Object.entries(FILE_SCHEMA)) {
+    const value = record[field];
+    const valid = type === 'array'
+      ? Array.isArray(value)
+      : typeof value === type.replace('?', '') || (type.endsWith('?') && value === null);
+    if (!valid) {
+      throw new Error(`Invalid metadata for ${filename}: ${field} must be ${type.replace('?', ' or null')}`);
+    }
+  }
+}
+
+/**
+ * Embedded metadata database of stored files, keyed by stored filename.
+ *
+ * Records are held in memory and every change is appended to a JSON Lines
+ * journal (`{ op: 'put', key, value }` or `{ op: 'delete', key }`) after a
+ * `{ schema }` header line, so a write costs one append however many files
+ * there are. On startup the journal is replayed; a torn last line from a crash
+ * is skipped. Once the journal holds far more entries than live records it is
+ * rewritten (compacted) atomically. Without a `file` the database lives in
+ * memory only, which suits the memory storage driver.
+ */
+class MetadataDB {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.records = new Map();
+    this.entries = 0; // journal lines after the header
+    this.migratedAt = null; // set once the legacy sidecars have been imported
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+
+    const content = fs.readFileSync(this.file, 'utf8');
+    const lines = content.split('\n').filter(Boolean);
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        console.error(`Skipping unreadable metadata journal line ${index + 1}`);
+        return;
+      }
+
+      if (index === 0 && entry.schema !== undefined) {
+        if (entry.schema > SCHEMA_VERSION) {
+          throw new Error(`Metadata journal schema ${entry.schema} is newer than supported (${SCHEMA_VERSION})`);
+        }
+        return;
+      }
+      if (entry.op === 'put') {
+        this.records.set(entry.key, entry.value);
+      } else if (entry.op === 'delete') {
+        this.records.delete(entry.key);
+      } else if (entry.op === 'migrated') {
+        this.migratedAt = entry.at;
+      }
+      this.entries++;
+    });
+
+    // Later appends must not be glued onto a torn last line
+    if (content && !content.endsWith('\n')) {
+      this.compact();
+    }
+  }
+
+  append(entry) {
+    if (!this.file) {
+      return;
+    }
+    if (!fs.existsSync(this.file)) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify({ schema: SCHEMA_VERSION }) + '\n');
+    }
+    fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    this.entries++;
+
+    if (this.entries >= COMPACT_MIN_ENTRIES && this.entries > this.records.size * 2) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the journal with one line per live record
+  compact() {
+    if (!this.file) {
+      return;
+    }
+    const lines = [JSON.stringify({ schema: SCHEMA_VERSION })];
+    if (this.migratedAt) {
+      lines.push(JSON.stringify({ op: 'migrated', at: this.migratedAt }));
+    }
+    for (const [key, value] of this.records) {
+      lines.push(JSON.stringify({ op: 'put', key, value }));
+    }
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, lines.join('\n') + '\n');
+    fs.renameSync(tmp, this.file);
+    this.entries = lines.length - 1;
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  has(filename) {
+    return this.records.has(filename);
+  }
+
+  get(filename) {
+    const record = this.records.get(filename);
+    return record ? { ...record } : null;
+  }
+
+  keys() {
+    return [...this.records.keys()].sort();
+  }
+
+  // Insert or replace a record; `updatedAt` is stamped here
+  put(filename, record) {
+    const value = { ...record, updatedAt: new Date().toISOString() };
+    validateRecord(filename, value);
+    this.records.set(filename, value);
+    this.append({ op: 'put', key: filename, value });
+    return { ...value };
+  }
+
+  // Record that the one-time sidecar import has completed
+  markMigrated() {
+    this.migratedAt = new Date().toISOString();
+    this.append({ op: 'migrated', at: this.migratedAt });
+  }
+
+  delete(filename) {
+    if (!this.records.has(filename)) {
+      return false;
+    }
+    this.records.delete(filename);
+    this.append({ op: 'delete', key: filename });
+    return true;
+  }
+}
+
+module.exports = {
+  MetadataDB,
+  FILE_SCHEMA
+};
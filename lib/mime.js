@@ -0,0 +1,383 @@
+const path = require("path");
+
+// Bytes of an upload inspected to detect its type
+const SNIFF_BYTES = 4100;
+
+const GENERIC_TYPE = 'application/octet-stream';
+
+// MIME types by extension; `registerMimeTypes` adds configured ones
+const MIME_TYPES = {
+  // Video
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/x-m4v',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.flv': 'video/x-flv',
+  '.wmv': 'video/x-ms-wmv',
+  '.mpg': 'video/mpeg',
+  '.mpeg': 'video/mpeg',
+  '.ts': 'video/mp2t',
+  '.m2ts': 'video/mp2t',
+  '.3gp': 'video/3gpp',
+  '.3g2': 'video/3gpp2',
+  // Audio
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.oga': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.flac': 'audio/flac',
+  '.weba': 'audio/webm',
+  '.wma': 'audio/x-ms-wma',
+  '.aif': 'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.mid': 'audio/midi',
+  '.midi': 'audio/midi',
+  '.amr': 'audio/amr',
+  // Images
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.jfif': 'image/jpeg',
+  '.png': 'image/png',
+  '.apng': 'image/apng',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.psd': 'image/vnd.adobe.photoshop',
+  // Documents
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.dot': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.rtf': 'application/rtf',
+  '.epub': 'application/epub+zip',
+  '.msg': 'application/vnd.ms-outlook',
+  '.eml': 'message/rfc822',
+  // Text and data
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.json': 'application/json',
+  '.jsonl': 'application/jsonl',
+  '.ndjson': 'application/x-ndjson',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.toml': 'application/toml',
+  '.ini': 'text/plain',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.vtt': 'text/vtt',
+  '.srt': 'application/x-subrip',
+  '.ics': 'text/calendar',
+  '.vcf': 'text/vcard',
+  '.sql': 'application/sql',
+  '.sh': 'application/x-sh',
+  '.py': 'text/x-python',
+  '.sqlite': 'application/vnd.sqlite3',
+  '.db': 'application/vnd.sqlite3',
+  // Archives
+  '.zip': 'application/zip',
+  '.rar': 'application/vnd.rar',
+  '.7z': 'application/x-7z-compressed',
+  '.tar': 'application/x-tar',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz',
+  '.zst': 'application/zstd',
+  '.jar': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive',
+  '.iso': 'application/x-iso9660-image',
+  '.dmg': 'application/x-apple-diskimage',
+  // Fonts
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  // Executables
+  '.exe': 'application/vnd.microsoft.portable-executable',
+  '.dll': 'application/vnd.microsoft.portable-executable',
+  '.msi': 'application/x-msi',
+  '.wasm': 'application/wasm',
+  '.bin': GENERIC_TYPE
+};
+
+function registerMimeTypes(types) {
+  Object.assign(MIME_TYPES, types);
+}
+
+function getMimeType(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return MIME_TYPES[ext] || GENERIC_TYPE;
+}
+
+/**
+ * Types that share a container format and so cannot be told apart by their
+ * first bytes alone; a file whose extension and content fall in the same
+ * group is consistent.
+ */
+const TYPE_GROUPS = [
+  ['video/mp4', 'video/x-m4v', 'video/quicktime', 'video/3gpp', 'video/3gpp2', 'audio/mp4', 'image/heic', 'image/heif', 'image/avif'],
+  ['video/webm', 'audio/webm', 'video/x-matroska'],
+  ['audio/ogg', 'video/ogg', 'audio/opus'],
+  ['image/png', 'image/apng'],
+  ['application/zip', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation', 'application/epub+zip', 'application/java-archive',
+    'application/vnd.android.package-archive'],
+  ['application/x-ole-storage', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint',
+    'application/vnd.ms-outlook', 'application/x-msi'],
+  ['video/x-ms-wmv', 'audio/x-ms-wma'],
+  ['application/xml', 'image/svg+xml', 'text/html'],
+  ['application/gzip', 'application/x-tar']
+];
+
+function ascii(buffer, start, end) {
+  return buffer.toString('latin1', start, end);
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// ISO base media files: the brand in the `ftyp` box tells MP4, QuickTime, HEIF and friends apart
+function isoBrandType(head) {
+  if (head.length < 12 || ascii(head, 4, 8) !== 'ftyp') {
+    return null;
+  }
+  const brand = ascii(head, 8, 12).trim();
+  if (brand === 'qt') {
+    return 'video/quicktime';
+  }
+  if (brand === 'M4A' || brand === 'M4B') {
+    return 'audio/mp4';
+  }
+  if (brand === 'M4V') {
+    return 'video/x-m4v';
+  }
+  if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'].includes(brand)) {
+    return 'image/heic';
+  }
+  if (brand === 'mif1' || brand === 'msf1') {
+    return 'image/heif';
+  }
+  if (brand === 'avif' || brand === 'avis') {
+    return 'image/avif';
+  }
+  if (brand.startsWith('3g2')) {
+    return 'video/3gpp2';
+  }
+  if (brand.startsWith('3gp')) {
+    return 'video/3gpp';
+  }
+  return 'video/mp4';
+}
+
+function riffType(head) {
+  if (head.length < 12 || ascii(head, 0, 4) !== 'RIFF') {
+    return null;
+  }
+  return { 'WAVE': 'audio/wav', 'AVI ': 'video/x-msvideo', 'WEBP': 'image/webp' }[ascii(head, 8, 12)] || null;
+}
+
+// A Windows executable has `MZ` and a `PE\0\0` header where e_lfanew points
+function isPortableExecutable(head) {
+  if (!startsWith(head, [0x4d, 0x5a]) || head.length < 64) {
+    return false;
+  }
+  const offset = head.readUInt32LE(0x3c);
+  return offset + 4 <= head.length && ascii(head, offset, offset + 4) === 'PE\0\0';
+}
+
+// Markup sniffing on the first characters, skipping a BOM and whitespace
+function markupType(head) {
+  const text = head.toString('utf8', 0, Math.min(head.length, 1024)).replace(/^﻿/, '').trimStart().toLowerCase();
+  if (text.startsWith('<!doctype html') || text.startsWith('<html') || text.startsWith('<head') || text.startsWith('<script')) {
+    return 'text/html';
+  }
+  if (text.startsWith('<svg') || ((text.startsWith('<?xml') || text.startsWith('<!--')) && text.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+  if (text.startsWith('<?xml')) {
+    return 'application/xml';
+  }
+  return null;
+}
+
+// Text content has no NUL bytes (UTF-16 with a BOM aside)
+function looksLikeText(head) {
+  if (startsWith(head, [0xff, 0xfe]) || startsWith(head, [0xfe, 0xff])) {
+    return true;
+  }
+  return !head.includes(0);
+}
+
+const binary = head => !looksLikeText(head);
+
+/**
+ * Detect a file type from its first bytes (up to SNIFF_BYTES). Returns null
+ * when the content has no recognizable signature, as for plain text.
+ * Signatures that are also plausible text carry an extra check.
+ */
+function sniffMimeType(head) {
+  const signatures = [
+    [[0xff, 0xd8, 0xff], 'image/jpeg'],
+    [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+    [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], 'image/gif'],
+    [[0x47, 0x49, 0x46, 0x38, 0x39, 0x61], 'image/gif'],
+    [[0x49, 0x49, 0x2a, 0x00], 'image/tiff'],
+    [[0x4d, 0x4d, 0x00, 0x2a], 'image/tiff'],
+    [[0x38, 0x42, 0x50, 0x53], 'image/vnd.adobe.photoshop'],
+    [[0x25, 0x50, 0x44, 0x46, 0x2d], 'application/pdf'],
+    [[0x7b, 0x5c, 0x72, 0x74, 0x66], 'application/rtf'],
+    [[0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+    [[0x50, 0x4b, 0x05, 0x06], 'application/zip'],
+    [[0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], 'application/x-ole-storage'],
+    [[0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], 'application/vnd.rar'],
+    [[0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+    [[0x1f, 0x8b], 'application/gzip'],
+    [[0x42, 0x5a, 0x68], 'application/x-bzip2', () => head[3] >= 0x31 && head[3] <= 0x39 && binary(head)],
+    [[0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], 'application/x-xz'],
+    [[0x28, 0xb5, 0x2f, 0xfd], 'application/zstd'],
+    [[0x4f, 0x67, 0x67, 0x53], 'audio/ogg'],
+    [[0x66, 0x4c, 0x61, 0x43], 'audio/flac'],
+    [[0x49, 0x44, 0x33], 'audio/mpeg', () => head[3] >= 2 && head[3] <= 4],
+    [[0x4d, 0x54, 0x68, 0x64, 0x00, 0x00, 0x00, 0x06], 'audio/midi'],
+    [[0x23, 0x21, 0x41, 0x4d, 0x52, 0x0a], 'audio/amr'],
+    [[0x46, 0x4f, 0x52, 0x4d], 'audio/aiff', () => ['AIFF', 'AIFC'].includes(ascii(head, 8, 12))],
+    [[0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11], 'video/x-ms-wmv'],
+    [[0x46, 0x4c, 0x56, 0x01], 'video/x-flv'],
+    [[0x00, 0x00, 0x01, 0xba], 'video/mpeg'],
+    [[0x00, 0x00, 0x01, 0xb3], 'video/mpeg'],
+    [[0x77, 0x4f, 0x46, 0x46], 'font/woff', binary],
+    [[0x77, 0x4f, 0x46, 0x32], 'font/woff2', binary],
+    [[0x4f, 0x54, 0x54, 0x4f], 'font/otf', binary],
+    [[0x00, 0x61, 0x73, 0x6d], 'application/wasm'],
+    [[0x7f, 0x45, 0x4c, 0x46], 'application/x-executable'],
+    [[0xcf, 0xfa, 0xed, 0xfe], 'application/x-mach-binary'],
+    [[0xce, 0xfa, 0xed, 0xfe], 'application/x-mach-binary'],
+    [[0xfe, 0xed, 0xfa, 0xce], 'application/x-mach-binary'],
+    [[0xfe, 0xed, 0xfa, 0xcf], 'application/x-mach-binary'],
+    [[0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61, 0x74, 0x20, 0x33, 0x00], 'application/vnd.sqlite3']
+  ];
+
+  const iso = isoBrandType(head);
+  if (iso) {
+    return iso;
+  }
+  const riff = riffType(head);
+  if (riff) {
+    return riff;
+  }
+  if (isPortableExecutable(head)) {
+    return 'application/vnd.microsoft.portable-executable';
+  }
+  if (startsWith(head, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // Matroska and WebM differ in the EBML DocType
+    return ascii(head, 0, Math.min(head.length, 64)).includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  for (const [bytes, type, check] of signatures) {
+    if (startsWith(head, bytes) && (!check || check(head))) {
+      return type;
+    }
+  }
+  if (head.length > 262 && ascii(head, 257, 262) === 'ustar') {
+    return 'application/x-tar';
+  }
+  if (head.length > 188 && head[0] === 0x47 && head[188] === 0x47 && (head.length <= 376 || head[376] === 0x47) && binary(head)) {
+    return 'video/mp2t';
+  }
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xf6) === 0xf0) {
+    return 'audio/aac';
+  }
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) {
+    return 'audio/mpeg';
+  }
+  if (head.length >= 10 && ascii(head, 0, 2) === 'BM' && head.readUInt32LE(6) === 0) {
+    return 'image/bmp';
+  }
+  if (startsWith(head, [0x00, 0x00, 0x01, 0x00]) && head.length >= 6 && head.readUInt16LE(4) > 0) {
+    return 'image/x-icon';
+  }
+  return markupType(head);
+}
+
+function isTextType(type) {
+  return /^text\//.test(type) || /[+/](json|xml|yaml|toml|javascript|sql|jsonl|x-ndjson|x-subrip|x-sh)$/.test(type);
+}
+
+function compatibleTypes(expected, detected) {
+  return expected === detected || TYPE_GROUPS.some(group => group.includes(expected) && group.includes(detected));
+}
+
+/**
+ * Decide the type of an upload from its name, the type the client sent and
+ * its first bytes. Resolves to `{ mimetype, detectedType, mismatch }`:
+ * `mimetype` is the type to store and serve (the content wins over the name),
+ * `detectedType` what the content looks like (null when unknown) and
+ * `mismatch` whether the extension promises a different kind of file.
+ */
+function detectType(head, { originalName = '', mimetype: declared = null } = {}) {
+  const expected = getMimeType(originalName);
+  const detected = sniffMimeType(head);
+  const text = looksLikeText(head);
+
+  if (detected) {
+    if (expected === GENERIC_TYPE) {
+      return { mimetype: detected, detectedType: detected, mismatch: false };
+    }
+    const mismatch = !compatibleTypes(expected, detected);
+    // The extension is more specific when both agree (e.g. .docx in a ZIP container)
+    return { mimetype: mismatch ? detected : expected, detectedType: detected, mismatch };
+  }
+
+  if (!text && isTextType(expected)) {
+    return { mimetype: GENERIC_TYPE, detectedType: GENERIC_TYPE, mismatch: true };
+  }
+  if (expected !== GENERIC_TYPE) {
+    return { mimetype: expected, detectedType: null, mismatch: false };
+  }
+  // Nothing to go by but the client's word; only take it when it fits the content
+  if (declared && declared !== GENERIC_TYPE && isTextType(declared) === text) {
+    return { mimetype: declared, detectedType: null, mismatch: false };
+  }
+  return { mimetype: text && head.length > 0 ? 'text/plain' : GENERIC_TYPE, detectedType: null, mismatch: false };
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  MIME_TYPES,
+  getMimeType,
+  registerMimeTypes,
+  sniffMimeType,
+  detectType
+};
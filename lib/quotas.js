@@ -0,0 +1,113 @@
+function quotaError(message) {
+  const err = new Error(message);
+  err.status = 413;
+  return err;
+}
+
+function addUsage(map, key, bytes) {
+  const entry = map.get(key) || { bytes: 0, files: 0 };
+  entry.bytes += bytes;
+  entry.files++;
+  map.set(key, entry);
+}
+
+/**
+ * Storage quotas on total bytes and file count, per user and for the whole
+ * store. Usage is counted from the file store: every version of every file
+ * the user owns, trash included, before deduplication. Limits left unset are
+ * unlimited.
+ *
+ * Upload handlers take a `usage()` snapshot when a request starts and ask
+ * `allowance()` how many bytes may still stream in, so they can reject with
+ * 413 as soon as the limit is crossed.
+ */
+class QuotaService {
+  constructor({ fileStore, limits = {} }) {
+    this.fileStore = fileStore;
+    this.limits = {
+      userBytes: limits.userBytes || Infinity,
+      userFiles: limits.userFiles || Infinity,
+      totalBytes: limits.totalBytes || Infinity,
+      totalFiles: limits.totalFiles || Infinity
+    };
+  }
+
+  // Bytes and file counts in total, per owner id and per mimetype; `owner` limits it to one user's files
+  async usage({ owner } = {}) {
+    const total = { bytes: 0, files: 0 };
+    const users = new Map();
+    const types = new Map();
+
+    const files = [...await this.fileStore.list(), ...await this.fileStore.listTrash()]
+      .filter(file => owner === undefined || file.owner === owner);
+    for (const file of files) {
+      const bytes = this.fileStore.listVersions(file.filename).reduce((sum, entry) => sum + entry.size, 0);
+      total.bytes += bytes;
+      total.files++;
+      addUsage(users, file.owner, bytes);
+      addUsage(types, file.mimetype, bytes);
+    }
+
+    return { total, users, types };
+  }
+
+  // The limits that apply to one user, with what is left of them
+  describe(usage, userId) {
+    const own = usage.users.get(userId) || { bytes: 0, files: 0 };
+    const limit = value => (Number.isFinite(value) ? value : null);
+    return {
+      bytes: own.bytes,
+      files: own.files,
+      limits: { bytes: limit(this.limits.userBytes), files: limit(this.limits.userFiles) },
+      remaining: {
+        bytes: limit(Math.max(0, Math.min(this.limits.userBytes - own.bytes, this.limits.totalBytes - usage.total.bytes))),
+        files: limit(Math.max(0, Math.min(this.limits.userFiles - own.files, this.limits.totalFiles - usage.total.files)))
+      }
+    };
+  }
+
+  /**
+   * How many more bytes `userId` may store on top of `usage`, counting what
+   * the current request has already added (`bytes`) and the new files it
+   * creates including this one (`files`, 0 for a new version). Throws a 413
+   * error when no file or no byte is left.
+   */
+  allowance(usage, userId, { bytes = 0, files = 1 } = {}) {
+    const own = usage.users.get(userId) || { bytes: 0, files: 0 };
+    if (own.files + files > this.limits.userFiles) {
+      throw quotaError(`File quota exceeded (${this.limits.userFiles} files per user)`);
+    }
+    if (usage.total.files + files > this.limits.totalFiles) {
+      throw quotaError('Storage is full (file limit reached)');
+    }
+
+    const left = Math.min(this.limits.userBytes - own.bytes, this.limits.totalBytes - usage.total.bytes) - bytes;
+    if (left <= 0) {
+      throw quotaError('Storage quota exceeded');
+    }
+    return left;
+  }
+
+  // Throw a 413 error unless a new file (or version) of `size` bytes fits right now
+  async check(userId, size, { newFile = true } = {}) {
+    const usage = await this.usage();
+    if (size > this.allowance(usage, userId, { files: newFile ? 1 : 0 })) {
+      throw quotaError('Storage quota exceeded');
+    }
+  }
+
+  // Throw a 413 error if `userId` or the store is over a limit, e.g. after concurrent uploads
+  async verify(userId) {
+    const usage = await this.usage();
+    const own = usage.users.get(userId) || { bytes: 0, files: 0 };
+    if (own.bytes > this.limits.userBytes || usage.total.bytes > this.limits.totalBytes ||
+        own.files > this.limits.userFiles || usage.total.files > this.limits.totalFiles) {
+      throw quotaError('Storage quota exceeded');
+    }
+  }
+}
+
+module.exports = {
+  QuotaService,
+  quotaError
+};
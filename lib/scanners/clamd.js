@@ -0,0 +1,83 @@
+const net = require("net");
+
+// Verdict from a clamd reply such as `stream: OK` or `stream: Eicar-Signature FOUND`
+function parseReply(reply) {
+  const text = reply.replace(/[\0\n]+$/, '');
+  if (/^stream: OK$/.test(text)) {
+    return { clean: true, threat: null };
+  }
+  const found = /^stream: (.+) FOUND$/.exec(text);
+  if (found) {
+    return { clean: false, threat: found[1] };
+  }
+  throw new Error(`clamd: ${text || 'no reply'}`);
+}
+
+/**
+ * ClamAV scanner talking to a `clamd` daemon over its Unix socket or TCP
+ * port. Content is sent with the INSTREAM command as length-prefixed chunks,
+ * so nothing has to be written to a disk clamd can see. Files larger than
+ * clamd's `StreamMaxLength` come back as an error, not as clean.
+ */
+class ClamdScanner {
+  constructor({ socket = null, host = '127.0.0.1', port = 3310, timeout = 2 * 60 * 1000 } = {}) {
+    this.name = 'clamd';
+    this.socket = socket;
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+  }
+
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const connection = this.socket
+        ? net.createConnection(this.socket)
+        : net.createConnection(this.port, this.host);
+      const reply = [];
+      let settled = false;
+
+      const finish = (err, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        connection.destroy();
+        stream.destroy();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      };
+
+      connection.setTimeout(this.timeout, () => finish(new Error('clamd did not answer in time')));
+      connection.on('error', finish);
+      connection.on('data', chunk => reply.push(chunk));
+      connection.on('end', () => {
+        try {
+          finish(null, parseReply(Buffer.concat(reply).toString('utf8')));
+        } catch (err) {
+          finish(err);
+        }
+      });
+
+      connection.on('connect', () => {
+        connection.write('zINSTREAM\0');
+        stream.on('data', (chunk) => {
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          connection.write(length);
+          if (!connection.write(chunk)) {
+            stream.pause();
+          }
+        });
+        connection.on('drain', () => stream.resume());
+        // A zero-length chunk ends the stream; clamd answers and closes
+        stream.on('end', () => connection.write(Buffer.alloc(4)));
+        stream.on('error', finish);
+      });
+    });
+  }
+}
+
+module.exports = ClamdScanner;
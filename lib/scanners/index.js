@@ -0,0 +1,29 @@
+const ClamdScanner = require("./clamd");
+const MockScanner = require("./mock");
+
+/**
+ * Malware scanner interface shared by every driver:
+ *   name                -> short driver name recorded with each verdict
+ *   scan(stream)        -> { clean, threat } once the whole stream was checked;
+ *                          `threat` names what was found. Rejects when the
+ *                          scanner could not give a verdict.
+ * Returns null for `none`, which turns scanning off.
+ */
+function createScanner({ driver = 'none', ...options }) {
+  switch (driver) {
+    case 'none':
+      return null;
+    case 'clamd':
+      return new ClamdScanner(options);
+    case 'mock':
+      return new MockScanner(options);
+    default:
+      throw new Error(`Unknown scanner: ${driver}`);
+  }
+}
+
+module.exports = {
+  createScanner,
+  ClamdScanner,
+  MockScanner
+};
@@ -0,0 +1,37 @@
+// The standard antivirus test file, detected by every real scanner
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Scanner for development and tests: reports a file as infected when it
+ * contains one of `signatures` (`{ name, pattern }`), by default the EICAR
+ * test string, and as clean otherwise. `delay` (ms) holds every verdict back
+ * to make the pending state observable.
+ */
+class MockScanner {
+  constructor({ signatures = [{ name: 'Eicar-Test-Signature', pattern: EICAR }], delay = 0 } = {}) {
+    this.name = 'mock';
+    this.signatures = signatures.map(({ name, pattern }) => ({ name, pattern: Buffer.from(pattern) }));
+    this.delay = delay;
+  }
+
+  async scan(stream) {
+    if (this.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    // Keep the end of the previous chunk so signatures split across chunks are found
+    const overlap = Math.max(0, ...this.signatures.map(signature => signature.pattern.length - 1));
+    let tail = Buffer.alloc(0);
+    for await (const chunk of stream) {
+      const data = Buffer.concat([tail, chunk]);
+      const found = this.signatures.find(signature => data.includes(signature.pattern));
+      if (found) {
+        return { clean: false, threat: found.name };
+      }
+      tail = data.subarray(Math.max(0, data.length - overlap));
+    }
+    return { clean: true, threat: null };
+  }
+}
+
+module.exports = MockScanner;
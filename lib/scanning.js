@@ -0,0 +1,142 @@
+// Verdicts that make a file downloadable
+const PASSED = ['clean', 'released'];
+
+/**
+ * Malware scanning of uploads. Every new file and every new version is
+ * streamed through the scanner in the background, and the verdict is kept in
+ * the file's metadata as `scan: { status, ... }` where status is `pending`,
+ * `clean`, `infected` or `failed`, or `released` once an admin lets a
+ * quarantined file through. Only files that passed can be downloaded or
+ * streamed; infected ones are moved to the quarantine. A failed scan keeps
+ * the file blocked and is retried on the next start.
+ *
+ * Each version entry keeps the verdict of its own content too, so an older
+ * version is only served once it passed; versions stored before they had
+ * verdicts are scanned on the next start.
+ *
+ * Without a scanner (`scanner: 'none'`) scanning is off and every file counts
+ * as clean.
+ */
+class ScanService {
+  constructor({ fileStore, queue, scanner = null }) {
+    this.fileStore = fileStore;
+    this.queue = queue;
+    this.scanner = scanner;
+    this.running = new Map(); // filename:sha256 -> scan promise
+  }
+
+  get enabled() {
+    return Boolean(this.scanner);
+  }
+
+  attach() {
+    if (this.scanner) {
+      this.fileStore.on('created', (file) => {
+        this.schedule(file).catch(err => console.error('Failed to schedule malware scan:', file.filename, err));
+      });
+    }
+    return this;
+  }
+
+  // Whether a file may be downloaded
+  passed(file) {
+    return !this.scanner || Boolean(file.scan && PASSED.includes(file.scan.status));
+  }
+
+  // Whether one version (an entry of `fileStore.listVersions`) may be downloaded;
+  // the current version follows the file, which an admin may have released
+  versionPassed(file, entry) {
+    if (entry.current) {
+      return this.passed(file);
+    }
+    return !this.scanner || Boolean(entry.scan && PASSED.includes(entry.scan.status));
+  }
+
+  // Queue a scan of a file's current content, or of an older version
+  // `entry`; resolves with its `scan` entry
+  schedule(file, entry = null) {
+    const sha256 = entry ? entry.sha256 : file.sha256;
+    const key = `${file.filename}:${sha256}`;
+    if (!this.running.has(key)) {
+      const pending = entry ? Promise.resolve() : this.fileStore.update(file.filename, { scan: { status: 'pending' } }, { sha256 });
+      const job = pending
+        .then(() => this.queue.push(file.filename, () => this.scan(file, entry)))
+        .finally(() => this.running.delete(key));
+      this.running.set(key, job);
+    }
+    return this.running.get(key);
+  }
+
+  // Scan every file and older version without a verdict, e.g. uploads
+  // interrupted by a restart or stored before scanning
+  async resume() {
+    if (!this.scanner) {
+      return 0;
+    }
+    const unscanned = scan => !scan || ['pending', 'failed'].includes(scan.status);
+    let scheduled = 0;
+    for (const file of await this.fileStore.list()) {
+      if (unscanned(file.scan)) {
+        this.schedule(file).catch(() => {});
+        scheduled++;
+      }
+      for (const entry of this.fileStore.listVersions(file.filename) || []) {
+        if (!entry.current && entry.sha256 !== file.sha256 && unscanned(entry.scan)) {
+          this.schedule(file, entry).catch(() => {});
+          scheduled++;
+        }
+      }
+    }
+    return scheduled;
+  }
+
+  async scan(file, entry = null) {
+    const sha256 = entry ? entry.sha256 : file.sha256;
+    let scan;
+    try {
+      const result = await this.scanner.scan(await this.fileStore.open(file.filename, undefined, entry ? entry.version : null));
+      scan = result.clean ? { status: 'clean' } : { status: 'infected', threat: result.threat };
+    } catch (err) {
+      console.error('Malware scan failed:', file.filename, err.message);
+      scan = { status: 'failed', error: err.message };
+    }
+    scan.scanner = this.scanner.name;
+    scan.scannedAt = new Date().toISOString();
+
+    // The verdict only counts for the content that was scanned: it goes to
+    // the versions holding it, and to the file while that is still current
+    await this.fileStore.recordScan(file.filename, sha256, scan);
+    if (scan.status === 'infected' && await this.fileStore.quarantine(file.filename, sha256, scan)) {
+      console.log(`☣️ Quarantined ${file.filename}: ${scan.threat}`);
+    }
+    return scan;
+  }
+
+  // Files in the quarantine, newest first
+  async listQuarantine() {
+    const files = await this.fileStore.listQuarantine();
+    return files.sort((a, b) => b.quarantined.quarantinedAt.localeCompare(a.quarantined.quarantinedAt));
+  }
+
+  async getQuarantined(filename) {
+    const file = await this.fileStore.resolve(filename, { includeTrashed: true, includeQuarantined: true });
+    return file && file.quarantined ? file : null;
+  }
+
+  // Let a quarantined file through, recording the admin who did; resolves with its description
+  async release(filename, user) {
+    const file = await this.getQuarantined(filename);
+    if (!file) {
+      return null;
+    }
+    const scan = { ...file.scan, status: 'released', releasedBy: { id: user.id, username: user.username }, releasedAt: new Date().toISOString() };
+    if (!(await this.fileStore.release(filename, scan))) {
+      return null;
+    }
+    return this.fileStore.describe(filename, { includeTrashed: true });
+  }
+}
+
+module.exports = {
+  ScanService
+};
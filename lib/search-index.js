@@ -0,0 +1,435 @@
+const { Readable } = require("stream");
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+const { canAccess } = require("./auth");
+
+const MAX_TEXT_SOURCE = 1024 * 1024; // 1MB of a text file is indexed
+const MAX_PDF_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_TEXT_LENGTH = 200000; // characters kept per file
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Field weights for relevance scoring
+const WEIGHTS = { name: 4, tags: 3, mimetype: 1, text: 1 };
+
+// Upper bounds (exclusive) of the size facet buckets
+const SIZE_BUCKETS = [
+  { name: 'tiny', max: 100 * 1024 },
+  { name: 'small', max: 1024 * 1024 },
+  { name: 'medium', max: 10 * 1024 * 1024 },
+  { name: 'large', max: 100 * 1024 * 1024 },
+  { name: 'huge', max: Infinity }
+];
+
+const TYPES = ['image', 'video', 'audio', 'document', 'text', 'archive', 'other'];
+const SORTS = ['relevance', 'name', 'size', 'uploadedAt'];
+
+function textKey(filename) {
+  return `.text/${filename}.txt`;
+}
+
+function searchError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Lowercased words and numbers of a string
+function tokenize(value) {
+  return String(value || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Broad file category used by the `type` facet
+function typeOf(mimetype) {
+  const [major, minor = ''] = (mimetype || '').split('/');
+  if (['image', 'video', 'audio', 'text'].includes(major)) {
+    return major;
+  }
+  if (/pdf|msword|officedocument|opendocument|rtf|epub/.test(minor)) {
+    return 'document';
+  }
+  if (/zip|tar|gzip|x-7z|x-rar|x-bzip|x-xz/.test(minor)) {
+    return 'archive';
+  }
+  return 'other';
+}
+
+function sizeBucket(size) {
+  return SIZE_BUCKETS.find(bucket => size < bucket.max).name;
+}
+
+function hasText(mimetype) {
+  return /^text\//.test(mimetype || '') || mimetype === 'application/pdf';
+}
+
+function readStream(stream, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    stream.on('data', (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length > limit) {
+        reject(new Error('File too large to index'));
+        stream.destroy();
+      }
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw searchError(`Invalid ${name} date`);
+  }
+  return time;
+}
+
+function parseSize(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const size = Number(value);
+  if (!Number.isFinite(size) || size < 0) {
+    throw searchError(`Invalid ${name}`);
+  }
+  return size;
+}
+
+// Repeated or comma separated query values as a list
+function listParam(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Array.isArray(position) && position.length === 2 && typeof position[1] === 'string') {
+      return position;
+    }
+  } catch {
+    // fall through
+  }
+  throw searchError('Invalid cursor');
+}
+
+/**
+ * In-memory search index over the file catalog. Names, tags, MIME types and
+ * the text of plain text, CSV and PDF files are tokenized into an inverted
+ * index; query terms match whole words or word prefixes. The index is built
+ * from the file store by `load()` (or the first search) and follows its
+ * `created`, `updated` and `deleted` events. Extracted text is cached as
+ * hidden `.text/<filename>.txt` objects so a restart does not parse every PDF
+ * again.
+ */
+class SearchIndex {
+  constructor({ fileStore, storage, queue }) {
+    this.fileStore = fileStore;
+    this.storage = storage;
+    this.queue = queue;
+    this.docs = new Map(); // filename -> indexed document
+    this.postings = new Map(); // token -> Map(filename -> weight)
+    this.extracting = new Set(); // filename:sha256 of queued text extractions
+    this.ready = null;
+  }
+
+  attach() {
+    const refresh = (filename) => {
+      this.refresh(filename).catch(err => console.error('Failed to index file:', filename, err));
+    };
+    this.fileStore.on('created', file => refresh(file.filename));
+    this.fileStore.on('updated', refresh);
+    this.fileStore.on('deleted', ({ filename }) => {
+      this.remove(filename).catch(err => console.error('Failed to unindex file:', filename, err));
+    });
+    return this;
+  }
+
+  // Index every stored file once
+  load() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const files = await this.fileStore.list();
+        for (const file of files) {
+          await this.add(file);
+        }
+        console.log(`Search index built with ${files.length} file(s)`);
+      })();
+      this.ready.catch(() => { this.ready = null; });
+    }
+    return this.ready;
+  }
+
+  // Re-index one file from the store (or drop it when it is gone)
+  async refresh(filename) {
+    if (!this.ready) {
+      return; // picked up when the index is built
+    }
+    await this.ready;
+    const file = await this.fileStore.describe(filename);
+    if (file) {
+      await this.add(file);
+    } else {
+      this.unindex(filename);
+    }
+  }
+
+  async add(file) {
+    const metadata = this.fileStore.getMetadata(file.filename);
+    const text = metadata && metadata.text;
+    let content = '';
+
+    if (text && text.status === 'ready') {
+      content = (await this.storage.stat(textKey(file.filename)))
+        ? (await readStream(await this.storage.get(textKey(file.filename)), Infinity)).toString()
+        : '';
+    } else if (!text && hasText(file.mimetype)) {
+      this.scheduleExtraction(file);
+    }
+
+    this.unindex(file.filename);
+    const doc = {
+      file,
+      type: typeOf(file.mimetype),
+      time: Date.parse(file.uploadedAt),
+      tokens: new Map()
+    };
+    const fields = {
+      name: tokenize(file.originalName).concat(tokenize(file.filename)),
+      tags: (file.tags || []).flatMap(tokenize),
+      mimetype: tokenize(file.mimetype),
+      text: tokenize(content)
+    };
+    for (const [field, tokens] of Object.entries(fields)) {
+      for (const token of tokens) {
+        doc.tokens.set(token, Math.max(doc.tokens.get(token) || 0, WEIGHTS[field]));
+      }
+    }
+
+    for (const [token, weight] of doc.tokens) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Map());
+      }
+      this.postings.get(token).set(file.filename, weight);
+    }
+    this.docs.set(file.filename, doc);
+  }
+
+  unindex(filename) {
+    const doc = this.docs.get(filename);
+    if (!doc) {
+      return;
+    }
+    for (const token of doc.tokens.keys()) {
+      const posting = this.postings.get(token);
+      posting.delete(filename);
+      if (posting.size === 0) {
+        this.postings.delete(token);
+      }
+    }
+    this.docs.delete(filename);
+  }
+
+  async remove(filename) {
+    this.unindex(filename);
+    await this.storage.delete(textKey(filename));
+  }
+
+  scheduleExtraction(file) {
+    const key = `${file.filename}:${file.sha256}`;
+    if (this.extracting.has(key)) {
+      return;
+    }
+    this.extracting.add(key);
+    this.queue.push(file.filename, async () => {
+      let text;
+      try {
+        const content = await this.extractText(file);
+        // A new version's job stores its own text: don't overwrite it
+        if (!this.fileStore.hasContent(file.filename, file.sha256)) {
+          return;
+        }
+        await this.storage.put(textKey(file.filename), Readable.from([Buffer.from(content)]));
+        text = { status: 'ready', characters: content.length };
+      } catch (err) {
+        text = { status: 'failed', error: err.message };
+      }
+      // Re-indexes through the `updated` event; a deleted file leaves its text behind otherwise
+      if (!(await this.fileStore.update(file.filename, { text }, { sha256: file.sha256 })) && !this.fileStore.getMetadata(file.filename)) {
+        await this.storage.delete(textKey(file.filename));
+      }
+    }).catch(() => {}).finally(() => this.extracting.delete(key));
+  }
+
+  async extractText(file) {
+    let content;
+    if (file.mimetype === 'application/pdf') {
+      if (file.size > MAX_PDF_SIZE) {
+        throw new Error('PDF too large to index');
+      }
+      const data = await readStream(await this.fileStore.open(file.filename, undefined, file.version), MAX_PDF_SIZE);
+      // pdf.js reads the whole underlying ArrayBuffer, so pooled Buffer slices need a copy
+      content = (await pdfParse(new Uint8Array(data))).text;
+    } else {
+      const end = Math.min(file.size, MAX_TEXT_SOURCE) - 1;
+      content = end < 0 ? '' : (await readStream(await this.fileStore.open(file.filename, { start: 0, end }, file.version), Infinity)).toString('utf8');
+    }
+    return content.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+  }
+
+  // Relevance of every document matching all query terms, as Map(filename -> score)
+  match(terms) {
+    let scores = null;
+    for (const term of terms) {
+      const termScores = new Map();
+      for (const [token, posting] of this.postings) {
+        if (!token.startsWith(term)) {
+          continue;
+        }
+        // Whole words count double over prefixes
+        const factor = token === term ? 2 : 1;
+        for (const [filename, weight] of posting) {
+          termScores.set(filename, Math.max(termScores.get(filename) || 0, weight * factor));
+        }
+      }
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        for (const [filename, score] of scores) {
+          if (termScores.has(filename)) {
+            scores.set(filename, score + termScores.get(filename));
+          } else {
+            scores.delete(filename);
+          }
+        }
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Search the files `user` can access. Options come straight from the query
+   * string: `q`, `type`, `tag`, `folder`, `minSize`, `maxSize`, `size`
+   * (bucket), `from`, `to`, `sort`, `order`, `limit` and `cursor`.
+   */
+  async search(user, options = {}) {
+    await this.load();
+
+    const terms = [...new Set(tokenize(options.q))];
+    const sort = options.sort || (terms.length > 0 ? 'relevance' : 'uploadedAt');
+    if (!SORTS.includes(sort)) {
+      throw searchError(`Invalid sort, expected one of: ${SORTS.join(', ')}`);
+    }
+    if (options.order !== undefined && !['asc', 'desc'].includes(options.order)) {
+      throw searchError('Invalid order, expected asc or desc');
+    }
+    const descending = (options.order || (sort === 'name' ? 'asc' : 'desc')) === 'desc';
+
+    const limit = options.limit === undefined ? DEFAULT_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw searchError(`Invalid limit, expected 1 to ${MAX_LIMIT}`);
+    }
+
+    const types = listParam(options.type);
+    const sizes = listParam(options.size);
+    const tags = listParam(options.tag).map(tag => tag.toLowerCase());
+    const unknownType = types.find(type => !TYPES.includes(type));
+    if (unknownType) {
+      throw searchError(`Invalid type: ${unknownType}`);
+    }
+    const unknownSize = sizes.find(size => !SIZE_BUCKETS.some(bucket => bucket.name === size));
+    if (unknownSize) {
+      throw searchError(`Invalid size: ${unknownSize}`);
+    }
+
+    const minSize = parseSize(options.minSize, 'minSize');
+    const maxSize = parseSize(options.maxSize, 'maxSize');
+    const from = parseDate(options.from, 'from');
+    const to = parseDate(options.to, 'to');
+    const folder = options.folder;
+
+    // Facet filters are kept apart so each facet counts what its other choices would add
+    const filters = {
+      type: doc => types.length === 0 || types.includes(doc.type),
+      size: doc => sizes.length === 0 || sizes.includes(sizeBucket(doc.file.size)),
+      rest: doc => (tags.length === 0 || tags.every(tag => (doc.file.tags || []).includes(tag)))
+        && (folder === undefined || doc.file.folder === folder)
+        && (minSize === null || doc.file.size >= minSize)
+        && (maxSize === null || doc.file.size <= maxSize)
+        && (from === null || doc.time >= from)
+        && (to === null || doc.time <= to)
+    };
+    const passes = (doc, except) => Object.entries(filters).every(([name, test]) => name === except || test(doc));
+
+    const scores = terms.length > 0 ? this.match(terms) : null;
+    const candidates = [...this.docs.values()].filter(doc =>
+      (scores === null || scores.has(doc.file.filename)) && canAccess(user, doc.file));
+
+    const facets = {
+      type: Object.fromEntries(TYPES.map(type => [type, 0])),
+      size: Object.fromEntries(SIZE_BUCKETS.map(bucket => [bucket.name, 0])),
+      tags: {}
+    };
+    const results = [];
+    for (const doc of candidates) {
+      if (passes(doc, 'type')) {
+        facets.type[doc.type]++;
+      }
+      if (passes(doc, 'size')) {
+        facets.size[sizeBucket(doc.file.size)]++;
+      }
+      if (passes(doc)) {
+        results.push(doc);
+        for (const tag of doc.file.tags || []) {
+          facets.tags[tag] = (facets.tags[tag] || 0) + 1;
+        }
+      }
+    }
+
+    // Sort by the chosen key with the filename as tie breaker, so cursors are stable
+    const keyOf = {
+      relevance: doc => scores ? scores.get(doc.file.filename) : 0,
+      name: doc => doc.file.originalName.toLowerCase(),
+      size: doc => doc.file.size,
+      uploadedAt: doc => doc.time
+    }[sort];
+    const compare = (a, b) => {
+      const [keyA, nameA] = a;
+      const [keyB, nameB] = b;
+      const order = keyA < keyB ? -1 : keyA > keyB ? 1 : (nameA < nameB ? -1 : nameA > nameB ? 1 : 0);
+      return descending ? -order : order;
+    };
+    const ranked = results
+      .map(doc => ({ doc, position: [keyOf(doc), doc.file.filename] }))
+      .sort((a, b) => compare(a.position, b.position));
+
+    const after = options.cursor ? decodeCursor(options.cursor) : null;
+    const remaining = after ? ranked.filter(entry => compare(entry.position, after) > 0) : ranked;
+    const page = remaining.slice(0, limit);
+
+    return {
+      total: ranked.length,
+      files: page.map(({ doc }) => scores ? { ...doc.file, score: scores.get(doc.file.filename) } : doc.file),
+      facets,
+      nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1].position) : null
+    };
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  TYPES,
+  SIZE_BUCKETS
+};
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { hashPassword, verifyPassword } = require("./users");
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_TTL = 90 * 24 * 60 * 60 * 1000; // 90 days
+const MAX_FILES = 100;
+
+function shareError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Keep a persisted signing secret unless one is configured
+function loadSecret(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+/**
+ * Public share links for one file or a ZIP of several. A link token is
+ * `<id>.<signature>`, where the signature is an HMAC over the share id and
+ * its expiry, so forged or tampered tokens are rejected before any lookup.
+ * Records keep the download count, password hash and revocation state.
+ */
+class ShareStore {
+  constructor({ file, secret, secretFile }) {
+    this.file = file;
+    this.secret = secret || loadSecret(secretFile);
+    this.shares = [];
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      this.shares = JSON.parse(fs.readFileSync(this.file, 'utf8')).shares || [];
+    } catch (err) {
+      console.error('Error reading share links:', err);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ shares: this.shares }));
+    fs.renameSync(tmp, this.file);
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+  }
+
+  tokenFor(share) {
+    return `${share.id}.${this.sign(`${share.id}:${share.expiresAt}`)}`;
+  }
+
+  // Why a share can no longer be used, or null while it is active
+  inactiveReason(share) {
+    if (share.revokedAt) {
+      return 'revoked';
+    }
+    if (Date.parse(share.expiresAt) <= Date.now()) {
+      return 'expired';
+    }
+    if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+      return 'exhausted';
+    }
+    return null;
+  }
+
+  // Public view of a share, including its link
+  describe(share) {
+    const { passwordHash, ...rest } = share;
+    const status = this.inactiveReason(share) || 'active';
+    return {
+      ...rest,
+      passwordProtected: Boolean(passwordHash),
+      status,
+      url: `/s/${this.tokenFor(share)}`
+    };
+  }
+
+  async create({ owner, filenames, name, expiresIn, password, maxDownloads }) {
+    if (!Array.isArray(filenames) || filenames.length === 0) {
+      throw shareError(400, 'No filenames provided');
+    }
+    if (filenames.length > MAX_FILES) {
+      throw shareError(400, `Too many files. Maximum ${MAX_FILES} files allowed.`);
+    }
+
+    const ttl = expiresIn === undefined ? DEFAULT_TTL : Number(expiresIn) * 1000;
+    if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_TTL) {
+      throw shareError(400, `expiresIn must be between 1 second and ${MAX_TTL / 1000} seconds`);
+    }
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isSafeInteger(maxDownloads) || maxDownloads < 1)) {
+      throw shareError(400, 'maxDownloads must be a positive integer');
+    }
+    if (password !== undefined && password !== null && (typeof password !== 'string' || password === '')) {
+      throw shareError(400, 'Password must be a non-empty string');
+    }
+    if (name !== undefined && (typeof name !== 'string' || !/^[^/\\\0]{1,100}$/.test(name))) {
+      throw shareError(400, 'Invalid share name');
+    }
+
+    const now = Date.now();
+    const share = {
+      id: crypto.randomBytes(12).toString('hex'),
+      owner,
+      filenames: [...new Set(filenames)],
+      name: name || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl).toISOString(),
+      maxDownloads: maxDownloads || null,
+      downloads: 0,
+      lastDownloadAt: null,
+      revokedAt: null,
+      passwordHash: password ? await hashPassword(password) : null
+    };
+    this.shares.push(share);
+    this.save();
+    return share;
+  }
+
+  get(id) {
+    return this.shares.find(share => share.id === id) || null;
+  }
+
+  list(owner) {
+    return this.shares.filter(share => owner === undefined || share.owner === owner);
+  }
+
+  // Resolve a link token to its share, or null for unknown or forged tokens
+  resolve(token) {
+    const [id, signature] = String(token).split('.');
+    const share = id && signature ? this.get(id) : null;
+    if (!share) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(`${share.id}:${share.expiresAt}`));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? share : null;
+  }
+
+  checkPassword(share, password) {
+    if (!share.passwordHash) {
+      return Promise.resolve(true);
+    }
+    return typeof password === 'string' ? verifyPassword(password, share.passwordHash) : Promise.resolve(false);
+  }
+
+  // Proof of a verified password, kept in a cookie scoped to the link
+  unlockKey(share) {
+    return this.sign(`${share.id}:unlocked:${share.passwordHash}`);
+  }
+
+  isUnlocked(share, key) {
+    if (!share.passwordHash) {
+      return true;
+    }
+    const expected = Buffer.from(this.unlockKey(share));
+    const given = Buffer.from(String(key || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Count a download; false once the share may no longer be used
+  recordDownload(share) {
+    if (this.inactiveReason(share)) {
+      return false;
+    }
+    share.downloads += 1;
+    share.lastDownloadAt = new Date().toISOString();
+    this.save();
+    return true;
+  }
+
+  revoke(share) {
+    if (!share.revokedAt) {
+      share.revokedAt = new Date().toISOString();
+      this.save();
+    }
+  }
+}
+
+module.exports = {
+  ShareStore
+};
@@ -0,0 +1,29 @@
+// Error thrown by every driver when an object does not exist
+function notFound(key) {
+  const err = new Error(`Object not found: ${key}`);
+  err.code = 'ENOENT';
+  err.status = 404;
+  return err;
+}
+
+function invalidKey(key) {
+  const err = new Error(`Invalid storage key: ${key}`);
+  err.status = 400;
+  return err;
+}
+
+// Keys are `/`-separated relative names; reject anything that could escape the store
+function validateKey(key) {
+  if (typeof key !== 'string' || key === '' || key.startsWith('/') || key.includes('\\') || key.includes('\0')) {
+    throw invalidKey(key);
+  }
+  if (key.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw invalidKey(key);
+  }
+}
+
+module.exports = {
+  notFound,
+  invalidKey,
+  validateKey
+};
@@ -0,0 +1,38 @@
+const LocalStorage = require("./local");
+const MemoryStorage = require("./memory");
+const S3Storage = require("./s3");
+
+/**
+ * Storage driver interface shared by every backend (all methods async):
+ *   put(key, stream)              -> { size }
+ *   get(key, { start, end })      -> readable stream, optionally an inclusive byte range
+ *   stat(key)                     -> { size, mtime } or null
+ *   list(prefix)                  -> keys directly below `prefix` that have data or metadata,
+ *                                    hidden (`.`-prefixed) keys excluded
+ *   move(from, to)                -> renames an object's data (metadata stays with `from`)
+ *   delete(key)                   -> removes the object and its metadata
+ *   getMetadata(key)              -> metadata object or null
+ *   setMetadata(key, metadata)
+ * Missing objects reject from get() with `err.code === 'ENOENT'`. File records
+ * live in the metadata database (lib/metadata-db.js); driver metadata only
+ * holds the legacy sidecars it imports.
+ */
+function createStorage({ driver = 'local', ...options }) {
+  switch (driver) {
+    case 'local':
+      return new LocalStorage(options);
+    case 'memory':
+      return new MemoryStorage(options);
+    case 's3':
+      return new S3Storage(options);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  LocalStorage,
+  MemoryStorage,
+  S3Storage
+};
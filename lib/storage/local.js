@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream");
+const { notFound, invalidKey, validateKey } = require("./errors");
+
+/**
+ * Local filesystem driver. Objects are plain files below `root` and their
+ * metadata lives in a `<key>.meta` JSON sidecar, which is the layout the
+ * uploads directory has always used (file records themselves now live in the
+ * metadata database; the sidecars are read by its one-time import).
+ */
+class LocalStorage {
+  constructor({ root }) {
+    this.root = root;
+  }
+
+  resolve(key) {
+    validateKey(key);
+    const target = path.join(this.root, ...key.split('/'));
+    const relative = path.relative(this.root, target);
+    if (relative === '' || relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+      throw invalidKey(key);
+    }
+    return target;
+  }
+
+  // Whether a path, once symlinks are followed, still lies below the root
+  async contains(target) {
+    const [root, real] = await Promise.all([fs.promises.realpath(this.root), fs.promises.realpath(target)]);
+    return real.startsWith(root + path.sep);
+  }
+
+  async put(key, stream) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial object
+    const tmp = path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    const writeStream = fs.createWriteStream(tmp);
+
+    try {
+      await new Promise((resolve, reject) => {
+        pipeline(stream, writeStream, (err) => err ? reject(err) : resolve());
+      });
+      await fs.promises.rename(tmp, target);
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+
+    return { size: writeStream.bytesWritten };
+  }
+
+  async get(key, { start, end } = {}) {
+    const target = this.resolve(key);
+    const stats = await this.stat(key);
+    if (!stats) {
+      throw notFound(key);
+    }
+    return fs.createReadStream(target, { start, end });
+  }
+
+  async stat(key) {
+    try {
+      const target = this.resolve(key);
+      const stats = await fs.promises.stat(target);
+      if (!stats.isFile()) {
+        return null;
+      }
+      // A symlink leading out of the store is treated as missing
+      if (!(await this.contains(target))) {
+        console.warn('Ignoring storage object outside the root:', key);
+        return null;
+      }
+      return { size: stats.size, mtime: stats.mtime };
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  // Keys directly below `prefix` (a `dir/` style prefix) with data or metadata, skipping hidden entries
+  async list(prefix = '') {
+    const dir = prefix ? this.resolve(prefix.replace(/\/$/, '')) : this.root;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+
+    const names = entries
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name.replace(/\.meta$/, ''))
+      .filter(name => name !== '' && !name.startsWith('.'));
+
+    return [...new Set(names)].sort().map(name => prefix + name);
+  }
+
+  async move(from, to) {
+    const source = this.resolve(from);
+    const target = this.resolve(to);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(source, target);
+    } catch (err) {
+      throw err.code === 'ENOENT' ? notFound(from) : err;
+    }
+  }
+
+  async delete(key) {
+    const target = this.resolve(key);
+    await fs.promises.rm(target, { force: true });
+    await fs.promises.rm(target + '.meta', { force: true });
+
+    // Drop directories the delete left empty, up to the root
+    for (let dir = path.dirname(target); dir.startsWith(this.root + path.sep); dir = path.dirname(dir)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch {
+        break;
+      }
+    }
+  }
+
+  async getMetadata(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.resolve(key) + '.meta', 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error reading metadata for:', key, err);
+      }
+      return null;
+    }
+  }
+
+  async setMetadata(key, metadata) {
+    const target = this.resolve(key) + '.meta';
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, JSON.stringify(metadata));
+  }
+}
+
+module.exports = LocalStorage;
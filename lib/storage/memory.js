@@ -0,0 +1,83 @@
+const { Readable } = require("stream");
+const { notFound, validateKey } = require("./errors");
+
+/**
+ * In-memory driver for tests and throwaway instances. Nothing touches disk
+ * and everything is lost when the process exits.
+ */
+class MemoryStorage {
+  constructor() {
+    this.objects = new Map();
+    this.metadata = new Map();
+  }
+
+  async put(key, stream) {
+    validateKey(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+
+    const data = Buffer.concat(chunks);
+    this.objects.set(key, { data, mtime: new Date() });
+    return { size: data.length };
+  }
+
+  async get(key, { start, end } = {}) {
+    validateKey(key);
+    const object = this.objects.get(key);
+    if (!object) {
+      throw notFound(key);
+    }
+
+    const from = start || 0;
+    const to = end === undefined ? object.data.length : end + 1;
+    return Readable.from([object.data.subarray(from, to)]);
+  }
+
+  async stat(key) {
+    validateKey(key);
+    const object = this.objects.get(key);
+    return object ? { size: object.data.length, mtime: object.mtime } : null;
+  }
+
+  async list(prefix = '') {
+    const keys = new Set([...this.objects.keys(), ...this.metadata.keys()]);
+    return [...keys]
+      .filter(key => key.startsWith(prefix))
+      .filter(key => {
+        const name = key.slice(prefix.length);
+        return !name.includes('/') && !name.startsWith('.');
+      })
+      .sort();
+  }
+
+  async move(from, to) {
+    validateKey(to);
+    const object = this.objects.get(from);
+    if (!object) {
+      throw notFound(from);
+    }
+    this.objects.set(to, object);
+    this.objects.delete(from);
+  }
+
+  async delete(key) {
+    validateKey(key);
+    this.objects.delete(key);
+    this.metadata.delete(key);
+  }
+
+  async getMetadata(key) {
+    validateKey(key);
+    const metadata = this.metadata.get(key);
+    return metadata ? JSON.parse(metadata) : null;
+  }
+
+  async setMetadata(key, metadata) {
+    validateKey(key);
+    this.metadata.set(key, JSON.stringify(metadata));
+  }
+}
+
+module.exports = MemoryStorage;
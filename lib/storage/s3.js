@@ -0,0 +1,338 @@
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const { notFound, validateKey } = require("./errors");
+
+const PART_SIZE = 8 * 1024 * 1024; // 8MB, above the 5MB S3 multipart minimum
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by SigV4 (keeps `/` when encoding paths)
+function encodeRfc3986(value, keepSlash) {
+  const encoded = encodeURIComponent(value)
+    .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readBody(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * S3-compatible driver (AWS S3, MinIO and similar). Requests are signed with
+ * AWS Signature Version 4 using only Node's http modules. Metadata is stored
+ * as a `<key>.meta` JSON object next to each object, mirroring the local
+ * driver, so it can be rewritten without copying the data.
+ */
+class S3Storage {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, sessionToken, forcePathStyle = true, prefix = '' }) {
+    if (!endpoint || !bucket) {
+      throw new Error('S3 storage requires an endpoint and a bucket');
+    }
+
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.sessionToken = sessionToken;
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix;
+    this.transport = this.endpoint.protocol === 'https:' ? https : http;
+  }
+
+  objectPath(key) {
+    const objectKey = key === undefined ? '' : encodeRfc3986(this.prefix + key, true);
+    return this.forcePathStyle ? `/${this.bucket}/${objectKey}` : `/${objectKey}`;
+  }
+
+  host() {
+    return this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+  }
+
+  // Build SigV4 headers for a request
+  sign(method, pathname, query, headers, payloadHash, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const signed = {
+      ...headers,
+      host: this.host(),
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    if (this.sessionToken) {
+      signed['x-amz-security-token'] = this.sessionToken;
+    }
+
+    const headerNames = Object.keys(signed).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = headerNames.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+      .join('&');
+
+    const canonicalRequest = [method, pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      headers: {
+        ...signed,
+        authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      query: canonicalQuery
+    };
+  }
+
+  /**
+   * Send a signed request. Resolves with the response stream for 2xx answers;
+   * other statuses reject with an error carrying `status` (404 as ENOENT).
+   */
+  request(method, key, { query = {}, headers = {}, body, unsignedPayload = false } = {}) {
+    const pathname = this.objectPath(key);
+    const payloadHash = unsignedPayload ? 'UNSIGNED-PAYLOAD' : sha256(body || '');
+    const signed = this.sign(method, pathname, query, {
+      ...headers,
+      ...(body !== undefined ? { 'content-length': body.length } : {})
+    }, payloadHash);
+
+    return new Promise((resolve, reject) => {
+      const req = this.transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port,
+        method,
+        path: pathname + (signed.query ? `?${signed.query}` : ''),
+        headers: signed.headers
+      }, async (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res);
+          return;
+        }
+
+        const text = (await readBody(res).catch(() => Buffer.alloc(0))).toString('utf8');
+        if (res.statusCode === 404) {
+          reject(notFound(key));
+          return;
+        }
+        const code = /<Code>([^<]*)<\/Code>/.exec(text);
+        const err = new Error(`S3 ${method} ${key || ''} failed with ${res.statusCode}${code ? ` (${code[1]})` : ''}`);
+        err.status = res.statusCode;
+        reject(err);
+      });
+
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  async put(key, stream) {
+    validateKey(key);
+
+    // Buffer the first part; small objects go up in a single PUT
+    let buffered = [];
+    let bufferedSize = 0;
+    let size = 0;
+    let upload = null;
+
+    const flushPart = async () => {
+      const part = Buffer.concat(buffered);
+      buffered = [];
+      bufferedSize = 0;
+
+      if (!upload) {
+        const res = await this.request('POST', key, { query: { uploads: '' } });
+        const uploadId = /<UploadId>([^<]+)<\/UploadId>/.exec((await readBody(res)).toString('utf8'));
+        upload = { id: decodeXml(uploadId[1]), parts: [] };
+      }
+
+      const partNumber = upload.parts.length + 1;
+      const res = await this.request('PUT', key, {
+        query: { partNumber, uploadId: upload.id },
+        body: part,
+        unsignedPayload: true
+      });
+      res.resume();
+      upload.parts.push({ partNumber, etag: res.headers.etag });
+    };
+
+    try {
+      for await (const chunk of stream) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        buffered.push(data);
+        bufferedSize += data.length;
+        size += data.length;
+        if (bufferedSize >= PART_SIZE) {
+          await flushPart();
+        }
+      }
+
+      if (!upload) {
+        const res = await this.request('PUT', key, {
+          headers: { 'content-type': 'application/octet-stream' },
+          body: Buffer.concat(buffered),
+          unsignedPayload: true
+        });
+        res.resume();
+        return { size };
+      }
+
+      if (bufferedSize > 0) {
+        await flushPart();
+      }
+
+      const completion = '<CompleteMultipartUpload>' +
+        upload.parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('') +
+        '</CompleteMultipartUpload>';
+      const res = await this.request('POST', key, {
+        query: { uploadId: upload.id },
+        headers: { 'content-type': 'application/xml' },
+        body: Buffer.from(completion)
+      });
+      res.resume();
+
+      return { size };
+    } catch (err) {
+      if (upload) {
+        await this.request('DELETE', key, { query: { uploadId: upload.id } })
+          .then(res => res.resume())
+          .catch(abortErr => console.error('Failed to abort multipart upload:', abortErr));
+      }
+      throw err;
+    }
+  }
+
+  async get(key, { start, end } = {}) {
+    validateKey(key);
+    const headers = {};
+    if (start !== undefined || end !== undefined) {
+      headers.range = `bytes=${start || 0}-${end === undefined ? '' : end}`;
+    }
+    return this.request('GET', key, { headers });
+  }
+
+  async stat(key) {
+    validateKey(key);
+    try {
+      const res = await this.request('HEAD', key);
+      res.resume();
+      return {
+        size: Number(res.headers['content-length']),
+        mtime: new Date(res.headers['last-modified'])
+      };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const query = { 'list-type': 2, prefix: this.prefix + prefix, delimiter: '/' };
+      if (continuationToken) {
+        query['continuation-token'] = continuationToken;
+      }
+
+      const res = await this.request('GET', undefined, { query });
+      const xml = (await readBody(res)).toString('utf8');
+      for (const match of xml.matchAll(/<Contents>[\s\S]*?<Key>([^<]*)<\/Key>[\s\S]*?<\/Contents>/g)) {
+        keys.push(decodeXml(match[1]).slice(this.prefix.length));
+      }
+
+      const token = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+      continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml) && token ? decodeXml(token[1]) : null;
+    } while (continuationToken);
+
+    const entries = keys
+      .map(key => key.replace(/\.meta$/, ''))
+      .filter(key => {
+        const name = key.slice(prefix.length);
+        return name !== '' && !name.startsWith('.');
+      });
+    return [...new Set(entries)];
+  }
+
+  // Server-side copy followed by a delete; S3 has no rename
+  async move(from, to) {
+    validateKey(from);
+    validateKey(to);
+    const res = await this.request('PUT', to, {
+      headers: { 'x-amz-copy-source': `/${this.bucket}/${encodeRfc3986(this.prefix + from, true)}` }
+    });
+    res.resume();
+    const removed = await this.request('DELETE', from);
+    removed.resume();
+  }
+
+  async delete(key) {
+    validateKey(key);
+    for (const target of [key, `${key}.meta`]) {
+      const res = await this.request('DELETE', target).catch(err => {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+        return null;
+      });
+      if (res) {
+        res.resume();
+      }
+    }
+  }
+
+  async getMetadata(key) {
+    validateKey(key);
+    try {
+      const res = await this.request('GET', `${key}.meta`);
+      return JSON.parse((await readBody(res)).toString('utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error reading metadata for:', key, err);
+      }
+      return null;
+    }
+  }
+
+  async setMetadata(key, metadata) {
+    validateKey(key);
+    const res = await this.request('PUT', `${key}.meta`, {
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify(metadata))
+    });
+    res.resume();
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline, Readable } = require("stream");
+const sharp = require("sharp");
+const { findFfmpeg, runFfmpeg } = require("./ffmpeg");
+
+const SIZES = [128, 256, 512];
+const DEFAULT_SIZE = 256;
+const FFMPEG_TIMEOUT = 60 * 1000;
+
+// Raster formats sharp decodes; SVG is left out so untrusted markup is never rendered
+const IMAGE_TYPES = /^image\/(jpeg|png|webp|gif|avif|tiff|heic|heif)$/;
+
+function thumbnailKey(filename, size) {
+  return `.thumbnails/${filename}/${size}.jpg`;
+}
+
+// Grab a single frame as PNG, `seconds` into the video
+function extractFrame(ffmpegPath, input, seconds) {
+  return runFfmpeg(ffmpegPath, [
+    '-ss', String(seconds),
+    '-i', input,
+    '-frames:v', '1',
+    '-f', 'image2pipe',
+    '-vcodec', 'png',
+    'pipe:1'
+  ], { timeout: FFMPEG_TIMEOUT, capture: true });
+}
+
+/**
+ * Background thumbnail generation. Images are resized with sharp; videos get
+ * a poster frame from ffmpeg when it is installed. Every size is rendered at
+ * once into hidden `.thumbnails/<filename>/<size>.jpg` objects and the file's
+ * metadata records `thumbnail: { status }` (`pending`, `ready` or `failed`).
+ */
+class ThumbnailService {
+  constructor({ fileStore, storage, queue, ffmpegPath = 'ffmpeg' }) {
+    this.fileStore = fileStore;
+    this.storage = storage;
+    this.queue = queue;
+    this.queued = new Set(); // filename:sha256 of queued jobs
+    this.ffmpegPath = findFfmpeg(ffmpegPath);
+  }
+
+  // Follow uploads and deletions in the file store
+  attach() {
+    this.fileStore.on('created', (file) => {
+      this.schedule(file).catch(err => console.error('Failed to schedule thumbnails:', file.filename, err));
+    });
+    this.fileStore.on('deleted', ({ filename }) => {
+      this.remove(filename).catch(err => console.error('Failed to remove thumbnails:', filename, err));
+    });
+    return this;
+  }
+
+  supports(mimetype) {
+    return IMAGE_TYPES.test(mimetype || '') || (Boolean(this.ffmpegPath) && /^video\//.test(mimetype || ''));
+  }
+
+  // Queue generation for a file; resolves false when its type is unsupported
+  async schedule(file) {
+    if (!this.supports(file.mimetype)) {
+      return false;
+    }
+
+    if (!(await this.fileStore.update(file.filename, { thumbnail: { status: 'pending' } }, { sha256: file.sha256 }))) {
+      return false;
+    }
+    const key = `${file.filename}:${file.sha256}`;
+    this.queued.add(key);
+    this.queue.push(file.filename, () => this.generate(file))
+      .catch(() => {})
+      .finally(() => this.queued.delete(key));
+    return true;
+  }
+
+  /**
+   * Thumbnail status of a file. Files stored before thumbnails existed (or
+   * whose job was lost in a restart) are queued on first request.
+   */
+  async ensure(file) {
+    const metadata = this.fileStore.getMetadata(file.filename);
+    const status = metadata && metadata.thumbnail ? metadata.thumbnail.status : null;
+    if (status === 'ready' || status === 'failed') {
+      return status;
+    }
+    if (this.queued.has(`${file.filename}:${file.sha256}`)) {
+      return 'pending';
+    }
+    return (await this.schedule(file)) ? 'pending' : 'unsupported';
+  }
+
+  async generate(file) {
+    try {
+      const source = /^video\//.test(file.mimetype) ? sharp(await this.posterFrame(file)) : await this.imageSource(file);
+      const base = source.rotate(); // respect EXIF orientation
+
+      const thumbnails = [];
+      for (const size of SIZES) {
+        thumbnails.push(await base.clone()
+          .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+          .flatten({ background: '#ffffff' })
+          .jpeg({ quality: 80 })
+          .toBuffer());
+      }
+
+      // A new version's job renders its own thumbnails: don't overwrite them
+      if (!this.fileStore.hasContent(file.filename, file.sha256)) {
+        return;
+      }
+      for (const [index, size] of SIZES.entries()) {
+        await this.storage.put(thumbnailKey(file.filename, size), Readable.from([thumbnails[index]]));
+      }
+
+      // The file may have been deleted (or replaced) while we were busy
+      if (!(await this.fileStore.update(file.filename, { thumbnail: { status: 'ready', generatedAt: new Date().toISOString() } }, { sha256: file.sha256 }))) {
+        if (!this.fileStore.getMetadata(file.filename)) {
+          await this.remove(file.filename);
+        }
+        return;
+      }
+      console.log(`Thumbnails generated for: ${file.filename}`);
+    } catch (err) {
+      await this.fileStore.update(file.filename, { thumbnail: { status: 'failed', error: err.message } }, { sha256: file.sha256 });
+      throw err;
+    }
+  }
+
+  // A sharp instance fed from the stored image
+  async imageSource(file) {
+    const image = sharp({ failOn: 'none' });
+    pipeline(await this.fileStore.open(file.filename, undefined, file.version), image, (err) => {
+      if (err) {
+        image.destroy(err);
+      }
+    });
+    return image;
+  }
+
+  // ffmpeg needs a seekable input, so the video is copied to a temp file first
+  async posterFrame(file) {
+    const tmp = path.join(os.tmpdir(), `thumbnail-${crypto.randomBytes(8).toString('hex')}`);
+    try {
+      const source = await this.fileStore.open(file.filename, undefined, file.version);
+      await new Promise((resolve, reject) => {
+        pipeline(source, fs.createWriteStream(tmp), err => err ? reject(err) : resolve());
+      });
+
+      // One second in skips black intro frames; very short clips fall back to the start
+      const frame = await extractFrame(this.ffmpegPath, tmp, 1);
+      return frame.length > 0 ? frame : await extractFrame(this.ffmpegPath, tmp, 0);
+    } finally {
+      await fs.promises.rm(tmp, { force: true });
+    }
+  }
+
+  // Stream a thumbnail, or null if it does not exist
+  async open(filename, size) {
+    const key = thumbnailKey(filename, size);
+    return (await this.storage.stat(key)) ? this.storage.get(key) : null;
+  }
+
+  async remove(filename) {
+    for (const size of SIZES) {
+      await this.storage.delete(thumbnailKey(filename, size));
+    }
+  }
+}
+
+module.exports = {
+  ThumbnailService,
+  SIZES,
+  DEFAULT_SIZE
+};
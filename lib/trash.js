@@ -0,0 +1,88 @@
+const { canAccess } = require("./auth");
+
+const DEFAULT_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Trash bin on top of the file store. Deleted files keep their content and
+ * metadata for `retention` ms, during which their owner (or an admin) can
+ * restore them into their original folder; a purger removes them for good
+ * once the retention period has passed.
+ */
+class TrashBin {
+  constructor({ fileStore, folders, retention = DEFAULT_RETENTION }) {
+    this.fileStore = fileStore;
+    this.folders = folders;
+    this.retention = retention;
+    this.purgeTimer = null;
+  }
+
+  // When a trashed file will be purged
+  purgeAt(file) {
+    return new Date(Date.parse(file.trashed.deletedAt) + this.retention).toISOString();
+  }
+
+  describe(file) {
+    const { trashed, ...rest } = file;
+    return { ...rest, deletedAt: trashed.deletedAt, deletedBy: trashed.deletedBy, purgeAt: this.purgeAt(file) };
+  }
+
+  // Trashed files visible to `user`, most recently deleted first
+  async list(user) {
+    return (await this.fileStore.listTrash())
+      .filter(file => canAccess(user, file))
+      .sort((a, b) => b.trashed.deletedAt.localeCompare(a.trashed.deletedAt))
+      .map(file => this.describe(file));
+  }
+
+  // A trashed file, or null if there is no such file in the trash
+  async get(filename) {
+    const file = await this.fileStore.resolve(filename, { includeTrashed: true });
+    return file && file.trashed ? file : null;
+  }
+
+  move(filename, user) {
+    return this.fileStore.trash(filename, { id: user.id, username: user.username });
+  }
+
+  // Restore into the original folder, recreating it if it was deleted meanwhile
+  async restore(filename) {
+    const file = await this.get(filename);
+    if (!file) {
+      return null;
+    }
+    if (!this.folders.exists(file.folder)) {
+      this.folders.create(file.folder);
+    }
+    return (await this.fileStore.restore(filename)) ? this.fileStore.describe(filename) : null;
+  }
+
+  async purge(filename) {
+    await this.fileStore.remove(filename);
+  }
+
+  async purgeExpired() {
+    const cutoff = Date.now() - this.retention;
+    let purged = 0;
+    for (const file of await this.fileStore.listTrash()) {
+      if (Date.parse(file.trashed.deletedAt) <= cutoff) {
+        await this.purge(file.filename);
+        purged++;
+      }
+    }
+    if (purged > 0) {
+      console.log(`Purged ${purged} file(s) from the trash`);
+    }
+    return purged;
+  }
+
+  startPurger(interval = Math.min(this.retention, 60 * 60 * 1000)) {
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch(err => console.error('Trash purge error:', err));
+    }, interval);
+    this.purgeTimer.unref();
+  }
+}
+
+module.exports = {
+  TrashBin
+};
@@ -0,0 +1,322 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline, Transform } = require("stream");
+const { checkOriginalName } = require("./files");
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Error carrying the HTTP status the route should answer with
+function sessionError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Merge a new [start, end) byte range into a sorted list of ranges
+function addRange(ranges, start, end) {
+  const merged = [];
+  let next = [start, end];
+
+  for (const range of ranges) {
+    if (range[1] < next[0]) {
+      merged.push(range);
+    } else if (range[0] > next[1]) {
+      merged.push(next);
+      next = range;
+    } else {
+      next = [Math.min(range[0], next[0]), Math.max(range[1], next[1])];
+    }
+  }
+  merged.push(next);
+
+  return merged;
+}
+
+// Byte ranges not yet received, as [start, end) pairs
+function missingRanges(ranges, size) {
+  const missing = [];
+  let position = 0;
+
+  for (const [start, end] of ranges) {
+    if (start > position) {
+      missing.push([position, start]);
+    }
+    position = Math.max(position, end);
+  }
+  if (position < size) {
+    missing.push([position, size]);
+  }
+
+  return missing;
+}
+
+/**
+ * Resumable upload sessions. Each session is a preallocated `.part` file plus
+ * a `.json` descriptor recording which byte ranges have been written, so a
+ * client can reconnect after a dropped upload and send only what is missing.
+ */
+class UploadSessionStore {
+  constructor({ dir, ttl = DEFAULT_TTL, maxSize }) {
+    this.dir = dir;
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    this.locks = new Map();
+    this.writing = new Map(); // id -> chunks being written
+    this.sweepTimer = null;
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  sessionPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  partPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  // Serialize descriptor updates per session so parallel chunks don't race
+  withLock(id, task) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.then(task, task);
+    const settled = current.catch(() => {});
+    this.locks.set(id, settled);
+    settled.then(() => {
+      if (this.locks.get(id) === settled) {
+        this.locks.delete(id);
+      }
+    });
+    return current;
+  }
+
+  async create({ filename, size, mimetype, chunkSize, folder = '', owner = null }) {
+    checkOriginalName(filename);
+    if (!Number.isSafeInteger(size) || size < 0) {
+      throw sessionError(400, 'Invalid file size');
+    }
+    if (this.maxSize && size > this.maxSize) {
+      throw sessionError(400, 'File too large');
+    }
+    if (chunkSize !== undefined && (!Number.isSafeInteger(chunkSize) || chunkSize <= 0)) {
+      throw sessionError(400, 'Invalid chunk size');
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      filename,
+      size,
+      mimetype: mimetype || 'application/octet-stream',
+      chunkSize: chunkSize || DEFAULT_CHUNK_SIZE,
+      folder,
+      owner,
+      received: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Preallocate the part file so chunks can be written at any offset
+    const handle = await fs.promises.open(this.partPath(session.id), 'w');
+    try {
+      await handle.truncate(size);
+    } finally {
+      await handle.close();
+    }
+    await this.save(session);
+
+    return session;
+  }
+
+  async get(id) {
+    if (!/^[a-f0-9]{32}$/.test(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.sessionPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async save(session) {
+    const target = this.sessionPath(session.id);
+    const tmp = `${target}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(session));
+    await fs.promises.rename(tmp, target);
+  }
+
+  // Public view of a session including progress information
+  describe(session) {
+    const bytesReceived = session.received.reduce((sum, [start, end]) => sum + end - start, 0);
+    return {
+      ...session,
+      bytesReceived,
+      missing: missingRanges(session.received, session.size),
+      complete: bytesReceived === session.size,
+      expiresAt: new Date(Date.parse(session.updatedAt) + this.ttl).toISOString()
+    };
+  }
+
+  /**
+   * Write a request body into the session's part file starting at `offset`.
+   * Whatever reached the disk is recorded even if the client disconnects
+   * midway, so the next attempt can resume from there.
+   */
+  async writeChunk(id, offset, stream, expectedLength) {
+    const session = await this.get(id);
+    if (!session) {
+      throw sessionError(404, 'Upload session not found');
+    }
+    if (!Number.isSafeInteger(offset) || offset < 0 || offset > session.size) {
+      throw sessionError(416, 'Invalid chunk offset');
+    }
+    if (expectedLength !== undefined && offset + expectedLength > session.size) {
+      throw sessionError(416, 'Chunk exceeds declared file size');
+    }
+
+    const limit = session.size - offset;
+    let received = 0;
+    const guard = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > limit) {
+          callback(sessionError(416, 'Chunk exceeds declared file size'));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    // Chunks are written outside the lock so they can arrive in parallel;
+    // the sweeper leaves sessions alone while any is in flight
+    this.writing.set(id, (this.writing.get(id) || 0) + 1);
+    const writeStream = fs.createWriteStream(this.partPath(id), { flags: 'r+', start: offset });
+    const writeError = await new Promise((resolve) => {
+      pipeline(stream, guard, writeStream, resolve);
+    }).finally(() => {
+      const count = this.writing.get(id) - 1;
+      if (count > 0) {
+        this.writing.set(id, count);
+      } else {
+        this.writing.delete(id);
+      }
+    });
+
+    const written = writeStream.bytesWritten;
+    const updated = await this.withLock(id, async () => {
+      const current = await this.get(id);
+      if (!current) {
+        throw sessionError(404, 'Upload session not found');
+      }
+      if (written > 0) {
+        current.received = addRange(current.received, offset, offset + written);
+      }
+      current.updatedAt = new Date().toISOString();
+      await this.save(current);
+      return current;
+    });
+
+    if (writeError) {
+      throw writeError.status ? writeError : sessionError(400, 'Chunk upload interrupted');
+    }
+    if (expectedLength !== undefined && written !== expectedLength) {
+      throw sessionError(400, 'Incomplete chunk received');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Hand the assembled file over to `finalize(partPath, session)` once every
+   * byte is present, then drop the session.
+   */
+  async complete(id, finalize) {
+    return this.withLock(id, async () => {
+      const session = await this.get(id);
+      if (!session) {
+        throw sessionError(404, 'Upload session not found');
+      }
+
+      const status = this.describe(session);
+      if (!status.complete) {
+        const err = sessionError(409, 'Upload incomplete');
+        err.details = { session: status };
+        throw err;
+      }
+
+      const result = await finalize(this.partPath(id), session);
+      await this.remove(id);
+      return result;
+    });
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this.sessionPath(id), { force: true });
+    await fs.promises.rm(this.partPath(id), { force: true });
+  }
+
+  // Remove sessions that have not received data within the TTL
+  async sweep() {
+    const entries = await fs.promises.readdir(this.dir);
+    const now = Date.now();
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) {
+        continue;
+      }
+      // Under the session's lock, so a chunk or a completion that is running keeps its part file
+      const id = entry.slice(0, -'.json'.length);
+      const expired = await this.withLock(id, async () => {
+        if (this.writing.has(id)) {
+          return false;
+        }
+        const session = await this.get(id).catch(() => null);
+        if (session && Date.now() - Date.parse(session.updatedAt) <= this.ttl) {
+          return false;
+        }
+        await this.remove(id);
+        return true;
+      });
+      if (expired) {
+        removed++;
+      }
+    }
+
+    // Part files whose descriptor never got written
+    for (const entry of entries) {
+      if (entry.endsWith('.part') && !entries.includes(entry.replace(/\.part$/, '.json'))) {
+        const stats = await fs.promises.stat(path.join(this.dir, entry)).catch(() => null);
+        if (stats && now - stats.mtimeMs > this.ttl) {
+          await fs.promises.rm(path.join(this.dir, entry), { force: true });
+        }
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired upload session(s)`);
+    }
+    return removed;
+  }
+
+  startSweeper(interval = Math.min(this.ttl, 60 * 60 * 1000)) {
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(err => console.error('Upload session cleanup error:', err));
+    }, interval);
+    this.sweepTimer.unref();
+  }
+}
+
+module.exports = {
+  UploadSessionStore,
+  addRange,
+  missingRanges
+};
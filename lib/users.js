@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROLES = ['user', 'admin'];
+const TOKEN_PREFIX = 'mfs_';
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// scrypt password hash stored as `scrypt$<salt>$<hash>`
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, derived) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(`scrypt$${salt.toString('hex')}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), expected.length, (err, derived) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9._-]{3,32}$/.test(username)) {
+    throw authError(400, 'Username must be 3-32 letters, digits, dots, dashes or underscores');
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    throw authError(400, 'Password must be at least 8 characters');
+  }
+}
+
+// The user fields that are safe to return from the API
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Local accounts, login sessions and API tokens, kept in one JSON file so the
+ * server works offline. Only hashes of session ids and tokens are stored.
+ */
+class UserStore {
+  constructor({ file, sessionTtl }) {
+    this.file = file;
+    this.sessionTtl = sessionTtl;
+    this.users = [];
+    this.tokens = [];
+    this.sessions = [];
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const { users, tokens, sessions } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.users = users || [];
+      this.tokens = tokens || [];
+      this.sessions = sessions || [];
+    } catch (err) {
+      console.error('Error reading user store:', err);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ users: this.users, tokens: this.tokens, sessions: this.sessions }), { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+
+  isEmpty() {
+    return this.users.length === 0;
+  }
+
+  list() {
+    return this.users.map(publicUser);
+  }
+
+  get(id) {
+    return this.users.find(user => user.id === id) || null;
+  }
+
+  /**
+   * Create an account. With `first`, it is only created while no account
+   * exists yet (409 otherwise), so of two concurrent sign-ups on a fresh
+   * install only one gets in.
+   */
+  async create({ username, password, role = 'user' }, { first = false } = {}) {
+    validateCredentials(username, password);
+    if (!ROLES.includes(role)) {
+      throw authError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    // Hash first so the checks and the insert happen without yielding
+    const passwordHash = await hashPassword(password);
+    if (first && !this.isEmpty()) {
+      throw authError(409, 'An account already exists, please sign in');
+    }
+    if (this.users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+      throw authError(409, 'Username already taken');
+    }
+
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      role,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    };
+    this.users.push(user);
+    this.save();
+    return publicUser(user);
+  }
+
+  async setPassword(id, password) {
+    const user = this.get(id);
+    if (!user) {
+      throw authError(404, 'User not found');
+    }
+    validateCredentials(user.username, password);
+    user.passwordHash = await hashPassword(password);
+    // Changing the password signs out every session of that user
+    this.sessions = this.sessions.filter(session => session.userId !== id);
+    this.save();
+  }
+
+  remove(id) {
+    if (!this.get(id)) {
+      throw authError(404, 'User not found');
+    }
+    this.users = this.users.filter(user => user.id !== id);
+    this.tokens = this.tokens.filter(token => token.userId !== id);
+    this.sessions = this.sessions.filter(session => session.userId !== id);
+    this.save();
+  }
+
+  // Resolves with the user for valid credentials, or null
+  async verify(username, password) {
+    const user = this.users.find(candidate => candidate.username.toLowerCase() === String(username).toLowerCase());
+    if (!user || typeof password !== 'string') {
+      return null;
+    }
+    return (await verifyPassword(password, user.passwordHash)) ? publicUser(user) : null;
+  }
+
+  // Start a login session; the returned id is only ever handed to the client
+  createSession(userId) {
+    const id = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    this.sessions = this.sessions.filter(session => session.expiresAt > now);
+    this.sessions.push({ hash: hashSecret(id), userId, expiresAt: now + this.sessionTtl });
+    this.save();
+    return { id, expiresAt: new Date(now + this.sessionTtl).toISOString() };
+  }
+
+  endSession(id) {
+    const hash = hashSecret(id);
+    this.sessions = this.sessions.filter(session => session.hash !== hash);
+    this.save();
+  }
+
+  userForSession(id) {
+    const hash = hashSecret(id);
+    const session = this.sessions.find(candidate => candidate.hash === hash);
+    if (!session || session.expiresAt <= Date.now()) {
+      return null;
+    }
+    const user = this.get(session.userId);
+    return user ? publicUser(user) : null;
+  }
+
+  // Issue an API token; the plain token is returned once and never stored
+  createToken(userId, name) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      throw authError(400, 'Token name is required (max 100 characters)');
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      name: name.trim(),
+      hash: hashSecret(token),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.tokens.push(record);
+    this.save();
+    return { token, ...this.describeToken(record) };
+  }
+
+  describeToken(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      createdAt: record.createdAt,
+      lastUsedAt: record.lastUsedAt
+    };
+  }
+
+  listTokens(userId) {
+    return this.tokens.filter(token => token.userId === userId).map(token => this.describeToken(token));
+  }
+
+  revokeToken(userId, id) {
+    const before = this.tokens.length;
+    this.tokens = this.tokens.filter(token => !(token.id === id && token.userId === userId));
+    if (this.tokens.length === before) {
+      throw authError(404, 'Token not found');
+    }
+    this.save();
+  }
+
+  userForToken(token) {
+    const hash = hashSecret(token);
+    const record = this.tokens.find(candidate => candidate.hash === hash);
+    const user = record && this.get(record.userId);
+    if (!user) {
+      return null;
+    }
+
+    // Record usage at most once a minute to keep writes down
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > 60 * 1000) {
+      record.lastUsedAt = new Date().toISOString();
+      this.save();
+    }
+    return publicUser(user);
+  }
+}
+
+module.exports = {
+  UserStore,
+  authError,
+  hashPassword,
+  verifyPassword,
+  ROLES
+};
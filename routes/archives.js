@@ -0,0 +1,154 @@
+const express = require("express");
+const { pipeline, Transform } = require("stream");
+const { canAccess } = require("../lib/auth");
+const { normalizeFolderPath } = require("../lib/folders");
+const { getMimeType, contentDisposition } = require("../lib/files");
+const { safeEntryPath } = require("../lib/archives");
+const { sendError } = require("../lib/http-errors");
+
+// Passes an entry's bytes through, failing as soon as they disagree with the
+// size its header declared (and sent as Content-Length)
+function checkLength(expected) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > expected ? new Error('Archive entry is longer than its header says') : null, chunk);
+    },
+    flush(callback) {
+      callback(received < expected ? new Error('Archive entry is shorter than its header says') : null);
+    }
+  });
+}
+
+// 200 unless something failed: 207 when other entries made it, else the status the failures share
+function extractStatus(results) {
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length === 0) {
+    return 200;
+  }
+  if (failed.length < results.length) {
+    return 207;
+  }
+  return new Set(failed.map(result => result.code)).size === 1 ? failed[0].code : 400;
+}
+
+/**
+ * Uploaded ZIP and TAR archives, mounted under /files/:filename:
+ *   GET  /files/:filename/entries          entries with their path, type, size and date
+ *   GET  /files/:filename/entries/*path    download one file from the archive
+ *   POST /files/:filename/extract          import entries as files (`{ folder?, paths? }`)
+ *
+ * Reading an archive's content requires it to have passed the malware scan;
+ * extracted files are scanned like any upload.
+ */
+function createArchiveRouter({ archives, fileStore, folders, quotas, scanning }) {
+  const router = express.Router({ mergeParams: true });
+
+  async function loadArchive(req, res, next) {
+    try {
+      const file = await fileStore.resolve(req.params.filename);
+      if (!canAccess(req.user, file)) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      if (!archives.format(file)) {
+        return res.status(415).json({ error: "File is not a ZIP or TAR archive" });
+      }
+      req.archive = file;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function requireScanned(req, res, next) {
+    if (!scanning.passed(req.archive)) {
+      return res.status(403).json({ error: "File has not passed the malware scan", scan: req.archive.scan });
+    }
+    next();
+  }
+
+  router.get("/entries", loadArchive, requireScanned, async (req, res) => {
+    try {
+      const { format, entries } = await archives.list(req.archive);
+      res.json({ filename: req.archive.filename, format, entries });
+    } catch (error) {
+      sendError(res, error, "Failed to read archive");
+    }
+  });
+
+  router.get("/entries/*path", loadArchive, requireScanned, async (req, res) => {
+    try {
+      const found = await archives.openEntry(req.archive, req.params.path.join('/'));
+      if (!found) {
+        return res.status(404).json({ error: "Entry not found" });
+      }
+
+      const name = found.entry.path.split('/').pop();
+      res.writeHead(200, {
+        "Content-Type": getMimeType(name),
+        "Content-Length": found.entry.size,
+        "Content-Disposition": contentDisposition(name),
+        "Cache-Control": "private, no-cache"
+      });
+      if (req.method === 'HEAD') {
+        found.stream.destroy();
+        return res.end();
+      }
+      // A failed check aborts the response rather than end it early or overrun it
+      pipeline(found.stream, checkLength(found.entry.size), res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('Archive entry streaming error:', err.message);
+        }
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to read archive");
+    }
+  });
+
+  router.post("/extract", loadArchive, requireScanned, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const folder = body.folder === undefined ? req.archive.folder : normalizeFolderPath(body.folder);
+      if (!folders.exists(folder)) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+      const paths = body.paths === undefined ? null : [].concat(body.paths).map(entryPath => safeEntryPath(entryPath));
+      if (paths && (paths.length === 0 || paths.includes(null))) {
+        return res.status(400).json({ error: "Paths must list entries inside the archive" });
+      }
+
+      const results = await archives.extract(req.archive, { folder, paths, owner: req.user.id });
+
+      // Extractions and uploads running side by side may have pushed the
+      // user over a quota: give back files, newest first, until it fits again
+      const extracted = results.filter(result => result.status === 'extracted');
+      while (extracted.length > 0) {
+        try {
+          await quotas.verify(req.user.id);
+          break;
+        } catch (error) {
+          const result = extracted.pop();
+          await fileStore.remove(result.file.filename);
+          delete result.file;
+          Object.assign(result, { status: 'failed', error: error.message, code: error.status });
+        }
+      }
+
+      const files = extracted.map(result => result.file);
+      console.log(`Extracted ${files.length} files from ${req.archive.filename} into /${folder}`);
+      res.status(extractStatus(results)).json({
+        message: `${files.length} files extracted`,
+        folder,
+        files,
+        results
+      });
+    } catch (error) {
+      sendError(res, error, "Extraction failed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createArchiveRouter;
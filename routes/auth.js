@@ -0,0 +1,144 @@
+const express = require("express");
+const crypto = require("crypto");
+const { sendError } = require("../lib/http-errors");
+
+// Compare secrets in constant time
+function sameSecret(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof given === 'string' && crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Authentication API:
+ *   POST   /auth/login        `{ username, password }`, sets the session cookie
+ *   POST   /auth/logout       end the current session
+ *   GET    /auth/me           the signed-in user
+ *   GET    /auth/setup        whether the first (admin) account still has to be created
+ *   POST   /auth/password     change password `{ currentPassword, newPassword }`
+ *   GET    /auth/tokens       the user's API tokens
+ *   POST   /auth/tokens       create a token `{ name }` (the secret is shown once)
+ *   DELETE /auth/tokens/:id   revoke a token
+ *   GET    /auth/users        list accounts (admin)
+ *   POST   /auth/users        create `{ username, password, role }` (admin; while no accounts exist,
+ *                             the first admin with `{ username, password, bootstrapToken }`)
+ *   DELETE /auth/users/:id    delete an account (admin)
+ */
+function createAuthRouter({ users, auth, bootstrapToken }) {
+  const router = express.Router();
+
+  router.post("/login", async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const user = await users.verify(username, password);
+      if (!user) {
+        return res.status(401).json({ error: "Invalid username or password" });
+      }
+
+      const session = users.createSession(user.id);
+      auth.setSessionCookie(req, res, session);
+      console.log(`User signed in: ${user.username}`);
+      res.json({ message: "Signed in successfully", user, expiresAt: session.expiresAt });
+    } catch (error) {
+      sendError(res, error, "Login failed");
+    }
+  });
+
+  router.post("/logout", (req, res) => {
+    if (req.sessionId) {
+      users.endSession(req.sessionId);
+    }
+    auth.clearSessionCookie(req, res);
+    res.json({ message: "Signed out successfully" });
+  });
+
+  router.get("/me", auth.requireUser, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  router.get("/setup", (req, res) => {
+    res.json({ required: users.isEmpty() });
+  });
+
+  router.post("/password", auth.requireUser, async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      if (!(await users.verify(req.user.username, currentPassword))) {
+        return res.status(403).json({ error: "Current password is incorrect" });
+      }
+
+      await users.setPassword(req.user.id, newPassword);
+      auth.clearSessionCookie(req, res);
+      res.json({ message: "Password changed, please sign in again" });
+    } catch (error) {
+      sendError(res, error, "Failed to change password");
+    }
+  });
+
+  router.get("/tokens", auth.requireUser, (req, res) => {
+    res.json({ tokens: users.listTokens(req.user.id) });
+  });
+
+  router.post("/tokens", auth.requireUser, (req, res) => {
+    try {
+      const token = users.createToken(req.user.id, req.body && req.body.name);
+      res.status(201).json({ message: "Token created, copy it now as it will not be shown again", token });
+    } catch (error) {
+      sendError(res, error, "Failed to create token");
+    }
+  });
+
+  router.delete("/tokens/:id", auth.requireUser, (req, res) => {
+    try {
+      users.revokeToken(req.user.id, req.params.id);
+      res.json({ message: "Token revoked" });
+    } catch (error) {
+      sendError(res, error, "Failed to revoke token");
+    }
+  });
+
+  router.get("/users", auth.requireAdmin, (req, res) => {
+    res.json({ users: users.list() });
+  });
+
+  // The very first account is created without signing in, with the bootstrap
+  // token given to whoever runs the server, and is always an admin
+  function allowFirstAccount(req, res, next) {
+    if (!users.isEmpty()) {
+      return auth.requireAdmin(req, res, next);
+    }
+    if (!sameSecret((req.body || {}).bootstrapToken, bootstrapToken)) {
+      return res.status(403).json({ error: "Invalid bootstrap token" });
+    }
+    req.firstAccount = true;
+    next();
+  }
+
+  router.post("/users", allowFirstAccount, async (req, res) => {
+    try {
+      const { username, password, role } = req.body || {};
+      const user = req.firstAccount
+        ? await users.create({ username, password, role: 'admin' }, { first: true })
+        : await users.create({ username, password, role });
+      console.log(`User created: ${user.username} (${user.role})`);
+      res.status(201).json({ message: "User created successfully", user });
+    } catch (error) {
+      sendError(res, error, "Failed to create user");
+    }
+  });
+
+  router.delete("/users/:id", auth.requireAdmin, (req, res) => {
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ error: "You cannot delete your own account" });
+      }
+      users.remove(req.params.id);
+      res.json({ message: "User deleted successfully" });
+    } catch (error) {
+      sendError(res, error, "Failed to delete user");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,98 @@
+const express = require("express");
+const { canAccess } = require("../lib/auth");
+const { progressId } = require("../lib/events");
+const { contentDisposition } = require("../lib/files");
+const { validators, handleConditional } = require("../lib/http-cache");
+const { sendRanges } = require("../lib/http-range");
+const { BUNDLE_FORMATS, missingHeader } = require("../lib/bundles");
+const { sendError } = require("../lib/http-errors");
+
+/**
+ * Bundle downloads by id, for browsers to download like any file:
+ *   POST   /bundles       record a bundle of `{ filenames }` or `{ folder }` with optional
+ *                         `format` (zip, tar, tar.gz), `compression` (0-9 or store) and `name`
+ *   GET    /bundles/:id   download it (`?zipId=` for progress events); resumable once
+ *                         the first download has completed
+ *   DELETE /bundles/:id   discard it before it expires
+ */
+function createBundleRouter({ bundles, cacheControl }) {
+  const router = express.Router();
+
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const bundle = await bundles.get(id);
+      if (!canAccess(req.user, bundle)) {
+        return res.status(404).json({ error: "Bundle not found" });
+      }
+      req.bundle = bundle;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const spec = await bundles.prepare(req.user, req.body || {});
+      if (spec.entries.length === 0) {
+        return res.status(404).json({ error: "No valid files found", missing: spec.missing });
+      }
+
+      const bundle = await bundles.create(req.user.id, spec);
+      console.log(`Bundle ${bundle.id} created for ${bundle.entries.length} file(s), ${bundle.missing.length} missing`);
+      res.status(201).json({ message: "Bundle created successfully", bundle: bundles.describe(bundle) });
+    } catch (error) {
+      sendError(res, error, "Failed to create bundle");
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      // Files may have been deleted, trashed or quarantined since the bundle
+      // was made: only what the user can still download goes in
+      const bundle = await bundles.current(req.user, req.bundle);
+      if (bundle.entries.length === 0) {
+        return res.status(404).json({ error: "No files of this bundle are available any more", missing: bundle.missing });
+      }
+      const contentType = BUNDLE_FORMATS[bundle.format].mimetype;
+      const fileValidators = validators({ sha256: bundle.etag, lastModified: bundle.createdAt });
+      const { notModified, range } = handleConditional(req, res, fileValidators, cacheControl);
+      if (notModified) {
+        return;
+      }
+
+      // The copy of a completed download answers ranges; until then the
+      // archive is built while it streams and ranges are ignored
+      res.setHeader('Accept-Ranges', 'bytes');
+      const copy = await bundles.openCopy(bundle);
+      if (copy) {
+        return await sendRanges(req, res, {
+          size: copy.size,
+          contentType,
+          range,
+          headers: {
+            "Content-Disposition": contentDisposition(bundle.filename),
+            ...(bundle.missing.length > 0 ? { "X-Missing-Files": missingHeader(bundle.missing) } : {})
+          },
+          open: bounds => copy.open(bounds)
+        });
+      }
+      bundles.send(req, res, bundle, { zipId: progressId(req.query.zipId), bundle });
+    } catch (error) {
+      sendError(res, error, "Bundle download failed");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      await bundles.remove(req.bundle.id);
+      res.json({ message: "Bundle deleted" });
+    } catch (error) {
+      sendError(res, error, "Failed to delete bundle");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBundleRouter;
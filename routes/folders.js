@@ -0,0 +1,168 @@
+const express = require("express");
+const {
+  normalizeFolderPath,
+  validateFolderName,
+  parentOf,
+  baseName,
+  isWithin,
+  breadcrumbs
+} = require("../lib/folders");
+const { canAccess } = require("../lib/auth");
+const { sendError } = require("../lib/http-errors");
+
+/**
+ * Virtual folder API:
+ *   GET    /folders                          every folder path the user can see
+ *   GET    /folders/contents?path=a/b        subfolders, files and breadcrumbs
+ *   POST   /folders                          create `{ path }` (parents included)
+ *   PATCH  /folders                          rename `{ path, name }` or move `{ path, parent }`
+ *   DELETE /folders?path=a/b&recursive=true  delete, moving contents to the trash when recursive
+ *
+ * Folders are shared, so one holding only other users' files is hidden, and
+ * one holding any file the user can't access can't be renamed, moved or deleted.
+ */
+function createFolderRouter({ folders, fileStore, trash }) {
+  const router = express.Router();
+
+  // Update the folder recorded in the metadata of each affected upload,
+  // including trashed and quarantined ones so they are restored where it went
+  async function updateFileFolders(mapFolder) {
+    for (const file of await fileStore.listAll()) {
+      const folder = mapFolder(file.folder);
+      if (folder !== file.folder) {
+        await fileStore.update(file.filename, { folder });
+      }
+    }
+  }
+
+  // Files stored in a folder or any of its subfolders
+  function filesWithin(files, folderPath) {
+    return files.filter(file => file.folder !== '' && isWithin(file.folder, folderPath));
+  }
+
+  // The root, empty folders and those holding at least one of the user's files
+  function isVisible(user, files, folderPath) {
+    const contained = filesWithin(files, folderPath);
+    return folderPath === '' || contained.length === 0 || contained.some(file => canAccess(user, file));
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      const files = await fileStore.list();
+      res.json({ folders: folders.list().filter(folderPath => isVisible(req.user, files, folderPath)) });
+    } catch (error) {
+      sendError(res, error, "Failed to list folders");
+    }
+  });
+
+  router.get("/contents", async (req, res) => {
+    try {
+      const folderPath = normalizeFolderPath(req.query.path);
+      const files = await fileStore.list();
+      if (!folders.exists(folderPath) || !isVisible(req.user, files, folderPath)) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+
+      res.json({
+        path: folderPath,
+        breadcrumbs: breadcrumbs(folderPath),
+        folders: folders.children(folderPath)
+          .filter(child => isVisible(req.user, files, child))
+          .map(child => ({ name: baseName(child), path: child })),
+        files: files.filter(file => file.folder === folderPath && canAccess(req.user, file))
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to list folder");
+    }
+  });
+
+  router.post("/", (req, res) => {
+    try {
+      const { path: folderPath, parent, name } = req.body || {};
+      let target;
+      if (name !== undefined) {
+        validateFolderName(name);
+        const parentPath = normalizeFolderPath(parent);
+        target = parentPath ? `${parentPath}/${name}` : name;
+      } else {
+        target = normalizeFolderPath(folderPath);
+      }
+
+      folders.create(target);
+      res.status(201).json({ message: "Folder created successfully", folder: { name: baseName(target), path: target } });
+    } catch (error) {
+      sendError(res, error, "Failed to create folder");
+    }
+  });
+
+  router.patch("/", async (req, res) => {
+    try {
+      const { path: folderPath, name, parent } = req.body || {};
+      const source = normalizeFolderPath(folderPath);
+      if (source === '') {
+        return res.status(400).json({ error: "Folder path is required" });
+      }
+      if (name === undefined && parent === undefined) {
+        return res.status(400).json({ error: "Provide a new name or parent folder" });
+      }
+
+      if (name !== undefined) {
+        validateFolderName(name);
+      }
+      const targetParent = parent !== undefined ? normalizeFolderPath(parent) : parentOf(source);
+      const targetName = name !== undefined ? name : baseName(source);
+      const target = targetParent ? `${targetParent}/${targetName}` : targetName;
+
+      // Renaming or moving rewrites the folder of every file inside
+      if (folders.exists(source) && filesWithin(await fileStore.listAll(), source).some(file => !canAccess(req.user, file))) {
+        return res.status(403).json({ error: "Folder contains files owned by other users" });
+      }
+
+      const remap = folders.relocate(source, target);
+      await updateFileFolders(folder => isWithin(folder, source) && folder !== '' ? remap(folder) : folder);
+
+      res.json({ message: "Folder updated successfully", folder: { name: targetName, path: target } });
+    } catch (error) {
+      sendError(res, error, "Failed to update folder");
+    }
+  });
+
+  router.delete("/", async (req, res) => {
+    try {
+      const folderPath = normalizeFolderPath(req.query.path);
+      if (folderPath === '') {
+        return res.status(400).json({ error: "Folder path is required" });
+      }
+      if (!folders.exists(folderPath)) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+
+      // Trashed and quarantined files still belong to the folder: they are
+      // restored into it, so they count when deciding whether it is empty
+      const contained = filesWithin(await fileStore.listAll(), folderPath);
+      const hasSubfolders = folders.children(folderPath).length > 0;
+      const recursive = req.query.recursive === 'true';
+
+      if ((contained.length > 0 || hasSubfolders) && !recursive) {
+        return res.status(409).json({ error: "Folder is not empty" });
+      }
+      if (contained.some(file => !canAccess(req.user, file))) {
+        return res.status(403).json({ error: "Folder contains files owned by other users" });
+      }
+
+      const live = contained.filter(file => !file.trashed && !file.quarantined);
+      for (const file of live) {
+        await trash.move(file.filename, req.user);
+      }
+      folders.remove(folderPath);
+
+      res.json({ message: "Folder deleted successfully", deletedFiles: live.length });
+    } catch (error) {
+      sendError(res, error, "Failed to delete folder");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFolderRouter;
@@ -0,0 +1,98 @@
+const express = require("express");
+const { canAccess } = require("../lib/auth");
+const { sendRanges } = require("../lib/http-range");
+const { RENDITIONS, PLAYLIST_TYPE, SEGMENT_TYPE } = require("../lib/hls");
+
+const SEGMENT_NAME = /^(index\.m3u8|segment-\d{3,}\.ts)$/;
+
+/**
+ * Adaptive bitrate streaming of uploaded videos:
+ *   GET /hls/:id                        packaging status, with the master playlist URL once
+ *                                       ready and `/stream/:id` to fall back to until then
+ *   GET /hls/:id/master.m3u8            master playlist listing the renditions
+ *   GET /hls/:id/:rendition/:segment    rendition playlist (`index.m3u8`) or `.ts` segment
+ */
+function createHlsRouter({ hls, fileStore, scanning }) {
+  const router = express.Router();
+
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const file = await fileStore.resolve(id);
+      if (!canAccess(req.user, file)) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      if (!scanning.passed(file)) {
+        return res.status(403).json({ error: "File has not passed the malware scan", scan: file.scan });
+      }
+      req.video = file;
+      next();
+    } catch (error) {
+      console.error('HLS lookup error:', error);
+      res.status(500).json({ error: "Failed to read file" });
+    }
+  });
+
+  // Stream one stored playlist or segment
+  async function sendObject(req, res, name, contentType) {
+    const object = await hls.open(req.video.filename, name);
+    if (!object) {
+      return res.status(404).json({ error: "HLS stream not found" });
+    }
+
+    await sendRanges(req, res, {
+      size: object.size,
+      contentType,
+      range: req.headers.range,
+      headers: {
+        // Segments never change once packaged; playlists are rewritten if a file is packaged again
+        'Cache-Control': contentType === SEGMENT_TYPE ? 'private, max-age=86400' : 'private, no-cache'
+      },
+      open: object.open
+    });
+  }
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const status = await hls.status(req.video);
+      res.json({
+        filename: req.video.filename,
+        ...status,
+        masterUrl: status.status === 'ready' ? `/hls/${req.video.filename}/master.m3u8` : null,
+        fallbackUrl: `/stream/${req.video.filename}`
+      });
+    } catch (error) {
+      console.error('HLS status error:', error);
+      res.status(500).json({ error: "Failed to read HLS status" });
+    }
+  });
+
+  router.get("/:id/master.m3u8", async (req, res) => {
+    try {
+      await sendObject(req, res, 'master.m3u8', PLAYLIST_TYPE);
+    } catch (error) {
+      console.error('HLS playlist error:', error);
+      res.status(500).json({ error: "Failed to serve HLS playlist" });
+    }
+  });
+
+  router.get("/:id/:rendition/:segment", async (req, res) => {
+    try {
+      const { rendition, segment } = req.params;
+      if (!RENDITIONS.some(known => known.name === rendition) || !SEGMENT_NAME.test(segment)) {
+        return res.status(404).json({ error: "HLS stream not found" });
+      }
+
+      const contentType = segment.endsWith('.ts') ? SEGMENT_TYPE : PLAYLIST_TYPE;
+      await sendObject(req, res, `${rendition}/${segment}`, contentType);
+    } catch (error) {
+      console.error('HLS segment error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to serve HLS segment" });
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHlsRouter;
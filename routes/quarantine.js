@@ -0,0 +1,59 @@
+const express = require("express");
+const { sendError } = require("../lib/http-errors");
+
+/**
+ * Quarantine of uploads that failed the malware scan, for admins:
+ *   GET    /quarantine                      quarantined files with the threat found
+ *   POST   /quarantine/:filename/release    make a file available again (a false positive)
+ *   DELETE /quarantine/:filename            delete for good
+ */
+function createQuarantineRouter({ scanning, fileStore }) {
+  const router = express.Router();
+
+  router.param('filename', async (req, res, next, filename) => {
+    try {
+      const file = await scanning.getQuarantined(filename);
+      if (!file) {
+        return res.status(404).json({ error: "File not found in quarantine" });
+      }
+      req.quarantined = file;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json({ files: await scanning.listQuarantine() });
+    } catch (error) {
+      sendError(res, error, "Failed to list quarantine");
+    }
+  });
+
+  router.post("/:filename/release", async (req, res) => {
+    try {
+      const file = await scanning.release(req.quarantined.filename, req.user);
+      if (!file) {
+        return res.status(404).json({ error: "File not found in quarantine" });
+      }
+      console.log(`Released ${file.filename} from quarantine (${req.user.username})`);
+      res.json({ message: "File released from quarantine", file });
+    } catch (error) {
+      sendError(res, error, "Release failed");
+    }
+  });
+
+  router.delete("/:filename", async (req, res) => {
+    try {
+      await fileStore.remove(req.quarantined.filename);
+      res.json({ message: "File permanently deleted" });
+    } catch (error) {
+      sendError(res, error, "Delete failed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createQuarantineRouter;
@@ -0,0 +1,29 @@
+const express = require("express");
+
+/**
+ * Search over the files the user can access:
+ *   GET /search?q=&type=&tag=&folder=&size=&minSize=&maxSize=&from=&to=&sort=&order=&limit=&cursor=
+ *
+ * `type`, `size` and `tag` take several comma separated values. Responds with
+ * `{ total, files, facets, nextCursor }`; pass `nextCursor` back as `cursor`
+ * with the same query to get the next page.
+ */
+function createSearchRouter({ index }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await index.search(req.user, req.query));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Search error:', error);
+      res.status(500).json({ error: "Search failed" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSearchRouter;
@@ -0,0 +1,74 @@
+const express = require("express");
+const { canAccess } = require("../lib/auth");
+const { sendError } = require("../lib/http-errors");
+
+/**
+ * Share link management (the links themselves are served from `/s/:token`):
+ *   GET    /shares            the user's active shares (`?all=true` includes expired and revoked)
+ *   POST   /shares            share `{ filename }` or `{ filenames, name? }` with optional
+ *                             `expiresIn` (seconds), `password` and `maxDownloads`
+ *   GET    /shares/:id        one share with its download count
+ *   DELETE /shares/:id        revoke a share
+ */
+function createShareRouter({ shares, fileStore }) {
+  const router = express.Router();
+
+  router.param('id', (req, res, next, id) => {
+    const share = shares.get(id);
+    if (!canAccess(req.user, share)) {
+      return res.status(404).json({ error: "Share not found" });
+    }
+    req.share = share;
+    next();
+  });
+
+  router.get("/", (req, res) => {
+    const all = req.query.all === 'true';
+    const list = shares.list(req.user.id)
+      .map(share => shares.describe(share))
+      .filter(share => all || share.status === 'active');
+    res.json({ shares: list });
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { filename, filenames, name, expiresIn, password, maxDownloads } = req.body || {};
+      const requested = filenames !== undefined ? filenames : (filename !== undefined ? [filename] : undefined);
+
+      // Only files the user can access may be shared
+      for (const requestedName of Array.isArray(requested) ? requested : []) {
+        const file = await fileStore.resolve(requestedName);
+        if (!canAccess(req.user, file)) {
+          return res.status(404).json({ error: `File not found: ${requestedName}` });
+        }
+      }
+
+      const share = await shares.create({
+        owner: req.user.id,
+        filenames: requested,
+        name,
+        expiresIn,
+        password,
+        maxDownloads
+      });
+
+      console.log(`Share ${share.id} created for ${share.filenames.length} file(s), expires ${share.expiresAt}`);
+      res.status(201).json({ message: "Share link created successfully", share: shares.describe(share) });
+    } catch (error) {
+      sendError(res, error, "Failed to create share link");
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    res.json({ share: shares.describe(req.share) });
+  });
+
+  router.delete("/:id", (req, res) => {
+    shares.revoke(req.share);
+    res.json({ message: "Share link revoked", share: shares.describe(req.share) });
+  });
+
+  return router;
+}
+
+module.exports = createShareRouter;
@@ -0,0 +1,73 @@
+const express = require("express");
+const { canAccess } = require("../lib/auth");
+const { sendError } = require("../lib/http-errors");
+
+/**
+ * Trash bin API, limited to the files the user can access:
+ *   GET    /trash                      trashed files with `deletedAt`, `deletedBy` and `purgeAt`
+ *   POST   /trash/:filename/restore    restore into the original folder
+ *   DELETE /trash/:filename            delete for good
+ *   DELETE /trash                      empty the trash
+ */
+function createTrashRouter({ trash }) {
+  const router = express.Router();
+
+  router.param('filename', async (req, res, next, filename) => {
+    try {
+      const file = await trash.get(filename);
+      if (!canAccess(req.user, file)) {
+        return res.status(404).json({ error: "File not found in trash" });
+      }
+      req.trashed = file;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      const files = await trash.list(req.user);
+      res.json({ files, retention: trash.retention });
+    } catch (error) {
+      sendError(res, error, "Failed to list trash");
+    }
+  });
+
+  router.post("/:filename/restore", async (req, res) => {
+    try {
+      const file = await trash.restore(req.trashed.filename);
+      if (!file) {
+        return res.status(404).json({ error: "File not found in trash" });
+      }
+      res.json({ message: "File restored successfully", file });
+    } catch (error) {
+      sendError(res, error, "Restore failed");
+    }
+  });
+
+  router.delete("/:filename", async (req, res) => {
+    try {
+      await trash.purge(req.trashed.filename);
+      res.json({ message: "File permanently deleted" });
+    } catch (error) {
+      sendError(res, error, "Delete failed");
+    }
+  });
+
+  router.delete("/", async (req, res) => {
+    try {
+      const files = await trash.list(req.user);
+      for (const file of files) {
+        await trash.purge(file.filename);
+      }
+      res.json({ message: "Trash emptied successfully", deletedFiles: files.length });
+    } catch (error) {
+      sendError(res, error, "Failed to empty trash");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTrashRouter;
@@ -0,0 +1,287 @@
+const express = require("express");
+const Busboy = require("busboy");
+const { Transform } = require("stream");
+const { normalizeFolderPath } = require("../lib/folders");
+const { checkFileType, checkOriginalName, normalizeTags, formatBytes } = require("../lib/files");
+const { quotaError } = require("../lib/quotas");
+const { progressId } = require("../lib/events");
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Tags fields hold a JSON array or a comma separated list
+function parseTags(value) {
+  let tags = value.split(',');
+  if (value.trim().startsWith('[')) {
+    try {
+      tags = JSON.parse(value);
+    } catch (error) {
+      throw httpError(400, 'Tags must be a JSON array or a comma separated list');
+    }
+  }
+  return normalizeTags(tags);
+}
+
+// 200 when every file was stored, 207 for a partial success, otherwise the
+// status all failures share
+function batchStatus(results) {
+  const failed = results.filter(entry => entry.status === 'failed');
+  if (failed.length === 0) {
+    return 200;
+  }
+  if (failed.length < results.length) {
+    return 207;
+  }
+  const codes = new Set(failed.map(entry => entry.code));
+  return codes.size === 1 ? failed[0].code : 400;
+}
+
+/**
+ * Batch upload: `POST /upload-multiple` with any number of files in one
+ * multipart form. Each file is checked like a single `/upload` (name, size,
+ * type, content, quota) and stored on its own, so one bad file doesn't fail
+ * the others. The response lists a result per file, in form order:
+ *
+ *   { index, field, name, status: 'uploaded', file }
+ *   { index, field, name, status: 'failed', error, code }
+ *
+ * `folder` and `tags` fields apply to the files that follow them in the form,
+ * so a single request can target several folders; `?folder=` sets the folder
+ * for files before any `folder` field.
+ */
+function createMultiUploadRouter({ fileStore, folders, quotas, uploadTypes, events, maxFileSize, timeout }) {
+  const router = express.Router();
+
+  router.post("/", async (req, res) => {
+    let folder;
+    try {
+      folder = normalizeFolderPath(req.query.folder);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        defParamCharset: 'utf8', // browsers send file names as UTF-8
+        limits: {
+          fileSize: maxFileSize + 1 // one byte over, so oversized files are rejected rather than truncated
+        }
+      });
+    } catch (error) {
+      return res.status(400).json({ error: "Expected a multipart/form-data request" });
+    }
+
+    // Quotas are checked against the usage when the upload starts, plus what
+    // earlier files of this request added
+    let usage;
+    try {
+      usage = await quotas.usage();
+    } catch (error) {
+      console.error('Multiple upload error:', error);
+      return res.status(500).json({ error: "Upload failed" });
+    }
+
+    const uploadId = progressId(req.query.uploadId);
+    const total = Number(req.headers['content-length']) || null; // includes the form encoding
+    const publishProgress = events.progressPublisher('upload-progress', req.user.id);
+    const tooLarge = `File too large (max ${formatBytes(maxFileSize)})`;
+
+    const results = [];
+    const pendingWrites = [];
+    const activeStreams = new Set();
+    let fieldError = null; // an invalid `folder` or `tags` field fails the files after it
+    let tags = [];
+    let receivedBytes = 0; // bytes stored or being stored, for the quota
+    let streamedBytes = 0; // bytes read, for progress
+    let fileCount = 0;
+    let responded = false;
+
+    function fail(entry, error) {
+      delete entry.file;
+      Object.assign(entry, {
+        status: 'failed',
+        error: error.status ? error.message : "Upload failed",
+        code: error.status || 500
+      });
+    }
+
+    busboy.on('field', (name, value) => {
+      try {
+        if (name === 'folder') {
+          folder = normalizeFolderPath(value);
+          fieldError = null;
+        } else if (name === 'tags') {
+          tags = parseTags(value);
+          fieldError = null;
+        }
+      } catch (error) {
+        fieldError = error;
+      }
+    });
+
+    busboy.on('file', (field, file, info) => {
+      const entry = { index: results.length, field, name: info.filename };
+      results.push(entry);
+
+      let allowed;
+      try {
+        checkOriginalName(info.filename);
+        if (fieldError) {
+          throw fieldError;
+        }
+        if (!folders.exists(folder)) {
+          throw httpError(404, 'Folder not found');
+        }
+        checkFileType(info.filename, info.mimeType, uploadTypes);
+        allowed = quotas.allowance(usage, req.user.id, { bytes: receivedBytes, files: fileCount + 1 });
+      } catch (error) {
+        fail(entry, error);
+        file.resume();
+        return;
+      }
+      fileCount++;
+
+      let size = 0;
+      let rejection = null;
+      const monitor = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          receivedBytes += chunk.length;
+          streamedBytes += chunk.length;
+          if (size > maxFileSize) {
+            rejection = httpError(400, tooLarge);
+          } else if (size > allowed) {
+            rejection = quotaError('Storage quota exceeded');
+          }
+          if (rejection) {
+            // Aborts the storage write, which discards the partial object
+            callback(rejection);
+            return;
+          }
+          publishProgress({ uploadId, index: entry.index, name: info.filename, bytes: streamedBytes, total });
+          callback(null, chunk);
+        }
+      });
+      monitor.abort = (error) => {
+        rejection = rejection || error;
+        monitor.destroy(error);
+      };
+      activeStreams.add(monitor);
+      file.on('error', (err) => monitor.destroy(err));
+      file.pipe(monitor);
+
+      pendingWrites.push(fileStore.ingest(monitor, {
+        originalName: info.filename,
+        mimetype: info.mimeType || 'application/octet-stream',
+        folder,
+        tags: [...tags],
+        owner: req.user.id
+      })
+        .then((record) => {
+          Object.assign(entry, { status: 'uploaded', file: record });
+        })
+        .catch((err) => {
+          receivedBytes -= size;
+          fileCount--;
+          file.resume(); // drain the rest so busboy moves on to the next file
+          const error = rejection || err;
+          if (!error.status) {
+            console.error('File upload error:', info.filename, err);
+          }
+          fail(entry, error);
+        })
+        .finally(() => activeStreams.delete(monitor)));
+    });
+
+    // Wait for every file to be stored (or fail), then report each of them
+    async function respond(failure = null) {
+      if (responded) {
+        return;
+      }
+      responded = true;
+      clearTimeout(uploadTimeout);
+      req.unpipe(busboy);
+      if (failure) {
+        for (const stream of activeStreams) {
+          stream.abort(failure);
+        }
+      }
+
+      try {
+        await Promise.all(pendingWrites);
+        for (const entry of results.filter(candidate => !candidate.status)) {
+          fail(entry, failure || httpError(400, 'Upload incomplete'));
+        }
+
+        // Uploads running side by side may have pushed the user over a quota:
+        // give back this request's files, newest first, until it fits again
+        const uploaded = results.filter(entry => entry.status === 'uploaded');
+        while (uploaded.length > 0) {
+          try {
+            await quotas.verify(req.user.id);
+            break;
+          } catch (error) {
+            const entry = uploaded.pop();
+            await fileStore.remove(entry.file.filename);
+            fail(entry, error);
+          }
+        }
+
+        const files = uploaded.map(entry => entry.file);
+        const status = results.length === 0 && !failure ? 400 : batchStatus(results);
+
+        if (files.length === 0) {
+          const error = failure ? failure.message
+            : results.length === 0 ? "No files uploaded"
+              : results.length === 1 ? results[0].error : "No files were uploaded";
+          events.publish('upload-failed', { uploadId, error, results }, { user: req.user.id });
+          return res.status(failure ? failure.status : status).json({ error, uploadId, files, results });
+        }
+
+        events.publish('upload-complete', { uploadId, files, results }, { user: req.user.id });
+        res.status(status).json({
+          message: status === 200
+            ? `${files.length} files uploaded successfully`
+            : `${files.length} of ${results.length} files uploaded`,
+          uploadId,
+          files,
+          results
+        });
+      } catch (error) {
+        console.error('Multiple upload error:', error);
+        events.publish('upload-failed', { uploadId, error: "Upload failed", results }, { user: req.user.id });
+        res.status(500).json({ error: "Upload failed" });
+      }
+    }
+
+    // Files still arriving when time is up fail; what was stored is kept
+    const uploadTimeout = setTimeout(() => {
+      respond(httpError(408, "Upload timeout - files too large or connection too slow"));
+    }, timeout);
+
+    busboy.on('finish', () => respond());
+
+    busboy.on('error', (err) => {
+      console.error('Busboy error:', err);
+      respond(httpError(400, "Upload processing failed"));
+    });
+
+    // A client that goes away mid-form leaves busboy waiting
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        respond(httpError(400, "Upload aborted"));
+      }
+    });
+
+    req.pipe(busboy);
+  });
+
+  return router;
+}
+
+module.exports = createMultiUploadRouter;
@@ -0,0 +1,172 @@
+const express = require("express");
+const fs = require("fs");
+const { normalizeFolderPath } = require("../lib/folders");
+const { canAccess } = require("../lib/auth");
+const { checkFileType } = require("../lib/files");
+const { sendError } = require("../lib/http-errors");
+
+// Resolve the byte offset of a chunk from `?offset=` or a Content-Range header
+function chunkOffset(req) {
+  if (req.query.offset !== undefined) {
+    return /^\d+$/.test(req.query.offset) ? Number(req.query.offset) : NaN;
+  }
+
+  const contentRange = req.headers['content-range'];
+  if (contentRange) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(contentRange);
+    return match ? Number(match[1]) : NaN;
+  }
+
+  return 0;
+}
+
+function contentLength(req) {
+  const length = req.headers['content-length'];
+  return length !== undefined && /^\d+$/.test(length) ? Number(length) : undefined;
+}
+
+/**
+ * Resumable upload API:
+ *   POST   /upload-sessions                    create a session (optionally into `folder`)
+ *   GET    /upload-sessions/:id                received / missing byte ranges
+ *   PUT    /upload-sessions/:id?offset=N       write bytes at an offset (or Content-Range)
+ *   PUT    /upload-sessions/:id/chunks/:index  write a numbered chunk of `chunkSize` bytes
+ *   POST   /upload-sessions/:id/complete       store the assembled file with its metadata
+ *                                              (413 when it no longer fits the quota)
+ *   DELETE /upload-sessions/:id                abort and discard
+ *
+ * Every chunk written publishes an `upload-progress` event (with the session
+ * id as `uploadId`), and completion an `upload-complete` or `upload-failed`.
+ */
+function createUploadSessionRouter({ store, folders, fileStore, quotas, uploadTypes, events }) {
+  const router = express.Router();
+
+  // Describe a session after a chunk, telling the owner's pages how far it got
+  function publishProgress(session) {
+    const status = store.describe(session);
+    events.publish('upload-progress', {
+      uploadId: session.id,
+      name: session.filename,
+      bytes: status.bytesReceived,
+      total: session.size
+    }, { user: session.owner });
+    return status;
+  }
+
+  // Sessions are only visible to the user who created them (and admins)
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const session = await store.get(id);
+      if (!canAccess(req.user, session)) {
+        return res.status(404).json({ error: "Upload session not found" });
+      }
+      req.uploadSession = session;
+      next();
+    } catch (error) {
+      sendError(res, error, "Failed to read upload session");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { filename, size, mimetype, chunkSize } = req.body || {};
+      const folder = normalizeFolderPath(req.body && req.body.folder);
+      if (!folders.exists(folder)) {
+        return res.status(404).json({ error: "Folder not found" });
+      }
+
+      if (typeof filename === 'string') {
+        checkFileType(filename, mimetype, uploadTypes);
+      }
+
+      // The declared size has to fit now, and is checked again on completion
+      if (Number.isSafeInteger(size)) {
+        await quotas.check(req.user.id, size);
+      }
+
+      const session = await store.create({ filename, size, mimetype, chunkSize, folder, owner: req.user.id });
+      console.log(`Upload session ${session.id} created for: ${filename} (${size} bytes)`);
+      res.status(201).json({ session: store.describe(session) });
+    } catch (error) {
+      sendError(res, error, "Failed to create upload session");
+    }
+  });
+
+  router.get("/:id", (req, res) => {
+    res.json({ session: store.describe(req.uploadSession) });
+  });
+
+  router.put("/:id", async (req, res) => {
+    try {
+      const session = await store.writeChunk(req.params.id, chunkOffset(req), req, contentLength(req));
+      res.json({ session: publishProgress(session) });
+    } catch (error) {
+      sendError(res, error, "Chunk upload failed");
+    }
+  });
+
+  router.put("/:id/chunks/:index", async (req, res) => {
+    try {
+      const session = req.uploadSession;
+      if (!/^\d+$/.test(req.params.index)) {
+        return res.status(400).json({ error: "Invalid chunk index" });
+      }
+
+      const offset = Number(req.params.index) * session.chunkSize;
+      const updated = await store.writeChunk(session.id, offset, req, contentLength(req));
+      res.json({ session: publishProgress(updated) });
+    } catch (error) {
+      sendError(res, error, "Chunk upload failed");
+    }
+  });
+
+  router.post("/:id/complete", async (req, res) => {
+    try {
+      const uploadedFile = await store.complete(req.params.id, async (partPath, session) => {
+        // Other uploads may have used up the quota since the session started
+        await quotas.check(session.owner, session.size);
+
+        // Fall back to the root if the target folder was removed meanwhile
+        const file = await fileStore.ingest(fs.createReadStream(partPath), {
+          originalName: session.filename,
+          mimetype: session.mimetype,
+          folder: folders.exists(session.folder) ? session.folder : '',
+          owner: session.owner
+        });
+
+        // Uploads completing side by side may all have passed the check: give
+        // this one back (the session stays) if together they went over
+        try {
+          await quotas.verify(session.owner);
+        } catch (error) {
+          await fileStore.remove(file.filename);
+          throw error;
+        }
+        return file;
+      });
+
+      console.log('Resumable upload completed:', uploadedFile);
+      events.publish('upload-complete', { uploadId: req.params.id, file: uploadedFile }, { user: req.user.id });
+      res.json({
+        message: "File uploaded successfully",
+        file: uploadedFile
+      });
+    } catch (error) {
+      events.publish('upload-failed', { uploadId: req.params.id, error: error.status ? error.message : "Failed to complete upload" }, { user: req.user.id });
+      sendError(res, error, "Failed to complete upload");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      await store.remove(req.uploadSession.id);
+      res.json({ message: "Upload session cancelled" });
+    } catch (error) {
+      sendError(res, error, "Failed to cancel upload session");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createUploadSessionRouter;
@@ -0,0 +1,45 @@
+const express = require("express");
+
+function byBytes(a, b) {
+  return b.bytes - a.bytes;
+}
+
+/**
+ * Storage usage and quotas:
+ *   GET /usage   totals with the global limits, usage per user and per mimetype
+ *
+ * Admins see every user; other users get their own entry and the mimetypes of
+ * their own files, next to the store-wide totals.
+ */
+function createUsageRouter({ quotas, users }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const usage = await quotas.usage();
+      const isAdmin = req.user.role === 'admin';
+      const owners = isAdmin ? [...usage.users.keys()] : [req.user.id];
+      const types = isAdmin ? usage.types : (await quotas.usage({ owner: req.user.id })).types;
+      const limit = value => (Number.isFinite(value) ? value : null);
+
+      res.json({
+        total: {
+          ...usage.total,
+          limits: { bytes: limit(quotas.limits.totalBytes), files: limit(quotas.limits.totalFiles) }
+        },
+        users: owners.map((id) => {
+          const user = id ? users.get(id) : null;
+          return { id, username: user ? user.username : null, ...quotas.describe(usage, id) };
+        }).sort(byBytes),
+        types: [...types].map(([mimetype, entry]) => ({ mimetype, ...entry })).sort(byBytes)
+      });
+    } catch (error) {
+      console.error('Usage error:', error);
+      res.status(500).json({ error: "Failed to compute usage" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createUsageRouter;
@@ -0,0 +1,92 @@
+const express = require("express");
+const { canAccess } = require("../lib/auth");
+const { sendError } = require("../lib/http-errors");
+
+/**
+ * Version history of a file, mounted under /files/:filename/versions:
+ *   GET    /files/:filename/versions                      every version, oldest first
+ *   POST   /files/:filename/versions/:version/restore     make an old version current
+ *   DELETE /files/:filename/versions?keep=3&before=<date>  prune old versions
+ *
+ * New versions are uploaded with `POST /upload?versionOf=:filename` and old
+ * ones downloaded with `GET /download/:filename?version=N`.
+ */
+function createVersionRouter({ fileStore }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      const filename = req.params.filename;
+      const file = await fileStore.resolve(filename);
+      if (!canAccess(req.user, file)) {
+        return res.status(404).json({ error: "File not found" });
+      }
+      req.file = file;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.param('version', (req, res, next, version) => {
+    req.version = /^[1-9]\d*$/.test(version) ? Number(version) : null;
+    if (!fileStore.listVersions(req.file.filename).some(entry => entry.version === req.version)) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+    next();
+  });
+
+  router.get("/", (req, res) => {
+    res.json({
+      filename: req.file.filename,
+      version: req.file.version,
+      versions: fileStore.listVersions(req.file.filename)
+    });
+  });
+
+  router.post("/:version/restore", async (req, res) => {
+    try {
+      const file = await fileStore.restoreVersion(req.file.filename, req.version, req.user.id);
+      if (!file) {
+        return res.status(404).json({ error: "Version not found" });
+      }
+      res.json({ message: `Version ${req.version} restored as version ${file.version}`, file });
+    } catch (error) {
+      sendError(res, error, "Failed to restore version");
+    }
+  });
+
+  router.delete("/", async (req, res) => {
+    try {
+      const rule = {};
+      if (req.query.keep !== undefined) {
+        if (!/^[1-9]\d*$/.test(req.query.keep)) {
+          return res.status(400).json({ error: "keep must be a positive integer" });
+        }
+        rule.keep = Number(req.query.keep);
+      }
+      if (req.query.before !== undefined) {
+        if (Number.isNaN(Date.parse(req.query.before))) {
+          return res.status(400).json({ error: "before must be a date" });
+        }
+        rule.before = req.query.before;
+      }
+      if (Object.keys(rule).length === 0) {
+        return res.status(400).json({ error: "Pass keep and/or before to choose the versions to prune" });
+      }
+
+      const pruned = await fileStore.pruneVersions(req.file.filename, rule);
+      res.json({
+        message: `Pruned ${pruned.length} version(s)`,
+        pruned: pruned.map(entry => entry.version),
+        versions: fileStore.listVersions(req.file.filename)
+      });
+    } catch (error) {
+      sendError(res, error, "Failed to prune versions");
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVersionRouter;
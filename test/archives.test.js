@@ -0,0 +1,432 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { ArchiveService, safeEntryPath } = require("../lib/archives");
+const { FileStore } = require("../lib/file-store");
+const { FolderStore } = require("../lib/folders");
+const { MetadataDB } = require("../lib/metadata-db");
+const { QuotaService } = require("../lib/quotas");
+const { MemoryStorage } = require("../lib/storage");
+const createArchiveRouter = require("../routes/archives");
+const { startServer } = require("./helpers/server");
+
+/**
+ * A ZIP built by hand, so entries can lie: each has a `name` and `data`,
+ * and optionally `deflate`, a declared `size` and a Unix `mode`.
+ */
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const data = Buffer.from(entry.data || '');
+    const stored = entry.deflate ? zlib.deflateRawSync(data) : data;
+    const size = entry.size === undefined ? data.length : entry.size;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+    local.writeUInt16LE(0x5021, 12); // 2020-01-01
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt8(20, 4);
+    central.writeUInt8(entry.mode === undefined ? 0 : 3, 5);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+    central.writeUInt16LE(0x5021, 14);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((entry.mode || 0) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, stored);
+    centrals.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// A ustar archive of entries with a `name`, `data` and TAR `type` flag
+function tar(entries) {
+  const blocks = [];
+  for (const entry of entries) {
+    const data = Buffer.from(entry.data || '');
+    const header = Buffer.alloc(512);
+    header.write(entry.name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(`${(1577836800).toString(8).padStart(11, '0')}\0`, 136); // 2020-01-01
+    header.write(entry.type || '0', 156);
+    header.write(entry.linkTarget || '', 157, 100);
+    header.write('ustar\0' + '00', 257);
+    header.fill(0x20, 148, 156);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('safeEntryPath', () => {
+  test('normalizes paths inside the archive', () => {
+    assert.equal(safeEntryPath('docs/readme.txt'), 'docs/readme.txt');
+    assert.equal(safeEntryPath('a/./b//c/'), 'a/b/c');
+  });
+
+  test('refuses paths that could leave the extraction folder', () => {
+    for (const name of ['../evil.txt', 'a/../../evil.txt', '/etc/passwd', 'C:evil.txt', 'a\\..\\evil.txt', 'bad\x00name', '.', '', null]) {
+      assert.equal(safeEntryPath(name), null, JSON.stringify(name));
+    }
+  });
+});
+
+describe('ArchiveService', () => {
+  let dir;
+  let fileStore;
+  let folders;
+  let archives;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fileStore = new FileStore({ storage: new MemoryStorage(), db: new MetadataDB() });
+    folders = new FolderStore({ file: path.join(dir, `folders-${Date.now()}-${Math.random()}.json`) });
+    archives = new ArchiveService({ fileStore, folders, quotas: new QuotaService({ fileStore }), limits: { maxEntries: 10 } });
+  });
+
+  function ingest(content, originalName, mimetype) {
+    return fileStore.ingest(Readable.from([content]), { originalName, mimetype });
+  }
+
+  test('recognizes ZIP, TAR and gzipped TAR archives only', async () => {
+    assert.equal(archives.format({ mimetype: 'application/zip' }), 'zip');
+    assert.equal(archives.format({ mimetype: 'application/x-tar' }), 'tar');
+    assert.equal(archives.format({ mimetype: 'application/gzip', originalName: 'backup.tgz' }), 'tar.gz');
+    assert.equal(archives.format({ mimetype: 'application/gzip', originalName: 'log.gz' }), null);
+    const text = await ingest('not an archive', 'notes.txt', 'text/plain');
+    await assert.rejects(archives.list(text), { status: 415 });
+  });
+
+  test('lists the entries of a ZIP', async () => {
+    const file = await ingest(zip([
+      { name: 'docs/' },
+      { name: 'docs/readme.txt', data: 'read me', deflate: true },
+      { name: '../evil.txt', data: 'escape' }
+    ]), 'bundle.zip', 'application/zip');
+    const { format, entries } = await archives.list(file);
+    assert.equal(format, 'zip');
+    assert.deepEqual(entries.map(entry => [entry.path, entry.type, entry.size]), [
+      ['docs', 'directory', 0],
+      ['docs/readme.txt', 'file', 7],
+      ['../evil.txt', 'file', 6]
+    ]);
+    assert.equal(entries[2].unsafe, true);
+    assert.equal(entries[1].modifiedAt, '2020-01-01T00:00:00.000Z');
+  });
+
+  test('lists the entries of a gzipped TAR with their link targets', async () => {
+    const file = await ingest(zlib.gzipSync(tar([
+      { name: 'a.txt', data: 'alpha' },
+      { name: 'link', type: '2', linkTarget: '/etc/passwd' }
+    ])), 'backup.tar.gz', 'application/gzip');
+    const { format, entries } = await archives.list(file);
+    assert.equal(format, 'tar.gz');
+    assert.deepEqual(entries[0], { path: 'a.txt', type: 'file', size: 5, modifiedAt: '2020-01-01T00:00:00.000Z' });
+    assert.equal(entries[1].type, 'symlink');
+    assert.equal(entries[1].linkTarget, '/etc/passwd');
+  });
+
+  test('opens single entries of ZIP and TAR archives', async () => {
+    const zipped = await ingest(zip([{ name: 'docs/readme.txt', data: 'read me', deflate: true }]), 'a.zip', 'application/zip');
+    const found = await archives.openEntry(zipped, 'docs/readme.txt');
+    assert.equal(found.entry.size, 7);
+    assert.equal(await read(found.stream), 'read me');
+    assert.equal(await archives.openEntry(zipped, 'docs/missing.txt'), null);
+    assert.equal(await archives.openEntry(zipped, 'docs'), null);
+    assert.equal(await archives.openEntry(zipped, '../docs/readme.txt'), null);
+
+    const tarred = await ingest(tar([{ name: 'one.txt', data: 'one' }, { name: 'two.txt', data: 'two' }]), 'b.tar', 'application/x-tar');
+    assert.equal(await read((await archives.openEntry(tarred, 'two.txt')).stream), 'two');
+    assert.equal(await archives.openEntry(tarred, 'three.txt'), null);
+  });
+
+  test('extracts files into folders, skipping unsafe paths and links', async () => {
+    folders.create('unpacked');
+    const file = await ingest(zip([
+      { name: 'docs/' },
+      { name: 'docs/readme.txt', data: 'read me', deflate: true },
+      { name: '../evil.txt', data: 'escape' },
+      { name: '/etc/evil.txt', data: 'escape' },
+      { name: 'link', data: '/etc/passwd', mode: 0o120777 }
+    ]), 'bundle.zip', 'application/zip');
+
+    const results = await archives.extract(file, { folder: 'unpacked', owner: 'u1' });
+    assert.deepEqual(results.map(result => [result.path, result.status, result.reason]), [
+      ['docs', 'created', undefined],
+      ['docs/readme.txt', 'extracted', undefined],
+      ['../evil.txt', 'skipped', 'Unsafe path'],
+      ['/etc/evil.txt', 'skipped', 'Unsafe path'],
+      ['link', 'skipped', 'Links are not extracted']
+    ]);
+
+    const extracted = results[1].file;
+    assert.equal(extracted.folder, 'unpacked/docs');
+    assert.equal(extracted.originalName, 'readme.txt');
+    assert.equal(extracted.owner, 'u1');
+    assert.equal(await read(await fileStore.open(extracted.filename)), 'read me');
+    assert.deepEqual((await fileStore.list()).map(entry => entry.originalName).sort(), ['bundle.zip', 'readme.txt']);
+  });
+
+  test('extracts only the selected paths', async () => {
+    const file = await ingest(tar([
+      { name: 'keep/a.txt', data: 'a' },
+      { name: 'keep/b.txt', data: 'b' },
+      { name: 'other.txt', data: 'c' }
+    ]), 'some.tar', 'application/x-tar');
+    const results = await archives.extract(file, { folder: '', paths: ['keep'], owner: 'u1' });
+    assert.deepEqual(results.map(result => result.path), ['keep/a.txt', 'keep/b.txt']);
+    assert.ok(results.every(result => result.status === 'extracted'));
+    assert.equal(folders.exists('keep'), true);
+  });
+
+  test('skips links and special files in TAR archives', async () => {
+    const file = await ingest(tar([
+      { name: 'hard', type: '1', linkTarget: 'a.txt' },
+      { name: 'device', type: '3' }
+    ]), 'odd.tar', 'application/x-tar');
+    const results = await archives.extract(file, { folder: '', owner: 'u1' });
+    assert.deepEqual(results.map(result => result.reason), ['Links are not extracted', 'Special files are not extracted']);
+  });
+
+  test('refuses archives with too many entries', async () => {
+    const entries = Array.from({ length: 11 }, (_, i) => ({ name: `f${i}.txt`, data: 'x' }));
+    const zipped = await ingest(zip(entries), 'many.zip', 'application/zip');
+    await assert.rejects(archives.list(zipped), { status: 413, message: 'Archive has too many entries (max 10)' });
+    const tarred = await ingest(tar(entries), 'many.tar', 'application/x-tar');
+    await assert.rejects(archives.extract(tarred, { folder: '', owner: 'u1' }), { status: 413 });
+  });
+
+  test('refuses entries that compress too well', async () => {
+    const file = await ingest(zip([
+      { name: 'bomb.bin', data: Buffer.alloc(2 * 1024 * 1024), deflate: true },
+      { name: 'small.txt', data: 'x'.repeat(1000), deflate: true }
+    ]), 'bomb.zip', 'application/zip');
+
+    await assert.rejects(archives.openEntry(file, 'bomb.bin'), { status: 413, message: 'Entry compression ratio too high (possible zip bomb)' });
+    const results = await archives.extract(file, { folder: '', owner: 'u1' });
+    assert.deepEqual(results.map(result => [result.status, result.code]), [['failed', 413], ['extracted', undefined]]);
+  });
+
+  test('stops inflating entries larger than they claim', async () => {
+    const file = await ingest(zip([{ name: 'liar.txt', data: 'much more than five bytes', deflate: true, size: 5 }]), 'liar.zip', 'application/zip');
+    const [result] = await archives.extract(file, { folder: '', owner: 'u1' });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'Entry is larger than it claims');
+    assert.equal(result.code, 413);
+    assert.deepEqual((await fileStore.list()).map(entry => entry.originalName), ['liar.zip']);
+  });
+
+  test('stops gzipped TAR archives that expand too much', async () => {
+    const file = await ingest(zlib.gzipSync(tar([{ name: 'zeros.bin', data: Buffer.alloc(3 * 1024 * 1024) }])), 'bomb.tar.gz', 'application/gzip');
+    await assert.rejects(archives.list(file), { status: 413, message: 'Archive expands too much (possible zip bomb)' });
+  });
+
+  test('keeps the whole extraction below its limit', async () => {
+    archives.limits.maxExtractSize = 12;
+    const file = await ingest(tar([
+      { name: 'a.txt', data: 'eight by' },
+      { name: 'b.txt', data: 'eight by' }
+    ]), 'pair.tar', 'application/x-tar');
+    const results = await archives.extract(file, { folder: '', owner: 'u1' });
+    assert.equal(results[0].status, 'extracted');
+    assert.equal(results[1].status, 'failed');
+    assert.equal(results[1].error, 'Archive expands past the extraction limit');
+  });
+});
+
+describe('archive scan gate', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const fileStore = new FileStore({ storage: new MemoryStorage(), db: new MetadataDB() });
+    const file = await fileStore.ingest(Readable.from([zip([{ name: 'a.txt', data: 'a' }])]), {
+      originalName: 'pending.zip',
+      mimetype: 'application/zip',
+      owner: 'u1'
+    });
+    const archives = new ArchiveService({ fileStore, folders: null, quotas: null });
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'u1', role: 'user' };
+      next();
+    });
+    app.use("/files/:filename", createArchiveRouter({
+      archives,
+      fileStore,
+      folders: null,
+      quotas: null,
+      scanning: { passed: () => false }
+    }));
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/files/${file.filename}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('keeps archives that have not passed the scan closed', async () => {
+    for (const url of [`${baseUrl}/entries`, `${baseUrl}/entries/a.txt`]) {
+      const response = await fetch(url);
+      assert.equal(response.status, 403);
+      assert.equal((await response.json()).error, 'File has not passed the malware scan');
+    }
+    assert.equal((await fetch(`${baseUrl}/extract`, { method: 'POST' })).status, 403);
+  });
+});
+
+describe('archive routes', () => {
+  let server;
+  let bob;
+  let archive;
+
+  before(async () => {
+    server = await startServer({ env: { ARCHIVE_MAX_ENTRIES: '20' } });
+    bob = await server.createUser('bob');
+    archive = await server.upload('site.zip', zip([
+      { name: 'site/' },
+      { name: 'site/index.html', data: '<h1>Hi</h1>', deflate: true },
+      { name: 'site/notes.txt', data: 'some notes' },
+      { name: '../evil.txt', data: 'escape' }
+    ]), 'application/zip');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function extract(filename, body, send = server.request) {
+    return send(`/files/${filename}/extract`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('list the entries of an archive', async () => {
+    const response = await server.request(`/files/${archive.filename}/entries`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.format, 'zip');
+    assert.deepEqual(body.entries.map(entry => entry.path), ['site', 'site/index.html', 'site/notes.txt', '../evil.txt']);
+  });
+
+  test('download one entry', async () => {
+    const response = await server.request(`/files/${archive.filename}/entries/site/index.html`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/html');
+    assert.equal(response.headers.get('content-length'), '11');
+    assert.equal(await response.text(), '<h1>Hi</h1>');
+    assert.equal((await server.request(`/files/${archive.filename}/entries/site/missing.txt`)).status, 404);
+  });
+
+  test('abort entries shorter than their header says', async () => {
+    const short = await server.upload('short.zip', zip([{ name: 'short.txt', data: 'only this', size: 100 }]), 'application/zip');
+    const response = await server.request(`/files/${short.filename}/entries/short.txt`);
+    assert.equal(response.headers.get('content-length'), '100');
+    await assert.rejects(response.text());
+  });
+
+  test('extract safe entries into a folder', async () => {
+    assert.equal((await server.request('/folders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: 'imported' })
+    })).status, 201);
+
+    const response = await extract(archive.filename, { folder: 'imported' });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.folder, 'imported');
+    assert.deepEqual(body.files.map(file => `${file.folder}/${file.originalName}`), ['imported/site/index.html', 'imported/site/notes.txt']);
+    assert.deepEqual(body.results.find(result => result.path === '../evil.txt'), {
+      path: '../evil.txt',
+      type: 'file',
+      status: 'skipped',
+      reason: 'Unsafe path'
+    });
+
+    const { files } = await (await server.request('/files?folder=imported/site')).json();
+    assert.equal(files.length, 2);
+  });
+
+  test('refuse missing folders and unsafe paths', async () => {
+    assert.equal((await extract(archive.filename, { folder: 'nowhere' })).status, 404);
+    assert.equal((await extract(archive.filename, { paths: ['../evil.txt'] })).status, 400);
+    assert.equal((await extract(archive.filename, { paths: [] })).status, 400);
+  });
+
+  test('answer 413 when every entry fails the same way', async () => {
+    const bomb = await server.upload('bomb.zip', zip([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024), deflate: true }]), 'application/zip');
+    const response = await extract(bomb.filename, {});
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).results[0].error, 'Entry compression ratio too high (possible zip bomb)');
+  });
+
+  test('refuse archives with more entries than configured', async () => {
+    const entries = Array.from({ length: 21 }, (_, i) => ({ name: `f${i}.txt`, data: 'x' }));
+    const many = await server.upload('many.zip', zip(entries), 'application/zip');
+    const response = await server.request(`/files/${many.filename}/entries`);
+    assert.equal(response.status, 413);
+    assert.deepEqual(await response.json(), { error: 'Archive has too many entries (max 20)' });
+  });
+
+  test('answer 415 for files that are not archives', async () => {
+    const text = await server.upload('plain.txt', 'just text');
+    assert.equal((await server.request(`/files/${text.filename}/entries`)).status, 415);
+  });
+
+  test('hide other users\' archives', async () => {
+    assert.equal((await bob.request(`/files/${archive.filename}/entries`)).status, 404);
+    assert.equal((await extract(archive.filename, {}, bob.request)).status, 404);
+  });
+});
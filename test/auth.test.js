@@ -0,0 +1,215 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { UserStore } = require("../lib/users");
+const { createAuth, canAccess, parseCookies } = require("../lib/auth");
+const createAuthRouter = require("../routes/auth");
+const { startServer } = require("./helpers/server");
+
+describe('UserStore', () => {
+  let dir;
+  let users;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-test-'));
+    users = new UserStore({ file: path.join(dir, 'users.json'), sessionTtl: 60 * 1000 });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates accounts and verifies their passwords', async () => {
+    const alice = await users.create({ username: 'alice', password: 'alicepass1' });
+    assert.equal(alice.role, 'user');
+    assert.equal(alice.passwordHash, undefined);
+    assert.deepEqual(await users.verify('ALICE', 'alicepass1'), alice);
+    assert.equal(await users.verify('alice', 'wrongpass1'), null);
+    assert.equal(await users.verify('nobody', 'alicepass1'), null);
+  });
+
+  test('refuses weak credentials, unknown roles and taken names', async () => {
+    await assert.rejects(users.create({ username: 'ab', password: 'longenough' }), { status: 400 });
+    await assert.rejects(users.create({ username: 'bob', password: 'short' }), { status: 400 });
+    await assert.rejects(users.create({ username: 'bob', password: 'longenough', role: 'root' }), { status: 400 });
+    await assert.rejects(users.create({ username: 'Alice', password: 'longenough' }), { status: 409 });
+  });
+
+  test('creates the first account only while there is none', async () => {
+    await assert.rejects(users.create({ username: 'late', password: 'longenough' }, { first: true }), { status: 409 });
+  });
+
+  test('stores only hashes of passwords, sessions and tokens', async () => {
+    const alice = users.list().find(user => user.username === 'alice');
+    const session = users.createSession(alice.id);
+    const { token } = users.createToken(alice.id, 'cli');
+    const saved = fs.readFileSync(users.file, 'utf8');
+    for (const secret of ['alicepass1', session.id, token]) {
+      assert.equal(saved.includes(secret), false);
+    }
+    assert.equal(users.userForSession(session.id).id, alice.id);
+    assert.equal(users.userForToken(token).id, alice.id);
+  });
+
+  test('revokes tokens, and only its owner can', () => {
+    const alice = users.list().find(user => user.username === 'alice');
+    const { token, id } = users.createToken(alice.id, 'revoke me');
+    assert.throws(() => users.revokeToken('someone-else', id), { status: 404 });
+    users.revokeToken(alice.id, id);
+    assert.equal(users.userForToken(token), null);
+  });
+
+  test('signs every session out on a password change', async () => {
+    const alice = users.list().find(user => user.username === 'alice');
+    const session = users.createSession(alice.id);
+    await users.setPassword(alice.id, 'newpassword');
+    assert.equal(users.userForSession(session.id), null);
+    assert.notEqual(await users.verify('alice', 'newpassword'), null);
+  });
+
+  test('loads what it saved', () => {
+    const reloaded = new UserStore({ file: users.file, sessionTtl: 60 * 1000 });
+    assert.deepEqual(reloaded.list(), users.list());
+  });
+});
+
+describe('canAccess and parseCookies', () => {
+  test('let admins and owners in', () => {
+    const file = { owner: 'u1' };
+    assert.equal(canAccess({ id: 'u1', role: 'user' }, file), true);
+    assert.equal(canAccess({ id: 'u2', role: 'user' }, file), false);
+    assert.equal(canAccess({ id: 'u2', role: 'admin' }, file), true);
+    assert.equal(canAccess(null, file), false);
+    assert.equal(canAccess({ id: 'u1', role: 'user' }, null), false);
+  });
+
+  test('read cookie headers', () => {
+    assert.deepEqual(parseCookies('a=1; mfs_session=abc%20d; bad=%E0'), { a: '1', mfs_session: 'abc d' });
+    assert.deepEqual(parseCookies(undefined), {});
+  });
+});
+
+describe('first account', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bootstrap-test-'));
+    const users = new UserStore({ file: path.join(dir, 'users.json'), sessionTtl: 60 * 1000 });
+    const auth = createAuth({ users, sessionTtl: 60 * 1000 });
+    const app = express();
+    app.use(express.json());
+    app.use(auth.authenticate);
+    app.use("/auth", createAuthRouter({ users, auth, bootstrapToken: 'bootstrap-secret' }));
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function createUser(body) {
+    return fetch(`${baseUrl}/auth/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('needs the bootstrap token', async () => {
+    assert.deepEqual(await (await fetch(`${baseUrl}/auth/setup`)).json(), { required: true });
+    assert.equal((await createUser({ username: 'owner', password: 'ownerpass1' })).status, 403);
+    assert.equal((await createUser({ username: 'owner', password: 'ownerpass1', bootstrapToken: 'guess' })).status, 403);
+  });
+
+  test('is an admin whatever role is asked for', async () => {
+    const response = await createUser({ username: 'owner', password: 'ownerpass1', role: 'user', bootstrapToken: 'bootstrap-secret' });
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).user.role, 'admin');
+    assert.deepEqual(await (await fetch(`${baseUrl}/auth/setup`)).json(), { required: false });
+  });
+
+  test('closes sign-up once it exists', async () => {
+    const response = await createUser({ username: 'second', password: 'secondpass1', bootstrapToken: 'bootstrap-secret' });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('signed-in routes', () => {
+  let server;
+  let bob;
+  let adminFile;
+  let bobFile;
+
+  before(async () => {
+    server = await startServer();
+    bob = await server.createUser('bob');
+    adminFile = await server.upload('admin.txt', 'admin only');
+    bobFile = await bob.upload('bob.txt', 'bob only');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('answer 401 without a session or token', async () => {
+    assert.equal((await fetch(`${server.baseUrl}/files`)).status, 401);
+    assert.equal((await fetch(`${server.baseUrl}/auth/me`)).status, 401);
+  });
+
+  test('answer 401 for an unknown token', async () => {
+    const response = await fetch(`${server.baseUrl}/files`, { headers: { Authorization: 'Bearer mfs_not-a-token' } });
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: 'Invalid API token' });
+  });
+
+  test('record who uploaded a file', () => {
+    assert.equal(bobFile.owner, bob.user.id);
+  });
+
+  test('list only the user\'s own files, and every file for admins', async () => {
+    const { files: bobsView } = await (await bob.request('/files')).json();
+    assert.deepEqual(bobsView.map(file => file.filename), [bobFile.filename]);
+    const { files: adminView } = await (await server.request('/files')).json();
+    assert.deepEqual(adminView.map(file => file.filename).sort(), [adminFile.filename, bobFile.filename].sort());
+  });
+
+  test('hide other users\' files as if they did not exist', async () => {
+    const download = await bob.request(`/download/${adminFile.filename}`);
+    assert.equal(download.status, 404);
+    const deleted = await bob.request(`/files/${adminFile.filename}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 404);
+    assert.equal((await server.request(`/download/${adminFile.filename}`)).status, 200);
+  });
+
+  test('let admins reach other users\' files', async () => {
+    const download = await server.request(`/download/${bobFile.filename}`);
+    assert.equal(await download.text(), 'bob only');
+  });
+
+  test('keep account management to admins', async () => {
+    assert.equal((await bob.request('/auth/users')).status, 403);
+    const created = await bob.request('/auth/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'mallory', password: 'mallorypass1', role: 'admin' })
+    });
+    assert.equal(created.status, 403);
+  });
+
+  test('stop accepting a revoked token', async () => {
+    const { tokens } = await (await bob.request('/auth/tokens')).json();
+    const revoked = await bob.request(`/auth/tokens/${tokens[0].id}`, { method: 'DELETE' });
+    assert.equal(revoked.status, 200);
+    assert.equal((await bob.request('/files')).status, 401);
+  });
+});
@@ -0,0 +1,320 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const {
+  BundleService,
+  bundleEntries,
+  bundleFilename,
+  bundleOptions,
+  isCompressedType,
+  missingHeader
+} = require("../lib/bundles");
+const { startServer } = require("./helpers/server");
+
+// Names and compression methods from a ZIP's central directory
+function zipEntries(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+// Names and contents of the files in a TAR
+function tarEntries(buffer) {
+  const entries = [];
+  for (let offset = 0; offset + 512 <= buffer.length && buffer[offset] !== 0;) {
+    const name = buffer.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+    const size = parseInt(buffer.toString('latin1', offset + 124, offset + 136), 8);
+    entries.push({ name, content: buffer.toString('utf8', offset + 512, offset + 512 + size) });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+describe('bundle options and names', () => {
+  test('default to a ZIP at the configured level', () => {
+    assert.deepEqual(bundleOptions({}, 4), { format: 'zip', level: 4 });
+    assert.deepEqual(bundleOptions({ format: 'tar.gz', compression: '9' }), { format: 'tar.gz', level: 9 });
+    assert.deepEqual(bundleOptions({ compression: 'store' }), { format: 'zip', level: 0 });
+  });
+
+  test('refuse unknown formats and levels', () => {
+    assert.throws(() => bundleOptions({ format: 'rar' }), { status: 400 });
+    assert.throws(() => bundleOptions({ format: 'toString' }), { status: 400 });
+    assert.throws(() => bundleOptions({ compression: 10 }), { status: 400 });
+    assert.throws(() => bundleOptions({ compression: 'fast' }), { status: 400 });
+  });
+
+  test('name the download after the request, with the format\'s extension', () => {
+    assert.equal(bundleFilename('holiday', 'zip', 'downloads'), 'holiday.zip');
+    assert.equal(bundleFilename('holiday.zip', 'tar.gz', 'downloads'), 'holiday.tar.gz');
+    assert.equal(bundleFilename('../../etc/passwd', 'tar', 'downloads'), 'passwd.tar');
+    assert.equal(bundleFilename('..', 'zip', 'downloads'), 'downloads.zip');
+    assert.equal(bundleFilename(undefined, 'zip', 'album'), 'album.zip');
+  });
+
+  test('name entries after their original names, numbering duplicates', () => {
+    const entries = bundleEntries([
+      { file: { filename: 'f1', originalName: 'report.pdf', size: 1 } },
+      { file: { filename: 'f2', originalName: 'Report.pdf', size: 2 } },
+      { file: { filename: 'f3', originalName: '..\\..\\evil.txt', size: 3 } },
+      { file: { filename: 'f4', originalName: '..', size: 4 } },
+      { file: { filename: 'f5', originalName: 'a.txt', size: 5 }, directory: 'album/2024' }
+    ]);
+    assert.deepEqual(entries.map(entry => entry.name), ['report.pdf', 'Report (2).pdf', 'evil.txt', 'f4', 'album/2024/a.txt']);
+    assert.equal(entries[1].key, 'f2');
+  });
+
+  test('store compressed media as it is', () => {
+    assert.equal(isCompressedType('video/mp4'), true);
+    assert.equal(isCompressedType('image/jpeg'), true);
+    assert.equal(isCompressedType('application/zip'), true);
+    assert.equal(isCompressedType('audio/wav'), false);
+    assert.equal(isCompressedType('image/bmp'), false);
+    assert.equal(isCompressedType('text/plain'), false);
+  });
+
+  test('list missing files for a header', () => {
+    assert.equal(missingHeader([{ filename: 'a b.txt' }, { filename: 'c,d.txt' }]), 'a%20b.txt,c%2Cd.txt');
+  });
+});
+
+describe('BundleService records', () => {
+  let dir;
+  let bundles;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundles-test-'));
+    bundles = new BundleService({ dir, ttl: 60 * 1000 });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const spec = {
+    format: 'zip',
+    level: 6,
+    filename: 'downloads.zip',
+    entries: [{ key: 'f1', version: null, name: 'a.txt', size: 1, mimetype: 'text/plain', sha256: null, modifiedAt: null }],
+    missing: []
+  };
+
+  test('keeps bundles under an id until they expire', async () => {
+    const bundle = await bundles.create('u1', spec);
+    assert.match(bundle.id, /^[a-f0-9]{32}$/);
+    assert.deepEqual(await bundles.get(bundle.id), bundle);
+
+    const expired = await bundles.create('u1', spec);
+    const record = JSON.parse(fs.readFileSync(bundles.recordPath(expired.id), 'utf8'));
+    record.expiresAt = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(bundles.recordPath(expired.id), JSON.stringify(record));
+    assert.equal(await bundles.get(expired.id), null);
+    assert.equal(fs.existsSync(bundles.recordPath(expired.id)), false);
+  });
+
+  test('tags the same entries and options the same way', async () => {
+    const first = await bundles.create('u1', spec);
+    const second = await bundles.create('u2', spec);
+    const stored = await bundles.create('u1', { ...spec, level: 0 });
+    assert.equal(first.etag, second.etag);
+    assert.notEqual(first.etag, stored.etag);
+  });
+
+  test('answers null for ids it never gave out', async () => {
+    assert.equal(await bundles.get('../../etc/passwd'), null);
+    assert.equal(await bundles.get('0'.repeat(32)), null);
+  });
+
+  test('sweeps copies left without a record', async () => {
+    const bundle = await bundles.create('u1', spec);
+    fs.writeFileSync(path.join(dir, `${'f'.repeat(32)}.0123456789abcdef.bundle`), 'orphan');
+    fs.writeFileSync(bundles.copyPath(bundle.id, bundle.etag), 'kept');
+    await bundles.sweep();
+    assert.equal(fs.existsSync(path.join(dir, `${'f'.repeat(32)}.0123456789abcdef.bundle`)), false);
+    assert.equal(fs.existsSync(bundles.copyPath(bundle.id, bundle.etag)), true);
+  });
+});
+
+describe('bundle routes', () => {
+  let server;
+  let bob;
+  let first;
+  let second;
+  let photo;
+
+  before(async () => {
+    server = await startServer({ env: { ZIP_MAX_FILES: '5' } });
+    bob = await server.createUser('bob');
+    first = await server.upload('notes.txt', 'first notes');
+    second = await server.upload('Notes.txt', 'second notes');
+    photo = await server.upload('photo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, ...Buffer.alloc(64)]), 'image/png');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function post(url, body, send = server.request) {
+    return send(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function body(response) {
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  describe('POST /download-zip', () => {
+    test('streams a ZIP with the files\' original names', async () => {
+      const response = await post('/download-zip', { filenames: [first.filename, second.filename, photo.filename] });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/zip');
+      assert.match(response.headers.get('content-disposition'), /downloads\.zip/);
+      assert.deepEqual(zipEntries(await body(response)), [
+        { name: 'notes.txt', method: 8 },
+        { name: 'Notes (2).txt', method: 8 },
+        { name: 'photo.png', method: 0 }
+      ]);
+    });
+
+    test('stores entries uncompressed on request', async () => {
+      const response = await post('/download-zip', { filenames: [first.filename], compression: 'store', name: 'plain' });
+      assert.match(response.headers.get('content-disposition'), /plain\.zip/);
+      assert.deepEqual(zipEntries(await body(response)), [{ name: 'notes.txt', method: 0 }]);
+    });
+
+    test('streams TAR and gzipped TAR bundles', async () => {
+      const tar = await post('/download-zip', { filenames: [first.filename], format: 'tar' });
+      assert.equal(tar.headers.get('content-type'), 'application/x-tar');
+      assert.deepEqual(tarEntries(await body(tar)), [{ name: 'notes.txt', content: 'first notes' }]);
+
+      const gzipped = await post('/download-zip', { filenames: [first.filename], format: 'tar.gz', name: 'backup' });
+      assert.equal(gzipped.headers.get('content-type'), 'application/gzip');
+      assert.match(gzipped.headers.get('content-disposition'), /backup\.tar\.gz/);
+      assert.deepEqual(tarEntries(zlib.gunzipSync(await body(gzipped))), [{ name: 'notes.txt', content: 'first notes' }]);
+    });
+
+    test('reports files it left out', async () => {
+      const response = await post('/download-zip', { filenames: [first.filename, 'missing file.txt'] });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-missing-files'), 'missing%20file.txt');
+      assert.deepEqual(zipEntries(await body(response)).map(entry => entry.name), ['notes.txt']);
+    });
+
+    test('answers 404 when none of the files can be bundled', async () => {
+      const response = await post('/download-zip', { filenames: [first.filename] }, bob.request);
+      assert.equal(response.status, 404);
+      assert.deepEqual((await response.json()).missing, [{ filename: first.filename, error: 'File not found' }]);
+    });
+
+    test('refuses bad requests', async () => {
+      assert.equal((await post('/download-zip', { filenames: [] })).status, 400);
+      assert.equal((await post('/download-zip', { filenames: [first.filename], format: '7z' })).status, 400);
+      assert.equal((await post('/download-zip', { filenames: [first.filename], compression: 11 })).status, 400);
+      const tooMany = await post('/download-zip', { filenames: ['a', 'b', 'c', 'd', 'e', 'f'] });
+      assert.equal(tooMany.status, 400);
+      assert.deepEqual(await tooMany.json(), { error: 'Too many files. Maximum 5 files allowed.' });
+    });
+
+    test('bundles a folder with its layout', async () => {
+      assert.equal((await post('/folders', { path: 'album/2024' })).status, 201);
+      const form = new FormData();
+      form.append('file', new Blob(['beach'], { type: 'text/plain' }), 'beach.txt');
+      assert.equal((await server.request('/upload?folder=album/2024', { method: 'POST', body: form })).status, 200);
+
+      const response = await post('/download-zip', { folder: 'album' });
+      assert.match(response.headers.get('content-disposition'), /album\.zip/);
+      assert.deepEqual(zipEntries(await body(response)).map(entry => entry.name), ['album/2024/beach.txt']);
+      assert.equal((await post('/download-zip', { folder: 'nowhere' })).status, 404);
+    });
+  });
+
+  describe('/bundles', () => {
+    async function createBundle(request, send = server.request) {
+      const response = await post('/bundles', request, send);
+      assert.equal(response.status, 201);
+      return (await response.json()).bundle;
+    }
+
+    test('records a bundle and downloads it by id', async () => {
+      const bundle = await createBundle({ filenames: [first.filename, 'gone.txt'], name: 'kept' });
+      assert.equal(bundle.url, `/bundles/${bundle.id}`);
+      assert.equal(bundle.filename, 'kept.zip');
+      assert.deepEqual(bundle.entries, [{ name: 'notes.txt', filename: first.filename, size: 11 }]);
+      assert.deepEqual(bundle.missing, [{ filename: 'gone.txt', error: 'File not found' }]);
+
+      const response = await server.request(bundle.url);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-missing-files'), 'gone.txt');
+      assert.deepEqual(zipEntries(await body(response)).map(entry => entry.name), ['notes.txt']);
+    });
+
+    test('serves ranges and the same bytes once the first download completed', async () => {
+      const bundle = await createBundle({ filenames: [first.filename, second.filename] });
+      const full = await server.request(bundle.url);
+      const etag = full.headers.get('etag');
+      const bytes = await body(full);
+
+      // The copy is committed right after the download finishes
+      let partial;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        partial = await server.request(bundle.url, { headers: { Range: 'bytes=0-9' } });
+        if (partial.status === 206) {
+          break;
+        }
+        await partial.arrayBuffer();
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.equal(partial.status, 206);
+      assert.deepEqual(await body(partial), bytes.subarray(0, 10));
+      assert.equal(partial.headers.get('etag'), etag);
+
+      const cached = await server.request(bundle.url, { headers: { 'If-None-Match': etag } });
+      assert.equal(cached.status, 304);
+    });
+
+    test('leaves out files deleted since the bundle was made', async () => {
+      const doomed = await server.upload('doomed.txt', 'short lived');
+      const bundle = await createBundle({ filenames: [first.filename, doomed.filename] });
+      assert.equal((await server.request(`/files/${doomed.filename}`, { method: 'DELETE' })).status, 200);
+
+      const response = await server.request(bundle.url);
+      assert.equal(response.headers.get('x-missing-files'), doomed.filename);
+      assert.deepEqual(zipEntries(await body(response)).map(entry => entry.name), ['notes.txt']);
+
+      const lonely = await server.upload('lonely.txt', 'soon gone');
+      const empty = await createBundle({ filenames: [lonely.filename] });
+      await server.request(`/files/${lonely.filename}`, { method: 'DELETE' });
+      assert.equal((await server.request(empty.url)).status, 404);
+    });
+
+    test('keeps each user\'s bundles to themselves and deletes them', async () => {
+      const bundle = await createBundle({ filenames: [first.filename] });
+      assert.equal((await bob.request(bundle.url)).status, 404);
+      assert.equal((await bob.request(bundle.url, { method: 'DELETE' })).status, 404);
+
+      assert.equal((await server.request(bundle.url, { method: 'DELETE' })).status, 200);
+      assert.equal((await server.request(bundle.url)).status, 404);
+      assert.equal((await server.request('/bundles/not-an-id')).status, 404);
+    });
+
+    test('answers 404 when none of the files can be bundled', async () => {
+      const response = await post('/bundles', { filenames: [first.filename] }, bob.request);
+      assert.equal(response.status, 404);
+    });
+  });
+});
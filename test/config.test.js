@@ -0,0 +1,154 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, formatHelp, ConfigError, OPTIONS } = require("../lib/config");
+const { checkFileType } = require("../lib/files");
+const { startServer } = require("./helpers/server");
+
+describe('loadConfig', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function load({ argv = [], env = {}, file } = {}) {
+    if (file !== undefined) {
+      fs.writeFileSync(path.join(dir, 'config.json'), typeof file === 'string' ? file : JSON.stringify(file));
+    } else {
+      fs.rmSync(path.join(dir, 'config.json'), { force: true });
+    }
+    return loadConfig({ argv, env, baseDir: dir });
+  }
+
+  test('starts from the documented defaults', () => {
+    const config = load();
+    for (const [key, option] of Object.entries(OPTIONS)) {
+      if (key !== 'uploadsDir' && key !== 'dataDir') {
+        assert.deepEqual(config[key], option.default, key);
+      }
+    }
+    assert.equal(config.uploadsDir, path.join(dir, 'uploads'));
+    assert.equal(config.configFile, null);
+    assert.equal(Object.isFrozen(config), true);
+  });
+
+  test('lets the environment override the file and flags override both', () => {
+    const file = { port: 4000, maxFileSize: '1GB', zipMaxFiles: 20 };
+    const env = { PORT: '5000', ZIP_MAX_FILES: '30' };
+    const config = load({ file, env, argv: ['--port', '6000'] });
+    assert.equal(config.port, 6000);
+    assert.equal(config.zipMaxFiles, 30);
+    assert.equal(config.maxFileSize, 1024 * 1024 * 1024);
+    assert.equal(config.configFile, path.join(dir, 'config.json'));
+  });
+
+  test('reads sizes, durations, lists and booleans', () => {
+    const config = load({
+      env: { UPLOAD_TIMEOUT_MS: '90s', ALLOWED_EXTENSIONS: 'mp4, .PDF,mp4', DENIED_TYPES: 'video/*' },
+      argv: ['--max-file-size=1.5kb', '--debug-streams', '--mime-types', '{".HEIC": "image/heic"}']
+    });
+    assert.equal(config.uploadTimeoutMs, 90 * 1000);
+    assert.equal(config.maxFileSize, 1536);
+    assert.deepEqual(config.allowedExtensions, ['.mp4', '.pdf']);
+    assert.deepEqual(config.deniedTypes, ['video/*']);
+    assert.equal(config.debugStreams, true);
+    assert.deepEqual(config.mimeTypes, { '.heic': 'image/heic' });
+    assert.equal(load({ env: { DEBUG_STREAMS: 'yes' }, argv: ['--no-debug-streams'] }).debugStreams, false);
+  });
+
+  test('fails fast listing every invalid setting', () => {
+    assert.throws(() => load({
+      file: { zipCompressionLevel: 12, unknownSetting: true },
+      env: { PORT: '70000', MAX_FILE_SIZE: 'lots', STORAGE_DRIVER: 'floppy' },
+      argv: ['--bogus', '--allowed-types', 'not a type']
+    }), (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.equal(err.problems.length, 7);
+      assert.match(err.message, /zipCompressionLevel.*between 0 and 9/);
+      assert.match(err.message, /unknown setting "unknownSetting"/);
+      assert.match(err.message, /PORT: must be between 1 and 65535/);
+      assert.match(err.message, /MAX_FILE_SIZE: must be a whole number of bytes/);
+      assert.match(err.message, /STORAGE_DRIVER: must be one of: local, memory, s3/);
+      assert.match(err.message, /unknown command line option --bogus/);
+      assert.match(err.message, /--allowed-types: must be a list of MIME types/);
+      return true;
+    });
+  });
+
+  test('refuses unreadable config files and missing values', () => {
+    assert.throws(() => load({ file: '{ not json' }), ConfigError);
+    assert.throws(() => load({ file: '[1, 2]' }), /must hold a JSON object/);
+    assert.throws(() => load({ argv: ['--config', 'missing.json'] }), /not found/);
+    assert.throws(() => load({ argv: ['--port'] }), /--port needs a value/);
+    assert.throws(() => load({ env: { STORAGE_DRIVER: 's3' } }), /s3Bucket is required/);
+  });
+
+  test('documents every setting in the help text', () => {
+    const help = formatHelp();
+    assert.match(help, /--max-file-size {2}\(MAX_FILE_SIZE, default 500MB\)/);
+    assert.match(help, /--trash-retention-ms {2}\(TRASH_RETENTION_MS, default 30d\)/);
+    assert.match(help, /--quota-user-bytes {2}\(QUOTA_USER_BYTES, default unlimited\)/);
+  });
+});
+
+describe('checkFileType', () => {
+  test('applies allow and deny lists of extensions', () => {
+    checkFileType('clip.mp4', 'video/mp4', { allowedExtensions: ['.mp4'] });
+    assert.throws(() => checkFileType('notes.txt', 'text/plain', { allowedExtensions: ['.mp4'] }), { status: 415 });
+    assert.throws(() => checkFileType('SETUP.EXE', 'application/octet-stream', { deniedExtensions: ['.exe'] }), { status: 415 });
+    assert.throws(() => checkFileType('README', 'text/plain', { allowedExtensions: ['.txt'] }), /\(no extension\)/);
+  });
+
+  test('applies allow and deny lists of MIME types with wildcards', () => {
+    checkFileType('photo.png', 'image/png', { allowedTypes: ['image/*'] });
+    assert.throws(() => checkFileType('clip.mp4', 'video/mp4', { allowedTypes: ['image/*'] }), { status: 415 });
+    assert.throws(() => checkFileType('clip.mp4', 'video/mp4', { deniedTypes: ['video/*'] }), /video\/mp4 are not allowed/);
+  });
+});
+
+describe('upload type policy', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { DENIED_EXTENSIONS: '.exe', ALLOWED_TYPES: 'text/*,application/octet-stream' } });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function post(urlPath, field, name, type) {
+    const form = new FormData();
+    form.append(field, new Blob(['content'], { type }), name);
+    return server.request(urlPath, { method: 'POST', body: form });
+  }
+
+  test('is enforced by /upload', async () => {
+    assert.equal((await post('/upload', 'file', 'notes.txt', 'text/plain')).status, 200);
+    const denied = await post('/upload', 'file', 'setup.exe', 'application/octet-stream');
+    assert.equal(denied.status, 415);
+    assert.deepEqual(await denied.json(), { error: 'Files of type .exe are not allowed' });
+    assert.equal((await post('/upload', 'file', 'clip.mp4', 'video/mp4')).status, 415);
+  });
+
+  test('is enforced by /upload-multiple', async () => {
+    const response = await post('/upload-multiple', 'files', 'setup.exe', 'application/octet-stream');
+    assert.equal(response.status, 415);
+  });
+
+  test('is enforced when a resumable upload starts', async () => {
+    const response = await server.request('/upload-sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'clip.mp4', size: 7, mimetype: 'video/mp4' })
+    });
+    assert.equal(response.status, 415);
+  });
+});
@@ -0,0 +1,199 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const { EventHub, progressId } = require("../lib/events");
+const { FileStore } = require("../lib/file-store");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+// Events in the text of an event stream
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.includes('event: ')).map((block) => {
+    const fields = Object.fromEntries(block.split('\n').map(line => line.split(/: (.*)/s, 2)));
+    return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+describe('progressId', () => {
+  test('keeps safe client ids and makes up the rest', () => {
+    assert.equal(progressId('upload-42_a'), 'upload-42_a');
+    for (const value of [undefined, '', 'has space', 'x'.repeat(65), ['array']]) {
+      assert.match(progressId(value), /^[0-9a-f-]{36}$/);
+    }
+  });
+});
+
+describe('EventHub', () => {
+  let fileStore;
+  let hub;
+
+  beforeEach(() => {
+    fileStore = new FileStore({ storage: new MemoryStorage(), db: new MetadataDB() });
+    hub = new EventHub({ fileStore, backlog: 5 }).attach();
+  });
+
+  // A connected page of `user`; `events()` parses what it was sent so far
+  function connect(user, headers = {}) {
+    const req = new EventEmitter();
+    Object.assign(req, { user, headers });
+    const res = { written: '', writeHead(status, responseHeaders) { this.status = status; this.headers = responseHeaders; }, write(chunk) { this.written += chunk; } };
+    hub.subscribe(req, res);
+    return { res, events: () => parseEvents(res.written), close: () => req.emit('close') };
+  }
+
+  test('opens an event stream', () => {
+    const page = connect({ id: 'u1', role: 'user' });
+    assert.equal(page.res.status, 200);
+    assert.equal(page.res.headers['Content-Type'], 'text/event-stream');
+    assert.match(page.res.written, /^retry: 3000\n\n/);
+    page.close();
+  });
+
+  test('sends file events to the owner and admins only', async () => {
+    const owner = connect({ id: 'u1', role: 'user' });
+    const other = connect({ id: 'u2', role: 'user' });
+    const admin = connect({ id: 'a1', role: 'admin' });
+
+    const file = await fileStore.ingest(Readable.from(['hi']), { originalName: 'hi.txt', mimetype: 'text/plain', owner: 'u1' });
+    await fileStore.remove(file.filename);
+
+    const expected = [['file-created', file.filename], ['file-deleted', file.filename]];
+    assert.deepEqual(owner.events().map(event => [event.type, event.data.filename]), expected);
+    assert.deepEqual(admin.events().map(event => [event.type, event.data.filename]), expected);
+    assert.deepEqual(other.events(), []);
+    [owner, other, admin].forEach(page => page.close());
+  });
+
+  test('reports trashed files as deleted', async () => {
+    const owner = connect({ id: 'u1', role: 'user' });
+    const file = await fileStore.ingest(Readable.from(['hi']), { originalName: 'hi.txt', mimetype: 'text/plain', owner: 'u1' });
+    await fileStore.trash(file.filename, { id: 'u1' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(owner.events().at(-1).data, { filename: file.filename, trashed: true });
+    owner.close();
+  });
+
+  test('sends user events to that user alone', () => {
+    const alice = connect({ id: 'u1', role: 'user' });
+    const admin = connect({ id: 'a1', role: 'admin' });
+    hub.publish('upload-complete', { uploadId: 'x' }, { user: 'u1' });
+    assert.deepEqual(alice.events().map(event => event.type), ['upload-complete']);
+    assert.deepEqual(admin.events(), []);
+    [alice, admin].forEach(page => page.close());
+  });
+
+  test('replays what a reconnecting page missed from a short backlog', () => {
+    const user = { id: 'u1', role: 'user' };
+    for (let i = 1; i <= 7; i++) {
+      hub.publish('upload-progress', { step: i }, { user: 'u1' });
+    }
+    const page = connect(user, { 'last-event-id': '4' });
+    assert.deepEqual(page.events().map(event => event.data.step), [5, 6, 7]);
+    const fresh = connect(user, { 'last-event-id': '0' });
+    assert.deepEqual(fresh.events().map(event => event.data.step), [3, 4, 5, 6, 7]);
+    [page, fresh].forEach(client => client.close());
+  });
+
+  test('stops writing to closed pages', () => {
+    const page = connect({ id: 'u1', role: 'user' });
+    page.close();
+    hub.publish('upload-complete', {}, { user: 'u1' });
+    assert.deepEqual(page.events(), []);
+    assert.equal(hub.clients.size, 0);
+  });
+
+  test('throttles progress but always sends the final event', () => {
+    const page = connect({ id: 'u1', role: 'user' });
+    const publish = hub.progressPublisher('upload-progress', 'u1');
+    publish({ bytes: 1 });
+    publish({ bytes: 2 });
+    publish({ bytes: 3 }, true);
+    assert.deepEqual(page.events().map(event => event.data.bytes), [1, 3]);
+    page.close();
+  });
+});
+
+describe('/events', () => {
+  let server;
+  let bob;
+
+  before(async () => {
+    server = await startServer();
+    bob = await server.createUser('bob');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // Open the event stream of `send`; `until(check)` collects events until one passes the check
+  async function listen(send) {
+    const controller = new AbortController();
+    const response = await send('/events', { signal: controller.signal });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = decoder.decode((await reader.read()).value, { stream: true });
+
+    return {
+      async until(check) {
+        const timeout = setTimeout(() => controller.abort(), 5000);
+        try {
+          while (!parseEvents(text).some(check)) {
+            const { value, done } = await reader.read();
+            if (done) {
+              break;
+            }
+            text += decoder.decode(value, { stream: true });
+          }
+        } finally {
+          clearTimeout(timeout);
+        }
+        return parseEvents(text);
+      },
+      close: () => controller.abort()
+    };
+  }
+
+  test('pushes upload completion and new files', async () => {
+    const stream = await listen(server.request);
+    const form = new FormData();
+    form.append('file', new Blob(['live'], { type: 'text/plain' }), 'live.txt');
+    const { file } = await (await server.request('/upload?uploadId=my-upload', { method: 'POST', body: form })).json();
+
+    const events = await stream.until(event => event.type === 'upload-complete');
+    stream.close();
+    const complete = events.find(event => event.type === 'upload-complete');
+    assert.equal(complete.data.uploadId, 'my-upload');
+    assert.equal(complete.data.file.filename, file.filename);
+    assert.ok(events.some(event => event.type === 'file-created' && event.data.filename === file.filename));
+  });
+
+  test('pushes deletes and ZIP progress', async () => {
+    const file = await server.upload('bye.txt', 'bye');
+    const stream = await listen(server.request);
+    await server.request('/download-zip', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filenames: [file.filename], zipId: 'my-zip' })
+    }).then(response => response.arrayBuffer());
+    await server.request(`/files/${file.filename}`, { method: 'DELETE' });
+
+    const events = await stream.until(event => event.type === 'file-deleted');
+    stream.close();
+    const zip = events.find(event => event.type === 'zip-complete');
+    assert.deepEqual([zip.data.zipId, zip.data.files], ['my-zip', 1]);
+    assert.deepEqual(events.find(event => event.type === 'file-deleted').data, { filename: file.filename, trashed: true });
+  });
+
+  test('keeps other users\' activity private', async () => {
+    const stream = await listen(bob.request);
+    await server.upload('private.txt', 'admin only');
+    await bob.upload('bobs.txt', 'bob');
+    const events = await stream.until(event => event.type === 'file-created');
+    stream.close();
+    assert.deepEqual(events.filter(event => event.type === 'file-created').map(event => event.data.originalName), ['bobs.txt']);
+  });
+});
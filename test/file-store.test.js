@@ -0,0 +1,100 @@
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('content-addressed deduplication', () => {
+  let storage;
+  let db;
+  let fileStore;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    db = new MetadataDB();
+    fileStore = new FileStore({ storage, db });
+  });
+
+  function ingest(content, originalName = 'notes.txt') {
+    return fileStore.ingest(Readable.from([content]), { originalName, mimetype: 'text/plain' });
+  }
+
+  // Keys of stored objects below a prefix such as `.blobs/`
+  function keysUnder(prefix) {
+    return [...storage.objects.keys()].filter(key => key.startsWith(prefix)).sort();
+  }
+
+  test('stores content once under its hash', async () => {
+    const first = await ingest('same content', 'a.txt');
+    const second = await ingest('same content', 'b.txt');
+
+    assert.notEqual(first.filename, second.filename);
+    assert.equal(first.sha256, sha256('same content'));
+    assert.equal(second.sha256, first.sha256);
+    assert.deepEqual(keysUnder('.blobs/'), [`.blobs/${first.sha256}`]);
+    assert.equal(await read(await fileStore.open(second.filename)), 'same content');
+  });
+
+  test('keeps different content apart', async () => {
+    const first = await ingest('one');
+    const second = await ingest('two');
+    assert.deepEqual(keysUnder('.blobs/'), [`.blobs/${first.sha256}`, `.blobs/${second.sha256}`].sort());
+  });
+
+  test('frees a blob only when its last file is removed', async () => {
+    const first = await ingest('shared');
+    const second = await ingest('shared');
+
+    await fileStore.remove(first.filename);
+    assert.deepEqual(keysUnder('.blobs/'), [`.blobs/${second.sha256}`]);
+    assert.equal(await read(await fileStore.open(second.filename)), 'shared');
+
+    await fileStore.remove(second.filename);
+    assert.deepEqual(keysUnder('.blobs/'), []);
+  });
+
+  test('counts references again after a restart', async () => {
+    const first = await ingest('shared');
+    const second = await ingest('shared');
+
+    const restarted = new FileStore({ storage, db });
+    await restarted.remove(first.filename);
+    assert.deepEqual(keysUnder('.blobs/'), [`.blobs/${second.sha256}`]);
+    await restarted.remove(second.filename);
+    assert.deepEqual(keysUnder('.blobs/'), []);
+  });
+
+  test('stores identical uploads running side by side once', async () => {
+    const files = await Promise.all(Array.from({ length: 5 }, (_, i) => ingest('parallel', `copy-${i}.txt`)));
+    assert.equal(new Set(files.map(file => file.filename)).size, 5);
+    assert.deepEqual(keysUnder('.blobs/'), [`.blobs/${sha256('parallel')}`]);
+    assert.deepEqual(keysUnder('.incoming/'), []);
+
+    for (const file of files.slice(1)) {
+      await fileStore.remove(file.filename);
+    }
+    assert.equal(await read(await fileStore.open(files[0].filename)), 'parallel');
+  });
+
+  test('describes the deduplicated file like any other', async () => {
+    const file = await ingest('hello', 'hello.txt');
+    assert.equal(file.originalName, 'hello.txt');
+    assert.equal(file.size, 5);
+    assert.equal(file.mimetype, 'text/plain');
+    assert.deepEqual((await fileStore.list()).map(entry => entry.filename), [file.filename]);
+  });
+});
@@ -0,0 +1,203 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isStoredFilename, contentDisposition } = require("../lib/files");
+const { LocalStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+// Names a client could send to reach files outside the store
+const HOSTILE_NAMES = {
+  'parent segments': '../../etc/passwd',
+  'a bare parent': '..',
+  'an absolute path': '/etc/passwd',
+  'backslashes': '..\\..\\windows\\win.ini',
+  'a NUL byte': 'report.pdf\0.txt',
+  'an over-long name': 'a'.repeat(300) + '.txt'
+};
+
+describe('isStoredFilename', () => {
+  test('accepts plain stored names', () => {
+    assert.equal(isStoredFilename('1700000000000-123456789-report.pdf'), true);
+    assert.equal(isStoredFilename('a'.repeat(255)), true);
+  });
+
+  for (const [label, name] of Object.entries(HOSTILE_NAMES)) {
+    test(`rejects ${label}`, () => {
+      assert.equal(isStoredFilename(name), false);
+    });
+  }
+
+  test('rejects hidden files, sidecars, control characters and non-strings', () => {
+    assert.equal(isStoredFilename('.env'), false);
+    assert.equal(isStoredFilename('report.pdf.meta'), false);
+    assert.equal(isStoredFilename('report\n.pdf'), false);
+    assert.equal(isStoredFilename(''), false);
+    assert.equal(isStoredFilename(undefined), false);
+    assert.equal(isStoredFilename(['report.pdf']), false);
+  });
+});
+
+describe('contentDisposition', () => {
+  test('quotes plain ASCII names', () => {
+    assert.equal(contentDisposition('report.pdf'), 'attachment; filename="report.pdf"');
+    assert.equal(contentDisposition('photo.jpg', 'inline'), 'inline; filename="photo.jpg"');
+  });
+
+  test('adds an RFC 5987 name next to an ASCII fallback', () => {
+    assert.equal(
+      contentDisposition('Übersicht (2).pdf'),
+      `attachment; filename="_bersicht (2).pdf"; filename*=UTF-8''%C3%9Cbersicht%20%282%29.pdf`
+    );
+    assert.equal(
+      contentDisposition('say "hi".txt'),
+      `attachment; filename="say _hi_.txt"; filename*=UTF-8''say%20%22hi%22.txt`
+    );
+  });
+
+  test('keeps only the last path segment', () => {
+    assert.equal(contentDisposition('../../etc/passwd'), 'attachment; filename="passwd"');
+    assert.equal(contentDisposition('C:\\Users\\me\\notes.txt'), 'attachment; filename="notes.txt"');
+  });
+
+  test('strips control characters that could split the header', () => {
+    assert.equal(contentDisposition('evil\r\nSet-Cookie: a=b.txt'), 'attachment; filename="evilSet-Cookie: a=b.txt"');
+    assert.equal(contentDisposition('a\0b.txt'), 'attachment; filename="ab.txt"');
+  });
+
+  test('falls back to a generic name', () => {
+    assert.equal(contentDisposition(''), 'attachment; filename="download"');
+    assert.equal(contentDisposition('dir/'), 'attachment; filename="download"');
+    assert.equal(contentDisposition(null), 'attachment; filename="download"');
+  });
+});
+
+describe('LocalStorage', () => {
+  let root;
+  let outside;
+  let storage;
+
+  before(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-test-'));
+    root = path.join(dir, 'root');
+    outside = path.join(dir, 'outside');
+    fs.mkdirSync(root);
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(root, 'inside.txt'), 'inside');
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(root, 'escape.txt'));
+    fs.symlinkSync(outside, path.join(root, 'escape-dir'));
+    storage = new LocalStorage({ root });
+  });
+
+  after(() => {
+    fs.rmSync(path.dirname(root), { recursive: true, force: true });
+  });
+
+  test('resolves keys inside the root', () => {
+    assert.equal(storage.resolve('inside.txt'), path.join(root, 'inside.txt'));
+    assert.equal(storage.resolve('blobs/ab/cd'), path.join(root, 'blobs', 'ab', 'cd'));
+  });
+
+  for (const [label, name] of Object.entries(HOSTILE_NAMES)) {
+    if (label === 'an over-long name') {
+      continue; // a valid key; the file system decides whether it fits
+    }
+    test(`refuses keys with ${label}`, () => {
+      assert.throws(() => storage.resolve(name), { status: 400 });
+    });
+  }
+
+  test('refuses empty segments and non-strings', () => {
+    assert.throws(() => storage.resolve('a//b'), { status: 400 });
+    assert.throws(() => storage.resolve('a/./b'), { status: 400 });
+    assert.throws(() => storage.resolve(''), { status: 400 });
+    assert.throws(() => storage.resolve(null), { status: 400 });
+  });
+
+  test('contains paths under the root only', async () => {
+    assert.equal(await storage.contains(path.join(root, 'inside.txt')), true);
+    assert.equal(await storage.contains(path.join(outside, 'secret.txt')), false);
+    assert.equal(await storage.contains(path.join(root, '..', 'outside', 'secret.txt')), false);
+  });
+
+  test('does not follow symlinks out of the root', async () => {
+    assert.equal(await storage.contains(path.join(root, 'escape.txt')), false);
+    assert.equal(await storage.contains(path.join(root, 'escape-dir', 'secret.txt')), false);
+    assert.equal(await storage.stat('escape.txt'), null);
+    assert.equal(await storage.stat('escape-dir/secret.txt'), null);
+    assert.notEqual(await storage.stat('inside.txt'), null);
+  });
+});
+
+describe('file routes', () => {
+  let server;
+  let stored;
+
+  before(async () => {
+    server = await startServer();
+    stored = await server.upload('notes.txt', 'hello');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('serve stored files by their name', async () => {
+    const response = await server.request(`/download/${encodeURIComponent(stored.filename)}`);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'hello');
+  });
+
+  for (const [label, name] of Object.entries(HOSTILE_NAMES)) {
+    describe(`with ${label}`, () => {
+      const encoded = encodeURIComponent(name);
+
+      test('GET /download answers 404', async () => {
+        const response = await server.rawRequest('GET', `/download/${encoded}`);
+        assert.equal(response.status, 404);
+        assert.deepEqual(response.body, { error: 'File not found' });
+      });
+
+      test('DELETE /files answers 404', async () => {
+        const response = await server.rawRequest('DELETE', `/files/${encoded}`);
+        assert.equal(response.status, 404);
+        assert.deepEqual(response.body, { error: 'File not found' });
+      });
+
+      test('POST /download-zip reports the name as missing', async () => {
+        const response = await server.request('/download-zip', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ filenames: [name] })
+        });
+        assert.equal(response.status, 404);
+        assert.deepEqual(await response.json(), {
+          error: 'No valid files found',
+          missing: [{ filename: name, error: 'File not found' }]
+        });
+      });
+    });
+  }
+
+  test('POST /download-zip still bundles the valid names', async () => {
+    const response = await server.request('/download-zip', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filenames: [stored.filename, '../../etc/passwd'] })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.equal(decodeURIComponent(response.headers.get('x-missing-files')), '../../etc/passwd');
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.equal(body.readUInt32LE(0), 0x04034b50);
+  });
+
+  test('the file is still there', async () => {
+    const response = await server.request('/files');
+    assert.equal(response.status, 200);
+    const { files } = await response.json();
+    assert.deepEqual(files.map(file => file.filename), [stored.filename]);
+  });
+});
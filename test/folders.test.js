@@ -0,0 +1,150 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeFolderPath, isWithin, breadcrumbs } = require("../lib/folders");
+const { startServer } = require("./helpers/server");
+
+describe('normalizeFolderPath', () => {
+  test('trims slashes and keeps the segments', () => {
+    assert.equal(normalizeFolderPath('/photos//2024/'), 'photos/2024');
+    assert.equal(normalizeFolderPath(undefined), '');
+    assert.equal(normalizeFolderPath(''), '');
+  });
+
+  test('refuses segments that could leave the store', () => {
+    for (const input of ['..', 'a/../b', 'a/./b', 'a\\b', 'a\0b', ' padded', 42]) {
+      assert.throws(() => normalizeFolderPath(input), { status: 400 }, String(input));
+    }
+  });
+});
+
+describe('isWithin and breadcrumbs', () => {
+  test('match a folder and its subfolders only', () => {
+    assert.equal(isWithin('a/b', 'a'), true);
+    assert.equal(isWithin('a', 'a'), true);
+    assert.equal(isWithin('ab', 'a'), false);
+    assert.equal(isWithin('anything', ''), true);
+  });
+
+  test('lead from the root to the folder', () => {
+    assert.deepEqual(breadcrumbs('a/b'), [
+      { name: 'Home', path: '' },
+      { name: 'a', path: 'a' },
+      { name: 'b', path: 'a/b' }
+    ]);
+  });
+});
+
+describe('folder routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function send(method, urlPath, body) {
+    return server.request(urlPath, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  }
+
+  async function uploadInto(folder, name, content) {
+    const form = new FormData();
+    form.append('folder', folder);
+    form.append('file', new Blob([content], { type: 'text/plain' }), name);
+    const response = await server.request('/upload', { method: 'POST', body: form });
+    assert.equal(response.status, 200);
+    return (await response.json()).file;
+  }
+
+  async function contents(folderPath) {
+    return (await server.request(`/folders/contents?path=${encodeURIComponent(folderPath)}`)).json();
+  }
+
+  test('creates nested folders with their parents', async () => {
+    assert.equal((await send('POST', '/folders', { path: 'projects/alpha' })).status, 201);
+    assert.equal((await send('POST', '/folders', { parent: 'projects', name: 'beta' })).status, 201);
+    assert.equal((await send('POST', '/folders', { path: 'projects/alpha' })).status, 409);
+    assert.equal((await send('POST', '/folders', { parent: 'projects', name: '..' })).status, 400);
+
+    const { folders } = await (await server.request('/folders')).json();
+    assert.deepEqual(folders, ['projects', 'projects/alpha', 'projects/beta']);
+  });
+
+  test('uploads into a folder and lists its contents', async () => {
+    const file = await uploadInto('projects/alpha', 'plan.txt', 'plan');
+    assert.equal(file.folder, 'projects/alpha');
+
+    const listing = await contents('projects');
+    assert.deepEqual(listing.folders.map(folder => folder.path), ['projects/alpha', 'projects/beta']);
+    assert.deepEqual(listing.files, []);
+    assert.deepEqual(listing.breadcrumbs.map(crumb => crumb.path), ['', 'projects']);
+    assert.deepEqual((await contents('projects/alpha')).files.map(entry => entry.filename), [file.filename]);
+  });
+
+  test('refuses uploads into folders that do not exist', async () => {
+    const form = new FormData();
+    form.append('folder', 'nowhere');
+    form.append('file', new Blob(['x'], { type: 'text/plain' }), 'x.txt');
+    const response = await server.request('/upload', { method: 'POST', body: form });
+    assert.equal(response.status, 404);
+  });
+
+  test('moves a file between folders', async () => {
+    const file = await uploadInto('projects/beta', 'move-me.txt', 'move');
+    assert.equal((await send('PATCH', `/files/${file.filename}`, { folder: 'projects/alpha' })).status, 200);
+    assert.ok((await contents('projects/alpha')).files.some(entry => entry.filename === file.filename));
+    assert.equal((await send('PATCH', `/files/${file.filename}`, { folder: 'nowhere' })).status, 404);
+  });
+
+  test('renames a folder along with the files inside, trashed ones included', async () => {
+    await send('POST', '/folders', { path: 'drafts/inner' });
+    const kept = await uploadInto('drafts/inner', 'kept.txt', 'kept');
+    const trashed = await uploadInto('drafts/inner', 'trashed.txt', 'trashed');
+    assert.equal((await server.request(`/files/${trashed.filename}`, { method: 'DELETE' })).status, 200);
+
+    const renamed = await send('PATCH', '/folders', { path: 'drafts', name: 'final' });
+    assert.equal(renamed.status, 200);
+    assert.deepEqual((await renamed.json()).folder, { name: 'final', path: 'final' });
+    assert.deepEqual((await contents('final/inner')).files.map(entry => entry.filename), [kept.filename]);
+    assert.equal((await server.request('/folders/contents?path=drafts')).status, 404);
+
+    // Restoring puts the trashed file back where its folder went
+    const restored = await server.request(`/trash/${trashed.filename}/restore`, { method: 'POST' });
+    assert.equal(restored.status, 200);
+    assert.equal((await restored.json()).file.folder, 'final/inner');
+    const { folders } = await (await server.request('/folders')).json();
+    assert.equal(folders.includes('drafts/inner'), false);
+  });
+
+  test('refuses to move a folder into itself or onto another', async () => {
+    await send('POST', '/folders', { path: 'outer/child' });
+    assert.equal((await send('PATCH', '/folders', { path: 'outer', parent: 'outer/child' })).status, 400);
+    assert.equal((await send('PATCH', '/folders', { path: 'outer/child', parent: '', name: 'projects' })).status, 409);
+    assert.equal((await send('PATCH', '/folders', { path: 'missing', name: 'other' })).status, 404);
+
+    const moved = await send('PATCH', '/folders', { path: 'outer/child', parent: 'projects' });
+    assert.equal(moved.status, 200);
+    assert.deepEqual((await moved.json()).folder, { name: 'child', path: 'projects/child' });
+  });
+
+  test('deletes only empty folders unless asked to recurse', async () => {
+    await send('POST', '/folders', { path: 'old' });
+    const file = await uploadInto('old', 'old.txt', 'old');
+
+    assert.equal((await send('DELETE', '/folders?path=old')).status, 409);
+
+    const deleted = await send('DELETE', '/folders?path=old&recursive=true');
+    assert.equal(deleted.status, 200);
+    assert.equal((await deleted.json()).deletedFiles, 1);
+    assert.equal((await server.request('/folders/contents?path=old')).status, 404);
+
+    const { files } = await (await server.request('/trash')).json();
+    assert.ok(files.some(entry => entry.filename === file.filename));
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Boots the app on a random port against a throwaway data directory and
+ * memory storage, signed in as a seeded admin through an API token.
+ * The environment is set before index.js is required since its config is
+ * read at load time, so each test file gets one server; `env` adds or
+ * overrides settings such as quotas for it.
+ */
+async function startServer({ env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-server-test-'));
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'memory',
+    DATA_DIR: path.join(dir, 'data'),
+    UPLOADS_DIR: path.join(dir, 'uploads'),
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'adminpass1',
+    ...env
+  });
+
+  const app = require("../../index");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // The admin account is seeded asynchronously while index.js loads
+  let cookie = null;
+  for (let attempt = 0; attempt < 50 && !cookie; attempt++) {
+    const login = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'adminpass1' })
+    });
+    if (login.ok) {
+      cookie = login.headers.get('set-cookie').split(';')[0];
+    } else {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  if (!cookie) {
+    throw new Error('Could not sign in as the seeded admin');
+  }
+  const token = await createToken(cookie);
+
+  async function createToken(sessionCookie) {
+    const created = await fetch(`${baseUrl}/auth/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie },
+      body: JSON.stringify({ name: 'tests' })
+    });
+    return (await created.json()).token;
+  }
+
+  // fetch against the server as the holder of an API token
+  function requestAs(apiToken) {
+    return (urlPath, options = {}) => fetch(baseUrl + urlPath, {
+      ...options,
+      headers: { Authorization: `Bearer ${apiToken}`, ...options.headers }
+    });
+  }
+
+  const request = requestAs(token.token);
+
+  // Sends the path as is: fetch would resolve `..` segments, even encoded ones
+  function rawRequest(method, urlPath) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(baseUrl + '/', { method, path: urlPath, headers: { Authorization: `Bearer ${token.token}` } }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  function uploader(send) {
+    return async (name, content, type = 'text/plain') => {
+      const form = new FormData();
+      form.append('file', new Blob([content], { type }), name);
+      const response = await send('/upload', { method: 'POST', body: form });
+      if (!response.ok) {
+        throw new Error(`Upload of ${name} failed with ${response.status}`);
+      }
+      return (await response.json()).file;
+    };
+  }
+
+  const upload = uploader(request);
+
+  // A second, non-admin account created by the admin, with its own token
+  async function createUser(username, password = 'userpass1') {
+    const created = await request('/auth/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    if (!created.ok) {
+      throw new Error(`Creating ${username} failed with ${created.status}`);
+    }
+    const { user } = await created.json();
+    const login = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const userToken = await createToken(login.headers.get('set-cookie').split(';')[0]);
+    const send = requestAs(userToken.token);
+    return { user, token: userToken, request: send, upload: uploader(send) };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { baseUrl, request, rawRequest, upload, createUser, close };
+}
+
+module.exports = { startServer };
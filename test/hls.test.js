@@ -0,0 +1,110 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { HlsService } = require("../lib/hls");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('HlsService', () => {
+  let storage;
+  let fileStore;
+  let hls;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    fileStore = new FileStore({ storage, db: new MetadataDB() });
+    hls = new HlsService({ fileStore, storage, ffmpegPath: 'no-such-ffmpeg' });
+  });
+
+  function ingest(originalName, mimetype) {
+    return fileStore.ingest(Readable.from(['not really a video']), { originalName, mimetype });
+  }
+
+  test('packages nothing without ffmpeg', async () => {
+    const video = await ingest('clip.mp4', 'video/mp4');
+    assert.equal(hls.supports('video/mp4'), false);
+    assert.equal(await hls.schedule(video), false);
+    assert.deepEqual(await hls.status(video), { status: 'unsupported' });
+  });
+
+  test('only takes videos', () => {
+    hls.ffmpegPath = 'ffmpeg';
+    assert.equal(hls.supports('video/webm'), true);
+    assert.equal(hls.supports('audio/mpeg'), false);
+    assert.equal(hls.supports(undefined), false);
+  });
+
+  test('reports a finished job from the file metadata', async () => {
+    const video = await ingest('clip.mp4', 'video/mp4');
+    await fileStore.update(video.filename, { hls: { status: 'ready', renditions: ['360p'] } });
+    assert.deepEqual(await hls.status(video), { status: 'ready', renditions: ['360p'] });
+  });
+
+  test('opens and removes the stored playlists and segments', async () => {
+    await storage.put('.hls/clip.mp4/master.m3u8', Readable.from(['#EXTM3U\n']));
+    await storage.put('.hls/clip.mp4/360p/segment-000.ts', Readable.from(['ts data']));
+
+    const master = await hls.open('clip.mp4', 'master.m3u8');
+    assert.equal(master.size, 8);
+    assert.equal(await read(await master.open()), '#EXTM3U\n');
+    assert.equal(await hls.open('clip.mp4', '720p/segment-000.ts'), null);
+
+    await hls.remove('clip.mp4');
+    assert.deepEqual([...storage.objects.keys()].filter(key => key.startsWith('.hls/')), []);
+  });
+});
+
+describe('HLS routes', () => {
+  let server;
+  let video;
+
+  before(async () => {
+    server = await startServer();
+    video = await server.upload('clip.mp4', 'not really a video', 'video/mp4');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('report the packaging status with a progressive fallback', async () => {
+    const response = await server.request(`/hls/${video.filename}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      filename: video.filename,
+      status: 'unsupported',
+      masterUrl: null,
+      fallbackUrl: `/stream/${video.filename}`
+    });
+  });
+
+  test('answer 404 for playlists and segments that were never packaged', async () => {
+    const master = await server.request(`/hls/${video.filename}/master.m3u8`);
+    assert.equal(master.status, 404);
+    assert.deepEqual(await master.json(), { error: 'HLS stream not found' });
+    assert.equal((await server.request(`/hls/${video.filename}/360p/index.m3u8`)).status, 404);
+  });
+
+  test('answer 404 for unknown renditions and segment names', async () => {
+    for (const name of ['4k/index.m3u8', '360p/segment-1.ts', '360p/other.txt', '360p/..%2Fmaster.m3u8']) {
+      const response = await server.request(`/hls/${video.filename}/${name}`);
+      assert.equal(response.status, 404, name);
+    }
+  });
+
+  test('answer 404 for files that do not exist or belong to someone else', async () => {
+    assert.equal((await server.request('/hls/missing.mp4')).status, 404);
+    const bob = await server.createUser('bob');
+    assert.equal((await bob.request(`/hls/${video.filename}`)).status, 404);
+  });
+});
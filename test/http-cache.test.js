@@ -0,0 +1,150 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { validators, cacheControlFor, evaluateConditions } = require("../lib/http-cache");
+const { startServer } = require("./helpers/server");
+
+// The head of an MP4 file: an `ftyp` box followed by some media data
+const MP4 = Buffer.concat([
+  Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.from([0, 0, 2, 0]), Buffer.from('isomiso2'),
+  Buffer.from([0, 0, 0, 0x10]), Buffer.from('mdat'), Buffer.from('01234567')
+]);
+
+describe('validators', () => {
+  test('tag content by its hash, or by size and time without one', () => {
+    const modified = new Date('2024-03-01T12:00:00.750Z');
+    assert.deepEqual(validators({ sha256: 'abc', size: 10, lastModified: modified }), {
+      etag: '"abc"',
+      lastModified: new Date('2024-03-01T12:00:00.000Z')
+    });
+    assert.equal(validators({ size: 255, lastModified: modified }).etag, `"ff-${(Date.parse('2024-03-01T12:00:00Z') / 1000).toString(16)}"`);
+    assert.equal(validators({ size: 1, lastModified: modified.toISOString() }).lastModified.getTime(), Date.parse('2024-03-01T12:00:00Z'));
+  });
+});
+
+describe('cacheControlFor', () => {
+  test('picks the exact type, then the wildcard, then the default', () => {
+    const config = {
+      cacheControl: 'private, no-cache',
+      cachePolicies: { 'video/*': 'private, max-age=86400', 'video/webm': 'no-store' }
+    };
+    assert.equal(cacheControlFor('video/webm', config), 'no-store');
+    assert.equal(cacheControlFor('Video/MP4', config), 'private, max-age=86400');
+    assert.equal(cacheControlFor('text/plain', config), 'private, no-cache');
+    assert.equal(cacheControlFor(undefined, config), 'private, no-cache');
+  });
+});
+
+describe('evaluateConditions', () => {
+  const current = { etag: '"abc"', lastModified: new Date('2024-03-01T12:00:00Z') };
+  const check = headers => evaluateConditions({ headers }, current);
+
+  test('matches If-None-Match weakly, lists and wildcards included', () => {
+    assert.equal(check({ 'if-none-match': '"abc"' }).notModified, true);
+    assert.equal(check({ 'if-none-match': '"old", W/"abc"' }).notModified, true);
+    assert.equal(check({ 'if-none-match': '*' }).notModified, true);
+    assert.equal(check({ 'if-none-match': '"old"' }).notModified, false);
+  });
+
+  test('uses If-Modified-Since only without If-None-Match', () => {
+    assert.equal(check({ 'if-modified-since': 'Fri, 01 Mar 2024 12:00:00 GMT' }).notModified, true);
+    assert.equal(check({ 'if-modified-since': 'Fri, 01 Mar 2024 11:59:59 GMT' }).notModified, false);
+    assert.equal(check({ 'if-modified-since': 'not a date' }).notModified, false);
+    assert.equal(check({ 'if-none-match': '"old"', 'if-modified-since': 'Fri, 01 Mar 2024 12:00:00 GMT' }).notModified, false);
+  });
+
+  test('allows ranges only while If-Range names the current content', () => {
+    assert.equal(check({}).rangeAllowed, true);
+    assert.equal(check({ 'if-range': '"abc"' }).rangeAllowed, true);
+    assert.equal(check({ 'if-range': 'W/"abc"' }).rangeAllowed, false);
+    assert.equal(check({ 'if-range': '"old"' }).rangeAllowed, false);
+    assert.equal(check({ 'if-range': 'Fri, 01 Mar 2024 12:00:00 GMT' }).rangeAllowed, true);
+    assert.equal(check({ 'if-range': 'Fri, 01 Mar 2024 11:00:00 GMT' }).rangeAllowed, false);
+  });
+});
+
+describe('cached downloads', () => {
+  let server;
+  let file;
+  let video;
+
+  before(async () => {
+    server = await startServer({ env: { CACHE_POLICIES: '{"video/*": "private, max-age=86400"}' } });
+    file = await server.upload('notes.txt', 'cache me if you can');
+    video = await server.upload('clip.mp4', MP4, 'video/mp4');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('carry a strong ETag, Last-Modified and the cache policy', async () => {
+    const response = await server.request(`/download/${file.filename}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('etag'), `"${file.sha256}"`);
+    assert.ok(Date.parse(response.headers.get('last-modified')) <= Date.now());
+    assert.equal(response.headers.get('cache-control'), 'private, no-cache');
+    await response.arrayBuffer();
+
+    const stream = await server.request(`/stream/${video.filename}`);
+    assert.equal(stream.headers.get('cache-control'), 'private, max-age=86400');
+    await stream.arrayBuffer();
+  });
+
+  test('answer 304 while the client copy is current', async () => {
+    const first = await server.request(`/download/${file.filename}`);
+    await first.arrayBuffer();
+    const etag = first.headers.get('etag');
+
+    const byTag = await server.request(`/download/${file.filename}`, { headers: { 'If-None-Match': etag } });
+    assert.equal(byTag.status, 304);
+    assert.equal(byTag.headers.get('etag'), etag);
+    assert.equal(await byTag.text(), '');
+
+    const byDate = await server.request(`/stream/${video.filename}`, { headers: { 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() } });
+    assert.equal(byDate.status, 304);
+
+    const changed = await server.request(`/download/${file.filename}`, { headers: { 'If-None-Match': '"something-else"' } });
+    assert.equal(changed.status, 200);
+    assert.equal(await changed.text(), 'cache me if you can');
+  });
+
+  test('resume with If-Range only while the content is unchanged', async () => {
+    const etag = `"${file.sha256}"`;
+    const resumed = await server.request(`/download/${file.filename}`, { headers: { Range: 'bytes=6-', 'If-Range': etag } });
+    assert.equal(resumed.status, 206);
+    assert.equal(await resumed.text(), 'me if you can');
+
+    const stale = await server.request(`/download/${file.filename}`, { headers: { Range: 'bytes=6-', 'If-Range': '"older"' } });
+    assert.equal(stale.status, 200);
+    assert.equal(await stale.text(), 'cache me if you can');
+  });
+
+  test('change the ETag with a new version and cache old versions for good', async () => {
+    const form = new FormData();
+    form.append('file', new Blob(['changed content'], { type: 'text/plain' }), 'notes.txt');
+    await server.request(`/upload?versionOf=${file.filename}`, { method: 'POST', body: form });
+
+    const current = await server.request(`/download/${file.filename}`, { headers: { 'If-None-Match': `"${file.sha256}"` } });
+    assert.equal(current.status, 200);
+    assert.notEqual(current.headers.get('etag'), `"${file.sha256}"`);
+    await current.arrayBuffer();
+
+    const old = await server.request(`/download/${file.filename}?version=1`);
+    assert.equal(old.headers.get('etag'), `"${file.sha256}"`);
+    assert.equal(old.headers.get('cache-control'), 'private, max-age=31536000, immutable');
+    await old.arrayBuffer();
+  });
+
+  test('answer HEAD with the size and type only', async () => {
+    const head = await server.request(`/download/${video.filename}`, { method: 'HEAD' });
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get('content-length'), String(MP4.length));
+    assert.equal(head.headers.get('content-type'), 'video/mp4');
+    assert.equal(head.headers.get('accept-ranges'), 'bytes');
+    assert.equal(await head.text(), '');
+
+    const stream = await server.request(`/stream/${video.filename}`, { method: 'HEAD' });
+    assert.equal(stream.headers.get('content-length'), String(MP4.length));
+    assert.equal(await stream.text(), '');
+  });
+});
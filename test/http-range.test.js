@@ -0,0 +1,189 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { Readable } = require("stream");
+const { parseRange, sendRanges } = require("../lib/http-range");
+const { validators, handleConditional } = require("../lib/http-cache");
+
+describe('parseRange', () => {
+  test('reads a closed range', () => {
+    assert.deepEqual(parseRange('bytes=0-9', 100), [{ start: 0, end: 9 }]);
+    assert.deepEqual(parseRange(' Bytes = 10 - 19 ', 100), [{ start: 10, end: 19 }]);
+  });
+
+  test('reads open-ended ranges up to the last byte', () => {
+    assert.deepEqual(parseRange('bytes=90-', 100), [{ start: 90, end: 99 }]);
+    assert.deepEqual(parseRange('bytes=0-', 100), [{ start: 0, end: 99 }]);
+  });
+
+  test('reads suffix ranges as the last bytes', () => {
+    assert.deepEqual(parseRange('bytes=-10', 100), [{ start: 90, end: 99 }]);
+    assert.deepEqual(parseRange('bytes=-500', 100), [{ start: 0, end: 99 }]);
+  });
+
+  test('clamps ranges that run past the end', () => {
+    assert.deepEqual(parseRange('bytes=50-1000', 100), [{ start: 50, end: 99 }]);
+  });
+
+  test('merges overlapping and adjacent ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-9,5-19', 100), [{ start: 0, end: 19 }]);
+    assert.deepEqual(parseRange('bytes=0-9,10-19', 100), [{ start: 0, end: 19 }]);
+    assert.deepEqual(parseRange('bytes=20-29,0-9,5-12', 100), [{ start: 0, end: 12 }, { start: 20, end: 29 }]);
+    assert.deepEqual(parseRange('bytes=-10,80-', 100), [{ start: 80, end: 99 }]);
+  });
+
+  test('keeps separate ranges in the order asked', () => {
+    assert.deepEqual(parseRange('bytes=50-59,0-9', 100), [{ start: 50, end: 59 }, { start: 0, end: 9 }]);
+  });
+
+  test('ignores headers it cannot use', () => {
+    assert.equal(parseRange(undefined, 100), null);
+    assert.equal(parseRange('items=0-9', 100), null);
+    assert.equal(parseRange('bytes=', 100), null);
+    assert.equal(parseRange('bytes=-', 100), null);
+    assert.equal(parseRange('bytes=abc', 100), null);
+    assert.equal(parseRange('bytes=1-2-3', 100), null);
+    assert.equal(parseRange('bytes=9-0', 100), null);
+    assert.equal(parseRange('bytes=0-9,x', 100), null);
+    assert.equal(parseRange('bytes=' + Array.from({ length: 51 }, (_, i) => `${i * 2}-${i * 2}`).join(','), 200), null);
+  });
+
+  test('returns no ranges when none is satisfiable', () => {
+    assert.deepEqual(parseRange('bytes=100-', 100), []);
+    assert.deepEqual(parseRange('bytes=200-300', 100), []);
+    assert.deepEqual(parseRange('bytes=-0', 100), []);
+    assert.deepEqual(parseRange('bytes=0-', 0), []);
+  });
+
+  test('drops only the unsatisfiable ranges of a set', () => {
+    assert.deepEqual(parseRange('bytes=0-9,200-300', 100), [{ start: 0, end: 9 }]);
+  });
+});
+
+describe('sendRanges', () => {
+  const content = Buffer.from('0123456789'.repeat(10));
+  const lastModified = new Date('2024-05-01T12:00:00Z');
+  const fileValidators = validators({ sha256: 'a'.repeat(64), lastModified });
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.get("/file", async (req, res) => {
+      const { notModified, range } = handleConditional(req, res, fileValidators, 'no-cache');
+      if (notModified) {
+        return;
+      }
+      await sendRanges(req, res, {
+        size: content.length,
+        contentType: 'text/plain',
+        range,
+        headers: { "Content-Disposition": 'attachment; filename="digits.txt"' },
+        open: ({ start = 0, end = content.length - 1 }) => Readable.from([content.subarray(start, end + 1)])
+      });
+    });
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function get(headers = {}, method = 'GET') {
+    return fetch(`${baseUrl}/file`, { method, headers });
+  }
+
+  test('sends the whole file without a Range header', async () => {
+    const response = await get();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.equal(response.headers.get('content-length'), '100');
+    assert.equal(response.headers.get('content-range'), null);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="digits.txt"');
+    assert.equal(await response.text(), content.toString());
+  });
+
+  test('sends one range with 206', async () => {
+    const response = await get({ Range: 'bytes=10-14' });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), 'bytes 10-14/100');
+    assert.equal(response.headers.get('content-length'), '5');
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="digits.txt"');
+    assert.equal(await response.text(), '01234');
+  });
+
+  test('sends suffix and clamped ranges', async () => {
+    const suffix = await get({ Range: 'bytes=-3' });
+    assert.equal(suffix.status, 206);
+    assert.equal(suffix.headers.get('content-range'), 'bytes 97-99/100');
+    assert.equal(await suffix.text(), '789');
+
+    const clamped = await get({ Range: 'bytes=95-500' });
+    assert.equal(clamped.status, 206);
+    assert.equal(clamped.headers.get('content-range'), 'bytes 95-99/100');
+    assert.equal(await clamped.text(), '56789');
+  });
+
+  test('sends overlapping ranges as one', async () => {
+    const response = await get({ Range: 'bytes=0-4,3-7' });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), 'bytes 0-7/100');
+    assert.equal(await response.text(), '01234567');
+  });
+
+  test('sends several ranges as multipart/byteranges', async () => {
+    const response = await get({ Range: 'bytes=0-1,50-52' });
+    assert.equal(response.status, 206);
+    const boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(response.headers.get('content-type'))[1];
+    const body = await response.text();
+    assert.equal(Buffer.byteLength(body), Number(response.headers.get('content-length')));
+    assert.equal(body, [
+      `--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-1/100\r\n\r\n01\r\n`,
+      `--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 50-52/100\r\n\r\n012\r\n`,
+      `--${boundary}--\r\n`
+    ].join(''));
+  });
+
+  test('ignores a Range header with invalid syntax', async () => {
+    const response = await get({ Range: 'bytes=5-1' });
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), content.toString());
+  });
+
+  test('answers 416 with the size when nothing is satisfiable', async () => {
+    const response = await get({ Range: 'bytes=100-200' });
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get('content-range'), 'bytes */100');
+    assert.deepEqual(await response.json(), { error: 'Requested range not satisfiable' });
+  });
+
+  test('honours If-Range while it names the current content', async () => {
+    const byTag = await get({ Range: 'bytes=0-4', 'If-Range': fileValidators.etag });
+    assert.equal(byTag.status, 206);
+    assert.equal(await byTag.text(), '01234');
+
+    const byDate = await get({ Range: 'bytes=0-4', 'If-Range': lastModified.toUTCString() });
+    assert.equal(byDate.status, 206);
+    assert.equal(await byDate.text(), '01234');
+  });
+
+  test('sends the whole file when If-Range does not match', async () => {
+    for (const ifRange of [`"${'b'.repeat(64)}"`, `W/${fileValidators.etag}`, new Date('2020-01-01').toUTCString()]) {
+      const response = await get({ Range: 'bytes=0-4', 'If-Range': ifRange });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-range'), null);
+      assert.equal(await response.text(), content.toString());
+    }
+  });
+
+  test('answers HEAD with the headers only', async () => {
+    const response = await get({ Range: 'bytes=0-4' }, 'HEAD');
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-length'), '5');
+    assert.equal(await response.text(), '');
+  });
+});
@@ -0,0 +1,183 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const sharp = require("sharp");
+const { probeMedia, probeImage } = require("../lib/media-info");
+const { startServer } = require("./helpers/server");
+
+// An ISO base media box: size, type and payload
+function box(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function uint32(...values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buffer.writeUInt32BE(value, index * 4));
+  return buffer;
+}
+
+// Version 0 mvhd/mdhd payload: flags, created, modified, timescale, duration
+function timing(timescale, duration) {
+  return uint32(0, 0, 0, timescale, duration);
+}
+
+function mp4Track(handler, sampleEntry, mdhd) {
+  return box('trak', box('mdia',
+    box('mdhd', mdhd),
+    box('hdlr', uint32(0, 0), Buffer.from(handler), Buffer.alloc(12)),
+    box('minf', box('stbl', box('stsd', uint32(0, 1), sampleEntry)))
+  ));
+}
+
+// A ten second 640x360 H.264 + AAC file with its moov after the media data
+function sampleMp4() {
+  const video = Buffer.alloc(70);
+  video.writeUInt16BE(640, 24);
+  video.writeUInt16BE(360, 26);
+  const audio = Buffer.alloc(28);
+  audio.writeUInt16BE(2, 16);
+  audio.writeUInt32BE(48000 * 65536, 24);
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom'), uint32(512), Buffer.from('isomavc1')),
+    box('mdat', Buffer.alloc(64)),
+    box('moov',
+      box('mvhd', timing(1000, 10000), Buffer.alloc(80)),
+      mp4Track('vide', box('avc1', video), timing(90000, 900000)),
+      mp4Track('soun', box('mp4a', audio), timing(48000, 480000)))
+  ]);
+}
+
+// An EBML element: id bytes, an eight byte size and the payload
+function element(id, ...payload) {
+  const body = Buffer.concat(payload.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+  const size = Buffer.alloc(8);
+  size.writeUInt32BE(body.length, 4);
+  size[0] = 0x01;
+  return Buffer.concat([Buffer.from(id), size, body]);
+}
+
+function float64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value);
+  return buffer;
+}
+
+// A 2.5 second 320x240 VP9 WebM
+function sampleWebm() {
+  return Buffer.concat([
+    element([0x1A, 0x45, 0xDF, 0xA3], element([0x42, 0x82], 'webm')),
+    element([0x18, 0x53, 0x80, 0x67],
+      element([0x15, 0x49, 0xA9, 0x66], element([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])), element([0x44, 0x89], float64(2500))),
+      element([0x16, 0x54, 0xAE, 0x6B], element([0xAE],
+        element([0x83], Buffer.from([1])),
+        element([0x86], 'V_VP9'),
+        element([0xE0], element([0xB0], Buffer.from([0x01, 0x40])), element([0xBA], Buffer.from([0xF0])))
+      )),
+      element([0x1F, 0x43, 0xB6, 0x75], Buffer.alloc(16)))
+  ]);
+}
+
+function probe(buffer, mimetype) {
+  return probeMedia({
+    mimetype,
+    size: buffer.length,
+    read: async (offset, length) => buffer.subarray(offset, offset + length),
+    open: async () => Readable.from([buffer])
+  });
+}
+
+describe('probeMedia', () => {
+  test('reads duration, resolution and codecs from an MP4', async () => {
+    const info = await probe(sampleMp4(), 'video/mp4');
+    assert.equal(info.type, 'video');
+    assert.equal(info.format, 'mp4');
+    assert.equal(info.duration, 10);
+    assert.equal(info.width, 640);
+    assert.equal(info.height, 360);
+    assert.equal(info.videoCodec, 'h264');
+    assert.equal(info.audioCodec, 'aac');
+    assert.deepEqual(info.tracks[1], { type: 'audio', duration: 10, codec: 'aac', channels: 2, sampleRate: 48000 });
+  });
+
+  test('reads duration, resolution and codecs from a WebM', async () => {
+    const info = await probe(sampleWebm(), 'video/webm');
+    assert.equal(info.format, 'webm');
+    assert.equal(info.duration, 2.5);
+    assert.equal(info.width, 320);
+    assert.equal(info.height, 240);
+    assert.equal(info.videoCodec, 'vp9');
+  });
+
+  test('fails on an MP4 without a moov box', async () => {
+    const truncated = sampleMp4().subarray(0, 100);
+    await assert.rejects(probe(truncated, 'video/mp4'), /moov box not found/);
+  });
+
+  test('leaves other files alone', async () => {
+    assert.equal(await probe(Buffer.from('just some text here'), 'text/plain'), null);
+    assert.equal(await probe(Buffer.from('not really a video at all'), 'video/mp4'), null);
+    assert.equal(await probe(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), 'image/svg+xml'), null);
+  });
+});
+
+describe('probeImage', () => {
+  test('reads the size and EXIF of a photo', async () => {
+    const jpeg = await sharp({ create: { width: 60, height: 40, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withExif({ IFD0: { Make: 'TestCam', Model: 'X1' } })
+      .toBuffer();
+    const info = await probeImage(Readable.from([jpeg]));
+    assert.equal(info.format, 'jpeg');
+    assert.equal(info.width, 60);
+    assert.equal(info.height, 40);
+    assert.equal(info.exif.make, 'TestCam');
+    assert.equal(info.exif.model, 'X1');
+  });
+
+  test('swaps the displayed size of rotated photos', async () => {
+    const rotated = await sharp({ create: { width: 60, height: 40, channels: 3, background: '#336699' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+    const info = await probeImage(Readable.from([rotated]));
+    assert.equal(info.width, 40);
+    assert.equal(info.height, 60);
+  });
+});
+
+describe('media info route', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('answers with the file and its media information', async () => {
+    const file = await server.upload('clip.mp4', sampleMp4(), 'video/mp4');
+    const response = await server.request(`/files/${file.filename}/info`);
+    assert.equal(response.status, 200);
+    const info = await response.json();
+    assert.equal(info.filename, file.filename);
+    assert.equal(info.media.status, 'ready');
+    assert.equal(info.media.duration, 10);
+    assert.equal(info.media.width, 640);
+  });
+
+  test('marks files it cannot read as unsupported', async () => {
+    const file = await server.upload('notes.txt', 'plain text');
+    const { media } = await (await server.request(`/files/${file.filename}/info`)).json();
+    assert.equal(media.status, 'unsupported');
+  });
+
+  test('answers 404 for files that do not exist', async () => {
+    assert.equal((await server.request('/files/missing.mp4/info')).status, 404);
+  });
+});
@@ -0,0 +1,177 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+
+function record(overrides = {}) {
+  return {
+    originalName: 'notes.txt',
+    mimetype: 'text/plain',
+    size: 5,
+    sha256: null,
+    owner: null,
+    folder: '',
+    tags: [],
+    uploadedAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('MetadataDB', () => {
+  let dir;
+  let file;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-db-test-'));
+  });
+
+  beforeEach(() => {
+    file = path.join(dir, `${Math.random().toString(36).slice(2)}.jsonl`);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function journal() {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  test('replays its journal on startup', () => {
+    const db = new MetadataDB({ file });
+    db.put('a.txt', record());
+    db.put('b.txt', record({ size: 7 }));
+    db.put('a.txt', record({ tags: ['kept'] }));
+    db.delete('b.txt');
+
+    const reopened = new MetadataDB({ file });
+    assert.deepEqual(reopened.keys(), ['a.txt']);
+    assert.deepEqual(reopened.get('a.txt').tags, ['kept']);
+    assert.deepEqual(journal()[0], { schema: 1 });
+    assert.equal(journal().length, 5);
+  });
+
+  test('appends one line per change', () => {
+    const db = new MetadataDB({ file });
+    db.put('a.txt', record());
+    const lines = journal().length;
+    db.put('a.txt', record({ size: 6 }));
+    assert.equal(journal().length, lines + 1);
+    assert.deepEqual(journal().at(-1).key, 'a.txt');
+  });
+
+  test('skips a torn last line and keeps appending after it', () => {
+    const db = new MetadataDB({ file });
+    db.put('a.txt', record());
+    fs.appendFileSync(file, '{"op":"put","key":"b.txt","val');
+
+    const recovered = new MetadataDB({ file });
+    assert.deepEqual(recovered.keys(), ['a.txt']);
+    recovered.put('c.txt', record());
+    assert.deepEqual(new MetadataDB({ file }).keys(), ['a.txt', 'c.txt']);
+  });
+
+  test('compacts a journal that is mostly dead entries', () => {
+    const db = new MetadataDB({ file });
+    for (let i = 0; i < 1000; i++) {
+      db.put('a.txt', record({ size: i }));
+    }
+    assert.ok(journal().length < 10);
+    assert.equal(new MetadataDB({ file }).get('a.txt').size, 999);
+  });
+
+  test('refuses journals written by a newer schema', () => {
+    fs.writeFileSync(file, JSON.stringify({ schema: 99 }) + '\n');
+    assert.throws(() => new MetadataDB({ file }), /newer than supported/);
+  });
+
+  test('validates records against the schema', () => {
+    const db = new MetadataDB();
+    assert.throws(() => db.put('a.txt', record({ size: '5' })), /size must be number/);
+    assert.throws(() => db.put('a.txt', record({ tags: 'one' })), /tags must be array/);
+    assert.equal(db.has('a.txt'), false);
+  });
+
+  test('stamps updatedAt and hands out copies', () => {
+    const db = new MetadataDB();
+    const stored = db.put('a.txt', record());
+    assert.match(stored.updatedAt, /^\d{4}-\d{2}-\d{2}T/);
+    db.get('a.txt').size = 1000;
+    assert.equal(db.get('a.txt').size, 5);
+  });
+
+  test('remembers that the sidecars were imported', () => {
+    const db = new MetadataDB({ file });
+    db.put('a.txt', record());
+    db.markMigrated();
+    db.compact();
+    assert.equal(new MetadataDB({ file }).migratedAt, db.migratedAt);
+  });
+});
+
+describe('sidecar import and consistency check', () => {
+  let storage;
+  let db;
+  let fileStore;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    db = new MetadataDB();
+    fileStore = new FileStore({ storage, db });
+  });
+
+  test('imports legacy .meta sidecars once', async () => {
+    await storage.put('file-1-1.txt', Readable.from(['hello']));
+    await storage.setMetadata('file-1-1.txt', { originalName: 'hello.txt', mimetype: 'text/plain', uploadedAt: '2023-05-01T00:00:00.000Z' });
+    await storage.put('file-1-2.bin', Readable.from(['no sidecar']));
+
+    assert.equal(await fileStore.importSidecars(), 2);
+    assert.ok(db.migratedAt);
+    const file = await fileStore.describe('file-1-1.txt');
+    assert.equal(file.originalName, 'hello.txt');
+    assert.equal(file.size, 5);
+    assert.equal(file.uploadedAt, '2023-05-01T00:00:00.000Z');
+    assert.equal((await fileStore.describe('file-1-2.bin')).originalName, 'file-1-2.bin');
+
+    assert.equal(await fileStore.importSidecars(), 0);
+  });
+
+  test('reports and fixes what does not match storage', async () => {
+    const kept = await fileStore.ingest(Readable.from(['kept']), { originalName: 'kept.txt', mimetype: 'text/plain' });
+    const lost = await fileStore.ingest(Readable.from(['lost']), { originalName: 'lost.txt', mimetype: 'text/plain' });
+    await storage.delete(`.blobs/${lost.sha256}`);
+    await storage.put('file-2-1.txt', Readable.from(['stray']));
+    await storage.put('.blobs/0000', Readable.from(['orphan']));
+    await storage.put('.incoming/upload-1', Readable.from(['half']));
+
+    const report = await fileStore.checkConsistency();
+    assert.deepEqual(report, {
+      missing: [lost.filename],
+      resized: [],
+      adopted: ['file-2-1.txt'],
+      orphanedBlobs: ['0000'],
+      staleIncoming: ['upload-1']
+    });
+    assert.equal(db.has(lost.filename), true);
+
+    await fileStore.checkConsistency({ fix: true });
+    assert.deepEqual(db.keys(), ['file-2-1.txt', kept.filename].sort());
+    assert.equal(await storage.stat('.blobs/0000'), null);
+    assert.equal(await storage.stat('.incoming/upload-1'), null);
+    assert.deepEqual(await fileStore.checkConsistency(), { missing: [], resized: [], adopted: [], orphanedBlobs: [], staleIncoming: [] });
+  });
+
+  test('corrects sizes that changed behind its back', async () => {
+    await storage.put('file-3-1.txt', Readable.from(['short']));
+    await fileStore.importSidecars();
+    await storage.put('file-3-1.txt', Readable.from(['much longer now']));
+
+    assert.deepEqual((await fileStore.checkConsistency({ fix: true })).resized, ['file-3-1.txt']);
+    assert.equal(db.get('file-3-1.txt').size, 15);
+  });
+});
@@ -0,0 +1,180 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const sharp = require("sharp");
+const { getMimeType, registerMimeTypes, sniffMimeType, detectType } = require("../lib/mime");
+const { checkFileContent } = require("../lib/files");
+const { FileStore } = require("../lib/file-store");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+// A minimal Windows executable: `MZ`, e_lfanew at 0x3c and the PE signature it points to
+function executable() {
+  const head = Buffer.alloc(128);
+  head.write('MZ');
+  head.writeUInt32LE(64, 0x3c);
+  head.write('PE\0\0', 64, 'latin1');
+  return head;
+}
+
+function ftyp(brand) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(12)]);
+}
+
+describe('getMimeType', () => {
+  test('knows common formats by extension', () => {
+    assert.equal(getMimeType('song.MP3'), 'audio/mpeg');
+    assert.equal(getMimeType('photo.webp'), 'image/webp');
+    assert.equal(getMimeType('logo.svg'), 'image/svg+xml');
+    assert.equal(getMimeType('data.json'), 'application/json');
+    assert.equal(getMimeType('no-extension'), 'application/octet-stream');
+    assert.equal(getMimeType('odd.xyz1'), 'application/octet-stream');
+  });
+
+  test('takes configured extensions', () => {
+    registerMimeTypes({ '.xyz1': 'application/x-xyz' });
+    assert.equal(getMimeType('odd.xyz1'), 'application/x-xyz');
+  });
+});
+
+describe('sniffMimeType', () => {
+  test('recognizes formats by their magic bytes', () => {
+    assert.equal(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(sniffMimeType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+    assert.equal(sniffMimeType(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0, 0])), 'application/zip');
+    assert.equal(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.equal(sniffMimeType(executable()), 'application/vnd.microsoft.portable-executable');
+  });
+
+  test('tells ISO media files apart by their brand', () => {
+    assert.equal(sniffMimeType(ftyp('isom')), 'video/mp4');
+    assert.equal(sniffMimeType(ftyp('qt  ')), 'video/quicktime');
+    assert.equal(sniffMimeType(ftyp('M4A ')), 'audio/mp4');
+    assert.equal(sniffMimeType(ftyp('heic')), 'image/heic');
+  });
+
+  test('tells WebM from other Matroska files', () => {
+    const ebml = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+    assert.equal(sniffMimeType(Buffer.concat([ebml, Buffer.from('\x42\x82\x84webm', 'latin1')])), 'video/webm');
+    assert.equal(sniffMimeType(Buffer.concat([ebml, Buffer.from('\x42\x82\x88matroska', 'latin1')])), 'video/x-matroska');
+  });
+
+  test('reads markup and leaves plain text alone', () => {
+    assert.equal(sniffMimeType(Buffer.from('\n  <svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'image/svg+xml');
+    assert.equal(sniffMimeType(Buffer.from('<!DOCTYPE html><html></html>')), 'text/html');
+    assert.equal(sniffMimeType(Buffer.from('just some notes')), null);
+    assert.equal(sniffMimeType(Buffer.from('BZh is not always bzip2')), null);
+  });
+});
+
+describe('detectType', () => {
+  test('flags a renamed executable and types it by its content', () => {
+    assert.deepEqual(detectType(executable(), { originalName: 'movie.mp4', mimetype: 'video/mp4' }), {
+      mimetype: 'application/vnd.microsoft.portable-executable',
+      detectedType: 'application/vnd.microsoft.portable-executable',
+      mismatch: true
+    });
+  });
+
+  test('keeps the more specific extension of a shared container', () => {
+    const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0, 0]);
+    const docx = detectType(zip, { originalName: 'report.docx' });
+    assert.equal(docx.mimetype, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    assert.equal(docx.mismatch, false);
+    assert.equal(detectType(ftyp('isom'), { originalName: 'clip.mov' }).mismatch, false);
+  });
+
+  test('flags binary content behind a text extension', () => {
+    assert.deepEqual(detectType(Buffer.from([1, 0, 2, 0]), { originalName: 'notes.txt' }), {
+      mimetype: 'application/octet-stream',
+      detectedType: 'application/octet-stream',
+      mismatch: true
+    });
+  });
+
+  test('goes by the content when the extension says nothing', () => {
+    assert.equal(detectType(Buffer.from('%PDF-1.4'), { originalName: 'scan' }).mimetype, 'application/pdf');
+    assert.equal(detectType(Buffer.from('plain words'), { originalName: 'README' }).mimetype, 'text/plain');
+    assert.equal(detectType(Buffer.from('a,b\n1,2'), { originalName: 'export', mimetype: 'text/csv' }).mimetype, 'text/csv');
+    assert.equal(detectType(Buffer.from([0, 1, 2]), { originalName: 'blob', mimetype: 'text/csv' }).mimetype, 'application/octet-stream');
+  });
+});
+
+describe('checkFileContent', () => {
+  test('rejects mismatches with 415 or flags them, as configured', () => {
+    assert.throws(() => checkFileContent(executable(), { originalName: 'movie.mp4' }), { status: 415 });
+    const flagged = checkFileContent(executable(), { originalName: 'movie.mp4' }, { typeMismatch: 'flag' });
+    assert.equal(flagged.mismatch, true);
+  });
+
+  test('checks the type lists against the detected type', () => {
+    assert.throws(() => checkFileContent(executable(), { originalName: 'setup.bin' }, { deniedTypes: ['application/vnd.microsoft.portable-executable'] }),
+      { status: 415 });
+  });
+});
+
+describe('FileStore type check', () => {
+  test('stores the detected type and whether it was a mismatch', async () => {
+    const fileStore = new FileStore({
+      storage: new MemoryStorage(),
+      db: new MetadataDB(),
+      typeCheck: (head, upload) => checkFileContent(head, upload, { typeMismatch: 'flag' })
+    });
+    const file = await fileStore.ingest(Readable.from([executable()]), { originalName: 'movie.mp4', mimetype: 'video/mp4' });
+    assert.equal(file.mimetype, 'application/vnd.microsoft.portable-executable');
+    assert.equal(file.detectedType, 'application/vnd.microsoft.portable-executable');
+    assert.equal(file.typeMismatch, true);
+  });
+
+  test('leaves nothing behind when an upload is rejected', async () => {
+    const storage = new MemoryStorage();
+    const db = new MetadataDB();
+    const fileStore = new FileStore({ storage, db, typeCheck: (head, upload) => checkFileContent(head, upload) });
+    await assert.rejects(fileStore.ingest(Readable.from([executable()]), { originalName: 'movie.mp4', mimetype: 'video/mp4' }), { status: 415 });
+    assert.deepEqual([...storage.objects.keys()], []);
+    assert.equal(db.size, 0);
+  });
+});
+
+describe('typed uploads', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function post(name, content, type) {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), name);
+    return server.request('/upload', { method: 'POST', body: form });
+  }
+
+  test('reject an executable renamed to .mp4', async () => {
+    const response = await post('movie.mp4', executable(), 'video/mp4');
+    assert.equal(response.status, 415);
+    assert.match((await response.json()).error, /does not match its extension/);
+    const { files } = await (await server.request('/files')).json();
+    assert.deepEqual(files, []);
+  });
+
+  test('are served with the detected type, whatever the client claimed', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#000' } }).png().toBuffer();
+    const { file } = await (await post('picture', png, 'application/octet-stream')).json();
+    assert.equal(file.mimetype, 'image/png');
+    assert.equal(file.detectedType, 'image/png');
+
+    const download = await server.request(`/download/${file.filename}`);
+    assert.equal(download.headers.get('content-type'), 'image/png');
+  });
+
+  test('fall back to the extension for text formats', async () => {
+    const { file } = await (await post('data.json', '{"a": 1}', 'application/octet-stream')).json();
+    assert.equal(file.mimetype, 'application/json');
+    assert.equal(file.detectedType, null);
+  });
+});
@@ -0,0 +1,158 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { MetadataDB } = require("../lib/metadata-db");
+const { QuotaService } = require("../lib/quotas");
+const { MemoryStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+describe('QuotaService', () => {
+  let fileStore;
+  let quotas;
+
+  beforeEach(() => {
+    fileStore = new FileStore({ storage: new MemoryStorage(), db: new MetadataDB() });
+    quotas = new QuotaService({ fileStore, limits: { userBytes: 100, userFiles: 3, totalBytes: 150 } });
+  });
+
+  function ingest(owner, content, originalName = 'notes.txt', mimetype = 'text/plain') {
+    return fileStore.ingest(Readable.from([content]), { originalName, mimetype, owner });
+  }
+
+  test('counts every version and trashed file by owner and type', async () => {
+    const file = await ingest('u1', 'x'.repeat(10));
+    await fileStore.addVersion(file.filename, Readable.from(['y'.repeat(20)]), { originalName: 'notes.txt', mimetype: 'text/plain' });
+    const trashed = await ingest('u1', Buffer.alloc(5), 'blob.bin', 'application/octet-stream');
+    await fileStore.trash(trashed.filename, { id: 'u1' });
+    await ingest('u2', 'w'.repeat(7));
+
+    const usage = await quotas.usage();
+    assert.deepEqual(usage.total, { bytes: 42, files: 3 });
+    assert.deepEqual(usage.users.get('u1'), { bytes: 35, files: 2 });
+    assert.deepEqual(usage.types.get('text/plain'), { bytes: 37, files: 2 });
+    assert.deepEqual((await quotas.usage({ owner: 'u2' })).total, { bytes: 7, files: 1 });
+  });
+
+  test('tells how much is left under the tighter limit', async () => {
+    await ingest('u1', 'x'.repeat(60));
+    await ingest('u2', 'y'.repeat(80));
+    const usage = await quotas.usage();
+
+    assert.equal(quotas.allowance(usage, 'u1'), 10);
+    assert.equal(quotas.allowance(usage, 'u3', { bytes: 4 }), 6);
+    assert.deepEqual(quotas.describe(usage, 'u1'), {
+      bytes: 60,
+      files: 1,
+      limits: { bytes: 100, files: 3 },
+      remaining: { bytes: 10, files: 2 }
+    });
+  });
+
+  test('refuses with 413 once bytes or files run out', async () => {
+    await ingest('u1', 'x'.repeat(100));
+    await assert.rejects(quotas.check('u1', 1), { status: 413, message: 'Storage quota exceeded' });
+    await quotas.check('u2', 50);
+    await assert.rejects(quotas.check('u2', 51), { status: 413 });
+
+    await ingest('u2', 'a');
+    await ingest('u2', 'b');
+    await ingest('u2', 'c');
+    await assert.rejects(quotas.check('u2', 1), { status: 413, message: /3 files per user/ });
+    await quotas.check('u2', 1, { newFile: false });
+  });
+
+  test('leaves unset limits unlimited', async () => {
+    const open = new QuotaService({ fileStore });
+    await ingest('u1', 'x'.repeat(1000));
+    await open.check('u1', 10 * 1024 * 1024 * 1024);
+    assert.deepEqual(open.describe(await open.usage(), 'u1').limits, { bytes: null, files: null });
+  });
+
+  test('notices when side by side uploads went over', async () => {
+    await ingest('u1', 'x'.repeat(90));
+    await quotas.verify('u1');
+    await ingest('u1', 'y'.repeat(20));
+    await assert.rejects(quotas.verify('u1'), { status: 413 });
+  });
+});
+
+describe('quota enforcement', () => {
+  let server;
+  let bob;
+
+  before(async () => {
+    server = await startServer({ env: { QUOTA_USER_BYTES: '100', QUOTA_USER_FILES: '3' } });
+    bob = await server.createUser('bob');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function uploadAs(client, name, content, query = '') {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: 'text/plain' }), name);
+    return client.request(`/upload${query}`, { method: 'POST', body: form });
+  }
+
+  async function ownFiles(client) {
+    return (await (await client.request('/files')).json()).files;
+  }
+
+  test('rejects an upload that does not fit with 413 and keeps nothing of it', async () => {
+    const kept = await uploadAs(bob, 'fits.txt', 'x'.repeat(60));
+    assert.equal(kept.status, 200);
+
+    const rejected = await uploadAs(bob, 'too-big.txt', 'y'.repeat(50));
+    assert.equal(rejected.status, 413);
+    assert.deepEqual((await ownFiles(bob)).map(file => file.originalName), ['fits.txt']);
+  });
+
+  test('counts new versions against the quota', async () => {
+    const [file] = await ownFiles(bob);
+    const rejected = await uploadAs(bob, 'fits.txt', 'z'.repeat(45), `?versionOf=${file.filename}`);
+    assert.equal(rejected.status, 413);
+    const { versions } = await (await bob.request(`/files/${file.filename}/versions`)).json();
+    assert.equal(versions.length, 1);
+  });
+
+  test('checks resumable uploads when they start and when they finish', async () => {
+    const create = size => bob.request('/upload-sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'resumed.txt', size, mimetype: 'text/plain' })
+    });
+    assert.equal((await create(41)).status, 413);
+
+    const { session } = await (await create(30)).json();
+    await bob.request(`/upload-sessions/${session.id}?offset=0`, { method: 'PUT', body: 'r'.repeat(30) });
+    assert.equal((await uploadAs(bob, 'meanwhile.txt', 'm'.repeat(20))).status, 200);
+
+    const completed = await bob.request(`/upload-sessions/${session.id}/complete`, { method: 'POST' });
+    assert.equal(completed.status, 413);
+    assert.equal((await ownFiles(bob)).some(file => file.originalName === 'resumed.txt'), false);
+  });
+
+  test('limits the number of files', async () => {
+    assert.equal((await uploadAs(bob, 'third.txt', 'c')).status, 200);
+    const rejected = await uploadAs(bob, 'fourth.txt', 'd');
+    assert.equal(rejected.status, 413);
+    assert.match((await rejected.json()).error, /3 files per user/);
+  });
+
+  test('reports usage by user and by type', async () => {
+    await server.upload('admin.bin', Buffer.alloc(10), 'application/octet-stream');
+    const usage = await (await server.request('/usage')).json();
+    assert.deepEqual(usage.total, { bytes: 91, files: 4, limits: { bytes: null, files: null } });
+    const bobs = usage.users.find(entry => entry.username === 'bob');
+    assert.deepEqual([bobs.bytes, bobs.files, bobs.limits, bobs.remaining], [81, 3, { bytes: 100, files: 3 }, { bytes: 19, files: 0 }]);
+    assert.deepEqual(usage.types.map(entry => entry.mimetype), ['text/plain', 'application/octet-stream']);
+  });
+
+  test('shows other users only their own usage', async () => {
+    const usage = await (await bob.request('/usage')).json();
+    assert.deepEqual(usage.users.map(entry => entry.username), ['bob']);
+    assert.deepEqual(usage.types, [{ mimetype: 'text/plain', bytes: 81, files: 3 }]);
+  });
+});
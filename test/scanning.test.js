@@ -0,0 +1,279 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const net = require("net");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { JobQueue } = require("../lib/job-queue");
+const { MetadataDB } = require("../lib/metadata-db");
+const { ScanService } = require("../lib/scanning");
+const { ClamdScanner, MockScanner, createScanner } = require("../lib/scanners");
+const { MemoryStorage } = require("../lib/storage");
+const createHlsRouter = require("../routes/hls");
+const { startServer } = require("./helpers/server");
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Verdicts are reached in the background: retry until the check passes
+async function eventually(check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      return await check();
+    } catch (err) {
+      if (attempt === 49) {
+        throw err;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
+
+describe('scanners', () => {
+  test('the mock finds EICAR, even split across chunks', async () => {
+    const scanner = new MockScanner();
+    assert.deepEqual(await scanner.scan(Readable.from([Buffer.from('harmless')])), { clean: true, threat: null });
+    const split = [Buffer.from('prefix ' + EICAR.slice(0, 30)), Buffer.from(EICAR.slice(30) + ' suffix')];
+    assert.deepEqual(await scanner.scan(Readable.from(split)), { clean: false, threat: 'Eicar-Test-Signature' });
+  });
+
+  test('the mock takes its own signatures', async () => {
+    const scanner = new MockScanner({ signatures: [{ name: 'Bad-Word', pattern: 'forbidden' }] });
+    assert.equal((await scanner.scan(Readable.from([Buffer.from('a forbidden word')]))).threat, 'Bad-Word');
+  });
+
+  test('createScanner picks the driver, or none', () => {
+    assert.equal(createScanner({ driver: 'none' }), null);
+    assert.ok(createScanner({ driver: 'mock' }) instanceof MockScanner);
+    assert.ok(createScanner({ driver: 'clamd', port: 1 }) instanceof ClamdScanner);
+    assert.throws(() => createScanner({ driver: 'other' }), /Unknown scanner/);
+  });
+
+  describe('clamd driver', () => {
+    let clamd;
+    let received;
+    let reply;
+
+    before(async () => {
+      // Answers INSTREAM like clamd once the zero-length chunk arrives
+      clamd = net.createServer((socket) => {
+        let data = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+          data = Buffer.concat([data, chunk]);
+          if (data.length >= 14 && data.subarray(-4).equals(Buffer.alloc(4))) {
+            received = data;
+            socket.end(reply);
+          }
+        });
+      });
+      await new Promise(resolve => clamd.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(async () => {
+      await new Promise(resolve => clamd.close(resolve));
+    });
+
+    function scanner() {
+      return new ClamdScanner({ host: '127.0.0.1', port: clamd.address().port, timeout: 5000 });
+    }
+
+    test('sends the content as length-prefixed chunks', async () => {
+      reply = 'stream: OK\0';
+      assert.deepEqual(await scanner().scan(Readable.from([Buffer.from('hello')])), { clean: true, threat: null });
+      assert.equal(received.toString('latin1', 0, 10), 'zINSTREAM\0');
+      assert.equal(received.readUInt32BE(10), 5);
+      assert.equal(received.toString('latin1', 14, 19), 'hello');
+    });
+
+    test('reports what clamd found', async () => {
+      reply = 'stream: Win.Test.EICAR_HDB-1 FOUND\0';
+      assert.deepEqual(await scanner().scan(Readable.from([Buffer.from(EICAR)])), { clean: false, threat: 'Win.Test.EICAR_HDB-1' });
+    });
+
+    test('fails on errors instead of calling the file clean', async () => {
+      reply = 'INSTREAM size limit exceeded. ERROR\0';
+      await assert.rejects(scanner().scan(Readable.from([Buffer.from('big')])), /clamd: INSTREAM size limit exceeded/);
+      const unreachable = new ClamdScanner({ host: '127.0.0.1', port: 1, timeout: 1000 });
+      await assert.rejects(unreachable.scan(Readable.from([Buffer.from('x')])));
+    });
+  });
+});
+
+describe('ScanService', () => {
+  let fileStore;
+  let scanning;
+
+  beforeEach(() => {
+    fileStore = new FileStore({ storage: new MemoryStorage(), db: new MetadataDB() });
+    scanning = new ScanService({ fileStore, queue: new JobQueue({ name: 'scan' }), scanner: new MockScanner({ delay: 50 }) }).attach();
+  });
+
+  function ingest(content) {
+    return fileStore.ingest(Readable.from([Buffer.from(content)]), { originalName: 'notes.txt', mimetype: 'text/plain', owner: 'u1' });
+  }
+
+  test('holds new files back until they pass', async () => {
+    const file = await ingest('harmless');
+    await eventually(async () => {
+      const pending = await fileStore.describe(file.filename);
+      assert.equal(pending.scan.status, 'pending');
+      assert.equal(scanning.passed(pending), false);
+    });
+
+    await eventually(async () => {
+      const scanned = await fileStore.describe(file.filename);
+      assert.equal(scanned.scan.status, 'clean');
+      assert.equal(scanned.scan.scanner, 'mock');
+      assert.equal(scanning.passed(scanned), true);
+    });
+  });
+
+  test('quarantines infected files and lets admins release them', async () => {
+    const file = await ingest(EICAR);
+    await eventually(async () => {
+      assert.equal((await scanning.listQuarantine()).length, 1);
+    });
+    assert.equal(await fileStore.describe(file.filename), null);
+    const [quarantined] = await scanning.listQuarantine();
+    assert.equal(quarantined.scan.threat, 'Eicar-Test-Signature');
+
+    const released = await scanning.release(file.filename, { id: 'a1', username: 'admin' });
+    assert.equal(released.scan.status, 'released');
+    assert.deepEqual(released.scan.releasedBy, { id: 'a1', username: 'admin' });
+    assert.equal(scanning.passed(released), true);
+    assert.deepEqual(await scanning.listQuarantine(), []);
+    assert.equal(await scanning.release(file.filename, { id: 'a1' }), null);
+  });
+
+  test('keeps a file blocked when the scanner fails', async () => {
+    scanning.scanner = { name: 'broken', scan: async () => { throw new Error('scanner offline'); } };
+    const file = await ingest('harmless');
+    await eventually(async () => {
+      const scanned = await fileStore.describe(file.filename);
+      assert.deepEqual([scanned.scan.status, scanned.scan.error], ['failed', 'scanner offline']);
+      assert.equal(scanning.passed(scanned), false);
+    });
+  });
+
+  test('judges each version by its own content', async () => {
+    const file = await ingest(EICAR);
+    await eventually(async () => {
+      assert.equal((await scanning.listQuarantine()).length, 1);
+    });
+    await scanning.release(file.filename, { id: 'a1', username: 'admin' });
+    await fileStore.addVersion(file.filename, Readable.from([Buffer.from('clean now')]), { originalName: 'notes.txt', mimetype: 'text/plain' });
+
+    await eventually(async () => {
+      const current = await fileStore.describe(file.filename);
+      assert.equal(current.scan.status, 'clean');
+      const [first, second] = fileStore.listVersions(file.filename);
+      assert.equal(scanning.versionPassed(current, first), false);
+      assert.equal(scanning.versionPassed(current, second), true);
+    });
+  });
+
+  test('scans files left without a verdict on the next start', async () => {
+    const unscanned = new FileStore({ storage: fileStore.storage, db: fileStore.db });
+    const file = await unscanned.ingest(Readable.from(['from before']), { originalName: 'old.txt', mimetype: 'text/plain' });
+    assert.equal(await scanning.resume(), 1);
+    await eventually(async () => {
+      assert.equal((await fileStore.describe(file.filename)).scan.status, 'clean');
+    });
+  });
+
+  test('counts every file as clean without a scanner', async () => {
+    const off = new ScanService({ fileStore, queue: new JobQueue({ name: 'scan' }) });
+    assert.equal(off.enabled, false);
+    assert.equal(off.passed({ scan: { status: 'infected' } }), true);
+    assert.equal(await off.resume(), 0);
+  });
+});
+
+describe('HLS scan gate', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const file = { filename: 'clip.mp4', owner: 'u1', scan: { status: 'pending' } };
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { id: 'u1', role: 'user' };
+      next();
+    });
+    app.use("/hls", createHlsRouter({
+      hls: { status: async () => ({ status: 'ready' }) },
+      fileStore: { resolve: async filename => (filename === file.filename ? file : null) },
+      scanning: { passed: candidate => candidate.scan.status === 'clean' }
+    }));
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('refuses files that have not passed the scan', async () => {
+    const response = await fetch(`${baseUrl}/hls/clip.mp4/master.m3u8`);
+    assert.equal(response.status, 403);
+    assert.deepEqual(await response.json(), { error: 'File has not passed the malware scan', scan: { status: 'pending' } });
+  });
+});
+
+describe('scanned uploads', () => {
+  let server;
+  let bob;
+
+  before(async () => {
+    server = await startServer({ env: { SCANNER: 'mock' } });
+    bob = await server.createUser('bob');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function fileEntry(filename) {
+    const { files } = await (await server.request('/files')).json();
+    return files.find(file => file.filename === filename);
+  }
+
+  test('become downloadable once they pass', async () => {
+    const file = await server.upload('clean.txt', 'nothing to see');
+    await eventually(async () => {
+      assert.equal((await fileEntry(file.filename)).scan.status, 'clean');
+    });
+    assert.equal(await (await server.request(`/download/${file.filename}`)).text(), 'nothing to see');
+  });
+
+  test('go to the quarantine when infected', async () => {
+    const file = await server.upload('eicar.txt', EICAR);
+    await eventually(async () => {
+      const { files } = await (await server.request('/quarantine')).json();
+      assert.deepEqual(files.map(entry => entry.filename), [file.filename]);
+    });
+    assert.equal(await fileEntry(file.filename), undefined);
+    assert.equal((await server.request(`/download/${file.filename}`)).status, 404);
+
+    const released = await server.request(`/quarantine/${file.filename}/release`, { method: 'POST' });
+    assert.equal(released.status, 200);
+    assert.equal((await released.json()).file.scan.status, 'released');
+    assert.equal((await server.request(`/download/${file.filename}`)).status, 200);
+  });
+
+  test('can be deleted from the quarantine for good', async () => {
+    const file = await server.upload('eicar-again.txt', EICAR);
+    await eventually(async () => {
+      assert.equal((await server.request(`/quarantine/${file.filename}`, { method: 'DELETE' })).status, 200);
+    });
+    const { files } = await (await server.request('/quarantine')).json();
+    assert.deepEqual(files, []);
+    assert.equal((await server.request(`/quarantine/${file.filename}/release`, { method: 'POST' })).status, 404);
+  });
+
+  test('keep the quarantine to admins', async () => {
+    assert.equal((await bob.request('/quarantine')).status, 403);
+  });
+});
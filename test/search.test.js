@@ -0,0 +1,182 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { JobQueue } = require("../lib/job-queue");
+const { MetadataDB } = require("../lib/metadata-db");
+const { SearchIndex } = require("../lib/search-index");
+const { MemoryStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+const ADMIN = { id: 'admin', role: 'admin' };
+
+// Text is extracted in the background: retry until the check passes
+async function eventually(check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      return await check();
+    } catch (err) {
+      if (attempt === 49) {
+        throw err;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
+
+describe('SearchIndex', () => {
+  let fileStore;
+  let index;
+  const files = {};
+
+  before(async () => {
+    const storage = new MemoryStorage();
+    fileStore = new FileStore({ storage, db: new MetadataDB() });
+    index = new SearchIndex({ fileStore, storage, queue: new JobQueue({ name: 'search' }) }).attach();
+    await index.load();
+
+    const ingest = (originalName, mimetype, content, extra = {}) =>
+      fileStore.ingest(Readable.from([Buffer.from(content)]), { originalName, mimetype, ...extra });
+    files.report = await ingest('quarterly-report.txt', 'text/plain', 'revenue grew in the northern region', { tags: ['finance'], owner: 'u1' });
+    files.photo = await ingest('holiday.png', 'image/png', Buffer.alloc(2048), { tags: ['travel'], owner: 'u1' });
+    files.notes = await ingest('meeting notes.txt', 'text/plain', 'the report is due friday', { owner: 'u2' });
+    files.big = await ingest('backup.bin', 'application/octet-stream', Buffer.alloc(200 * 1024), { owner: 'u2' });
+  });
+
+  function names(result) {
+    return result.files.map(file => file.originalName);
+  }
+
+  test('matches names by whole words and prefixes', async () => {
+    assert.deepEqual(names(await index.search(ADMIN, { q: 'holiday' })), ['holiday.png']);
+    assert.deepEqual(names(await index.search(ADMIN, { q: 'quart' })), ['quarterly-report.txt']);
+    assert.deepEqual(names(await index.search(ADMIN, { q: 'nothing-like-this' })), []);
+  });
+
+  test('indexes the text of text files and ranks names above it', async () => {
+    await eventually(async () => {
+      assert.deepEqual(names(await index.search(ADMIN, { q: 'northern' })), ['quarterly-report.txt']);
+    });
+    await eventually(async () => {
+      assert.deepEqual(names(await index.search(ADMIN, { q: 'report' })), ['quarterly-report.txt', 'meeting notes.txt']);
+    });
+  });
+
+  test('requires every term to match', async () => {
+    assert.deepEqual(names(await index.search(ADMIN, { q: 'report friday' })), ['meeting notes.txt']);
+  });
+
+  test('counts each facet as if its own filter was not set', async () => {
+    const result = await index.search(ADMIN, { type: 'image' });
+    assert.deepEqual(names(result), ['holiday.png']);
+    assert.equal(result.facets.type.image, 1);
+    assert.equal(result.facets.type.text, 2);
+    assert.equal(result.facets.type.other, 1);
+    assert.deepEqual(result.facets.size, { tiny: 1, small: 0, medium: 0, large: 0, huge: 0 });
+    assert.deepEqual(result.facets.tags, { travel: 1 });
+  });
+
+  test('filters by tag, size and date', async () => {
+    assert.deepEqual(names(await index.search(ADMIN, { tag: 'FINANCE' })), ['quarterly-report.txt']);
+    assert.deepEqual(names(await index.search(ADMIN, { size: 'small' })), ['backup.bin']);
+    assert.deepEqual(names(await index.search(ADMIN, { minSize: '1000', maxSize: '4096' })), ['holiday.png']);
+    assert.equal((await index.search(ADMIN, { to: '2000-01-01' })).total, 0);
+    assert.equal((await index.search(ADMIN, { from: '2000-01-01' })).total, 4);
+  });
+
+  test('pages through sorted results with cursors', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await index.search(ADMIN, { sort: 'name', limit: '3', cursor });
+      assert.equal(page.total, 4);
+      seen.push(...names(page));
+      cursor = page.nextCursor || undefined;
+    } while (cursor);
+    assert.deepEqual(seen, ['backup.bin', 'holiday.png', 'meeting notes.txt', 'quarterly-report.txt']);
+
+    const bySize = await index.search(ADMIN, { sort: 'size', order: 'asc' });
+    assert.deepEqual(bySize.files.map(file => file.size), [...bySize.files.map(file => file.size)].sort((a, b) => a - b));
+  });
+
+  test('only finds files the user can access', async () => {
+    assert.deepEqual(names(await index.search({ id: 'u2', role: 'user' }, { sort: 'name' })), ['backup.bin', 'meeting notes.txt']);
+    assert.deepEqual(names(await index.search({ id: 'u1', role: 'user' }, { q: 'friday' })), []);
+  });
+
+  test('rejects bad parameters with a 400 error', async () => {
+    for (const options of [{ sort: 'colour' }, { order: 'up' }, { limit: '0' }, { limit: '201' }, { type: 'spreadsheet' },
+      { size: 'enormous' }, { minSize: '-1' }, { from: 'yesterday' }, { cursor: 'garbage' }]) {
+      await assert.rejects(index.search(ADMIN, options), { status: 400 }, JSON.stringify(options));
+    }
+  });
+
+  test('follows tag changes and deletions', async () => {
+    await fileStore.update(files.photo.filename, { tags: ['travel', 'beach'] });
+    await eventually(async () => {
+      assert.deepEqual(names(await index.search(ADMIN, { q: 'beach' })), ['holiday.png']);
+    });
+
+    await fileStore.remove(files.photo.filename);
+    await eventually(async () => {
+      assert.deepEqual(names(await index.search(ADMIN, { q: 'holiday' })), []);
+    });
+  });
+});
+
+describe('search route', () => {
+  let server;
+  let bob;
+
+  before(async () => {
+    server = await startServer();
+    bob = await server.createUser('bob');
+    await server.upload('invoice.txt', 'amount payable within thirty days');
+    await bob.upload('invoice-bob.txt', 'bob pays later');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('answers with results, facets and the next cursor', async () => {
+    const response = await server.request('/search?q=invoice&limit=1&sort=name');
+    assert.equal(response.status, 200);
+    const result = await response.json();
+    assert.equal(result.total, 2);
+    assert.equal(result.files[0].originalName, 'invoice-bob.txt');
+    assert.equal(result.facets.type.text, 2);
+    assert.equal(typeof result.nextCursor, 'string');
+
+    const next = await (await server.request(`/search?q=invoice&limit=1&sort=name&cursor=${result.nextCursor}`)).json();
+    assert.deepEqual(next.files.map(file => file.originalName), ['invoice.txt']);
+    assert.equal(next.nextCursor, null);
+  });
+
+  test('finds uploaded text by its content', async () => {
+    await eventually(async () => {
+      const { files } = await (await server.request('/search?q=payable')).json();
+      assert.deepEqual(files.map(file => file.originalName), ['invoice.txt']);
+    });
+  });
+
+  test('keeps results to the user\'s own files', async () => {
+    const { files } = await (await bob.request('/search?q=invoice')).json();
+    assert.deepEqual(files.map(file => file.originalName), ['invoice-bob.txt']);
+  });
+
+  test('drops deleted files from the results', async () => {
+    const file = await server.upload('temporary.txt', 'short lived');
+    assert.equal((await (await server.request('/search?q=temporary')).json()).total, 1);
+    await server.request(`/files/${file.filename}`, { method: 'DELETE' });
+    await eventually(async () => {
+      assert.equal((await (await server.request('/search?q=temporary')).json()).total, 0);
+    });
+  });
+
+  test('answers 400 for invalid parameters', async () => {
+    const response = await server.request('/search?sort=colour');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Invalid sort/);
+  });
+});
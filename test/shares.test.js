@@ -0,0 +1,220 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ShareStore } = require("../lib/shares");
+const { startServer } = require("./helpers/server");
+
+describe('ShareStore', () => {
+  let dir;
+  let shares;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+    shares = new ShareStore({ file: path.join(dir, 'shares.json'), secretFile: path.join(dir, 'share-secret') });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function tokenOf(share) {
+    return shares.describe(share).url.slice('/s/'.length);
+  }
+
+  test('resolves the tokens it signed', async () => {
+    const share = await shares.create({ owner: 'u1', filenames: ['a.txt'] });
+    assert.match(tokenOf(share), /^[a-f0-9]{24}\.[A-Za-z0-9_-]{43}$/);
+    assert.equal(shares.resolve(tokenOf(share)), share);
+  });
+
+  test('rejects forged and tampered tokens', async () => {
+    const share = await shares.create({ owner: 'u1', filenames: ['a.txt'] });
+    const [id, signature] = tokenOf(share).split('.');
+    const other = await shares.create({ owner: 'u1', filenames: ['b.txt'] });
+
+    const tampered = signature.slice(0, -1) + (signature.endsWith('A') ? 'B' : 'A');
+    assert.equal(shares.resolve(`${id}.${tampered}`), null);
+    assert.equal(shares.resolve(`${other.id}.${signature}`), null);
+    assert.equal(shares.resolve(id), null);
+    assert.equal(shares.resolve(`${id}.`), null);
+    assert.equal(shares.resolve('nonsense'), null);
+  });
+
+  test('stops resolving a token whose expiry was pushed back', async () => {
+    const share = await shares.create({ owner: 'u1', filenames: ['a.txt'], expiresIn: 60 });
+    const token = tokenOf(share);
+    share.expiresAt = new Date(Date.now() + 3600 * 1000).toISOString();
+    assert.equal(shares.resolve(token), null);
+  });
+
+  test('signs with a secret kept across restarts', async () => {
+    const share = await shares.create({ owner: 'u1', filenames: ['a.txt'] });
+    const restarted = new ShareStore({ file: shares.file, secretFile: path.join(dir, 'share-secret') });
+    assert.equal(restarted.resolve(tokenOf(share)).id, share.id);
+
+    const otherSecret = new ShareStore({ file: shares.file, secret: 'something else' });
+    assert.equal(otherSecret.resolve(tokenOf(share)), null);
+  });
+
+  test('tells expired, exhausted and revoked shares apart', async () => {
+    const expired = await shares.create({ owner: 'u1', filenames: ['a.txt'] });
+    expired.expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.equal(shares.inactiveReason(expired), 'expired');
+
+    const limited = await shares.create({ owner: 'u1', filenames: ['a.txt'], maxDownloads: 1 });
+    assert.equal(shares.recordDownload(limited), true);
+    assert.equal(shares.inactiveReason(limited), 'exhausted');
+    assert.equal(shares.recordDownload(limited), false);
+    assert.equal(limited.downloads, 1);
+
+    const revoked = await shares.create({ owner: 'u1', filenames: ['a.txt'] });
+    shares.revoke(revoked);
+    assert.equal(shares.describe(revoked).status, 'revoked');
+  });
+
+  test('refuses bad lifetimes, limits, passwords and names', async () => {
+    const base = { owner: 'u1', filenames: ['a.txt'] };
+    await assert.rejects(shares.create({ ...base, filenames: [] }), { status: 400 });
+    await assert.rejects(shares.create({ ...base, expiresIn: 0 }), { status: 400 });
+    await assert.rejects(shares.create({ ...base, expiresIn: 91 * 24 * 3600 }), { status: 400 });
+    await assert.rejects(shares.create({ ...base, maxDownloads: 0 }), { status: 400 });
+    await assert.rejects(shares.create({ ...base, password: '' }), { status: 400 });
+    await assert.rejects(shares.create({ ...base, name: 'a/b' }), { status: 400 });
+  });
+
+  test('checks passwords and keeps the hash out of its description', async () => {
+    const share = await shares.create({ owner: 'u1', filenames: ['a.txt'], password: 'open sesame' });
+    assert.equal(await shares.checkPassword(share, 'open sesame'), true);
+    assert.equal(await shares.checkPassword(share, 'wrong'), false);
+    assert.equal(await shares.checkPassword(share, undefined), false);
+    assert.equal(shares.isUnlocked(share, shares.unlockKey(share)), true);
+    assert.equal(shares.isUnlocked(share, 'guess'), false);
+
+    const described = shares.describe(share);
+    assert.equal(described.passwordProtected, true);
+    assert.equal('passwordHash' in described, false);
+  });
+});
+
+describe('share link routes', () => {
+  let server;
+  let bob;
+  let file;
+  let other;
+
+  before(async () => {
+    server = await startServer();
+    bob = await server.createUser('bob');
+    file = await server.upload('shared.txt', 'shared content');
+    other = await server.upload('other.txt', 'other content');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function share(body, send = server.request) {
+    const response = await send('/shares', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Share links are public: no token goes along
+  function visit(url, options = {}) {
+    return fetch(server.baseUrl + url, { redirect: 'manual', ...options });
+  }
+
+  test('serve a shared file without signing in', async () => {
+    const { status, body } = await share({ filename: file.filename });
+    assert.equal(status, 201);
+    const response = await visit(body.share.url);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'shared content');
+  });
+
+  test('answer 404 for forged links', async () => {
+    const { body } = await share({ filename: file.filename });
+    const forged = body.share.url.replace(/.$/, c => (c === 'A' ? 'B' : 'A'));
+    assert.equal((await visit(forged)).status, 404);
+    assert.equal((await visit('/s/not-a-token')).status, 404);
+  });
+
+  test('stop working once the download limit is reached', async () => {
+    const { body } = await share({ filename: file.filename, maxDownloads: 1 });
+    assert.equal((await visit(body.share.url)).status, 200);
+    const gone = await visit(body.share.url);
+    assert.equal(gone.status, 410);
+    assert.deepEqual(await gone.json(), { error: 'Share link download limit reached' });
+  });
+
+  test('stop working once they expire', async () => {
+    const { body } = await share({ filename: file.filename, expiresIn: 1 });
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const gone = await visit(body.share.url);
+    assert.equal(gone.status, 410);
+    assert.deepEqual(await gone.json(), { error: 'Share link has expired' });
+  });
+
+  test('stop working once revoked', async () => {
+    const { body } = await share({ filename: file.filename });
+    const revoked = await server.request(`/shares/${body.share.id}`, { method: 'DELETE' });
+    assert.equal(revoked.status, 200);
+    assert.equal((await visit(body.share.url)).status, 410);
+  });
+
+  test('ask for the password of protected links', async () => {
+    const { body } = await share({ filename: file.filename, password: 'open sesame' });
+    const url = body.share.url;
+
+    const locked = await visit(url, { headers: { Accept: 'application/json' } });
+    assert.equal(locked.status, 401);
+    assert.equal((await visit(url, { headers: { 'X-Share-Password': 'wrong' } })).status, 401);
+    const unlocked = await visit(url, { headers: { 'X-Share-Password': 'open sesame' } });
+    assert.equal(await unlocked.text(), 'shared content');
+
+    const wrongForm = await visit(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'password=wrong'
+    });
+    assert.equal(wrongForm.status, 303);
+    assert.equal(wrongForm.headers.get('location'), `${url}?error=1`);
+
+    const form = await visit(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'password=open+sesame'
+    });
+    assert.equal(form.status, 303);
+    const cookie = form.headers.get('set-cookie').split(';')[0];
+    const withCookie = await visit(url, { headers: { Cookie: cookie } });
+    assert.equal(await withCookie.text(), 'shared content');
+  });
+
+  test('bundle several files into a ZIP', async () => {
+    const { body } = await share({ filenames: [file.filename, other.filename], name: 'both' });
+    const response = await visit(body.share.url);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.match(response.headers.get('content-disposition'), /both\.zip/);
+    assert.equal(Buffer.from(await response.arrayBuffer()).readUInt32LE(0), 0x04034b50);
+  });
+
+  test('only share files the user can access', async () => {
+    const { status } = await share({ filename: file.filename }, bob.request);
+    assert.equal(status, 404);
+  });
+
+  test('keep each user\'s shares to themselves', async () => {
+    const { body } = await share({ filename: file.filename });
+    assert.equal((await bob.request(`/shares/${body.share.id}`)).status, 404);
+    assert.equal((await bob.request(`/shares/${body.share.id}`, { method: 'DELETE' })).status, 404);
+    const { shares } = await (await bob.request('/shares')).json();
+    assert.deepEqual(shares, []);
+  });
+});
@@ -0,0 +1,71 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startServer } = require("./helpers/server");
+
+describe('thumbnails', () => {
+  let server;
+  let image;
+  let text;
+
+  before(async () => {
+    server = await startServer();
+    const png = await sharp({
+      create: { width: 800, height: 400, channels: 3, background: { r: 200, g: 50, b: 50 } }
+    }).png().toBuffer();
+    image = await server.upload('wide.png', png, 'image/png');
+    text = await server.upload('notes.txt', 'no picture here');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // Thumbnails are rendered in the background: 202 until they are ready
+  async function thumbnail(filename, size) {
+    const query = size === undefined ? '' : `?size=${size}`;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await server.request(`/thumbnail/${filename}${query}`);
+      if (response.status !== 202) {
+        return response;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('Thumbnail was never generated');
+  }
+
+  test('renders every size as a JPEG that fits the box', async () => {
+    for (const size of [128, 256, 512]) {
+      const response = await thumbnail(image.filename, size);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'image/jpeg');
+      const { format, width, height } = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+      assert.equal(format, 'jpeg');
+      assert.equal(width, size);
+      assert.equal(height, size / 2);
+    }
+  });
+
+  test('uses 256 pixels by default', async () => {
+    const response = await thumbnail(image.filename);
+    const { width } = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+    assert.equal(width, 256);
+  });
+
+  test('links ready thumbnails from the file description', async () => {
+    await thumbnail(image.filename);
+    const { files } = await (await server.request('/files')).json();
+    assert.equal(files.find(file => file.filename === image.filename).thumbnailUrl, `/thumbnail/${image.filename}`);
+    assert.equal(files.find(file => file.filename === text.filename).thumbnailUrl, null);
+  });
+
+  test('refuses sizes other than the rendered ones', async () => {
+    const response = await server.request(`/thumbnail/${image.filename}?size=1000`);
+    assert.equal(response.status, 400);
+  });
+
+  test('answers 404 for files without a thumbnail', async () => {
+    assert.equal((await server.request(`/thumbnail/${text.filename}`)).status, 404);
+    assert.equal((await server.request('/thumbnail/missing.png')).status, 404);
+  });
+});
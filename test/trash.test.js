@@ -0,0 +1,190 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { FolderStore } = require("../lib/folders");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+const { TrashBin } = require("../lib/trash");
+const { startServer } = require("./helpers/server");
+
+const ALICE = { id: 'u1', username: 'alice', role: 'user' };
+
+describe('TrashBin', () => {
+  let dir;
+  let storage;
+  let fileStore;
+  let folders;
+  let trash;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-test-'));
+  });
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    fileStore = new FileStore({ storage, db: new MetadataDB() });
+    folders = new FolderStore({ file: path.join(dir, `${Math.random().toString(36).slice(2)}.json`) });
+    trash = new TrashBin({ fileStore, folders, retention: 60 * 1000 });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function ingest(content, extra = {}) {
+    return fileStore.ingest(Readable.from([content]), { originalName: 'notes.txt', mimetype: 'text/plain', owner: ALICE.id, ...extra });
+  }
+
+  function blobs() {
+    return [...storage.objects.keys()].filter(key => key.startsWith('.blobs/'));
+  }
+
+  test('keeps a deleted file with who deleted it and when it goes', async () => {
+    const file = await ingest('keep me');
+    assert.equal(await trash.move(file.filename, ALICE), true);
+    assert.equal(await trash.move(file.filename, ALICE), false);
+
+    assert.deepEqual(await fileStore.list(), []);
+    const [trashed] = await trash.list(ALICE);
+    assert.equal(trashed.filename, file.filename);
+    assert.equal(trashed.originalName, 'notes.txt');
+    assert.deepEqual(trashed.deletedBy, { id: 'u1', username: 'alice' });
+    assert.equal(Date.parse(trashed.purgeAt) - Date.parse(trashed.deletedAt), 60 * 1000);
+    assert.deepEqual(await trash.list({ id: 'u2', role: 'user' }), []);
+  });
+
+  test('restores into the original folder, recreating it if needed', async () => {
+    folders.create('reports/2024');
+    const file = await ingest('report', { folder: 'reports/2024' });
+    await trash.move(file.filename, ALICE);
+    folders.remove('reports');
+
+    const restored = await trash.restore(file.filename);
+    assert.equal(restored.folder, 'reports/2024');
+    assert.equal(folders.exists('reports/2024'), true);
+    assert.deepEqual((await fileStore.list()).map(entry => entry.filename), [file.filename]);
+    assert.equal(await trash.restore(file.filename), null);
+  });
+
+  test('keeps a blob while a trashed file holds it', async () => {
+    const trashed = await ingest('shared');
+    const live = await ingest('shared');
+    await trash.move(trashed.filename, ALICE);
+    await fileStore.remove(live.filename);
+    assert.equal(blobs().length, 1);
+
+    await trash.purge(trashed.filename);
+    assert.deepEqual(blobs(), []);
+    assert.equal(await trash.get(trashed.filename), null);
+  });
+
+  test('purges only what outlived the retention period', async () => {
+    const old = await ingest('old');
+    const recent = await ingest('recent');
+    await trash.move(old.filename, ALICE);
+    await trash.move(recent.filename, ALICE);
+    const metadata = fileStore.getMetadata(old.filename);
+    await fileStore.update(old.filename, { trashed: { ...metadata.trashed, deletedAt: new Date(Date.now() - 61 * 1000).toISOString() } });
+
+    assert.equal(await trash.purgeExpired(), 1);
+    assert.deepEqual((await trash.list(ALICE)).map(file => file.filename), [recent.filename]);
+  });
+});
+
+describe('trash routes', () => {
+  let server;
+  let bob;
+
+  before(async () => {
+    server = await startServer();
+    bob = await server.createUser('bob');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  function send(method, urlPath, client = server) {
+    return client.request(urlPath, { method });
+  }
+
+  async function trashed(client = server) {
+    return (await (await client.request('/trash')).json()).files.map(file => file.filename);
+  }
+
+  test('move deleted files to the trash instead of removing them', async () => {
+    const file = await server.upload('draft.txt', 'draft');
+    const deleted = await send('DELETE', `/files/${file.filename}`);
+    assert.equal(deleted.status, 200);
+
+    assert.equal((await server.request(`/download/${file.filename}`)).status, 404);
+    const { files, retention } = await (await server.request('/trash')).json();
+    assert.equal(typeof retention, 'number');
+    const entry = files.find(candidate => candidate.filename === file.filename);
+    assert.equal(entry.deletedBy.username, 'admin');
+    assert.ok(entry.purgeAt > entry.deletedAt);
+  });
+
+  test('restore a file with its content', async () => {
+    const file = await server.upload('restore-me.txt', 'back again');
+    await send('DELETE', `/files/${file.filename}`);
+
+    const restored = await send('POST', `/trash/${file.filename}/restore`);
+    assert.equal(restored.status, 200);
+    assert.equal((await restored.json()).file.filename, file.filename);
+    assert.equal(await (await server.request(`/download/${file.filename}`)).text(), 'back again');
+    assert.equal((await send('POST', `/trash/${file.filename}/restore`)).status, 404);
+  });
+
+  test('delete a trashed file for good', async () => {
+    const file = await server.upload('gone.txt', 'gone');
+    await send('DELETE', `/files/${file.filename}`);
+    assert.equal((await send('DELETE', `/trash/${file.filename}`)).status, 200);
+    assert.equal((await trashed()).includes(file.filename), false);
+    assert.equal((await send('POST', `/trash/${file.filename}/restore`)).status, 404);
+  });
+
+  test('keep each user\'s trash to themselves', async () => {
+    const file = await bob.upload('bobs.txt', 'bob');
+    await send('DELETE', `/files/${file.filename}`, bob);
+    assert.deepEqual(await trashed(bob), [file.filename]);
+
+    const adminFile = await server.upload('admins.txt', 'admin');
+    await send('DELETE', `/files/${adminFile.filename}`);
+    assert.equal((await send('POST', `/trash/${adminFile.filename}/restore`, bob)).status, 404);
+    assert.equal((await send('DELETE', `/trash/${adminFile.filename}`, bob)).status, 404);
+  });
+
+  test('empty only the user\'s own trash', async () => {
+    const emptied = await send('DELETE', '/trash', bob);
+    assert.equal(emptied.status, 200);
+    assert.equal((await emptied.json()).deletedFiles, 1);
+    assert.deepEqual(await trashed(bob), []);
+    assert.ok((await trashed()).length > 0);
+
+    await send('DELETE', '/trash');
+    assert.deepEqual(await trashed(), []);
+  });
+
+  test('count trashed files when deciding a folder is empty', async () => {
+    await server.request('/folders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: 'archive' })
+    });
+    const form = new FormData();
+    form.append('folder', 'archive');
+    form.append('file', new Blob(['old'], { type: 'text/plain' }), 'old.txt');
+    const { file } = await (await server.request('/upload', { method: 'POST', body: form })).json();
+    await send('DELETE', `/files/${file.filename}`);
+
+    assert.equal((await send('DELETE', '/folders?path=archive')).status, 409);
+    const deleted = await send('DELETE', '/folders?path=archive&recursive=true');
+    assert.equal((await deleted.json()).deletedFiles, 0);
+    assert.deepEqual(await trashed(), [file.filename]);
+  });
+});
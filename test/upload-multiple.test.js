@@ -0,0 +1,129 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe('/upload-multiple', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { MAX_FILE_SIZE: '1KB' } });
+    await server.request('/folders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: 'docs' })
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // Form parts in order: ['field', name, value] or ['file', name, content, type]
+  async function post(parts, query = '') {
+    const form = new FormData();
+    for (const [kind, name, value, type = 'text/plain'] of parts) {
+      if (kind === 'field') {
+        form.append(name, value);
+      } else {
+        form.append('files', new Blob([value], { type }), name);
+      }
+    }
+    const response = await server.request(`/upload-multiple${query}`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('stores every file under its original name and type', async () => {
+    const { status, body } = await post([
+      ['file', 'one.txt', 'first'],
+      ['file', 'résumé.json', '{"b": 2}', 'application/octet-stream']
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.message, '2 files uploaded successfully');
+    assert.deepEqual(body.results.map(entry => [entry.index, entry.field, entry.name, entry.status]), [
+      [0, 'files', 'one.txt', 'uploaded'],
+      [1, 'files', 'résumé.json', 'uploaded']
+    ]);
+    const [one, resume] = body.files;
+    assert.equal(one.originalName, 'one.txt');
+    assert.equal(one.size, 5);
+    assert.equal(resume.originalName, 'résumé.json');
+    assert.equal(resume.mimetype, 'application/json');
+    assert.equal(await (await server.request(`/download/${one.filename}`)).text(), 'first');
+  });
+
+  test('applies folder and tags fields to the files after them', async () => {
+    const { status, body } = await post([
+      ['file', 'root.txt', 'root'],
+      ['field', 'folder', 'docs'],
+      ['field', 'tags', 'Work, draft'],
+      ['file', 'a.txt', 'a'],
+      ['field', 'tags', '["final"]'],
+      ['file', 'b.txt', 'b']
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.files.map(file => [file.originalName, file.folder, file.tags]), [
+      ['root.txt', '', []],
+      ['a.txt', 'docs', ['work', 'draft']],
+      ['b.txt', 'docs', ['final']]
+    ]);
+  });
+
+  test('reports each failure and keeps the files that passed', async () => {
+    const { status, body } = await post([
+      ['file', 'ok.txt', 'fine'],
+      ['file', 'big.txt', 'x'.repeat(2000)],
+      ['file', `${'n'.repeat(300)}.txt`, 'long name'],
+      ['field', 'folder', 'missing'],
+      ['file', 'lost.txt', 'nowhere to go']
+    ]);
+    assert.equal(status, 207);
+    assert.equal(body.message, '1 of 4 files uploaded');
+    assert.deepEqual(body.results.map(entry => [entry.status, entry.code, entry.error]), [
+      ['uploaded', undefined, undefined],
+      ['failed', 400, 'File too large (max 1 KB)'],
+      ['failed', 400, 'Filenames can be at most 255 characters long'],
+      ['failed', 404, 'Folder not found']
+    ]);
+
+    const { files } = await (await server.request('/files')).json();
+    assert.equal(files.some(file => ['big.txt', 'lost.txt'].includes(file.originalName)), false);
+  });
+
+  test('answers with the shared status when every file fails', async () => {
+    const { status, body } = await post([
+      ['file', 'big-1.txt', 'x'.repeat(2000)],
+      ['file', 'big-2.txt', 'y'.repeat(2000)]
+    ]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'No files were uploaded');
+    assert.deepEqual(body.files, []);
+  });
+
+  test('fails the files after an invalid field', async () => {
+    const { status, body } = await post([
+      ['field', 'tags', '[not json'],
+      ['file', 'tagged.txt', 'tagged']
+    ]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Tags must be a JSON array or a comma separated list');
+  });
+
+  test('refuses requests without files', async () => {
+    const { status, body } = await post([['field', 'folder', 'docs']]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'No files uploaded');
+
+    const json = await server.request('/upload-multiple', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    assert.equal(json.status, 400);
+  });
+
+  test('takes the starting folder from the query', async () => {
+    const { body } = await post([['file', 'queried.txt', 'q']], '?folder=docs');
+    assert.equal(body.files[0].folder, 'docs');
+    assert.equal((await post([['file', 'x.txt', 'x']], '?folder=../up')).status, 400);
+  });
+});
@@ -0,0 +1,233 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { UploadSessionStore, addRange, missingRanges } = require("../lib/upload-sessions");
+const { startServer } = require("./helpers/server");
+
+describe('addRange', () => {
+  test('keeps separate ranges sorted', () => {
+    assert.deepEqual(addRange([], 10, 20), [[10, 20]]);
+    assert.deepEqual(addRange([[10, 20]], 30, 40), [[10, 20], [30, 40]]);
+    assert.deepEqual(addRange([[30, 40]], 0, 5), [[0, 5], [30, 40]]);
+  });
+
+  test('merges overlapping and touching ranges', () => {
+    assert.deepEqual(addRange([[0, 10]], 5, 15), [[0, 15]]);
+    assert.deepEqual(addRange([[0, 10]], 10, 20), [[0, 20]]);
+    assert.deepEqual(addRange([[0, 10], [20, 30]], 10, 20), [[0, 30]]);
+    assert.deepEqual(addRange([[0, 10], [20, 30], [40, 50]], 5, 45), [[0, 50]]);
+  });
+
+  test('absorbs ranges already covered', () => {
+    assert.deepEqual(addRange([[0, 50]], 10, 20), [[0, 50]]);
+  });
+});
+
+describe('missingRanges', () => {
+  test('reports everything missing before any data', () => {
+    assert.deepEqual(missingRanges([], 100), [[0, 100]]);
+  });
+
+  test('reports the gaps between received ranges', () => {
+    assert.deepEqual(missingRanges([[10, 20], [50, 60]], 100), [[0, 10], [20, 50], [60, 100]]);
+  });
+
+  test('reports nothing once the file is complete', () => {
+    assert.deepEqual(missingRanges([[0, 100]], 100), []);
+    assert.deepEqual(missingRanges([], 0), []);
+  });
+});
+
+describe('UploadSessionStore', () => {
+  let dir;
+  let store;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-sessions-test-'));
+    store = new UploadSessionStore({ dir, ttl: 1000, maxSize: 1000 });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('creates a preallocated part file', async () => {
+    const session = await store.create({ filename: 'notes.txt', size: 10 });
+    assert.match(session.id, /^[a-f0-9]{32}$/);
+    assert.equal(fs.statSync(store.partPath(session.id)).size, 10);
+    assert.deepEqual(await store.get(session.id), session);
+  });
+
+  test('refuses bad sizes, chunk sizes and names', async () => {
+    await assert.rejects(store.create({ filename: 'a.txt', size: -1 }), { status: 400, message: 'Invalid file size' });
+    await assert.rejects(store.create({ filename: 'a.txt', size: 1001 }), { status: 400, message: 'File too large' });
+    await assert.rejects(store.create({ filename: 'a.txt', size: 10, chunkSize: 0 }), { status: 400, message: 'Invalid chunk size' });
+    await assert.rejects(store.create({ filename: 'a\nb.txt', size: 10 }), { status: 400, message: 'Invalid filename' });
+  });
+
+  test('writes chunks at any offset and records them', async () => {
+    const session = await store.create({ filename: 'digits.txt', size: 10 });
+    await store.writeChunk(session.id, 5, Readable.from(['56789']), 5);
+    const updated = await store.writeChunk(session.id, 0, Readable.from(['01']), 2);
+    const status = store.describe(updated);
+    assert.deepEqual(status.received, [[0, 2], [5, 10]]);
+    assert.deepEqual(status.missing, [[2, 5]]);
+    assert.equal(status.bytesReceived, 7);
+    assert.equal(status.complete, false);
+  });
+
+  test('refuses chunks past the declared size', async () => {
+    const session = await store.create({ filename: 'digits.txt', size: 10 });
+    await assert.rejects(store.writeChunk(session.id, 11, Readable.from(['x'])), { status: 416 });
+    await assert.rejects(store.writeChunk(session.id, 8, Readable.from(['xyz']), 3), { status: 416 });
+    await assert.rejects(store.writeChunk(session.id, 8, Readable.from(['xyz'])), { status: 416 });
+  });
+
+  test('keeps what arrived of a short chunk', async () => {
+    const session = await store.create({ filename: 'digits.txt', size: 10 });
+    await assert.rejects(store.writeChunk(session.id, 0, Readable.from(['0123']), 6), { status: 400, message: 'Incomplete chunk received' });
+    assert.deepEqual((await store.get(session.id)).received, [[0, 4]]);
+  });
+
+  test('completes only once every byte is there', async () => {
+    const session = await store.create({ filename: 'digits.txt', size: 4 });
+    await store.writeChunk(session.id, 0, Readable.from(['01']), 2);
+    await assert.rejects(store.complete(session.id, () => assert.fail('finalized too early')), (err) => {
+      assert.equal(err.status, 409);
+      assert.deepEqual(err.details.session.missing, [[2, 4]]);
+      return true;
+    });
+
+    await store.writeChunk(session.id, 2, Readable.from(['23']), 2);
+    const content = await store.complete(session.id, partPath => fs.promises.readFile(partPath, 'utf8'));
+    assert.equal(content, '0123');
+    assert.equal(await store.get(session.id), null);
+    assert.equal(fs.existsSync(store.partPath(session.id)), false);
+  });
+
+  test('sweeps sessions idle past the TTL', async () => {
+    const idle = await store.create({ filename: 'idle.txt', size: 4 });
+    const fresh = await store.create({ filename: 'fresh.txt', size: 4 });
+    await store.save({ ...idle, updatedAt: new Date(Date.now() - 2000).toISOString() });
+
+    await store.sweep();
+    assert.equal(await store.get(idle.id), null);
+    assert.equal(fs.existsSync(store.partPath(idle.id)), false);
+    assert.notEqual(await store.get(fresh.id), null);
+  });
+
+  test('leaves expired sessions alone while a chunk is being written', async () => {
+    const session = await store.create({ filename: 'slow.txt', size: 4 });
+    await store.save({ ...session, updatedAt: new Date(Date.now() - 2000).toISOString() });
+
+    let release;
+    const slow = Readable.from((async function* () {
+      yield '01';
+      await new Promise(resolve => { release = resolve; });
+      yield '23';
+    })());
+    const writing = store.writeChunk(session.id, 0, slow, 4);
+    while (!release) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await store.sweep();
+    release();
+    const updated = await writing;
+    assert.equal(store.describe(updated).complete, true);
+    assert.notEqual(await store.get(session.id), null);
+  });
+});
+
+describe('upload session routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function createSession(body) {
+    const response = await server.request('/upload-sessions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function putChunk(urlPath, data) {
+    return server.request(urlPath, { method: 'PUT', body: data });
+  }
+
+  test('uploads a file in chunks out of order and resumes', async () => {
+    const created = await createSession({ filename: 'story.txt', size: 12, mimetype: 'text/plain', chunkSize: 4 });
+    assert.equal(created.status, 201);
+    const { id } = created.body.session;
+    assert.deepEqual(created.body.session.missing, [[0, 12]]);
+
+    assert.equal((await putChunk(`/upload-sessions/${id}/chunks/2`, 'ever')).status, 200);
+    assert.equal((await putChunk(`/upload-sessions/${id}?offset=0`, 'once')).status, 200);
+
+    // A client that lost track asks what is still missing
+    const status = await (await server.request(`/upload-sessions/${id}`)).json();
+    assert.deepEqual(status.session.missing, [[4, 8]]);
+    assert.equal(status.session.bytesReceived, 8);
+
+    const early = await server.request(`/upload-sessions/${id}/complete`, { method: 'POST' });
+    assert.equal(early.status, 409);
+    const incomplete = await early.json();
+    assert.equal(incomplete.error, 'Upload incomplete');
+    assert.deepEqual(incomplete.session.missing, [[4, 8]]);
+
+    const ranged = await server.request(`/upload-sessions/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Range': 'bytes 4-7/12' },
+      body: 'upon'
+    });
+    assert.equal(ranged.status, 200);
+    assert.equal((await ranged.json()).session.complete, true);
+
+    const completed = await server.request(`/upload-sessions/${id}/complete`, { method: 'POST' });
+    assert.equal(completed.status, 200);
+    const { file } = await completed.json();
+    assert.equal(file.originalName, 'story.txt');
+    assert.equal(file.size, 12);
+
+    const download = await server.request(`/download/${encodeURIComponent(file.filename)}`);
+    assert.equal(await download.text(), 'onceuponever');
+
+    assert.equal((await server.request(`/upload-sessions/${id}`)).status, 404);
+  });
+
+  test('refuses bad names, impossible sizes and unknown folders', async () => {
+    assert.equal((await createSession({ filename: 'evil\r\n.txt', size: 4 })).status, 400);
+    assert.equal((await createSession({ size: 4 })).status, 400);
+    assert.equal((await createSession({ filename: 'a.txt', size: -4 })).status, 400);
+    assert.equal((await createSession({ filename: 'a.txt', size: 4, folder: 'no/such/folder' })).status, 404);
+  });
+
+  test('refuses chunks that run past the declared size', async () => {
+    const { body } = await createSession({ filename: 'short.txt', size: 4 });
+    const response = await putChunk(`/upload-sessions/${body.session.id}?offset=2`, 'toolong');
+    assert.equal(response.status, 416);
+  });
+
+  test('cancels a session', async () => {
+    const { body } = await createSession({ filename: 'cancel.txt', size: 4 });
+    const response = await server.request(`/upload-sessions/${body.session.id}`, { method: 'DELETE' });
+    assert.equal(response.status, 200);
+    assert.equal((await server.request(`/upload-sessions/${body.session.id}`)).status, 404);
+  });
+
+  test('answers 404 for unknown sessions', async () => {
+    assert.equal((await server.request(`/upload-sessions/${'0'.repeat(32)}`)).status, 404);
+    assert.equal((await server.request('/upload-sessions/not-an-id')).status, 404);
+  });
+});
@@ -0,0 +1,174 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { FileStore } = require("../lib/file-store");
+const { MetadataDB } = require("../lib/metadata-db");
+const { MemoryStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+async function read(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('file versions', () => {
+  let storage;
+  let fileStore;
+  let file;
+
+  beforeEach(async () => {
+    storage = new MemoryStorage();
+    fileStore = new FileStore({ storage, db: new MetadataDB() });
+    file = await fileStore.ingest(Readable.from(['first']), { originalName: 'doc.txt', mimetype: 'text/plain', owner: 'u1' });
+  });
+
+  function addVersion(content, uploadedBy = 'u1') {
+    return fileStore.addVersion(file.filename, Readable.from([content]), { originalName: 'doc.txt', mimetype: 'text/plain', uploadedBy });
+  }
+
+  function blobCount() {
+    return [...storage.objects.keys()].filter(key => key.startsWith('.blobs/')).length;
+  }
+
+  test('keeps each version with its own size, hash and uploader', async () => {
+    const updated = await addVersion('second!', 'u2');
+    assert.equal(updated.filename, file.filename);
+    assert.equal(updated.version, 2);
+    assert.equal(updated.size, 7);
+
+    const [first, second] = fileStore.listVersions(file.filename);
+    assert.deepEqual([first.version, first.size, first.sha256, first.uploadedBy, first.current], [1, 5, file.sha256, 'u1', false]);
+    assert.deepEqual([second.version, second.size, second.sha256, second.uploadedBy, second.current], [2, 7, updated.sha256, 'u2', true]);
+
+    assert.equal(await read(await fileStore.open(file.filename)), 'second!');
+    assert.equal(await read(await fileStore.open(file.filename, undefined, 1)), 'first');
+    await assert.rejects(fileStore.open(file.filename, undefined, 3), { status: 404 });
+  });
+
+  test('restores an old version as a new one', async () => {
+    await addVersion('second');
+    const restored = await fileStore.restoreVersion(file.filename, 1, 'u3');
+    assert.equal(restored.version, 3);
+    assert.equal(restored.sha256, file.sha256);
+    assert.equal(fileStore.listVersions(file.filename)[2].restoredFrom, 1);
+    assert.equal(await read(await fileStore.open(file.filename)), 'first');
+    assert.equal(await fileStore.restoreVersion(file.filename, 9), null);
+  });
+
+  test('prunes old versions but never the current one', async () => {
+    await addVersion('second');
+    await addVersion('third');
+    assert.equal(blobCount(), 3);
+
+    const pruned = await fileStore.pruneVersions(file.filename, { keep: 2 });
+    assert.deepEqual(pruned.map(entry => entry.version), [1]);
+    assert.equal(blobCount(), 2);
+
+    await fileStore.pruneVersions(file.filename, { before: new Date(Date.now() + 60000).toISOString() });
+    assert.deepEqual(fileStore.listVersions(file.filename).map(entry => entry.version), [3]);
+    assert.equal(blobCount(), 1);
+  });
+
+  test('keeps a blob that a remaining version still uses', async () => {
+    await addVersion('second');
+    await fileStore.restoreVersion(file.filename, 1);
+    await fileStore.pruneVersions(file.filename, { keep: 1 });
+    assert.equal(blobCount(), 1);
+    assert.equal(await read(await fileStore.open(file.filename)), 'first');
+  });
+
+  test('prunes beyond maxVersions on every new version', async () => {
+    fileStore.maxVersions = 2;
+    await addVersion('second');
+    await addVersion('third');
+    assert.deepEqual(fileStore.listVersions(file.filename).map(entry => entry.version), [2, 3]);
+  });
+
+  test('takes back only the newest version', async () => {
+    await addVersion('second');
+    assert.equal(await fileStore.dropVersion(file.filename, 1), null);
+
+    const dropped = await fileStore.dropVersion(file.filename, 2);
+    assert.equal(dropped.version, 1);
+    assert.equal(dropped.size, 5);
+    assert.equal(blobCount(), 1);
+    assert.equal(await fileStore.dropVersion(file.filename, 1), null);
+  });
+
+  test('refuses new versions of trashed files', async () => {
+    await fileStore.trash(file.filename, { id: 'u1' });
+    await assert.rejects(addVersion('late'), { status: 404 });
+  });
+});
+
+describe('version routes', () => {
+  let server;
+  let file;
+
+  before(async () => {
+    server = await startServer();
+    file = await server.upload('plan.txt', 'plan v1');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function uploadVersion(content, send = server.request) {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: 'text/plain' }), 'plan.txt');
+    return send(`/upload?versionOf=${file.filename}`, { method: 'POST', body: form });
+  }
+
+  async function versions() {
+    return (await (await server.request(`/files/${file.filename}/versions`)).json()).versions;
+  }
+
+  test('upload a new version of an existing file', async () => {
+    const response = await uploadVersion('plan v2');
+    assert.equal(response.status, 200);
+    const { file: updated } = await response.json();
+    assert.equal(updated.filename, file.filename);
+    assert.equal(updated.version, 2);
+    assert.deepEqual((await versions()).map(entry => entry.version), [1, 2]);
+  });
+
+  test('download current and older versions', async () => {
+    assert.equal(await (await server.request(`/download/${file.filename}`)).text(), 'plan v2');
+    assert.equal(await (await server.request(`/download/${file.filename}?version=1`)).text(), 'plan v1');
+    const ranged = await server.request(`/download/${file.filename}?version=1`, { headers: { Range: 'bytes=5-' } });
+    assert.equal(ranged.status, 206);
+    assert.equal(await ranged.text(), 'v1');
+    assert.equal((await server.request(`/download/${file.filename}?version=7`)).status, 404);
+  });
+
+  test('restore an older version', async () => {
+    const response = await server.request(`/files/${file.filename}/versions/1/restore`, { method: 'POST' });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).file.version, 3);
+    assert.equal(await (await server.request(`/download/${file.filename}`)).text(), 'plan v1');
+    assert.equal((await server.request(`/files/${file.filename}/versions/9/restore`, { method: 'POST' })).status, 404);
+    assert.equal((await server.request(`/files/${file.filename}/versions/abc/restore`, { method: 'POST' })).status, 404);
+  });
+
+  test('prune old versions by a rule', async () => {
+    assert.equal((await server.request(`/files/${file.filename}/versions`, { method: 'DELETE' })).status, 400);
+    assert.equal((await server.request(`/files/${file.filename}/versions?keep=0`, { method: 'DELETE' })).status, 400);
+    assert.equal((await server.request(`/files/${file.filename}/versions?before=soon`, { method: 'DELETE' })).status, 400);
+
+    const response = await server.request(`/files/${file.filename}/versions?keep=2`, { method: 'DELETE' });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).pruned, [1]);
+    assert.deepEqual((await versions()).map(entry => entry.version), [2, 3]);
+  });
+
+  test('answer 404 for versions of files the user cannot reach', async () => {
+    const bob = await server.createUser('bob');
+    assert.equal((await bob.request(`/files/${file.filename}/versions`)).status, 404);
+    assert.equal((await uploadVersion('bob was here', bob.request)).status, 404);
+    assert.equal((await server.request('/files/missing.txt/versions')).status, 404);
+  });
+});
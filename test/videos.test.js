@@ -0,0 +1,59 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+// The head of an MP4 file: an `ftyp` box followed by some media data
+const MP4 = Buffer.concat([
+  Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.from([0, 0, 2, 0]), Buffer.from('isomiso2'),
+  Buffer.from([0, 0, 0, 0x10]), Buffer.from('mdat'), Buffer.from('01234567')
+]);
+
+describe('media library', () => {
+  let server;
+  let video;
+  let text;
+
+  before(async () => {
+    server = await startServer();
+    video = await server.upload('clip.mp4', MP4, 'video/mp4');
+    text = await server.upload('notes.txt', 'not a video');
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test('lists the playable files with their stream URLs', async () => {
+    const response = await server.request('/videos');
+    assert.equal(response.status, 200);
+    const { videos } = await response.json();
+    assert.deepEqual(videos.map(file => file.filename), [video.filename]);
+    assert.equal(videos[0].mimetype, 'video/mp4');
+    assert.equal(videos[0].streamUrl, `/stream/${video.filename}`);
+  });
+
+  test('streams a video whole', async () => {
+    const response = await server.request(`/stream/${video.filename}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'video/mp4');
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.ok(Buffer.from(await response.arrayBuffer()).equals(MP4));
+  });
+
+  test('streams the range a player seeks to', async () => {
+    const response = await server.request(`/stream/${video.filename}`, { headers: { Range: 'bytes=32-' } });
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), `bytes 32-${MP4.length - 1}/${MP4.length}`);
+    assert.equal(await response.text(), '01234567');
+  });
+
+  test('refuses to stream files that are not media', async () => {
+    const response = await server.request(`/stream/${text.filename}`);
+    assert.equal(response.status, 415);
+  });
+
+  test('answers 404 for files that do not exist', async () => {
+    const response = await server.request('/stream/missing.mp4');
+    assert.equal(response.status, 404);
+  });
+});